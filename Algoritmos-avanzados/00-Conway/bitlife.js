@@ -0,0 +1,829 @@
+/**
+ * ============================================================================
+ * MOTOR DE REFERENCIA EN CPU (BIT-PACKED), SIN NAVEGADOR
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * GameOfLife (game.js) necesita un contexto WebGL para todo: cargar
+ * patrones, contar células o calcular el hash pasa por texImage2D o
+ * readPixels. BitLife implementa la misma interfaz en JavaScript puro, así
+ * que se puede usar desde Node para experimentos por lotes y pruebas
+ * automáticas sin navegador ni GPU.
+ *
+ * REPRESENTACIÓN (bit-packed):
+ * - Cada fila se guarda en ceil(ancho / 32) palabras de un Uint32Array
+ * - El bit i de la palabra k es la célula x = 32k + i (1 = viva)
+ * - Los bits que sobran en la última palabra de cada fila valen siempre 0
+ *
+ * CÁLCULO EN PARALELO POR PALABRA:
+ * Con desplazamientos de bits se obtienen 8 "planos" (el vecino NO, N, NE,
+ * O, E, SO, S, SE de cada una de las 32 células de la palabra). Un sumador
+ * de bits en paralelo (bit-sliced) suma los planos y deja el conteo de
+ * vecinos de las 32 células en 4 palabras (bits 1, 2, 4 y 8).
+ *
+ * LÍMITES (lanzan Error en el constructor, setRule y resize):
+ * Un bit por célula y vecinos dentro de 3×3, así que BitLife no simula
+ * todo lo que admiten los motores en la GPU:
+ * - Reglas Generations (/C, más de dos estados)
+ * - Vecindario hexagonal y Larger than Life de radio mayor que 1
+ * - Topologías acotadas menores que la cuadrícula (ej: ":P50,30" en una
+ *   de 64×64)
+ * Esas reglas solo se pueden probar con GameOfLife en un navegador.
+ *
+ * USO DESDE NODE:
+ *   const BitLife = require('./bitlife.js');
+ *   const life = new BitLife(512, 512, BitLife.parseRule('B36/S23'));
+ *   life.loadPattern('glider');
+ *   life.run(1000);  // hasta 1000 generaciones o hasta detectar el fin
+ * ============================================================================
+ */
+
+// rules.js, reduction.js, enddetection.js y game.js: globales en el navegador, require en Node
+const BITLIFE_DEPS = typeof parseRule === 'function'
+    ? {
+        DEFAULT_RULE,
+        NEIGHBOUR_MASK_OFFSETS,
+        placePattern,
+        parseRule,
+        resolveTopology,
+        mapTopologyCell,
+        getNeighbourhoodOffsets,
+        nextCellState,
+        reductionWeights,
+        addHash,
+        multiplyHash,
+        EndDetector,
+        normaliseFingerprint
+    }
+    : Object.assign({}, require('./rules.js'), require('./reduction.js'), require('./enddetection.js'),
+        { placePattern: require('./game.js').placePattern });
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: BitLife
+ * ============================================================================
+ *
+ * Misma interfaz que GameOfLife (generation, aliveCells, hasEnded,
+ * endReason, nextGeneration, countAliveCells, getStateFingerprint, checkEnd,
+ * loadPattern, randomize, clear, drawCell, reset, setRule, resize) y la
+ * misma detección de finalización: getStateFingerprint da el mismo valor
+ * que el de GameOfLife para el mismo estado.
+ *
+ * DIFERENCIAS:
+ * - El constructor no recibe contexto WebGL
+ * - step() calcula la siguiente generación (en GameOfLife lo hace
+ *   computeNextState en main.js); nextGeneration() solo cuenta
+ * - run(n) repite el bucle de animate() sin pantalla
+ *
+ * REGLAS ADMITIDAS:
+ * Reglas de dos estados con vecindario dentro de 3×3 (B/S de Moore o von
+ * Neumann, Hensel, Larger than Life de radio 1) y topologías que cubren
+ * toda la cuadrícula (toro por defecto, plano, cilindros, Möbius, Klein,
+ * superficie cruzada).
+ * ============================================================================
+ */
+class BitLife {
+    /**
+     * Constructor de la clase BitLife
+     *
+     * @param {number} width - Ancho de la cuadrícula en células
+     * @param {number} height - Alto de la cuadrícula en células
+     * @param {Object} [rule] - Regla devuelta por parseRule (por defecto B3/S23)
+     * @throws {Error} Si BitLife no admite la regla (ver checkRule)
+     */
+    constructor(width, height, rule = BITLIFE_DEPS.parseRule(BITLIFE_DEPS.DEFAULT_RULE)) {
+        this.width = width;
+        this.height = height;
+
+        // Palabras por fila y máscara de los bits válidos de la última
+        this.wordsPerRow = Math.ceil(width / 32);
+        this.lastWordMask = width % 32 === 0 ? 0xFFFFFFFF : (1 << (width % 32)) - 1;
+
+        // Estado actual y buffer de la siguiente generación (doble buffer,
+        // como el ping-pong de texturas de GameOfLife)
+        this.cells = new Uint32Array(this.wordsPerRow * height);
+        this.nextCells = new Uint32Array(this.wordsPerRow * height);
+
+        // Pesos de columnas y filas de la huella (getStateFingerprint)
+        this.updateWeights();
+
+        // Estadísticas (igual que GameOfLife)
+        this.generation = 0;
+        this.aliveCells = 0;
+        this.dyingCells = 0;
+
+        // Detección de finalización (igual que GameOfLife)
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector = new BITLIFE_DEPS.EndDetector();
+
+        this.setRule(rule);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO ESTÁTICO: checkRule
+     * ------------------------------------------------------------------------
+     * Comprueba que BitLife puede simular una regla en una cuadrícula.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @param {number} width - Ancho de la cuadrícula
+     * @param {number} height - Alto de la cuadrícula
+     * @throws {Error} Si la regla tiene más de dos estados, un vecindario
+     *                 mayor que 3×3 o hexagonal, o una región menor que la
+     *                 cuadrícula
+     */
+    static checkRule(rule, width, height) {
+        if (rule.states > 2) {
+            throw new Error('BitLife solo admite reglas de dos estados (sin Generations)');
+        }
+        if (rule.radius !== 1 || rule.neighbourhood === 'hexagonal') {
+            throw new Error('BitLife solo admite vecindarios de Moore o von Neumann de radio 1');
+        }
+        const bounds = BITLIFE_DEPS.resolveTopology(rule.topology, width, height);
+        if (bounds.width !== width || bounds.height !== height) {
+            throw new Error('BitLife solo admite topologías del tamaño de la cuadrícula');
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: setRule
+     * ------------------------------------------------------------------------
+     * Cambia la regla sin modificar las células.
+     *
+     * EVALUACIÓN DE LA REGLA:
+     * - B/S totalística (Moore o von Neumann): en paralelo por palabra,
+     *   comparando el conteo de 4 bits con cada valor de B y de S
+     * - Resto (Hensel, Larger than Life de radio 1): tabla de 512 entradas
+     *   indexada por la célula y la máscara de sus 8 vecinos
+     *   (NEIGHBOUR_MASK_OFFSETS), construida con nextCellState
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si BitLife no admite la regla
+     *
+     * COMPLEJIDAD: O(512)
+     */
+    setRule(rule) {
+        BitLife.checkRule(rule, this.width, this.height);
+        this.rule = rule;
+        this.bounds = BITLIFE_DEPS.resolveTopology(rule.topology, this.width, this.height);
+        this.totalistic = rule.family === 'life' && !rule.isotropic;
+        this.transitionTable = this.totalistic ? null : BitLife.buildTransitionTable(rule);
+
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+    }
+
+    /**
+     * Tabla de transición de una regla de vecindario 3×3.
+     *
+     * ÍNDICE: bit 0 = la propia célula, bits 1..8 = vecinos en el orden de
+     * NEIGHBOUR_MASK_OFFSETS.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @returns {Uint8Array} 512 entradas, 1 = viva en la siguiente generación
+     */
+    static buildTransitionTable(rule) {
+        const { NEIGHBOUR_MASK_OFFSETS: maskOffsets, getNeighbourhoodOffsets, nextCellState } = BITLIFE_DEPS;
+        const offsets = getNeighbourhoodOffsets(rule);
+        const table = new Uint8Array(512);
+
+        for (let index = 0; index < 512; index++) {
+            const state = index & 1;
+            const mask = index >> 1;
+
+            // Conteo según el vecindario de la regla (puede incluir el centro)
+            let neighbors = 0;
+            for (const [dx, dy] of offsets) {
+                if (dx === 0 && dy === 0) {
+                    neighbors += state;
+                } else {
+                    const bit = maskOffsets.findIndex(([mx, my]) => mx === dx && my === dy);
+                    neighbors += (mask >> bit) & 1;
+                }
+            }
+
+            table[index] = nextCellState(rule, state, neighbors, mask) === 1 ? 1 : 0;
+        }
+
+        return table;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * ACCESO A CÉLULAS
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * @param {number} x - Columna (0..width-1)
+     * @param {number} y - Fila (0..height-1)
+     * @returns {number} 1 = viva, 0 = muerta
+     */
+    getCell(x, y) {
+        return (this.cells[y * this.wordsPerRow + (x >>> 5)] >>> (x & 31)) & 1;
+    }
+
+    /**
+     * @param {number} x - Columna (0..width-1)
+     * @param {number} y - Fila (0..height-1)
+     * @param {boolean} alive - true = viva, false = muerta
+     */
+    setCell(x, y, alive) {
+        const index = y * this.wordsPerRow + (x >>> 5);
+        if (alive) {
+            this.cells[index] |= 1 << (x & 31);
+        } else {
+            this.cells[index] &= ~(1 << (x & 31));
+        }
+    }
+
+    /**
+     * Estado de una posición que puede salirse de la cuadrícula, traducida
+     * con la topología de la regla (igual que getCell() del compute shader).
+     *
+     * @param {number} x - Columna (puede salirse)
+     * @param {number} y - Fila (puede salirse)
+     * @returns {number} 1 = viva, 0 = muerta o borde muerto
+     */
+    getTopologyCell(x, y) {
+        const cell = BITLIFE_DEPS.mapTopologyCell(this.bounds, x, y);
+        return cell ? this.getCell(cell[0], cell[1]) : 0;
+    }
+
+    /**
+     * Fila con sus dos células vecinas de fuera (x = -1 y x = width).
+     * Las filas -1 y height (fuera de la cuadrícula) se construyen célula a
+     * célula con la topología; así las inversiones de Möbius, Klein y la
+     * superficie cruzada quedan resueltas también en las esquinas.
+     *
+     * @param {number} y - Fila (-1..height)
+     * @returns {Object} {words, left, right}
+     */
+    getRow(y) {
+        const n = this.wordsPerRow;
+        let words;
+        if (y >= 0 && y < this.height) {
+            words = this.cells.subarray(y * n, (y + 1) * n);
+        } else {
+            words = new Uint32Array(n);
+            for (let x = 0; x < this.width; x++) {
+                if (this.getTopologyCell(x, y)) words[x >>> 5] |= 1 << (x & 31);
+            }
+        }
+        return {
+            words,
+            left: this.getTopologyCell(-1, y),
+            right: this.getTopologyCell(this.width, y)
+        };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: step
+     * ------------------------------------------------------------------------
+     * Calcula la siguiente generación.
+     *
+     * PROCESO (por fila y por palabra):
+     * 1. Filas de arriba (y-1), propia y de abajo (y+1), con sus bordes
+     * 2. Planos de vecinos: la palabra desplazada un bit a cada lado, con el
+     *    bit que entra desde la palabra contigua o desde el borde
+     * 3. Regla totalística: sumador bit-sliced → 4 palabras de conteo →
+     *    nace si muerta y conteo ∈ B; sobrevive si viva y conteo ∈ S
+     *    Otras reglas: tabla de 512 entradas, célula a célula
+     * 4. Intercambiar buffers
+     *
+     * COMPLEJIDAD: O(width × height / 32) con reglas totalísticas;
+     * O(width × height) con tabla
+     */
+    step() {
+        const n = this.wordsPerRow;
+        const vonNeumann = this.rule.neighbourhood === 'vonneumann';
+
+        // PASO 1: Filas -1..height con sus bordes (rows[y + 1] = fila y)
+        const rows = [];
+        for (let y = -1; y <= this.height; y++) {
+            rows.push(this.getRow(y));
+        }
+
+        for (let y = 0; y < this.height; y++) {
+            const up = rows[y];
+            const centre = rows[y + 1];
+            const down = rows[y + 2];
+
+            for (let k = 0; k < n; k++) {
+                // PASO 2: Planos de vecinos de las 32 células de la palabra
+                const [nw, north, ne] = this.neighbourPlanes(up, k);
+                const [west, cell, east] = this.neighbourPlanes(centre, k);
+                const [sw, south, se] = this.neighbourPlanes(down, k);
+
+                // PASO 3: Aplicar la regla
+                let next;
+                if (this.totalistic) {
+                    const planes = vonNeumann
+                        ? [north, west, east, south]
+                        : [nw, north, ne, west, east, sw, south, se];
+                    next = this.applyTotalistic(cell, planes);
+                } else {
+                    next = this.applyTable(cell, [nw, north, ne, west, east, sw, south, se], k);
+                }
+
+                if (k === n - 1) next &= this.lastWordMask;
+                this.nextCells[y * n + k] = next;
+            }
+        }
+
+        // PASO 4: Intercambiar buffers
+        [this.cells, this.nextCells] = [this.nextCells, this.cells];
+    }
+
+    /**
+     * Palabra k de una fila y sus desplazamientos: para cada célula x, el
+     * vecino de la izquierda (x-1), ella misma y el de la derecha (x+1).
+     *
+     * @param {Object} row - Resultado de getRow
+     * @param {number} k - Índice de la palabra
+     * @returns {number[]} [oeste, centro, este]
+     */
+    neighbourPlanes(row, k) {
+        const words = row.words;
+        const last = this.wordsPerRow - 1;
+        const word = words[k];
+
+        const west = (word << 1) | (k > 0 ? words[k - 1] >>> 31 : row.left);
+        let east = word >>> 1;
+        if (k < last) {
+            east |= words[k + 1] << 31;
+        } else {
+            east |= row.right << ((this.width - 1) & 31);
+        }
+
+        return [west >>> 0, word, east >>> 0];
+    }
+
+    /**
+     * Regla totalística en paralelo sobre 32 células.
+     *
+     * SUMADOR BIT-SLICED:
+     * s0, s1, s2, s3 son los bits 1, 2, 4 y 8 del conteo de cada célula.
+     * Sumar un plano es sumar 1 en las posiciones donde vale 1: acarreo en
+     * cadena de s0 a s3, con operaciones de bits sobre las 32 a la vez.
+     *
+     * @param {number} cell - Palabra de estado actual
+     * @param {number[]} planes - Planos de vecinos (4 u 8)
+     * @returns {number} Palabra de la siguiente generación
+     */
+    applyTotalistic(cell, planes) {
+        let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+        for (const plane of planes) {
+            const c0 = s0 & plane;
+            s0 ^= plane;
+            const c1 = s1 & c0;
+            s1 ^= c0;
+            const c2 = s2 & c1;
+            s2 ^= c1;
+            s3 |= c2;
+        }
+
+        // Palabra con 1 donde el conteo vale exactamente count
+        const equals = (count) =>
+            (count & 1 ? s0 : ~s0) & (count & 2 ? s1 : ~s1) &
+            (count & 4 ? s2 : ~s2) & (count & 8 ? s3 : ~s3);
+
+        let birth = 0, survival = 0;
+        for (const count of this.rule.birth) birth |= equals(count);
+        for (const count of this.rule.survival) survival |= equals(count);
+
+        return ((~cell & birth) | (cell & survival)) >>> 0;
+    }
+
+    /**
+     * Regla por tabla (Hensel, Larger than Life de radio 1), célula a célula.
+     *
+     * @param {number} cell - Palabra de estado actual
+     * @param {number[]} planes - 8 planos en el orden de NEIGHBOUR_MASK_OFFSETS
+     * @param {number} k - Índice de la palabra (para no pasar de width)
+     * @returns {number} Palabra de la siguiente generación
+     */
+    applyTable(cell, planes, k) {
+        const bits = Math.min(32, this.width - k * 32);
+        let next = 0;
+        for (let i = 0; i < bits; i++) {
+            let index = (cell >>> i) & 1;
+            for (let p = 0; p < 8; p++) {
+                index |= ((planes[p] >>> i) & 1) << (p + 1);
+            }
+            next |= this.transitionTable[index] << i;
+        }
+        return next >>> 0;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: run
+     * ------------------------------------------------------------------------
+     * Simula sin pantalla con el mismo bucle que animate() en main.js:
+     * step, checkEnd y nextGeneration, hasta detectar el fin o llegar a
+     * maxGenerations.
+     *
+     * @param {number} maxGenerations - Generación máxima
+     * @returns {number} Generación alcanzada
+     *
+     * COMPLEJIDAD: O(g × width × height / 32)
+     */
+    run(maxGenerations) {
+        while (!this.hasEnded && this.generation < maxGenerations) {
+            this.step();
+            this.checkEnd();
+            this.nextGeneration();
+        }
+        return this.generation;
+    }
+
+    /**
+     * Incrementa el contador de generaciones (como GameOfLife).
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    nextGeneration() {
+        this.generation++;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * ESTADÍSTICAS Y DETECCIÓN DE FINALIZACIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Cuenta las células vivas (popcount de cada palabra).
+     *
+     * @returns {number} Número de células vivas
+     *
+     * COMPLEJIDAD: O(width × height / 32)
+     */
+    countAliveCells() {
+        let count = 0;
+        for (let i = 0; i < this.cells.length; i++) {
+            let word = this.cells[i];
+            while (word) {
+                word &= word - 1;  // Quitar el bit 1 más bajo
+                count++;
+            }
+        }
+        this.aliveCells = count;
+        this.dyingCells = 0;
+        return count;
+    }
+
+    /**
+     * Nacimientos y muertes del último paso (ver GameOfLife.countChanges):
+     * después de step(), nextCells guarda la generación anterior.
+     *
+     * @returns {{births: number, deaths: number}}
+     *
+     * COMPLEJIDAD: O(width × height / 32)
+     */
+    countChanges() {
+        const popcount = (word) => {
+            let count = 0;
+            while (word) {
+                word &= word - 1;
+                count++;
+            }
+            return count;
+        };
+        let births = 0;
+        let deaths = 0;
+        for (let i = 0; i < this.cells.length; i++) {
+            births += popcount(this.cells[i] & ~this.nextCells[i]);
+            deaths += popcount(this.nextCells[i] & ~this.cells[i]);
+        }
+        return { births, deaths };
+    }
+
+    /**
+     * Huella y caja envolvente con el mismo algoritmo que
+     * GameOfLife.getStateFingerprint (Σ a^x × b^y módulo 2^32 - 5 sobre las
+     * células vivas con cada par de bases de reductionWeight, llevada a la
+     * esquina de la caja), así ambos motores dan el mismo valor.
+     *
+     * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+     *          Huella (16 dígitos hexadecimales) y caja envolvente
+     *
+     * COMPLEJIDAD: O(width × height / 32 + células vivas)
+     */
+    getStateFingerprint() {
+        const { weightsX, weightsY } = this;
+        const { addHash, multiplyHash } = BITLIFE_DEPS;
+        const bounds = [this.width, this.height, -1, -1];
+        const n = this.wordsPerRow;
+        let low = 0;
+        let high = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let k = 0; k < n; k++) {
+                let word = this.cells[y * n + k];
+                while (word) {
+                    const bit = 31 - Math.clz32(word & -word);
+                    word &= word - 1;
+                    const x = k * 32 + bit;
+                    low = addHash(low, multiplyHash(weightsX[0][x], weightsY[0][y]));
+                    high = addHash(high, multiplyHash(weightsX[1][x], weightsY[1][y]));
+                    bounds[0] = Math.min(bounds[0], x);
+                    bounds[1] = Math.min(bounds[1], y);
+                    bounds[2] = Math.max(bounds[2], x);
+                    bounds[3] = Math.max(bounds[3], y);
+                }
+            }
+        }
+        return BITLIFE_DEPS.normaliseFingerprint(low, high, bounds);
+    }
+
+    /**
+     * Tablas de pesos de la huella: a^x y b^y de cada columna y fila, con
+     * los dos pares de bases (mitad baja y alta). Dependen solo del tamaño,
+     * así que se calculan al crear el motor y al redimensionarlo.
+     *
+     * COMPLEJIDAD: O(width + height)
+     */
+    updateWeights() {
+        const weights = BITLIFE_DEPS.reductionWeights;
+        this.weightsX = [weights(this.width, 0), weights(this.width, 2)];
+        this.weightsY = [weights(this.height, 1), weights(this.height, 3)];
+    }
+
+    /**
+     * Códigos de las células de un rectángulo, como GameOfLife.readRegion
+     * (EndDetector copia así la caja envolvente para confirmar).
+     *
+     * @param {number} x - Columna de la esquina
+     * @param {number} y - Fila de la esquina
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @returns {Uint8Array} width × height bytes (255 viva, 0 muerta)
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    readRegion(x, y, width, height) {
+        const codes = new Uint8Array(width * height);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                if (this.getCell(x + i, y + j)) codes[j * width + i] = 255;
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Detecta extinción, estado estable, bucles y naves con el mismo algoritmo y
+     * los mismos mensajes que GameOfLife.checkEnd (incluida la confirmación
+     * bit a bit de las repeticiones).
+     *
+     * @returns {boolean} true si ha terminado, false si continúa
+     *
+     * COMPLEJIDAD: O(width × height / 32 + h)
+     */
+    checkEnd() {
+        if (this.hasEnded) return true;
+
+        // CASO 1: Extinción
+        if (this.countAliveCells() === 0) {
+            this.hasEnded = true;
+            this.endReason = 'EXTINCIÓN - Todas las células han muerto';
+            this.endConfirmed = true;
+            return true;
+        }
+
+        // CASOS 2, 3 y 4: Estado estable, bucle o nave espacial
+        // (step ya avanzó el estado: su generación es la siguiente al contador)
+        const end = this.endDetector.check(this, this.generation + 1);
+        if (end) {
+            this.hasEnded = true;
+            this.endReason = end.reason;
+            this.endConfirmed = end.confirmed;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Reinicia estadísticas y detección de finalización (como GameOfLife).
+     *
+     * COMPLEJIDAD: O(width × height / 32)
+     */
+    reset() {
+        this.generation = 0;
+        this.aliveCells = 0;
+        this.dyingCells = 0;
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.countAliveCells();
+        this.endDetector.restart(this, this.generation);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * CARGA Y EDICIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Configuración aleatoria. Recorre las células en el mismo orden que
+     * GameOfLife.randomize, así con el mismo generador ambos motores
+     * producen el mismo patrón.
+     *
+     * @param {number} [density=0.3] - Probabilidad de que una célula esté viva
+     * @param {Function} [random=Math.random] - Generador de números en [0, 1)
+     *                                          (uno con semilla para repetir experimentos)
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    randomize(density = 0.3, random = Math.random) {
+        this.cells.fill(0);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (random() < density) this.setCell(x, y, true);
+            }
+        }
+        this.reset();
+    }
+
+    /**
+     * Mata todas las células.
+     *
+     * COMPLEJIDAD: O(width × height / 32)
+     */
+    clear() {
+        this.cells.fill(0);
+        this.reset();
+    }
+
+    /**
+     * Dibuja o borra una célula (como GameOfLife.drawCell, sin resetear las
+     * estadísticas).
+     *
+     * @param {number} x - Columna
+     * @param {number} y - Fila
+     * @param {boolean} alive - true = viva, false = muerta
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    drawCell(x, y, alive) {
+        this.setCell(x, y, alive);
+    }
+
+    /**
+     * Carga un patrón (PATTERNS de game.js o lista de células) en el centro,
+     * en la misma posición que GameOfLife.loadPattern.
+     *
+     * @param {string|Array[]} pattern - Nombre del patrón (clave en
+     *        PATTERNS) o lista de células vivas (ver placePattern en game.js)
+     *
+     * COMPLEJIDAD: O(n / 32 + p) donde n=células, p=tamaño del patrón
+     */
+    loadPattern(pattern) {
+        const cells = BITLIFE_DEPS.placePattern(pattern, this.width, this.height);
+        if (!cells) {
+            console.error(`Patron ${pattern} no encontrado`);
+            return;
+        }
+
+        this.cells.fill(0);
+
+        for (const [x, y] of cells) {
+            if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                this.setCell(x, y, true);
+            }
+        }
+
+        this.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODOS: readState / loadState
+     * ------------------------------------------------------------------------
+     * Estado en el formato RGBA de las texturas de GameOfLife (R = G = B =
+     * 255 viva, A = 0 porque no se guarda la historia de las células),
+     * para comparar o intercambiar estados entre motores.
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    readState() {
+        const data = new Uint8Array(this.width * this.height * 4);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.getCell(x, y)) {
+                    const index = (y * this.width + x) * 4;
+                    data[index + 0] = 255;
+                    data[index + 1] = 255;
+                    data[index + 2] = 255;
+                    data[index + 3] = 0;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * @param {Uint8Array} data - width × height × 4 bytes (R > 128 = viva)
+     */
+    loadState(data) {
+        this.cells.fill(0);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (data[(y * this.width + x) * 4] > 128) this.setCell(x, y, true);
+            }
+        }
+        this.reset();
+    }
+
+    /**
+     * Copia del estado y de su generación, como GameOfLife.saveSnapshot.
+     *
+     * @returns {{generation: number, bytes: number, cells: Uint32Array}}
+     *
+     * COMPLEJIDAD: O(width × height / 32)
+     */
+    saveSnapshot() {
+        const cells = this.cells.slice();
+        return { generation: this.generation, bytes: cells.byteLength, cells };
+    }
+
+    /**
+     * @param {Object} snapshot - Copia devuelta por saveSnapshot (con el
+     *                            mismo tamaño de cuadrícula)
+     */
+    restoreSnapshot(snapshot) {
+        this.cells.set(snapshot.cells);
+        this.nextCells.fill(0);
+        this.reset();
+        this.generation = snapshot.generation;
+        this.endDetector.restart(this, this.generation, false);
+    }
+
+    /**
+     * Cambia las dimensiones conservando el patrón centrado, como
+     * GameOfLife.resize (relleno o recorte alrededor del centro; se
+     * conserva la generación y se descarta el historial).
+     *
+     * @param {number} width - Nuevo ancho en células
+     * @param {number} height - Nuevo alto en células
+     * @throws {Error} Si la topología de la regla no cubre la nueva cuadrícula
+     *
+     * COMPLEJIDAD: O(n + m) donde n, m = células antes y después
+     */
+    resize(width, height) {
+        BitLife.checkRule(this.rule, width, height);
+
+        const old = { width: this.width, height: this.height, cells: this.cells, wordsPerRow: this.wordsPerRow };
+        const offsetX = Math.floor((width - old.width) / 2);
+        const offsetY = Math.floor((height - old.height) / 2);
+
+        this.width = width;
+        this.height = height;
+        this.wordsPerRow = Math.ceil(width / 32);
+        this.lastWordMask = width % 32 === 0 ? 0xFFFFFFFF : (1 << (width % 32)) - 1;
+        this.cells = new Uint32Array(this.wordsPerRow * height);
+        this.nextCells = new Uint32Array(this.wordsPerRow * height);
+        this.bounds = BITLIFE_DEPS.resolveTopology(this.rule.topology, width, height);
+        this.updateWeights();
+
+        for (let y = 0; y < old.height; y++) {
+            const newY = y + offsetY;
+            if (newY < 0 || newY >= height) continue;
+            for (let x = 0; x < old.width; x++) {
+                const newX = x + offsetX;
+                if (newX < 0 || newX >= width) continue;
+                if ((old.cells[y * old.wordsPerRow + (x >>> 5)] >>> (x & 31)) & 1) {
+                    this.setCell(newX, newY, true);
+                }
+            }
+        }
+
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+        this.countAliveCells();
+    }
+}
+
+// Acceso a parseRule sin cargar rules.js aparte (útil desde Node)
+BitLife.parseRule = BITLIFE_DEPS.parseRule;
+
+/**
+ * ----------------------------------------------------------------------------
+ * EXPORTACIÓN DE MÓDULOS
+ * ----------------------------------------------------------------------------
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BitLife;
+}
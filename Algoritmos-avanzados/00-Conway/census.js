@@ -0,0 +1,512 @@
+/**
+ * ============================================================================
+ * CENSO DE OBJETOS: ISLAS, FORMA CANÓNICA Y CATÁLOGO
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Cuando una sopa aleatoria se estabiliza, checkEnd solo dice "estable" o
+ * "periódico". takeCensus cuenta qué objetos quedan (bloques, colmenas,
+ * parpadeadores, planeadores...), como el censo por sopa de apgsearch.
+ *
+ * PROCESO:
+ * 1. Copiar las células de la caja envolvente (getStateFingerprint y
+ *    readRegion del motor, igual que la confirmación de EndDetector)
+ * 2. Separar islas: dos células vivas a distancia de Chebyshev
+ *    CENSUS_SEPARATION o menos (una célula muerta entre ellas) son del
+ *    mismo objeto
+ * 3. Evolucionar cada isla aislada, en un plano sin bordes, hasta que se
+ *    repite (periodo y desplazamiento) o pasan CENSUS_MAX_PERIOD
+ *    generaciones
+ * 4. Reducirla a su código canónico (apgcode) y buscar el nombre
+ *
+ * CÓDIGOS (formato de apgsearch):
+ * - xs{población}_{forma}: vida estática (xs4_33 es el bloque)
+ * - xp{periodo}_{forma}: oscilador (xp2_7 es el parpadeador)
+ * - xq{periodo}_{forma}: nave espacial (xq4_153 es el planeador)
+ * - zz_UNKNOWN: la isla no se repite aislada (se cortó mal, muere o no
+ *   ha terminado de evolucionar)
+ *
+ * La forma es la notación de Wechsler extendida de una fase en una de las
+ * 8 simetrías del cuadrado; se elige la más corta y, a igual longitud, la
+ * menor en orden alfabético, entre todas las simetrías y todas las fases.
+ * Así las 8 orientaciones y todas las fases de un objeto dan el mismo
+ * código, esté donde esté.
+ *
+ * LIMITACIONES:
+ * - Dos objetos a más de CENSUS_SEPARATION células que interactúan se
+ *   cuentan por separado (en una sopa ya estabilizada es raro)
+ * - En un toro, un objeto que cruza el borde queda partido en dos islas
+ *   (la caja envolvente abarca los dos lados)
+ * - Reglas de dos estados con vecindario de radio 1 (Moore o von Neumann),
+ *   sin B0; los nombres del catálogo son los de B3/S23, pero un objeto con
+ *   el mismo código se comporta igual en cualquier regla
+ * ============================================================================
+ */
+
+// rules.js, enddetection.js y game.js: globales en el navegador, require en Node
+const CENSUS_DEPS = typeof parseRule === 'function'
+    ? {
+        DEFAULT_RULE,
+        NEIGHBOUR_MASK_OFFSETS,
+        PATTERNS,
+        parseRule,
+        getNeighbourhoodOffsets,
+        nextCellState,
+        END_MAX_SNAPSHOT_CELLS
+    }
+    : Object.assign({}, require('./rules.js'), require('./enddetection.js'),
+        { PATTERNS: require('./game.js').PATTERNS });
+
+// Distancia de Chebyshev máxima entre dos células del mismo objeto
+const CENSUS_SEPARATION = 2;
+
+// Generaciones que se evoluciona cada isla buscando su periodo
+const CENSUS_MAX_PERIOD = 256;
+
+// Código de las islas que no se repiten aisladas
+const CENSUS_UNKNOWN = 'zz_UNKNOWN';
+
+// Dígitos de la notación de Wechsler: una columna de 5 células por carácter
+const WECHSLER_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Objetos frecuentes en las sopas que no están en PATTERNS, como listas
+ * de coordenadas [x, y] (mismo formato).
+ */
+const CENSUS_CATALOGUE = {
+    ship: [[0, 0], [1, 0], [0, 1], [2, 1], [1, 2], [2, 2]],
+    barge: [[1, 0], [0, 1], [2, 1], [1, 2], [3, 2], [2, 3]],
+    pond: [[1, 0], [2, 0], [0, 1], [3, 1], [0, 2], [3, 2], [1, 3], [2, 3]],
+    snake: [[0, 0], [1, 0], [3, 0], [0, 1], [2, 1], [3, 1]],
+    carrier: [[0, 0], [1, 0], [0, 1], [3, 1], [2, 2], [3, 2]],
+    longboat: [[1, 0], [0, 1], [2, 1], [1, 2], [3, 2], [2, 3], [3, 3]],
+    eater1: [[0, 0], [1, 0], [0, 1], [2, 1], [2, 2], [2, 3], [3, 3]],
+    longship: [[0, 0], [1, 0], [0, 1], [2, 1], [1, 2], [3, 2], [2, 3], [3, 3]],
+    mango: [[1, 0], [2, 0], [0, 1], [3, 1], [1, 2], [4, 2], [2, 3], [3, 3]],
+    biblock: [[0, 0], [1, 0], [0, 1], [1, 1], [3, 0], [4, 0], [3, 1], [4, 1]],
+    trafficlight: [
+        [2, 0], [3, 0], [4, 0],
+        [0, 2], [6, 2], [0, 3], [6, 3], [0, 4], [6, 4],
+        [2, 6], [3, 6], [4, 6]
+    ]
+};
+
+// Nombre de cada código (se calcula la primera vez, ver getCatalogueNames)
+let catalogueNames = null;
+
+/**
+ * ----------------------------------------------------------------------------
+ * CLAVES DE CÉLULAS
+ * ----------------------------------------------------------------------------
+ * Las islas se evolucionan en un plano sin bordes, con las células vivas
+ * en un Set de números: (x + 2^20) × 2^21 + (y + 2^20), exacto en un double
+ * mientras |x| e |y| no pasen de 2^20.
+ */
+const CELL_KEY_OFFSET = 1 << 20;
+const CELL_KEY_STRIDE = 1 << 21;
+
+function cellKey(x, y) {
+    return (x + CELL_KEY_OFFSET) * CELL_KEY_STRIDE + (y + CELL_KEY_OFFSET);
+}
+
+function keyX(key) {
+    return Math.floor(key / CELL_KEY_STRIDE) - CELL_KEY_OFFSET;
+}
+
+function keyY(key) {
+    return key % CELL_KEY_STRIDE - CELL_KEY_OFFSET;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: checkCensusRule
+ * ----------------------------------------------------------------------------
+ * Comprueba que el censo puede evolucionar las islas con una regla.
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @throws {Error} Si la regla no es de dos estados con vecindario 3×3 o
+ *                 tiene B0
+ */
+function checkCensusRule(rule) {
+    if (rule.states > 2) {
+        throw new Error('El censo solo admite reglas de dos estados (sin Generations)');
+    }
+    if (rule.radius !== 1 || rule.neighbourhood === 'hexagonal') {
+        throw new Error('El censo solo admite vecindarios de Moore o von Neumann de radio 1');
+    }
+    if (CENSUS_DEPS.nextCellState(rule, 0, 0, 0) === 1) {
+        throw new Error('El censo no admite reglas con B0');
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: findIslands
+ * ----------------------------------------------------------------------------
+ * Separa las células vivas de una región en islas: componentes conexas en
+ * las que dos células a distancia de Chebyshev ≤ separation son vecinas.
+ * Recorrido en profundidad con una pila; las células visitadas se marcan
+ * poniendo su código a 0, así que la región queda vacía.
+ *
+ * @param {Uint8Array} codes - width × height códigos (readRegion, 255 viva)
+ * @param {number} width - Ancho de la región
+ * @param {number} height - Alto de la región
+ * @param {number} [separation=CENSUS_SEPARATION] - Distancia máxima
+ * @returns {number[][][]} Islas, cada una una lista de coordenadas [x, y]
+ *
+ * COMPLEJIDAD: O(width × height + n × s²), n = células vivas, s = separation
+ */
+function findIslands(codes, width, height, separation = CENSUS_SEPARATION) {
+    const islands = [];
+    const stack = [];
+    for (let start = 0; start < codes.length; start++) {
+        if (codes[start] === 0) continue;
+        codes[start] = 0;
+        stack.push(start);
+        const island = [];
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            island.push([x, y]);
+            for (let ny = Math.max(0, y - separation); ny <= Math.min(height - 1, y + separation); ny++) {
+                for (let nx = Math.max(0, x - separation); nx <= Math.min(width - 1, x + separation); nx++) {
+                    const neighbour = ny * width + nx;
+                    if (codes[neighbour] !== 0) {
+                        codes[neighbour] = 0;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+        }
+        islands.push(island);
+    }
+    return islands;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: stepCells
+ * ----------------------------------------------------------------------------
+ * Una generación de un patrón en un plano sin bordes. Solo pueden cambiar
+ * las células vivas y las que tienen alguna viva en su vecindario, así que
+ * se cuentan los vecinos recorriendo las vivas.
+ *
+ * @param {Set<number>} alive - Claves de las células vivas (cellKey)
+ * @param {Object} rule - Regla devuelta por parseRule (ver checkCensusRule)
+ * @param {number[][]} offsets - getNeighbourhoodOffsets(rule)
+ * @returns {Set<number>} Células vivas de la siguiente generación
+ *
+ * COMPLEJIDAD: O(n × k), n = células vivas, k = tamaño del vecindario
+ */
+function stepCells(alive, rule, offsets) {
+    // La célula (x, y) cuenta a las vivas en (x, y) + offset
+    const counts = new Map();
+    for (const key of alive) {
+        const x = keyX(key);
+        const y = keyY(key);
+        if (!counts.has(key)) counts.set(key, 0);
+        for (const [dx, dy] of offsets) {
+            const target = cellKey(x - dx, y - dy);
+            counts.set(target, (counts.get(target) || 0) + 1);
+        }
+    }
+
+    const next = new Set();
+    for (const [key, count] of counts) {
+        let mask = 0;
+        if (rule.isotropic) {
+            const x = keyX(key);
+            const y = keyY(key);
+            CENSUS_DEPS.NEIGHBOUR_MASK_OFFSETS.forEach(([dx, dy], bit) => {
+                if (alive.has(cellKey(x + dx, y + dy))) mask |= 1 << bit;
+            });
+        }
+        if (CENSUS_DEPS.nextCellState(rule, alive.has(key) ? 1 : 0, count, mask) === 1) {
+            next.add(key);
+        }
+    }
+    return next;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: wechsler
+ * ----------------------------------------------------------------------------
+ * Notación de Wechsler extendida (la forma de los apgcodes) de un patrón
+ * con la esquina de su caja envolvente en (0, 0).
+ *
+ * - Las filas se agrupan en franjas de 5; cada columna de una franja es un
+ *   carácter de WECHSLER_DIGITS con la fila superior como bit 0
+ * - Las franjas se separan con 'z' y pierden los ceros del final
+ * - Los ceros seguidos se abrevian: 'w' = 00, 'x' = 000 e 'y' + dígito
+ *   para 4 a 39 ceros (el dígito es el número de ceros menos 4)
+ *
+ * @param {number[][]} cells - Coordenadas [x, y] normalizadas
+ * @returns {string} Forma del patrón (ej: "33" para el bloque)
+ *
+ * COMPLEJIDAD: O(n + w × h / 5), n = células, w × h = caja envolvente
+ */
+function wechsler(cells) {
+    let width = 0, height = 0;
+    for (const [x, y] of cells) {
+        width = Math.max(width, x + 1);
+        height = Math.max(height, y + 1);
+    }
+    const strips = Math.ceil(height / 5);
+    const columns = new Uint8Array(strips * width);
+    for (const [x, y] of cells) {
+        columns[Math.floor(y / 5) * width + x] |= 1 << (y % 5);
+    }
+
+    const parts = [];
+    for (let strip = 0; strip < strips; strip++) {
+        let text = '';
+        let zeroes = 0;
+        for (let x = 0; x < width; x++) {
+            const value = columns[strip * width + x];
+            if (value === 0) {
+                zeroes++;
+                continue;
+            }
+            text += compressZeroes(zeroes) + WECHSLER_DIGITS[value];
+            zeroes = 0;
+        }
+        parts.push(text);
+    }
+    return parts.join('z');
+}
+
+/**
+ * Abreviatura de una racha de ceros en la notación de Wechsler.
+ *
+ * @param {number} zeroes - Longitud de la racha
+ * @returns {string} "0", "w", "x", "y?" o varias "y?" seguidas
+ */
+function compressZeroes(zeroes) {
+    let text = '';
+    while (zeroes >= 40) {
+        text += 'yz';
+        zeroes -= 39;
+    }
+    if (zeroes >= 4) return text + 'y' + WECHSLER_DIGITS[zeroes - 4];
+    return text + ['', '0', 'w', 'x'][zeroes];
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: canonicalShape
+ * ----------------------------------------------------------------------------
+ * Forma canónica de un patrón: la notación de Wechsler más corta (y, a
+ * igual longitud, la menor) de sus 8 simetrías.
+ *
+ * SIMETRÍAS: (x, y) → (±x, ±y) y (±y, ±x), normalizando después a la
+ * esquina de la caja envolvente.
+ *
+ * @param {number[][]} cells - Coordenadas [x, y] (cualquier origen)
+ * @returns {string} Forma canónica
+ *
+ * COMPLEJIDAD: O(8 × (n + w × h / 5))
+ */
+function canonicalShape(cells) {
+    let best = null;
+    for (let symmetry = 0; symmetry < 8; symmetry++) {
+        const transformed = cells.map(([x, y]) => {
+            const [u, v] = symmetry & 4 ? [y, x] : [x, y];
+            return [symmetry & 1 ? -u : u, symmetry & 2 ? -v : v];
+        });
+        const shape = wechsler(normaliseCells(transformed));
+        if (best === null || shape.length < best.length ||
+            (shape.length === best.length && shape < best)) {
+            best = shape;
+        }
+    }
+    return best;
+}
+
+/**
+ * Desplaza un patrón para que la esquina de su caja envolvente quede en
+ * (0, 0).
+ *
+ * @param {number[][]} cells - Coordenadas [x, y]
+ * @returns {number[][]} Coordenadas normalizadas (nuevo array)
+ */
+function normaliseCells(cells) {
+    let minX = Infinity, minY = Infinity;
+    for (const [x, y] of cells) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+    }
+    return cells.map(([x, y]) => [x - minX, y - minY]);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: classifyIsland
+ * ----------------------------------------------------------------------------
+ * Evoluciona una isla aislada hasta que se repite y devuelve su apgcode.
+ *
+ * PASO 1: Cada generación se normaliza a la esquina de su caja y se
+ *         resume con su notación de Wechsler (única para cada patrón
+ *         normalizado); un Map la relaciona con la generación y la esquina
+ * PASO 2: Si la generación g repite la 0, la isla tiene periodo g y el
+ *         desplazamiento es la diferencia entre las esquinas. Si repite
+ *         otra anterior, la isla no era un objeto terminado (CENSUS_UNKNOWN)
+ * PASO 3: El código usa la forma canónica menor entre todas las fases
+ *
+ * @param {number[][]} cells - Coordenadas [x, y] de la isla
+ * @param {Object} rule - Regla devuelta por parseRule (ver checkCensusRule)
+ * @returns {Object} { code, period, dx, dy } (period 0 si no se repite)
+ *
+ * COMPLEJIDAD: O(p × n × k), p = periodo, n = células, k = vecindario
+ */
+function classifyIsland(cells, rule) {
+    const offsets = CENSUS_DEPS.getNeighbourhoodOffsets(rule);
+    let alive = new Set(cells.map(([x, y]) => cellKey(x, y)));
+    const phases = [];
+    const seen = new Map();
+
+    for (let generation = 0; generation <= CENSUS_MAX_PERIOD && alive.size > 0; generation++) {
+        const phase = [];
+        for (const key of alive) phase.push([keyX(key), keyY(key)]);
+        let minX = Infinity, minY = Infinity;
+        for (const [x, y] of phase) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+        }
+        const normalised = phase.map(([x, y]) => [x - minX, y - minY]);
+        const shape = wechsler(normalised);
+
+        const previous = seen.get(shape);
+        if (previous) {
+            if (previous.generation !== 0) break;
+            const dx = minX - previous.x;
+            const dy = minY - previous.y;
+            return { code: islandCode(phases, generation, dx, dy), period: generation, dx, dy };
+        }
+        seen.set(shape, { generation, x: minX, y: minY });
+        phases.push(normalised);
+        alive = stepCells(alive, rule, offsets);
+    }
+    return { code: CENSUS_UNKNOWN, period: 0, dx: 0, dy: 0 };
+}
+
+/**
+ * apgcode de un objeto periódico a partir de sus fases.
+ *
+ * @param {number[][][]} phases - Fases normalizadas (la 0 es la inicial)
+ * @param {number} period - Periodo
+ * @param {number} dx - Desplazamiento horizontal por periodo
+ * @param {number} dy - Desplazamiento vertical por periodo
+ * @returns {string} xs{población}_, xp{periodo}_ o xq{periodo}_ + forma
+ */
+function islandCode(phases, period, dx, dy) {
+    let best = null;
+    for (const phase of phases) {
+        const shape = canonicalShape(phase);
+        if (best === null || shape.length < best.length ||
+            (shape.length === best.length && shape < best)) {
+            best = shape;
+        }
+    }
+    if (dx !== 0 || dy !== 0) return `xq${period}_${best}`;
+    if (period === 1) return `xs${phases[0].length}_${best}`;
+    return `xp${period}_${best}`;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: getCatalogueNames
+ * ----------------------------------------------------------------------------
+ * Map de apgcode a nombre con los patrones de PATTERNS y CENSUS_CATALOGUE,
+ * clasificados en B3/S23 la primera vez que se piden.
+ *
+ * @returns {Map<string, string>} Código → nombre (clave del patrón)
+ *
+ * COMPLEJIDAD: O(1) tras la primera llamada
+ */
+function getCatalogueNames() {
+    if (!catalogueNames) {
+        const life = CENSUS_DEPS.parseRule(CENSUS_DEPS.DEFAULT_RULE);
+        catalogueNames = new Map();
+        const catalogue = Object.assign({}, CENSUS_DEPS.PATTERNS, CENSUS_CATALOGUE);
+        for (const [name, cells] of Object.entries(catalogue)) {
+            catalogueNames.set(classifyIsland(cells, life).code, name);
+        }
+    }
+    return catalogueNames;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: takeCensus
+ * ----------------------------------------------------------------------------
+ * Censo de los objetos del estado actual de un motor.
+ *
+ * PASO 1: Caja envolvente (getStateFingerprint) y sus células (readRegion)
+ * PASO 2: Islas (findIslands) y su clasificación (classifyIsland)
+ * PASO 3: Tabla de conteos por código, de más a menos frecuente (a igual
+ *         conteo, por código), con el nombre si está en el catálogo
+ *
+ * El resultado solo tiene datos clonables: se envía tal cual a la
+ * interfaz y se exporta como JSON.
+ *
+ * @param {Object} engine - Motor (GameOfLife, PackedLife, TiledLife,
+ *                          HashLife o BitLife)
+ * @returns {Object} { rulestring, generation, population, islands, objects }
+ *                   con objects = [{ code, name, count }]
+ * @throws {Error} Si la regla no es válida para el censo o la caja
+ *                 envolvente tiene más de END_MAX_SNAPSHOT_CELLS células
+ *
+ * COMPLEJIDAD: O(w × h + Σ p × n × k) sobre la caja envolvente y las islas
+ */
+function takeCensus(engine) {
+    const rule = engine.rule;
+    checkCensusRule(rule);
+
+    const census = {
+        rulestring: rule.rulestring,
+        generation: engine.generation,
+        population: 0,
+        islands: 0,
+        objects: []
+    };
+    // Sin células vivas la caja está vacía (ancho o alto no positivos)
+    const bounds = engine.getStateFingerprint();
+    if (bounds.width <= 0 || bounds.height <= 0) return census;
+    if (bounds.width * bounds.height > CENSUS_DEPS.END_MAX_SNAPSHOT_CELLS) {
+        throw new Error(`El patrón ocupa ${bounds.width}×${bounds.height} células: demasiado para el censo`);
+    }
+
+    const codes = engine.readRegion(bounds.x, bounds.y, bounds.width, bounds.height);
+    const islands = findIslands(codes, bounds.width, bounds.height);
+    const counts = new Map();
+    for (const island of islands) {
+        const { code } = classifyIsland(island, rule);
+        counts.set(code, (counts.get(code) || 0) + 1);
+        census.population += island.length;
+    }
+
+    const names = getCatalogueNames();
+    census.islands = islands.length;
+    census.objects = Array.from(counts, ([code, count]) => ({ code, name: names.get(code) || null, count }))
+        .sort((a, b) => b.count - a.count || (a.code < b.code ? -1 : a.code > b.code ? 1 : 0));
+    return census;
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        takeCensus,
+        findIslands,
+        classifyIsland,
+        canonicalShape,
+        wechsler,
+        getCatalogueNames,
+        CENSUS_CATALOGUE,
+        CENSUS_SEPARATION,
+        CENSUS_MAX_PERIOD,
+        CENSUS_UNKNOWN
+    };
+}
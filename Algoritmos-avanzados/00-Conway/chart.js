@@ -0,0 +1,470 @@
+/**
+ * ============================================================================
+ * GRÁFICA DE ACTIVIDAD DE LA EJECUCIÓN
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Dibuja en un canvas 2D la evolución de la ejecución: población,
+ * nacimientos y muertes por paso y área de la caja envolvente, con las
+ * muestras que envía la simulación (mensajes 'history', ver history.js).
+ * Solo se usa en la interfaz (index.html), no en el worker.
+ *
+ * INTERACCIÓN:
+ * - Rueda del ratón: acercar o alejar el eje del tiempo alrededor del
+ *   cursor
+ * - Arrastrar: desplazar el eje del tiempo
+ * - Doble clic: volver a ver toda la ejecución (la gráfica sigue a la
+ *   última generación)
+ * - Clic: pedir la generación del punto (onSelect), si la simulación
+ *   guarda copias desde antes de ella
+ * - Escala logarítmica en el eje vertical (log10(1 + valor)), para ver a
+ *   la vez la población y los nacimientos de un patrón grande
+ *
+ * MEMORIA:
+ * Como mucho CHART_MAX_SAMPLES muestras: al pasarse se descarta una de
+ * cada dos y, desde entonces, solo se aceptan muestras separadas por la
+ * distancia media que queda (la serie conserva toda la ejecución con
+ * menos detalle).
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Series de la gráfica: campo de la muestra, nombre y color
+const CHART_SERIES = [
+    { key: 'population', label: 'POBLACIÓN', color: '#ffffff' },
+    { key: 'births', label: 'NACIMIENTOS', color: '#4cd964' },
+    { key: 'deaths', label: 'MUERTES', color: '#ff5f57' },
+    { key: 'area', label: 'ÁREA', color: '#5ac8fa' }
+];
+
+// Muestras guardadas como máximo
+const CHART_MAX_SAMPLES = 20000;
+
+// Márgenes del área de dibujo (píxeles del canvas): etiquetas de los ejes
+const CHART_MARGIN = { left: 70, right: 10, top: 10, bottom: 24 };
+
+// Menor intervalo visible al acercar (generaciones)
+const CHART_MIN_SPAN = 8;
+
+// Factor de zoom por paso de la rueda
+const CHART_ZOOM_STEP = 1.25;
+
+// Píxeles que debe moverse el ratón para que un clic sea un arrastre
+const CHART_DRAG_THRESHOLD = 4;
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: ActivityChart
+ * ============================================================================
+ */
+class ActivityChart {
+    /**
+     * Constructor de la clase ActivityChart
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas de la gráfica
+     * @param {HTMLElement} readout - Elemento donde se escriben los valores
+     *                                del punto bajo el cursor
+     * @param {Function} onSelect - Recibe la generación del punto pulsado
+     */
+    constructor(canvas, readout, onSelect) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.readout = readout;
+        this.onSelect = onSelect;
+
+        // Serie: { generation, population, births, deaths, area } en orden
+        this.samples = [];
+        this.minSpacing = 0;      // Generaciones entre muestras aceptadas
+        this.earliest = null;     // Primera generación a la que se puede volver
+
+        // Vista: null sigue toda la ejecución; si no, { start, end }
+        this.view = null;
+        this.logScale = false;
+        this.visible = Object.fromEntries(CHART_SERIES.map(series => [series.key, true]));
+
+        // Interacción
+        this.drag = null;         // { x, range, moved } mientras se arrastra
+        this.hover = null;        // Muestra bajo el cursor
+        this.drawPending = false;
+
+        this.setupEvents();
+        this.draw();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * DATOS
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: addMessage
+     * ------------------------------------------------------------------------
+     * Aplica un mensaje 'history' de la simulación.
+     *
+     * PROCESO:
+     * 1. restart: vaciar la serie y volver a ver toda la ejecución
+     * 2. truncate: olvidar las muestras posteriores (se volvió atrás)
+     * 3. Agregar las muestras nuevas respetando minSpacing
+     * 4. Si hay demasiadas, quedarse con una de cada dos
+     *
+     * @param {Object} message - { restart, truncate, samples, earliest }
+     *
+     * COMPLEJIDAD: O(muestras nuevas), O(CHART_MAX_SAMPLES) al aclarar o
+     *              truncar
+     */
+    addMessage(message) {
+        // PASO 1: Serie nueva
+        if (message.restart) {
+            this.samples = [];
+            this.minSpacing = 0;
+            this.view = null;
+        }
+
+        // PASO 2: Vuelta atrás
+        if (message.truncate !== null) {
+            this.samples = this.samples.filter(sample => sample.generation <= message.truncate);
+        }
+
+        // PASO 3: Muestras nuevas
+        for (const sample of message.samples) {
+            const last = this.samples[this.samples.length - 1];
+            if (last && sample.generation <= last.generation) continue;
+            if (last && sample.generation - last.generation < this.minSpacing) continue;
+            this.samples.push(sample);
+        }
+
+        // PASO 4: Aclarar (la última muestra se conserva siempre)
+        if (this.samples.length > CHART_MAX_SAMPLES) {
+            const last = this.samples[this.samples.length - 1];
+            this.samples = this.samples.filter((sample, i) => i % 2 === 0);
+            if (this.samples[this.samples.length - 1] !== last) this.samples.push(last);
+            this.minSpacing = (last.generation - this.samples[0].generation) / this.samples.length;
+        }
+
+        this.earliest = message.earliest;
+        this.requestDraw();
+    }
+
+    /**
+     * Intervalo de generaciones visible.
+     *
+     * @returns {number[]} [inicio, fin] con fin > inicio
+     */
+    getRange() {
+        if (this.view) return [this.view.start, this.view.end];
+        if (this.samples.length === 0) return [0, 1];
+        const start = this.samples[0].generation;
+        const end = this.samples[this.samples.length - 1].generation;
+        return [start, Math.max(end, start + 1)];
+    }
+
+    /**
+     * Cambia el intervalo visible sin salirse de la ejecución. Si lo
+     * abarca entero, la gráfica vuelve a seguir la última generación.
+     *
+     * @param {number} start - Primera generación visible
+     * @param {number} end - Última generación visible
+     */
+    setView(start, end) {
+        if (this.samples.length === 0) return;
+        const first = this.samples[0].generation;
+        const last = Math.max(this.samples[this.samples.length - 1].generation, first + 1);
+        const span = Math.min(Math.max(end - start, CHART_MIN_SPAN), last - first);
+
+        if (span >= last - first) {
+            this.view = null;
+        } else {
+            start = Math.min(Math.max(start, first), last - span);
+            this.view = { start, end: start + span };
+        }
+        this.requestDraw();
+    }
+
+    /**
+     * Muestra más cercana a una generación (búsqueda binaria).
+     *
+     * @param {number} generation - Generación buscada
+     * @returns {Object|null} Muestra, o null si la serie está vacía
+     *
+     * COMPLEJIDAD: O(log muestras)
+     */
+    nearestSample(generation) {
+        const samples = this.samples;
+        if (samples.length === 0) return null;
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (samples[middle].generation < generation) low = middle + 1;
+            else high = middle;
+        }
+        if (low > 0 && generation - samples[low - 1].generation < samples[low].generation - generation) {
+            low--;
+        }
+        return samples[low];
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * OPCIONES
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * @param {string} key - Campo de la serie (ver CHART_SERIES)
+     * @param {boolean} visible - Dibujarla o no
+     */
+    setSeriesVisible(key, visible) {
+        this.visible[key] = visible;
+        this.requestDraw();
+    }
+
+    /**
+     * @param {boolean} enabled - Escala logarítmica en el eje vertical
+     */
+    setLogScale(enabled) {
+        this.logScale = enabled;
+        this.requestDraw();
+    }
+
+    /**
+     * Vuelve a ver toda la ejecución.
+     */
+    resetView() {
+        this.view = null;
+        this.requestDraw();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * INTERACCIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Coordenada x del ratón en píxeles del canvas (el CSS lo escala).
+     *
+     * @param {MouseEvent} e - Evento del ratón
+     * @returns {number} x dentro del canvas
+     */
+    canvasX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) * this.canvas.width / rect.width;
+    }
+
+    /**
+     * Generación que corresponde a una x del canvas.
+     *
+     * @param {number} x - x en píxeles del canvas
+     * @returns {number} Generación (no necesariamente entera)
+     */
+    generationAt(x) {
+        const [start, end] = this.getRange();
+        const width = this.canvas.width - CHART_MARGIN.left - CHART_MARGIN.right;
+        return start + (x - CHART_MARGIN.left) / width * (end - start);
+    }
+
+    /**
+     * Rueda, arrastre, clic y doble clic (ver la cabecera del archivo).
+     */
+    setupEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [start, end] = this.getRange();
+            const anchor = this.generationAt(this.canvasX(e));
+            const factor = e.deltaY < 0 ? 1 / CHART_ZOOM_STEP : CHART_ZOOM_STEP;
+            this.setView(anchor - (anchor - start) * factor, anchor + (end - anchor) * factor);
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            this.drag = { x: this.canvasX(e), range: this.getRange(), moved: false };
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            const x = this.canvasX(e);
+            if (this.drag) {
+                if (Math.abs(x - this.drag.x) > CHART_DRAG_THRESHOLD) this.drag.moved = true;
+                if (this.drag.moved) {
+                    const [start, end] = this.drag.range;
+                    const width = canvas.width - CHART_MARGIN.left - CHART_MARGIN.right;
+                    const shift = (this.drag.x - x) / width * (end - start);
+                    this.setView(start + shift, end + shift);
+                }
+            }
+            this.hover = this.nearestSample(this.generationAt(x));
+            this.requestDraw();
+        });
+
+        canvas.addEventListener('mouseup', (e) => {
+            const drag = this.drag;
+            this.drag = null;
+            if (!drag || drag.moved) return;
+
+            // Clic sin arrastrar: volver a la generación del punto
+            const sample = this.nearestSample(this.generationAt(this.canvasX(e)));
+            if (sample && this.earliest !== null && sample.generation >= this.earliest) {
+                this.onSelect(sample.generation);
+            }
+        });
+
+        canvas.addEventListener('mouseleave', () => {
+            this.drag = null;
+            this.hover = null;
+            this.requestDraw();
+        });
+
+        canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * DIBUJO
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Agrupa los redibujados en el siguiente frame (llegan muestras en
+     * cada frame de la simulación).
+     */
+    requestDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * Valor de una serie en el eje vertical, entre 0 y 1.
+     *
+     * @param {number} value - Valor de la muestra
+     * @param {number} max - Máximo visible
+     * @returns {number} Altura relativa
+     */
+    scaleValue(value, max) {
+        if (max <= 0) return 0;
+        return this.logScale ? Math.log10(1 + value) / Math.log10(1 + max) : value / max;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: draw
+     * ------------------------------------------------------------------------
+     * Dibuja la gráfica completa.
+     *
+     * PROCESO:
+     * 1. Buscar las muestras visibles (y una a cada lado, para que las
+     *    líneas lleguen al borde) y el máximo de las series activas
+     * 2. Ejes: generaciones en horizontal; 0 y el máximo en vertical (con
+     *    escala logarítmica, también las potencias de 10)
+     * 3. Una línea por serie activa
+     * 4. Línea vertical y valores del punto bajo el cursor
+     *
+     * COMPLEJIDAD: O(muestras visibles × series)
+     */
+    draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+        const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+        const [start, end] = this.getRange();
+        const toX = generation => CHART_MARGIN.left + (generation - start) / (end - start) * plotWidth;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // PASO 1: Muestras visibles y máximo
+        const samples = this.samples;
+        let first = 0;
+        while (first < samples.length - 1 && samples[first + 1].generation < start) first++;
+        let last = samples.length - 1;
+        while (last > 0 && samples[last - 1].generation > end) last--;
+        const series = CHART_SERIES.filter(({ key }) => this.visible[key]);
+        let max = 0;
+        for (let i = first; i <= last; i++) {
+            for (const { key } of series) max = Math.max(max, samples[i][key]);
+        }
+        const toY = value => CHART_MARGIN.top + plotHeight * (1 - this.scaleValue(value, max));
+
+        // PASO 2: Ejes
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(CHART_MARGIN.left + 0.5, CHART_MARGIN.top + 0.5, plotWidth, plotHeight);
+        ctx.fillStyle = '#fff';
+        ctx.font = '12px "Courier New", Courier, monospace';
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const ticks = [0, max];
+        if (this.logScale) {
+            for (let power = 10; power < max; power *= 10) ticks.push(power);
+        }
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        for (const tick of ticks) {
+            const y = Math.round(toY(tick)) + 0.5;
+            ctx.fillText(tick.toLocaleString(), CHART_MARGIN.left - 6, y);
+            ctx.beginPath();
+            ctx.moveTo(CHART_MARGIN.left, y);
+            ctx.lineTo(width - CHART_MARGIN.right, y);
+            ctx.stroke();
+        }
+
+        ctx.textBaseline = 'top';
+        const labelY = height - CHART_MARGIN.bottom + 6;
+        ctx.textAlign = 'left';
+        ctx.fillText(Math.round(start).toLocaleString(), CHART_MARGIN.left, labelY);
+        ctx.textAlign = 'right';
+        ctx.fillText(Math.round(end).toLocaleString(), width - CHART_MARGIN.right, labelY);
+
+        // PASO 3: Series (recortadas al área de dibujo)
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(CHART_MARGIN.left, CHART_MARGIN.top, plotWidth, plotHeight);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        for (const { key, color } of series) {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            for (let i = first; i <= last; i++) {
+                const x = toX(samples[i].generation);
+                const y = toY(samples[i][key]);
+                if (i === first) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+
+        // PASO 4: Punto bajo el cursor
+        const hover = this.hover;
+        if (hover) {
+            const x = Math.round(toX(hover.generation)) + 0.5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, CHART_MARGIN.top);
+            ctx.lineTo(x, CHART_MARGIN.top + plotHeight);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        this.readout.textContent = hover
+            ? `GEN ${hover.generation.toLocaleString()} · ` + CHART_SERIES
+                .map(({ key, label }) => `${label} ${hover[key].toLocaleString()}`)
+                .join(' · ')
+            : this.earliest !== null
+                ? 'Pulsa un punto para volver a esa generación'
+                : 'Sin copias guardadas: no se puede volver atrás';
+    }
+}
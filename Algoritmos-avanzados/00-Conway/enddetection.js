@@ -0,0 +1,438 @@
+/**
+ * ============================================================================
+ * DETECCIÓN DE FINALIZACIÓN: ESTADO ESTABLE, BUCLES Y NAVES ESPACIALES
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Lógica común del checkEnd de todos los motores (GameOfLife, PackedLife,
+ * TiledLife, HashLife y BitLife) para los estados que se repiten, en el
+ * mismo sitio o desplazados. La extinción la detecta cada motor contando
+ * sus células.
+ *
+ * HUELLAS INVARIANTES POR TRASLACIÓN:
+ * Cada motor resume su estado con getStateFingerprint: la caja envolvente
+ * de las células no muertas y una huella de 64 bits del patrón con las
+ * coordenadas relativas a la esquina de la caja (normaliseFingerprint). El
+ * mismo patrón en otra posición tiene la misma huella, así que una nave
+ * espacial se detecta en cuanto se repite desplazada (un glider, a las 4
+ * generaciones) y el desplazamiento es la diferencia entre las esquinas.
+ * Dos estados distintos coinciden con probabilidad del orden de 2^-64 (las
+ * sumas son módulo un primo, reduction.js), pero en una cuadrícula de
+ * 262144 células y miles de comprobaciones no se puede descartar, y una
+ * colisión terminaría la simulación con un falso "ESTADO ESTABLE", "BUCLE
+ * PERIÓDICO" o "NAVE ESPACIAL".
+ *
+ * En un toro la caja no sigue al patrón cuando cruza un borde (la caja
+ * pasa a abarcar los dos lados): la repetición se detecta antes del cruce
+ * o después de él.
+ *
+ * PERIODOS DE CUALQUIER LONGITUD EN MEMORIA ACOTADA:
+ * - Huellas recientes: las últimas END_HISTORY_SIZE huellas en un buffer
+ *   circular (la nueva sustituye a la más antigua), indexadas por valor
+ *   en un Map. Un periodo que cabe en la ventana se detecta en cuanto
+ *   el estado se repite por primera vez
+ * - Algoritmo de Brent: una "tortuga" guarda la huella de un punto de
+ *   control y se compara con cada huella nueva (la "liebre"); cada vez que
+ *   pasan tantas comprobaciones como la potencia actual, la tortuga salta a
+ *   la liebre y la potencia se duplica. Cuando la tortuga está dentro del
+ *   ciclo y la potencia supera al periodo, la liebre la alcanza: encuentra
+ *   periodos de cualquier longitud con memoria O(1), a costa de detectarlos
+ *   hasta unas 2 × (preperiodo + periodo) generaciones después del inicio
+ *
+ * INICIO DEL CICLO (PREPERIODO):
+ * El ciclo empieza en la primera generación g con huella(g) = huella(g + d).
+ * Se busca entre las huellas recientes, que empiezan por el estado inicial
+ * (restart, al cargar, limpiar, aleatorizar o importar): un patrón que ya
+ * es estable u oscila desde la generación 0 se identifica con exactitud.
+ * Si la ventana ya no llega al inicio (o las comprobaciones no fueron
+ * consecutivas), el mensaje da la generación más antigua que se sabe
+ * dentro del ciclo ("o antes").
+ *
+ * CONFIRMACIÓN BIT A BIT:
+ * El estado de la generación que coincidió ya no existe, así que la
+ * confirmación va hacia delante: cuando la huella actual aparece en el
+ * historial a una distancia d, se copian las células de la caja envolvente
+ * (readRegion del motor) y, d generaciones después, se comparan con las de
+ * la caja de entonces. Fuera de la caja todo está muerto, así que si las
+ * dos cajas tienen el mismo tamaño y el mismo contenido el patrón se
+ * repite cada d generaciones (desplazado la diferencia entre las esquinas)
+ * sin ninguna duda; si no, fue una colisión y la simulación sigue. El fin
+ * se declara d generaciones más tarde que con la huella sola.
+ *
+ * RESULTADO:
+ * - Confirmado: comparación bit a bit correcta
+ * - Probable: la caja tiene más de END_MAX_SNAPSHOT_CELLS células (por
+ *   ejemplo, dos naves que se alejan en un mundo por teselas) y solo
+ *   coinciden las huellas. Puede ser un falso fin: cada huella se busca
+ *   entre END_HISTORY_SIZE recientes y la tortuga, así que una colisión
+ *   tiene una probabilidad del orden de 2^-52 por comprobación
+ * ============================================================================
+ */
+
+// reduction.js: global en el navegador, require en Node
+const END_DEPS = typeof translateHash === 'function'
+    ? { translateHash }
+    : require('./reduction.js');
+
+// Huellas recientes recordadas (periodos hasta este tamaño se detectan en
+// la primera repetición; los mayores, con el algoritmo de Brent)
+const END_HISTORY_SIZE = 4096;
+
+// Mayor caja envolvente que se copia para confirmar una repetición (16 MB)
+const END_MAX_SNAPSHOT_CELLS = 1 << 24;
+
+/**
+ * Huella de 64 bits como texto: 16 dígitos hexadecimales, mitad alta
+ * primero (se compara con === y sirve de clave de Map).
+ *
+ * @param {number} low - Mitad baja (entero de 32 bits sin signo)
+ * @param {number} high - Mitad alta (entero de 32 bits sin signo)
+ * @returns {string} Huella
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function formatFingerprint(low, high) {
+    return (high >>> 0).toString(16).padStart(8, '0') + (low >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Huella invariante por traslación de un estado (getStateFingerprint de
+ * los motores): las dos mitades Σ código × a^x × b^y se mueven para que la
+ * esquina mínima de la caja envolvente quede en (0, 0).
+ *
+ * @param {number} low - Mitad baja de la huella en las coordenadas del motor
+ * @param {number} high - Mitad alta de la huella en las mismas coordenadas
+ * @param {number[]} bounds - [minX, minY, maxX, maxY] de las células no
+ *                            muertas (inclusive), en las mismas coordenadas
+ * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+ *          Huella (formatFingerprint) y caja envolvente
+ *
+ * COMPLEJIDAD: O(log(coordenadas))
+ */
+function normaliseFingerprint(low, high, bounds) {
+    const [minX, minY, maxX, maxY] = bounds;
+    return {
+        fingerprint: formatFingerprint(
+            END_DEPS.translateHash(low, -minX, -minY, 0),
+            END_DEPS.translateHash(high, -minX, -minY, 1)
+        ),
+        x: minX,
+        y: minY,
+        width: maxX - minX + 1,
+        height: maxY - minY + 1
+    };
+}
+
+/**
+ * Código de cada célula de una región RGBA (formato de las texturas):
+ * 255 viva, G muriendo (reglas Generations) y 0 muerta. Así las copias de
+ * readRegion no dependen de los bytes que no codifican el estado.
+ *
+ * @param {Uint8Array} data - ancho × alto × 4 bytes
+ * @returns {Uint8Array} Un byte por célula
+ *
+ * COMPLEJIDAD: O(n)
+ */
+function cellCodes(data) {
+    const codes = new Uint8Array(data.length / 4);
+    for (let i = 0; i < codes.length; i++) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        codes[i] = r > 128 ? 255 : (g >= 2 ? g : 0);
+    }
+    return codes;
+}
+
+/**
+ * Compara dos arrays tipados elemento a elemento.
+ *
+ * @param {TypedArray} a - Primer array
+ * @param {TypedArray} b - Segundo array
+ * @returns {boolean} true si tienen la misma longitud y el mismo contenido
+ *
+ * COMPLEJIDAD: O(n)
+ */
+function sameArrays(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Velocidad de una nave como fracción de c (una célula por generación) con
+ * la distancia de Chebyshev, como se nombran en Life: c/4 para el glider,
+ * 2c/5 para una nave que avanza 2 células cada 5 generaciones.
+ *
+ * @param {number} dx - Desplazamiento en x
+ * @param {number} dy - Desplazamiento en y
+ * @param {number} distance - Generaciones
+ * @returns {string} Velocidad
+ */
+function formatSpeed(dx, dy, distance) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const cells = Math.max(Math.abs(dx), Math.abs(dy));
+    const divisor = gcd(cells, distance);
+    const numerator = cells / divisor;
+    const denominator = distance / divisor;
+    return `${numerator === 1 ? '' : numerator}c${denominator === 1 ? '' : `/${denominator}`}`;
+}
+
+/**
+ * Mensaje de fin para un estado que se repite a una distancia dada.
+ *
+ * @param {number} distance - Generaciones entre las dos apariciones
+ * @param {boolean} exact - Se comprobaron todas las generaciones intermedias
+ * @param {Object} start - Inicio del ciclo: { generation, exact }
+ * @param {number} dx - Desplazamiento en x entre las dos apariciones
+ * @param {number} dy - Desplazamiento en y entre las dos apariciones
+ * @returns {string} Mensaje para endReason
+ */
+function repeatEndReason(distance, exact, start, dx, dy) {
+    const since = `desde la generación ${start.generation}${start.exact ? '' : ' o antes'}`;
+    if (dx !== 0 || dy !== 0) {
+        const shift = `desplazamiento (${dx},${dy})`;
+        const speed = `velocidad ${formatSpeed(dx, dy, distance)}`;
+        if (exact) {
+            return `NAVE ESPACIAL - periodo ${distance}, ${shift}, ${speed}, ${since}`;
+        }
+        return `NAVE ESPACIAL - ${shift} cada ${distance} generaciones (el periodo divide a ${distance}), ${speed}, ${since}`;
+    }
+    if (exact && distance === 1) {
+        return `ESTADO ESTABLE - El patrón no cambia ${since}`;
+    }
+    if (exact) {
+        return `BUCLE PERIÓDICO - Periodo de ${distance} generaciones ${since}`;
+    }
+    return `BUCLE PERIÓDICO - Se repite cada ${distance} generaciones (el periodo divide a ${distance}) ${since}`;
+}
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: EndDetector
+ * ============================================================================
+ */
+class EndDetector {
+    /**
+     * Constructor de la clase EndDetector
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Olvida el historial, la tortuga y la confirmación pendiente (el estado
+     * cambió fuera de la simulación: dibujo, regla, tamaño...).
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    reset() {
+        this.history = [];            // Huellas recientes: { fingerprint, x, y, generation, check, initial? }
+        this.head = 0;                // Índice de la más antigua en history cuando está lleno
+        this.latest = new Map();      // Huella → su entrada más reciente en history
+        this.checks = 0;              // Comprobaciones desde el reinicio
+        this.tortoise = null;         // Brent: entrada del punto de control
+        this.power = 1;               // Brent: comprobaciones hasta mover la tortuga
+        this.lambda = 0;              // Brent: comprobaciones desde la tortuga
+        this.pending = null;          // Repetición a confirmar: { cells, state, generation, distance, exact, earlier }
+        this.lastState = null;        // Última huella y caja comprobadas (la gráfica de actividad lee la caja)
+    }
+
+    /**
+     * Olvida todo (reset) y recuerda el estado actual del motor como primera
+     * huella: una repetición del estado inicial tiene su generación exacta.
+     * Sin células no hay huella (la extinción la detecta el motor).
+     *
+     * @param {Object} engine - Motor con getStateFingerprint, aliveCells y
+     *                          dyingCells ya contados
+     * @param {number} generation - Generación del estado actual
+     * @param {boolean} [initial] - ¿Empieza aquí la ejecución? false al
+     *        volver a una copia guardada: hubo estados antes y el ciclo
+     *        pudo empezar en ellos
+     *
+     * COMPLEJIDAD: O(1) más la huella del motor
+     */
+    restart(engine, generation, initial = true) {
+        this.reset();
+        if (engine.aliveCells === 0 && engine.dyingCells === 0) return;
+
+        const state = engine.getStateFingerprint();
+        this.lastState = state;
+        this.remember({
+            fingerprint: state.fingerprint, x: state.x, y: state.y, generation,
+            check: this.checks++, initial
+        });
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: check
+     * ------------------------------------------------------------------------
+     * Comprueba si el estado actual del motor repite uno anterior, en el
+     * mismo sitio o desplazado.
+     *
+     * COMPROBACIÓN MUESTREADA (modo turbo, saltos de HashLife):
+     * Cada entrada guarda su generación y su número de comprobación. Si
+     * entre la coincidencia y el estado actual no se comprobaron todas las
+     * generaciones, solo se sabe que el periodo divide a la distancia (un
+     * estado estable también se repite).
+     *
+     * ALGORITMO:
+     * 1. Si hay una repetición pendiente y ya pasaron sus d generaciones,
+     *    comparar la caja actual con la copia: igual → fin confirmado
+     * 2. Buscar la huella actual entre las recientes y en la tortuga de Brent
+     * 3. Si aparece: fin probable (caja demasiado grande para copiarla) o
+     *    repetición pendiente de confirmar
+     * 4. Agregar la huella a las recientes y avanzar la tortuga
+     *
+     * @param {Object} engine - Motor con getStateFingerprint y readRegion
+     * @param {number} generation - Generación del estado actual
+     * @returns {{reason: string, confirmed: boolean}|null} Fin detectado o null
+     *
+     * COMPLEJIDAD: O(1) más la huella del motor, O(caja + END_HISTORY_SIZE)
+     *              al confirmar
+     */
+    check(engine, generation) {
+        const state = engine.getStateFingerprint();
+        this.lastState = state;
+        const entry = { fingerprint: state.fingerprint, x: state.x, y: state.y, generation, check: this.checks++ };
+
+        // PASO 1: Confirmar la repetición pendiente (misma caja, desplazada)
+        const pending = this.pending;
+        if (pending && generation - pending.generation >= pending.distance) {
+            this.pending = null;
+            if (generation - pending.generation === pending.distance &&
+                state.width === pending.state.width && state.height === pending.state.height &&
+                sameArrays(engine.readRegion(state.x, state.y, state.width, state.height), pending.cells)) {
+                this.remember(entry);
+                return this.endFor(pending.distance, pending.exact, pending.earlier, true,
+                    state.x - pending.state.x, state.y - pending.state.y);
+            }
+        }
+
+        // PASO 2: Huella ya vista (la reciente más cercana, o la tortuga)
+        let earlier = this.latest.get(state.fingerprint) || null;
+        if (!earlier && this.tortoise && this.tortoise.fingerprint === state.fingerprint) {
+            earlier = this.tortoise;
+        }
+
+        // PASO 3: Repetición por huella
+        if (earlier && !this.pending) {
+            // Es el periodo exacto solo si hay una comprobación por generación
+            const distance = generation - earlier.generation;
+            const exact = distance === entry.check - earlier.check;
+
+            if (state.width * state.height > END_MAX_SNAPSHOT_CELLS) {
+                this.remember(entry);
+                return this.endFor(distance, exact, earlier, false, entry.x - earlier.x, entry.y - earlier.y);
+            }
+            const cells = engine.readRegion(state.x, state.y, state.width, state.height);
+            this.pending = { cells, state, generation, distance, exact, earlier };
+        }
+
+        // PASO 4: Recordar la huella
+        this.remember(entry);
+        return null;
+    }
+
+    /**
+     * Agrega una entrada a las huellas recientes y avanza el algoritmo de
+     * Brent. Con END_HISTORY_SIZE entradas, la nueva ocupa el lugar de la
+     * más antigua (head) y head pasa a la siguiente.
+     *
+     * @param {Object} entry - { fingerprint, x, y, generation, check }
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    remember(entry) {
+        if (this.history.length < END_HISTORY_SIZE) {
+            this.history.push(entry);
+        } else {
+            const oldest = this.history[this.head];
+            if (this.latest.get(oldest.fingerprint) === oldest) {
+                this.latest.delete(oldest.fingerprint);
+            }
+            this.history[this.head] = entry;
+            this.head = (this.head + 1) % END_HISTORY_SIZE;
+        }
+        this.latest.set(entry.fingerprint, entry);
+
+        // Brent: la tortuga salta a la liebre cada potencia de 2 comprobaciones
+        if (!this.tortoise || ++this.lambda === this.power) {
+            this.tortoise = entry;
+            this.power *= 2;
+            this.lambda = 0;
+        }
+    }
+
+    /**
+     * Resultado de una repetición, con el inicio del ciclo.
+     *
+     * @param {number} distance - Generaciones entre las dos apariciones
+     * @param {boolean} exact - ¿Periodo exacto?
+     * @param {Object} earlier - Entrada de la primera aparición
+     * @param {boolean} confirmed - ¿Comprobada bit a bit?
+     * @param {number} dx - Desplazamiento en x entre las dos apariciones
+     * @param {number} dy - Desplazamiento en y entre las dos apariciones
+     * @returns {{reason: string, confirmed: boolean}} Fin detectado
+     */
+    endFor(distance, exact, earlier, confirmed, dx, dy) {
+        const start = this.cycleStart(distance, earlier);
+        return { reason: repeatEndReason(distance, exact, start, dx, dy), confirmed };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: cycleStart
+     * ------------------------------------------------------------------------
+     * Primera generación g de las huellas recientes con huella(g) =
+     * huella(g + distance): ahí empieza el ciclo.
+     *
+     * Es exacta si g es el estado inicial (restart) o si la comprobación
+     * anterior a g fue la generación g - 1 (ese estado aún no estaba en el
+     * ciclo). Si no, el ciclo empezó en g
+     * o antes: la ventana no llega más atrás o hubo generaciones sin
+     * comprobar. Si ninguna pareja cabe en la ventana (periodos mayores que
+     * END_HISTORY_SIZE), la primera aparición ya estaba en el ciclo.
+     *
+     * @param {number} distance - Periodo (o múltiplo) en generaciones
+     * @param {Object} earlier - Entrada de la primera aparición
+     * @returns {{generation: number, exact: boolean}} Inicio del ciclo
+     *
+     * COMPLEJIDAD: O(END_HISTORY_SIZE) (dos índices que solo avanzan)
+     */
+    cycleStart(distance, earlier) {
+        // Entrada i-ésima de la más antigua a la más reciente
+        const count = this.history.length;
+        const at = i => this.history[(this.head + i) % count];
+
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const first = at(i);
+            const target = first.generation + distance;
+            while (j < count && at(j).generation < target) j++;
+            if (j === count) break;
+            if (at(j).generation === target && at(j).fingerprint === first.fingerprint) {
+                const exact = first.initial === true ||
+                    (i > 0 && first.generation - at(i - 1).generation === 1);
+                return { generation: first.generation, exact };
+            }
+        }
+        return { generation: earlier.generation, exact: false };
+    }
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EndDetector,
+        formatFingerprint,
+        normaliseFingerprint,
+        cellCodes,
+        sameArrays,
+        END_HISTORY_SIZE,
+        END_MAX_SNAPSHOT_CELLS
+    };
+}
@@ -13,7 +13,9 @@
  * ARQUITECTURA:
  * - Utiliza técnica de ping-pong con dos texturas
  * - Gestiona framebuffers para renderizado off-screen
- * - Implementa hashing para detección de estados repetidos
+ * - Implementa hashing para detección de estados repetidos (población y
+ *   huella se calculan en la GPU con StateReduction, reduction.js; las
+ *   repeticiones se confirman con EndDetector, enddetection.js)
  *
  * CONCEPTOS CLAVE:
  * - Framebuffer: superficie de renderizado en memoria (no visible)
@@ -222,13 +224,15 @@ const PATTERNS = {
      */
     pentadecathlon: [
         [1, 0],
-        [0, 1], [2, 1],
-        [1, 2],
+        [1, 1],
+        [0, 2], [2, 2],
         [1, 3],
         [1, 4],
         [1, 5],
-        [0, 6], [2, 6],
-        [1, 7]
+        [1, 6],
+        [0, 7], [2, 7],
+        [1, 8],
+        [1, 9]
     ],
 
     /**
@@ -284,8 +288,8 @@ const PATTERNS = {
      * Tamaño: 6x5
      */
     mwss: [
-        [2, 0],
-        [0, 1], [4, 1],
+        [3, 0],
+        [1, 1], [5, 1],
         [0, 2],
         [0, 3], [5, 3],
         [0, 4], [1, 4], [2, 4], [3, 4], [4, 4]
@@ -298,14 +302,53 @@ const PATTERNS = {
      * Tamaño: 7x5
      */
     hwss: [
-        [2, 0], [3, 0],
-        [0, 1], [5, 1],
+        [3, 0], [4, 0],
+        [1, 1], [6, 1],
         [0, 2],
         [0, 3], [6, 3],
         [0, 4], [1, 4], [2, 4], [3, 4], [4, 4], [5, 4]
     ]
 };
 
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: placePattern
+ * ----------------------------------------------------------------------------
+ * Posiciones de las células de un patrón centrado en una cuadrícula, como
+ * las colocan todos los motores en loadPattern: el centro de la caja
+ * envolvente del patrón va al centro de la cuadrícula.
+ *
+ * @param {string|Array[]} pattern - Nombre (clave en PATTERNS) o lista de
+ *        células [x, y] (viva) o [x, y, estado] (muriendo, estado ≥ 2),
+ *        como las de parseRLE (patternfiles.js)
+ * @param {number} width - Ancho de la cuadrícula
+ * @param {number} height - Alto de la cuadrícula
+ * @returns {Array[]|null} Células [x, y, estado] (1 = viva) sin recortar:
+ *          las de un patrón mayor que la cuadrícula quedan fuera. null si
+ *          el nombre no está en PATTERNS
+ *
+ * COMPLEJIDAD: O(p) donde p = tamaño del patrón
+ */
+function placePattern(pattern, width, height) {
+    const cells = typeof pattern === 'string' ? PATTERNS[pattern] : pattern;
+    if (!cells) return null;
+
+    // Caja envolvente (sin Math.min(...xs): los patrones importados pueden
+    // tener millones de células)
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of cells) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    }
+
+    const offsetX = Math.floor(width / 2) - minX - Math.floor((maxX - minX) / 2);
+    const offsetY = Math.floor(height / 2) - minY - Math.floor((maxY - minY) / 2);
+    return cells.map(([x, y, state = 1]) => [offsetX + x, offsetY + y, state]);
+}
+
 /**
  * ============================================================================
  * CLASE PRINCIPAL: GameOfLife
@@ -339,17 +382,21 @@ class GameOfLife {
      * @param {WebGLRenderingContext} gl - Contexto WebGL para renderizado GPU
      * @param {number} width - Ancho de la cuadrícula en células
      * @param {number} height - Alto de la cuadrícula en células
+     * @param {Object} [rule] - Regla devuelta por parseRule (por defecto B3/S23)
      *
      * INICIALIZACIÓN:
      * 1. Crea dos texturas para ping-pong
      * 2. Crea dos framebuffers (uno por textura)
      * 3. Inicializa contadores y estado
      */
-    constructor(gl, width, height) {
+    constructor(gl, width, height, rule = parseRule(DEFAULT_RULE)) {
         this.gl = gl;
         this.width = width;
         this.height = height;
 
+        // Regla activa (tablas de nacimiento/supervivencia para el compute shader)
+        this.rule = rule;
+
         // Texturas para técnica ping-pong
         // textures[0] y textures[1] alternan roles de lectura/escritura
         this.textures = [
@@ -364,6 +411,14 @@ class GameOfLife {
             this.createFramebuffer(this.textures[1])
         ];
 
+        // Población y hash calculados en la GPU (reduction.js)
+        this.reduction = new StateReduction(gl);
+
+        // Textura de consulta de 256×1 para reglas de Hensel (ISOTROPIC)
+        // Se rellena en updateNeighbourhoodTable() cada vez que cambia la regla
+        this.neighbourhoodTable = this.createNeighbourhoodTableTexture();
+        this.updateNeighbourhoodTable();
+
         // Índice de textura actual (0 o 1)
         // Determina qué textura es lectura y cuál es escritura
         // Lectura: textures[currentTexture]
@@ -373,12 +428,13 @@ class GameOfLife {
         // Estadísticas del juego
         this.generation = 0;      // Contador de generaciones
         this.aliveCells = 0;      // Número de células vivas actualmente
+        this.dyingCells = 0;      // Células en decadencia (reglas Generations)
 
         // Sistema de detección de finalización
         this.hasEnded = false;               // Flag: ¿ha terminado el juego?
         this.endReason = '';                 // Mensaje descriptivo del fin
-        this.stateHistory = [];              // Historial de hashes de estados
-        this.maxHistorySize = 10;            // Máximo de estados a recordar
+        this.endConfirmed = false;           // ¿Fin comprobado bit a bit?
+        this.endDetector = new EndDetector(); // Huellas y confirmación (enddetection.js)
     }
 
     /**
@@ -388,9 +444,10 @@ class GameOfLife {
      * Crea una textura WebGL para almacenar el estado de las células.
      *
      * DETALLES TÉCNICOS:
-     * - Formato RGBA: aunque solo usamos R, RGBA es más compatible
+     * - Formato RGBA: R y G guardan el estado; B y A, la historia de la
+     *   célula para los modos de dibujo (frescura y calor, ver shaders.js)
      * - NEAREST filtering: sin interpolación (queremos píxeles exactos)
-     * - REPEAT wrapping: implementa bordes toroidales automáticamente
+     * - CLAMP_TO_EDGE wrapping: válido para cualquier ancho × alto
      * - UNSIGNED_BYTE: cada componente es 0-255 (0=muerta, 255=viva)
      *
      * @returns {WebGLTexture} Textura creada y configurada
@@ -411,9 +468,11 @@ class GameOfLife {
         // Configurar parámetros de la textura
 
         // TEXTURE_WRAP_S y TEXTURE_WRAP_T: qué hacer en los bordes
-        // gl.REPEAT hace que las coordenadas "envuelvan" (bordes toroidales)
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        // gl.CLAMP_TO_EDGE: los bordes (toro, Klein...) los resuelve getCell()
+        // en el compute shader, y WebGL 1 solo admite REPEAT en texturas de
+        // lado potencia de 2 (la cuadrícula puede tener cualquier tamaño)
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
         // TEXTURE_MIN_FILTER y TEXTURE_MAG_FILTER: cómo interpolar
         // gl.NEAREST = sin interpolación, queremos píxeles exactos
@@ -438,6 +497,58 @@ class GameOfLife {
         return texture;
     }
 
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: createNeighbourhoodTableTexture
+     * ------------------------------------------------------------------------
+     * Crea la textura de consulta de las reglas de Hensel: 256×1 píxeles, uno
+     * por cada máscara de 8 vecinos.
+     *
+     * DETALLES TÉCNICOS:
+     * - NEAREST filtering: cada lectura devuelve exactamente una entrada
+     * - CLAMP_TO_EDGE: la tabla no envuelve (el índice siempre es 0..255)
+     *
+     * @returns {WebGLTexture} Textura creada (vacía hasta updateNeighbourhoodTable)
+     */
+    createNeighbourhoodTableTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        return texture;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: updateNeighbourhoodTable
+     * ------------------------------------------------------------------------
+     * Sube a la GPU la tabla de 256 entradas de la regla activa si es una
+     * regla de Hensel (ruleToNeighbourhoodTable en rules.js). Con otras
+     * reglas el compute shader no lee la tabla y no hace falta subirla.
+     *
+     * COMPLEJIDAD: O(256)
+     */
+    updateNeighbourhoodTable() {
+        if (!this.rule.isotropic) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.neighbourhoodTable);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            256,
+            1,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            ruleToNeighbourhoodTable(this.rule)
+        );
+    }
+
     /**
      * ------------------------------------------------------------------------
      * MÉTODO: createFramebuffer
@@ -514,11 +625,12 @@ class GameOfLife {
             const alive = Math.random() < 0.3 ? 255 : 0;
 
             // Escribir en los 4 componentes (R, G, B, A)
-            // Solo usamos R para el estado, pero WebGL prefiere RGBA completo
+            // R y G son el estado; B y A la historia de la célula (ver
+            // CODIFICACIÓN en shaders.js): recién nacida y sin calor
             data[i * 4 + 0] = alive;  // Red
             data[i * 4 + 1] = alive;  // Green
-            data[i * 4 + 2] = alive;  // Blue
-            data[i * 4 + 3] = 255;    // Alpha (siempre opaco)
+            data[i * 4 + 2] = alive;  // Blue (frescura)
+            data[i * 4 + 3] = 0;      // Alpha (calor)
         }
 
         // Subir datos a la textura actual
@@ -615,8 +727,8 @@ class GameOfLife {
         // Modificar el píxel
         data[index + 0] = value;  // Red
         data[index + 1] = value;  // Green
-        data[index + 2] = value;  // Blue
-        data[index + 3] = 255;    // Alpha (siempre opaco)
+        data[index + 2] = value;  // Blue (frescura: recién nacida o sin estela)
+        data[index + 3] = 0;      // Alpha (el calor de la célula empieza de cero)
 
         // Subir la textura modificada
         gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
@@ -692,82 +804,146 @@ class GameOfLife {
      * ------------------------------------------------------------------------
      * Cuenta cuántas células están vivas en el estado actual.
      *
-     * ALGORITMO:
-     * 1. Leer toda la textura a memoria
-     * 2. Iterar por cada píxel
-     * 3. Si el componente rojo > 128, incrementar contador
+     * ALGORITMO (reducción en la GPU, ver reduction.js):
+     * 1. La primera pasada da a cada célula el valor 1 si está viva (R > 128)
+     *    o, en otro trabajo, si está muriendo (G ≥ 2, reglas Generations)
+     * 2. Las pasadas siguientes suman bloques de 2×2 hasta un solo texel
+     * 3. Se leen 8 bytes (un texel por trabajo) en lugar de la textura
      *
      * UMBRAL 128:
      * Usamos >128 en lugar de ==255 por seguridad ante imprecisiones numéricas.
      * Si por algún motivo el valor fuera 254, seguiría contando como viva.
      *
-     * @returns {number} Cantidad de células vivas
+     * @returns {number} Cantidad de células vivas (estado 1); las células
+     *                   muriendo quedan en this.dyingCells
      *
-     * COMPLEJIDAD: O(n) donde n = width × height
+     * COMPLEJIDAD: O(n) en la GPU (log2(lado) pasadas), O(1) en la CPU
      */
     countAliveCells() {
-        const gl = this.gl;
-
-        // Leer la textura actual
-        const data = new Uint8Array(this.width * this.height * 4);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
-        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
-
-        // Contar píxeles vivos
-        let count = 0;
-        for (let i = 0; i < data.length; i += 4) {
-            // Saltar de 4 en 4 (solo mirar componente R de cada píxel)
-            if (data[i] > 128) count++;
-        }
-
-        // Actualizar variable de instancia y retornar
-        this.aliveCells = count;
-        return count;
+        const [alive, dying] = this.reduction.run([
+            this.getReductionJob(REDUCTION_ALIVE),
+            this.getReductionJob(REDUCTION_DYING)
+        ]);
+
+        // Actualizar variables de instancia y retornar
+        this.aliveCells = alive;
+        this.dyingCells = dying;
+        return alive;
     }
 
     /**
      * ------------------------------------------------------------------------
-     * MÉTODO: getStateHash
+     * MÉTODO: countChanges
      * ------------------------------------------------------------------------
-     * Calcula un hash simple del estado actual para detectar repeticiones.
+     * Cuenta los nacimientos y las muertes del último paso comparando el
+     * estado actual con la otra textura del ping-pong, que después de swap()
+     * guarda la generación anterior. Solo tiene sentido justo después de un
+     * paso: dibujar o cargar un patrón no pasa por la otra textura.
      *
-     * ALGORITMO DE HASH:
-     * - Hash polinomial con base 31 (número primo)
-     * - Fórmula: hash = (hash * 31 + posición) mod 2^32
-     * - Solo considera células vivas (eficiente para estados dispersos)
+     * En reglas Generations una célula muere al dejar de estar viva (cuando
+     * empieza a decaer), no al terminar la decadencia.
      *
-     * ¿POR QUÉ 31?
-     * - Es primo (reduce colisiones)
-     * - Multiplicación por 31 es rápida: 31*x = (x << 5) - x
-     * - Usado en hashCode() de Java
+     * @returns {{births: number, deaths: number}} Células que pasaron de no
+     *          vivas a vivas y de vivas a no vivas
+     *
+     * COMPLEJIDAD: O(n) en la GPU (log2(lado) pasadas), O(1) en la CPU
+     */
+    countChanges() {
+        const [births, deaths] = this.reduction.run([
+            this.getReductionJob(REDUCTION_BIRTHS),
+            this.getReductionJob(REDUCTION_DEATHS)
+        ]);
+        return { births, deaths };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: getStateFingerprint
+     * ------------------------------------------------------------------------
+     * Calcula una huella de 64 bits del patrón actual, invariante por
+     * traslación, y su caja envolvente para detectar repeticiones en el
+     * mismo sitio o desplazadas (naves espaciales).
+     *
+     * ALGORITMO DE HASH (reducción en la GPU, ver reduction.js):
+     * - Cada célula no muerta aporta código × a^x × b^y, con código 1
+     *   (viva) o su estado de decadencia (muriendo) y a, b las bases de
+     *   reductionWeight
+     * - La GPU suma los aportes módulo el primo 2^32 - 5 con dos pares de
+     *   bases (las dos mitades de la huella) y calcula las esquinas de la
+     *   caja envolvente con el mínimo y el máximo: cuatro trabajos, se leen
+     *   16 bytes
+     * - normaliseFingerprint lleva la esquina de la caja a (0, 0): el mismo
+     *   patrón en otra posición da la misma huella
+     * - Las células muriendo aportan su estado, así dos estados que solo
+     *   difieren en la decadencia tienen huellas distintas
      *
      * LIMITACIONES:
      * - No es criptográfico (pueden haber colisiones)
-     * - Suficiente para detectar bucles en el Juego de la Vida
-     * - Colisión = falso positivo de bucle (poco probable, poco problema)
+     * - Dos estados distintos coinciden con probabilidad del orden de 2^-64
+     *   (con un módulo primo no hay patrones que coincidan siempre)
+     * - Por eso checkEnd confirma cada repetición comparando las células de
+     *   la caja envolvente (readRegion); si la caja es demasiado grande para
+     *   copiarla, el fin queda como probable
      *
-     * @returns {number} Hash del estado (entero de 32 bits sin signo)
+     * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+     *          Huella (16 dígitos hexadecimales) y caja envolvente
      *
-     * COMPLEJIDAD: O(n) donde n = número de células (ancho × alto)
+     * COMPLEJIDAD: O(n) en la GPU (log2(lado) pasadas), O(1) en la CPU
      */
-    getStateHash() {
-        const gl = this.gl;
+    getStateFingerprint() {
+        const [low, high, min, max] = this.reduction.run([
+            this.getReductionJob(REDUCTION_HASH),
+            this.getReductionJob(REDUCTION_HASH_HIGH),
+            this.getReductionJob(REDUCTION_MIN_CORNER),
+            this.getReductionJob(REDUCTION_MAX_CORNER)
+        ]);
+        const [minX, minY] = unpackCorner(min);
+        const [maxX, maxY] = unpackCorner(max);
+        return normaliseFingerprint(low, high, [minX, minY, maxX - 1, maxY - 1]);
+    }
 
-        // Leer estado actual
-        const data = new Uint8Array(this.width * this.height * 4);
+    /**
+     * Códigos de las células de un rectángulo (EndDetector copia así la
+     * caja envolvente para confirmar una repetición).
+     *
+     * @param {number} x - Columna de la esquina
+     * @param {number} y - Fila de la esquina
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @returns {Uint8Array} width × height bytes (cellCodes: 255 viva,
+     *          estado de decadencia muriendo, 0 muerta)
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    readRegion(x, y, width, height) {
+        const gl = this.gl;
+        const data = new Uint8Array(width * height * 4);
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
-        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
-
-        // Calcular hash polinomial
-        let hash = 0;
-        for (let i = 0; i < data.length; i += 4) {
-            if (data[i] > 128) {  // Solo células vivas
-                // Multiplicar por 31 y sumar posición
-                hash = (hash * 31 + i) >>> 0;  // >>> 0 convierte a unsigned 32-bit
-            }
-        }
+        gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return cellCodes(data);
+    }
 
-        return hash;
+    /**
+     * Trabajo de StateReduction sobre la cuadrícula completa del estado actual.
+     *
+     * @param {number} lane - Valor de cada célula (REDUCTION_ALIVE,
+     *                        REDUCTION_HASH, REDUCTION_MIN_CORNER...)
+     * @returns {Object} Trabajo para StateReduction.run (previous es la
+     *          generación anterior, para REDUCTION_BIRTHS y REDUCTION_DEATHS)
+     */
+    getReductionJob(lane) {
+        return {
+            texture: this.getReadTexture(),
+            previous: lane >= REDUCTION_BIRTHS ? this.textures[1 - this.currentTexture] : null,
+            textureWidth: this.width,
+            textureHeight: this.height,
+            x: 0,
+            y: 0,
+            width: this.width,
+            height: this.height,
+            lane
+        };
     }
 
     /**
@@ -776,75 +952,73 @@ class GameOfLife {
      * ------------------------------------------------------------------------
      * Detecta si el juego ha llegado a un estado final.
      *
-     * TRES TIPOS DE FINALIZACIÓN:
+     * CUATRO TIPOS DE FINALIZACIÓN:
      *
      * 1. EXTINCIÓN: Todas las células han muerto (aliveCells = 0)
      *    - Más común con densidades bajas
      *    - Irreversible
+     *    - En reglas Generations además no debe quedar ninguna célula
+     *      muriendo: mientras haya decadencia el estado sigue cambiando
      *
      * 2. ESTADO ESTABLE: Patrón no cambia entre generaciones
-     *    - Hash actual = hash de generación anterior
+     *    - Huella actual = huella de generación anterior
      *    - Ejemplo: block, beehive, etc.
      *
      * 3. BUCLE PERIÓDICO: Patrón se repite cada N generaciones
-     *    - Hash actual aparece en historial (pero no en posición anterior)
+     *    - Huella actual aparece en historial (pero no en posición anterior)
      *    - Ejemplo: blinker (período 2), pulsar (período 3)
-     *    - Detectamos períodos de hasta 10 generaciones
+     *    - Se detectan periodos de cualquier longitud (algoritmo de Brent)
+     *      y el mensaje indica la generación en la que empieza el ciclo
+     *
+     * 4. NAVE ESPACIAL: Patrón se repite desplazado
+     *    - Las huellas son invariantes por traslación: la misma huella con
+     *      otra caja envolvente es una nave
+     *    - Ejemplo: glider (periodo 4, desplazamiento (1,1), velocidad c/4)
+     *
+     * CONFIRMACIÓN (EndDetector, enddetection.js):
+     * Una huella repetida a distancia d no basta: se copian las células de
+     * la caja envolvente y el fin solo se declara si d generaciones después
+     * la caja tiene exactamente las mismas (endConfirmed = true). Una
+     * colisión de huellas no detiene la simulación.
+     *
+     * COMPROBACIÓN MUESTREADA (modo turbo de simulation.js):
+     * checkEnd puede no llamarse en todas las generaciones, así que el
+     * historial guarda la generación de cada huella. Si entre la
+     * coincidencia y el estado actual se saltaron generaciones, solo se sabe
+     * que el periodo divide a la distancia (un estado estable también se
+     * repite).
      *
      * ALGORITMO DE DETECCIÓN:
      * 1. Contar células vivas → si 0, es extinción
-     * 2. Calcular hash del estado actual
-     * 3. Buscar hash en historial:
-     *    - Si está en última posición → estado estable
-     *    - Si está en otra posición → bucle con período (histLen - pos)
-     * 4. Agregar hash actual al historial
-     * 5. Mantener historial limitado a maxHistorySize
+     * 2. EndDetector.check: confirmar la repetición pendiente, buscar la
+     *    huella actual en el historial y agregarla
      *
      * @returns {boolean} true si ha terminado, false si continúa
      *
-     * COMPLEJIDAD: O(n + h) donde n=células, h=tamaño del historial
+     * COMPLEJIDAD: O(n) en la GPU, O(h) en la CPU, h=tamaño del historial
+     *              (O(n) en la CPU al confirmar una repetición)
      */
     checkEnd() {
         // Si ya terminó antes, no volver a verificar
         if (this.hasEnded) return true;
 
-        // CASO 1: Detectar extinción
+        // CASO 1: Detectar extinción (ni vivas ni muriendo)
         const alive = this.countAliveCells();
-        if (alive === 0) {
+        if (alive === 0 && this.dyingCells === 0) {
             this.hasEnded = true;
             this.endReason = 'EXTINCIÓN - Todas las células han muerto';
+            this.endConfirmed = true;
             return true;
         }
 
-        // CASOS 2 y 3: Detectar estado estable o bucle
-        const currentHash = this.getStateHash();
-
-        // Buscar hash actual en el historial
-        for (let i = 0; i < this.stateHistory.length; i++) {
-            if (this.stateHistory[i] === currentHash) {
-                this.hasEnded = true;
-
-                // Determinar si es estado estable o bucle
-                if (i === this.stateHistory.length - 1) {
-                    // Hash coincide con la generación inmediatamente anterior
-                    this.endReason = 'ESTADO ESTABLE - El patrón no cambia';
-                } else {
-                    // Hash coincide con una generación anterior (no la inmediata)
-                    // Período = distancia desde la coincidencia hasta ahora
-                    const period = this.stateHistory.length - i;
-                    this.endReason = `BUCLE PERIÓDICO - Periodo de ${period} generaciones`;
-                }
-                return true;
-            }
-        }
-
-        // No se detectó fin, agregar hash al historial
-        this.stateHistory.push(currentHash);
-
-        // Mantener historial limitado (ventana deslizante)
-        // Solo recordamos los últimos maxHistorySize estados
-        if (this.stateHistory.length > this.maxHistorySize) {
-            this.stateHistory.shift();  // Eliminar el más antiguo
+        // CASOS 2, 3 y 4: Detectar estado estable, bucle o nave espacial
+        // (el estado ya avanzó: su generación es la siguiente al contador)
+        const end = this.endDetector.check(this, this.generation + 1);
+        if (end) {
+            this.hasEnded = true;
+            this.endReason = end.reason;
+            this.endConfirmed = end.confirmed;
+            return true;
         }
 
         return false;
@@ -858,7 +1032,7 @@ class GameOfLife {
      *
      * NOTA:
      * Este método solo incrementa el contador. El cálculo del estado
-     * siguiente se hace en main.js usando el compute shader.
+     * siguiente se hace en simulation.js usando el compute shader.
      *
      * COMPLEJIDAD: O(1)
      */
@@ -883,39 +1057,236 @@ class GameOfLife {
     reset() {
         this.generation = 0;
         this.aliveCells = 0;
+        this.dyingCells = 0;
         this.hasEnded = false;
         this.endReason = '';
-        this.stateHistory = [];
+        this.endConfirmed = false;
         this.countAliveCells();  // Actualizar contador inicial
+        this.endDetector.restart(this, this.generation);  // Huella del estado inicial
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: setRule
+     * ------------------------------------------------------------------------
+     * Cambia la regla del autómata sin modificar las células actuales.
+     *
+     * DETECCIÓN DE FINALIZACIÓN:
+     * El historial de estados se descarta: un estado estable o un bucle bajo
+     * la regla anterior no tiene por qué serlo bajo la nueva.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     *
+     * COMPLEJIDAD: O(1) (O(256) con reglas de Hensel, por la tabla)
+     */
+    setRule(rule) {
+        this.rule = rule;
+        this.updateNeighbourhoodTable();
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: resize
+     * ------------------------------------------------------------------------
+     * Cambia las dimensiones de la cuadrícula conservando el patrón actual.
+     *
+     * PROCESO:
+     * 1. Leer el estado actual (readPixels)
+     * 2. Copiarlo centrado en un array del nuevo tamaño: si crece se rellena
+     *    con células muertas, si encoge se recorta por los bordes
+     * 3. Liberar texturas y framebuffers y crearlos de nuevo
+     * 4. Subir el estado a la textura actual
+     *
+     * REJILLA HEXAGONAL:
+     * El desplazamiento vertical se redondea a un número par para que cada
+     * fila conserve su paridad (las filas impares están desplazadas) y el
+     * patrón no se deforme.
+     *
+     * DETECCIÓN DE FINALIZACIÓN:
+     * La generación se conserva, pero el historial se descarta: el patrón
+     * recortado o con más espacio puede evolucionar de otra forma.
+     *
+     * @param {number} width - Nuevo ancho en células
+     * @param {number} height - Nuevo alto en células
+     *
+     * COMPLEJIDAD: O(n + m) donde n, m = células antes y después
+     */
+    resize(width, height) {
+        const gl = this.gl;
+
+        // PASO 1: Leer el estado actual
+        const oldData = new Uint8Array(this.width * this.height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, oldData);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // PASO 2: Copiar centrado (desplazamiento negativo = recorte)
+        const data = new Uint8Array(width * height * 4);
+        const offsetX = Math.floor((width - this.width) / 2);
+        let offsetY = Math.floor((height - this.height) / 2);
+        if (this.rule.neighbourhood === 'hexagonal') {
+            offsetY -= offsetY & 1;
+        }
+
+        // Columnas que caben en la nueva cuadrícula (iguales en todas las filas)
+        const fromX = Math.max(0, -offsetX);
+        const toX = Math.min(this.width, width - offsetX);
+        for (let y = 0; y < this.height; y++) {
+            const newY = y + offsetY;
+            if (newY < 0 || newY >= height || fromX >= toX) continue;
+            const row = oldData.subarray((y * this.width + fromX) * 4, (y * this.width + toX) * 4);
+            data.set(row, (newY * width + fromX + offsetX) * 4);
+        }
+
+        // PASO 3: Recrear texturas y framebuffers con el nuevo tamaño
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        this.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+
+        this.width = width;
+        this.height = height;
+        this.textures = [this.createTexture(), this.createTexture()];
+        this.framebuffers = [
+            this.createFramebuffer(this.textures[0]),
+            this.createFramebuffer(this.textures[1])
+        ];
+        this.currentTexture = 0;
+
+        // PASO 4: Subir el patrón
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            this.width,
+            this.height,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            data
+        );
+
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+        this.countAliveCells();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODOS: readState / loadState
+     * ------------------------------------------------------------------------
+     * Copian el estado completo desde y hacia un array RGBA de
+     * width × height × 4 bytes (el formato de la textura). Sirven para
+     * pasar el patrón a otro motor (HashLife) y traerlo de vuelta.
+     *
+     * COMPLEJIDAD: O(n) donde n = width × height
+     */
+    readState() {
+        const gl = this.gl;
+        const data = new Uint8Array(this.width * this.height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return data;
+    }
+
+    /**
+     * @param {Uint8Array} data - width × height × 4 bytes
+     */
+    loadState(data) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            this.width,
+            this.height,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            data
+        );
+        this.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODOS: saveSnapshot / restoreSnapshot
+     * ------------------------------------------------------------------------
+     * Copia del estado y de su generación, para volver a ella más tarde (el
+     * historial de history.js salta así a una generación pasada). Restaurar
+     * reinicia las estadísticas y la detección de fin, pero conserva la
+     * generación de la copia.
+     *
+     * @returns {{generation: number, bytes: number, data: Uint8Array}}
+     *          bytes es la memoria que ocupa la copia
+     *
+     * COMPLEJIDAD: O(n) donde n = width × height
+     */
+    saveSnapshot() {
+        const data = this.readState();
+        return { generation: this.generation, bytes: data.byteLength, data };
+    }
+
+    /**
+     * @param {Object} snapshot - Copia devuelta por saveSnapshot (con el
+     *                            mismo tamaño de cuadrícula)
+     */
+    restoreSnapshot(snapshot) {
+        this.loadState(snapshot.data);
+        this.generation = snapshot.generation;
+        this.endDetector.restart(this, this.generation, false);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: dispose
+     * ------------------------------------------------------------------------
+     * Libera texturas y framebuffers (al cambiar de motor).
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    dispose() {
+        const gl = this.gl;
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        this.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+        gl.deleteTexture(this.neighbourhoodTable);
+        this.reduction.dispose();
     }
 
     /**
      * ------------------------------------------------------------------------
      * MÉTODO: loadPattern
      * ------------------------------------------------------------------------
-     * Carga un patrón predefinido en el centro de la cuadrícula.
+     * Carga un patrón en el centro de la cuadrícula.
      *
      * PROCESO:
-     * 1. Obtener patrón de la tabla PATTERNS
+     * 1. Centrar el patrón (placePattern)
      * 2. Limpiar la cuadrícula (array de ceros)
-     * 3. Calcular dimensiones del patrón
-     * 4. Calcular offset para centrarlo
-     * 5. Dibujar patrón en el array
-     * 6. Subir array a la textura
-     * 7. Resetear estadísticas
+     * 3. Dibujar patrón en el array (las células muriendo llevan su estado
+     *    de decadencia en el canal verde)
+     * 4. Subir array a la textura
+     * 5. Resetear estadísticas
      *
      * CENTRADO:
      * - Se calcula el bounding box del patrón (minX, maxX, minY, maxY)
      * - Se centra el centro del bounding box en el centro de la cuadrícula
      *
-     * @param {string} patternName - Nombre del patrón (clave en PATTERNS)
+     * @param {string|Array[]} pattern - Nombre del patrón (clave en
+     *        PATTERNS) o lista de células (ver placePattern)
      *
      * COMPLEJIDAD: O(n + p) donde n=células, p=tamaño del patrón
      */
-    loadPattern(patternName) {
-        const pattern = PATTERNS[patternName];
-        if (!pattern) {
-            console.error(`Patron ${patternName} no encontrado`);
+    loadPattern(pattern) {
+        const cells = placePattern(pattern, this.width, this.height);
+        if (!cells) {
+            console.error(`Patron ${pattern} no encontrado`);
             return;
         }
 
@@ -924,37 +1295,16 @@ class GameOfLife {
         // Limpiar la cuadrícula
         const data = new Uint8Array(this.width * this.height * 4);
 
-        // Calcular centro de la cuadrícula
-        const centerX = Math.floor(this.width / 2);
-        const centerY = Math.floor(this.height / 2);
-
-        // Calcular bounding box del patrón
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
-        for (const [x, y] of pattern) {
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
-        }
-
-        // Dimensiones del patrón
-        const patternWidth = maxX - minX;
-        const patternHeight = maxY - minY;
-
         // Dibujar el patrón centrado
-        for (const [px, py] of pattern) {
-            // Calcular posición final centrada
-            const x = centerX + px - Math.floor(patternWidth / 2);
-            const y = centerY + py - Math.floor(patternHeight / 2);
-
+        for (const [x, y, state] of cells) {
             // Verificar que está dentro de los límites
             if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
                 const index = (y * this.width + x) * 4;
-                data[index + 0] = 255;  // Red
-                data[index + 1] = 255;  // Green
-                data[index + 2] = 255;  // Blue
-                data[index + 3] = 255;  // Alpha
+                const alive = state === 1;
+                data[index + 0] = alive ? 255 : 0;      // Red
+                data[index + 1] = alive ? 255 : state;  // Green (estado si muere)
+                data[index + 2] = alive ? 255 : 0;      // Blue (frescura: recién nacida)
+                data[index + 3] = 0;                    // Alpha (calor)
             }
         }
 
@@ -984,4 +1334,7 @@ class GameOfLife {
  */
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GameOfLife;
+    // Los patrones también se usan fuera del navegador (bitlife.js)
+    module.exports.PATTERNS = PATTERNS;
+    module.exports.placePattern = placePattern;
 }
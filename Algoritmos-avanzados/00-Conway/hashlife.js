@@ -0,0 +1,1200 @@
+/**
+ * ============================================================================
+ * MOTOR HASHLIFE: UNIVERSO ILIMITADO
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Segundo motor de simulación, alternativo a GameOfLife (game.js). La
+ * cuadrícula de la GPU está limitada al tamaño de textura y envuelve los
+ * bordes; HashLife simula un plano infinito, así que cañones, criaderos y
+ * matusalenes pueden llegar a la generación 10⁶ y más allá.
+ *
+ * IDEA (Bill Gosper, 1984):
+ * 1. El universo es un quadtree: un nodo de nivel k es un cuadrado de
+ *    2^k × 2^k células formado por cuatro nodos de nivel k-1 (NO, NE, SO, SE)
+ * 2. Los nodos son canónicos: dos cuadrados con las mismas células son el
+ *    mismo objeto (tabla hash indexada por los cuatro hijos). Los patrones
+ *    repetitivos ocupan muy poca memoria
+ * 3. El sucesor de un nodo de nivel k es su centro (nivel k-1) avanzado
+ *    2^j generaciones (j ≤ k-2). Se memoriza en el propio nodo: cada
+ *    cuadrado distinto se calcula una sola vez
+ *
+ * COORDENADAS:
+ * - Las mismas que la textura de GameOfLife: X hacia la derecha, Y hacia
+ *   arriba en pantalla (fila de la textura)
+ * - La raíz está siempre centrada en el origen: un nodo de nivel L cubre
+ *   [-2^(L-1), 2^(L-1)) en ambos ejes. Así un mismo patrón en la misma
+ *   posición es siempre el mismo nodo
+ * - La vista (viewX, viewY, width, height) es la ventana que se dibuja
+ * - Los cuadrantes se nombran con Y creciendo hacia el "sur" (NO = X e Y
+ *   menores); las reglas admitidas son simétricas, así que la orientación
+ *   no afecta a la evolución
+ *
+ * REGLAS ADMITIDAS:
+ * Cualquier regla de dos estados cuyo vecindario quepa en 3×3 (B/S de Moore
+ * o von Neumann, Hensel, Larger than Life de radio 1), sin B0 (en un plano
+ * infinito B0 encendería todo el universo) y sin topología (el universo no
+ * tiene bordes).
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Nodos en la tabla hash antes de vaciar las cachés de sucesores
+// (cada nodo ocupa del orden de 200 bytes: ~200 MB)
+const HASHLIFE_MAX_NODES = 1 << 20;
+
+// Exponente máximo del salto: 2^40 generaciones por paso
+// (los contadores siguen siendo enteros exactos en un Number)
+const HASHLIFE_MAX_STEP_EXPONENT = 40;
+
+// Nivel mínimo de la raíz (8×8 células)
+const HASHLIFE_MIN_LEVEL = 3;
+
+// Memoria estimada de cada nodo de una copia de saveSnapshot (sin
+// identificador ni sucesores)
+const HASHLIFE_SNAPSHOT_NODE_BYTES = 100;
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: HashLife
+ * ============================================================================
+ *
+ * Misma interfaz que GameOfLife: generation, aliveCells, hasEnded,
+ * endReason, nextGeneration, countAliveCells, checkEnd, loadPattern,
+ * randomize, clear, drawCell, reset, setRule, resize y getReadTexture.
+ *
+ * DIFERENCIAS:
+ * - step() avanza el universo 2^stepExponent generaciones (con GameOfLife
+ *   lo hace computeNextState en simulation.js); nextGeneration() suma ese salto
+ *   al contador
+ * - getReadTexture() dibuja la vista en una textura con el mismo formato
+ *   que GameOfLife, así el display shader no distingue los dos motores
+ * - loadTree() carga un quadtree leído de un archivo Macrocell
+ * ============================================================================
+ */
+class HashLife {
+    /**
+     * Constructor de la clase HashLife
+     *
+     * @param {WebGLRenderingContext|null} gl - Contexto WebGL (solo para
+     *        getReadTexture; el resto del motor funciona sin él)
+     * @param {number} width - Ancho de la vista en células
+     * @param {number} height - Alto de la vista en células
+     * @param {Object} [rule] - Regla devuelta por parseRule (por defecto B3/S23)
+     * @throws {Error} Si HashLife no admite la regla (ver checkRule)
+     */
+    constructor(gl, width, height, rule = parseRule(DEFAULT_RULE)) {
+        HashLife.checkRule(rule);
+
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+        this.rule = rule;
+        this.neighbourOffsets = getNeighbourhoodOffsets(rule);
+
+        // Vista: esquina inferior izquierda en coordenadas del universo,
+        // centrada inicialmente en el origen
+        this.viewX = -Math.floor(width / 2);
+        this.viewY = -Math.floor(height / 2);
+
+        // Textura de la vista (se crea y se rellena en getReadTexture)
+        this.texture = null;
+        this.viewDirty = true;
+
+        // Salto por paso: 2^stepExponent generaciones
+        this.stepExponent = 0;
+        this.lastStepSize = 1;
+
+        // Tabla de nodos canónicos y raíz vacía
+        this.clearCaches();
+        this.root = this.emptyNode(HASHLIFE_MIN_LEVEL);
+
+        // Raíz antes del último paso (countChanges)
+        this.previousRoot = null;
+
+        // Estadísticas (igual que GameOfLife)
+        this.generation = 0;
+        this.aliveCells = 0;
+        this.dyingCells = 0;
+
+        // Detección de finalización
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+
+        // Detección de repeticiones y naves (enddetection.js)
+        this.endDetector = new EndDetector();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO ESTÁTICO: checkRule
+     * ------------------------------------------------------------------------
+     * Comprueba que HashLife puede simular una regla.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si la regla no es de dos estados con vecindario 3×3,
+     *                 tiene B0 o indica una topología
+     */
+    static checkRule(rule) {
+        if (rule.states > 2) {
+            throw new Error('HashLife solo admite reglas de dos estados (sin Generations)');
+        }
+        if (rule.radius !== 1 || rule.neighbourhood === 'hexagonal') {
+            throw new Error('HashLife solo admite vecindarios de Moore o von Neumann de radio 1');
+        }
+        if (nextCellState(rule, 0, 0, 0) === 1) {
+            throw new Error('HashLife no admite reglas con B0');
+        }
+        if (rule.topology.suffix !== '') {
+            throw new Error('HashLife simula un universo ilimitado: no admite topologías');
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * QUADTREE CANÓNICO
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Vacía la tabla de nodos y crea las dos hojas (célula muerta y viva).
+     * Los nodos anteriores (y sus sucesores memorizados) dejan de usarse.
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    clearCaches() {
+        this.nodes = new Map();
+        this.emptyNodes = [];
+        this.nextId = 2;
+        this.deadLeaf = { id: 0, level: 0, population: 0 };
+        this.aliveLeaf = { id: 1, level: 0, population: 1 };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: join
+     * ------------------------------------------------------------------------
+     * Devuelve el nodo canónico formado por cuatro hijos del mismo nivel.
+     *
+     * TABLA HASH:
+     * La clave son los identificadores de los hijos, que ya son canónicos:
+     * dos nodos con las mismas células tienen el mismo identificador.
+     *
+     * @param {Object} nw - Cuadrante noroeste (X e Y menores)
+     * @param {Object} ne - Cuadrante noreste (X mayor, Y menor)
+     * @param {Object} sw - Cuadrante suroeste (X menor, Y mayor)
+     * @param {Object} se - Cuadrante sureste (X e Y mayores)
+     * @returns {Object} Nodo {id, level, nw, ne, sw, se, population, next}
+     *
+     * COMPLEJIDAD: O(1) amortizado
+     */
+    join(nw, ne, sw, se) {
+        const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+        let node = this.nodes.get(key);
+        if (!node) {
+            node = {
+                id: this.nextId++,
+                level: nw.level + 1,
+                nw, ne, sw, se,
+                population: nw.population + ne.population + sw.population + se.population,
+                next: []   // next[j] = sucesor memorizado tras 2^j generaciones
+            };
+            this.nodes.set(key, node);
+        }
+        return node;
+    }
+
+    /**
+     * Nodo vacío de un nivel (memorizado por nivel).
+     *
+     * @param {number} level - Nivel del nodo (lado 2^level)
+     * @returns {Object} Nodo sin células vivas
+     */
+    emptyNode(level) {
+        if (level === 0) return this.deadLeaf;
+        if (!this.emptyNodes[level]) {
+            const child = this.emptyNode(level - 1);
+            this.emptyNodes[level] = this.join(child, child, child, child);
+        }
+        return this.emptyNodes[level];
+    }
+
+    /**
+     * Centro de un nodo: el nodo de nivel k-1 formado por los cuatro nietos
+     * que rodean el punto medio.
+     *
+     * @param {Object} node - Nodo de nivel ≥ 2
+     * @returns {Object} Nodo de nivel k-1
+     */
+    centre(node) {
+        return this.join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+    }
+
+    /**
+     * Rodea un nodo de células muertas: devuelve un nodo de nivel k+1 con
+     * el original en el centro. La raíz sigue centrada en el origen.
+     *
+     * @param {Object} node - Nodo de nivel ≥ 1
+     * @returns {Object} Nodo de nivel k+1
+     */
+    expand(node) {
+        const e = this.emptyNode(node.level - 1);
+        return this.join(
+            this.join(e, e, e, node.nw),
+            this.join(e, e, node.ne, e),
+            this.join(e, node.sw, e, e),
+            this.join(node.se, e, e, e)
+        );
+    }
+
+    /**
+     * Quita bordes vacíos: mientras todas las células vivas estén en el
+     * centro, la raíz pasa a ser el centro. El resultado es el menor nodo
+     * centrado en el origen que contiene el patrón, así que un mismo patrón
+     * siempre queda con la misma raíz.
+     *
+     * @param {Object} node - Raíz
+     * @returns {Object} Raíz recortada (nivel ≥ HASHLIFE_MIN_LEVEL)
+     */
+    crop(node) {
+        while (node.level > HASHLIFE_MIN_LEVEL) {
+            const centre = this.centre(node);
+            if (centre.population !== node.population) break;
+            node = centre;
+        }
+        return node;
+    }
+
+    /**
+     * ¿Están todas las células vivas en el cuarto central del nodo?
+     * (el cuadrado de lado 2^(k-2) alrededor del punto medio)
+     *
+     * @param {Object} node - Nodo de nivel ≥ 3
+     * @returns {boolean}
+     */
+    isPadded(node) {
+        return node.population ===
+            node.nw.se.se.population + node.ne.sw.sw.population +
+            node.sw.ne.ne.population + node.se.nw.nw.population;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: successor
+     * ------------------------------------------------------------------------
+     * Centro de un nodo avanzado 2^j generaciones.
+     *
+     * ALGORITMO (nodo de nivel k, j ≤ k-2):
+     * 1. Nivel 2 (4×4): se aplica la regla a las 4 células centrales
+     * 2. Se forman los 9 subnodos de nivel k-1 que se solapan
+     *    (esquinas, centros de los lados y centro)
+     * 3. Cada uno se avanza con successor → 9 nodos de nivel k-2
+     * 4. Si j = k-2 (salto máximo): cada uno avanzó 2^(k-3); se agrupan en
+     *    4 nodos de nivel k-1 y se avanzan otras 2^(k-3) generaciones
+     *    Si j < k-2: ya avanzaron 2^j; basta tomar el centro de cada grupo
+     *
+     * MEMORIZACIÓN:
+     * El resultado se guarda en node.next[j]. Como los nodos son canónicos,
+     * cada cuadrado distinto se calcula una sola vez para cada j.
+     *
+     * @param {Object} node - Nodo de nivel k ≥ 2
+     * @param {number} j - Exponente del salto (se limita a k-2)
+     * @returns {Object} Nodo de nivel k-1
+     *
+     * COMPLEJIDAD: O(nodos distintos alcanzados), memorizado
+     */
+    successor(node, j) {
+        j = Math.min(j, node.level - 2);
+        if (node.next[j]) return node.next[j];
+
+        let result;
+        if (node.level === 2) {
+            result = this.stepLeaf(node);
+        } else {
+            const { nw, ne, sw, se } = node;
+
+            // PASO 2 y 3: los 9 subnodos avanzados
+            const n00 = this.successor(nw, j);
+            const n01 = this.successor(this.join(nw.ne, ne.nw, nw.se, ne.sw), j);
+            const n02 = this.successor(ne, j);
+            const n10 = this.successor(this.join(nw.sw, nw.se, sw.nw, sw.ne), j);
+            const n11 = this.successor(this.centre(node), j);
+            const n12 = this.successor(this.join(ne.sw, ne.se, se.nw, se.ne), j);
+            const n20 = this.successor(sw, j);
+            const n21 = this.successor(this.join(sw.ne, se.nw, sw.se, se.sw), j);
+            const n22 = this.successor(se, j);
+
+            // PASO 4: combinar
+            const quads = [
+                this.join(n00, n01, n10, n11),
+                this.join(n01, n02, n11, n12),
+                this.join(n10, n11, n20, n21),
+                this.join(n11, n12, n21, n22)
+            ];
+            if (j === node.level - 2) {
+                result = this.join(...quads.map(quad => this.successor(quad, j)));
+            } else {
+                result = this.join(...quads.map(quad => this.centre(quad)));
+            }
+        }
+
+        node.next[j] = result;
+        return result;
+    }
+
+    /**
+     * Caso base de successor: un nodo de 4×4 células avanza una generación
+     * y devuelve las 2×2 centrales, aplicando la regla igual que el
+     * compute shader (conteo y, en reglas de Hensel, máscara de vecinos).
+     *
+     * @param {Object} node - Nodo de nivel 2
+     * @returns {Object} Nodo de nivel 1
+     */
+    stepLeaf(node) {
+        const cells = new Uint8Array(16);
+        for (let y = 0; y < 4; y++) {
+            for (let x = 0; x < 4; x++) {
+                cells[y * 4 + x] = this.getCellIn(node, x, y);
+            }
+        }
+
+        const leaves = [[1, 1], [2, 1], [1, 2], [2, 2]].map(([x, y]) => {
+            let neighbors = 0;
+            for (const [dx, dy] of this.neighbourOffsets) {
+                neighbors += cells[(y + dy) * 4 + x + dx];
+            }
+            let mask = 0;
+            if (this.rule.isotropic) {
+                NEIGHBOUR_MASK_OFFSETS.forEach(([dx, dy], bit) => {
+                    if (cells[(y + dy) * 4 + x + dx]) mask |= 1 << bit;
+                });
+            }
+            const state = nextCellState(this.rule, cells[y * 4 + x], neighbors, mask);
+            return state === 1 ? this.aliveLeaf : this.deadLeaf;
+        });
+
+        return this.join(...leaves);
+    }
+
+    /**
+     * Estado de una célula dentro de un nodo.
+     *
+     * @param {Object} node - Nodo
+     * @param {number} x - Columna relativa a la esquina del nodo
+     * @param {number} y - Fila relativa a la esquina del nodo
+     * @returns {number} 1 = viva, 0 = muerta
+     *
+     * COMPLEJIDAD: O(nivel)
+     */
+    getCellIn(node, x, y) {
+        while (node.level > 0) {
+            if (node.population === 0) return 0;
+            const half = 2 ** (node.level - 1);
+            const east = x >= half;
+            const south = y >= half;
+            node = south ? (east ? node.se : node.sw) : (east ? node.ne : node.nw);
+            if (east) x -= half;
+            if (south) y -= half;
+        }
+        return node.population;
+    }
+
+    /**
+     * Devuelve el nodo con una célula cambiada (los nodos son inmutables:
+     * se reconstruye el camino hasta la raíz).
+     *
+     * @param {Object} node - Nodo
+     * @param {number} x - Columna relativa a la esquina del nodo
+     * @param {number} y - Fila relativa a la esquina del nodo
+     * @param {boolean} alive - Nuevo estado
+     * @returns {Object} Nodo nuevo
+     *
+     * COMPLEJIDAD: O(nivel)
+     */
+    setCellIn(node, x, y, alive) {
+        if (node.level === 0) {
+            return alive ? this.aliveLeaf : this.deadLeaf;
+        }
+        const half = 2 ** (node.level - 1);
+        let { nw, ne, sw, se } = node;
+        if (y < half) {
+            if (x < half) nw = this.setCellIn(nw, x, y, alive);
+            else ne = this.setCellIn(ne, x - half, y, alive);
+        } else {
+            if (x < half) sw = this.setCellIn(sw, x, y - half, alive);
+            else se = this.setCellIn(se, x - half, y - half, alive);
+        }
+        return this.join(nw, ne, sw, se);
+    }
+
+    /**
+     * Vuelve a registrar la raíz en una tabla nueva sin sucesores
+     * memorizados. Se usa al superar HASHLIFE_MAX_NODES (recolección de
+     * basura) y al cambiar de regla (los sucesores ya no valen).
+     *
+     * NOTA: los identificadores cambian, pero las huellas de
+     * getStateFingerprint se calculan con las células, así que el historial
+     * de detección de finalización sigue valiendo. La raíz anterior al
+     * último paso también se copia (countChanges la compara con la actual).
+     *
+     * COMPLEJIDAD: O(nodos distintos de la raíz)
+     */
+    rebuildCaches() {
+        const oldRoot = this.root;
+        const oldPrevious = this.previousRoot;
+        this.clearCaches();
+
+        const copies = new Map();
+        this.root = this.internTree(oldRoot, copies);
+        this.previousRoot = oldPrevious && this.internTree(oldPrevious, copies);
+    }
+
+    /**
+     * Registra en la tabla actual un árbol de otra tabla o una copia de
+     * saveSnapshot: solo lee level, population y los cuatro hijos.
+     *
+     * @param {Object} root - Raíz del árbol
+     * @param {Map} [copies] - Nodos ya registrados (para compartirlos entre
+     *                         varios árboles)
+     * @returns {Object} Nodo canónico con las mismas células
+     *
+     * COMPLEJIDAD: O(nodos distintos del árbol)
+     */
+    internTree(root, copies = new Map()) {
+        const copy = (node) => {
+            if (node.level === 0) return node.population ? this.aliveLeaf : this.deadLeaf;
+            if (node.population === 0) return this.emptyNode(node.level);
+            let result = copies.get(node);
+            if (!result) {
+                result = this.join(copy(node.nw), copy(node.ne), copy(node.sw), copy(node.se));
+                copies.set(node, result);
+            }
+            return result;
+        };
+        return copy(root);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * SIMULACIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: step
+     * ------------------------------------------------------------------------
+     * Avanza el universo 2^stepExponent generaciones.
+     *
+     * PROCESO:
+     * 1. Ampliar la raíz hasta que su nivel k cumpla k ≥ j + 3 y todas las
+     *    células vivas estén en su cuarto central: nada puede crecer más de
+     *    2^j células por lado, así que el sucesor (el centro, de lado
+     *    2^(k-1)) contiene todo el patrón
+     * 2. La nueva raíz es el sucesor, que sigue centrado en el origen
+     * 3. Recortar bordes vacíos y, si la tabla es muy grande, vaciar cachés
+     *
+     * COMPLEJIDAD: O(nodos nuevos); patrones regulares en tiempo casi
+     * logarítmico respecto al número de generaciones
+     */
+    step() {
+        const j = this.stepExponent;
+
+        // PASO 1: Margen suficiente
+        let root = this.root;
+        while (root.level < j + 3 || !this.isPadded(root)) {
+            root = this.expand(root);
+        }
+
+        // PASO 2 y 3: Avanzar y recortar
+        this.previousRoot = this.root;
+        this.root = this.crop(this.successor(root, j));
+        this.lastStepSize = 2 ** j;
+        this.viewDirty = true;
+
+        if (this.nodes.size > HASHLIFE_MAX_NODES) {
+            this.rebuildCaches();
+        }
+    }
+
+    /**
+     * Cambia el salto de cada paso a 2^k generaciones.
+     *
+     * @param {number} k - Exponente entre 0 y HASHLIFE_MAX_STEP_EXPONENT
+     * @throws {Error} Si el exponente no es válido
+     */
+    setStepExponent(k) {
+        if (!Number.isInteger(k) || k < 0 || k > HASHLIFE_MAX_STEP_EXPONENT) {
+            throw new Error(`El salto debe ser 2^k con k entre 0 y ${HASHLIFE_MAX_STEP_EXPONENT}`);
+        }
+        this.stepExponent = k;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: nextGeneration
+     * ------------------------------------------------------------------------
+     * Incrementa el contador de generaciones en el salto del último paso.
+     *
+     * NOTA:
+     * Igual que en GameOfLife, solo actualiza el contador; el universo
+     * avanza en step().
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    nextGeneration() {
+        this.generation += this.lastStepSize;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: countAliveCells
+     * ------------------------------------------------------------------------
+     * Cuenta las células vivas de todo el universo (no solo de la vista).
+     * Cada nodo guarda su población, así que basta leer la de la raíz.
+     *
+     * @returns {number} Número de células vivas
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    countAliveCells() {
+        this.aliveCells = this.root.population;
+        this.dyingCells = 0;
+        return this.aliveCells;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: getStateFingerprint
+     * ------------------------------------------------------------------------
+     * Huella invariante por traslación y caja envolvente del universo, con
+     * el mismo algoritmo que GameOfLife.getStateFingerprint.
+     *
+     * La suma Σ a^x × b^y de la raíz sale de las de sus hijos (getNodeHash,
+     * memorizada en cada nodo canónico como getBounds), así que solo se
+     * calcula para los nodos nuevos desde la comprobación anterior. Los
+     * identificadores de nodo no sirven: el mismo patrón desplazado es otro
+     * nodo.
+     *
+     * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+     *          Huella (16 dígitos hexadecimales) y caja envolvente en
+     *          coordenadas del universo
+     *
+     * COMPLEJIDAD: O(nodos nuevos)
+     */
+    getStateFingerprint() {
+        const half = 2 ** (this.root.level - 1);
+        const [low, high] = this.getNodeHash(this.root);
+        const [minX, minY, maxX, maxY] = this.getBounds(this.root);
+        return normaliseFingerprint(
+            translateHash(low, -half, -half, 0),
+            translateHash(high, -half, -half, 1),
+            [minX - half, minY - half, maxX - half, maxY - half]
+        );
+    }
+
+    /**
+     * Las dos mitades de Σ a^x × b^y sobre las células vivas de un nodo,
+     * relativas a su esquina: las de los hijos desplazadas a su cuadrante
+     * (translateHash).
+     *
+     * @param {Object} node - Nodo
+     * @returns {number[]} [mitad baja, mitad alta]
+     *
+     * COMPLEJIDAD: O(1) si ya está memorizada
+     */
+    getNodeHash(node) {
+        if (node.level === 0) return node.population ? [1, 1] : [0, 0];
+        if (node.population === 0) return [0, 0];
+        if (node.hash) return node.hash;
+
+        const half = 2 ** (node.level - 1);
+        const result = [0, 0];
+        [[node.nw, 0, 0], [node.ne, half, 0], [node.sw, 0, half], [node.se, half, half]].forEach(([child, dx, dy]) => {
+            const hash = this.getNodeHash(child);
+            result[0] = addHash(result[0], translateHash(hash[0], dx, dy, 0));
+            result[1] = addHash(result[1], translateHash(hash[1], dx, dy, 1));
+        });
+
+        node.hash = result;
+        return result;
+    }
+
+    /**
+     * Códigos de las células de un rectángulo del universo, como
+     * GameOfLife.readRegion (EndDetector copia así la caja envolvente para
+     * confirmar una repetición).
+     *
+     * @param {number} x - Columna de la esquina
+     * @param {number} y - Fila de la esquina
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @returns {Uint8Array} width × height bytes (255 viva, 0 muerta)
+     *
+     * COMPLEJIDAD: O(nodos no vacíos dentro del rectángulo)
+     */
+    readRegion(x, y, width, height) {
+        const codes = new Uint8Array(width * height);
+        this.forEachCellIn(x, y, width, height, (cx, cy) => {
+            codes[(cy - y) * width + (cx - x)] = 255;
+        });
+        return codes;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: checkEnd
+     * ------------------------------------------------------------------------
+     * Detecta extinción, estado estable, bucles y naves, como
+     * GameOfLife.checkEnd (incluida la confirmación con la caja envolvente).
+     *
+     * SALTOS DE 2^k:
+     * El historial guarda la generación de cada estado. Con saltos mayores
+     * que 1 (o si no se comprobaron todos los pasos, en modo turbo) un
+     * estado repetido solo indica que el periodo divide a la distancia entre
+     * ambas generaciones.
+     *
+     * @returns {boolean} true si ha terminado, false si continúa
+     *
+     * COMPLEJIDAD: O(nodos nuevos + h) donde h = tamaño del historial
+     */
+    checkEnd() {
+        if (this.hasEnded) return true;
+
+        // CASO 1: Extinción
+        if (this.countAliveCells() === 0) {
+            this.hasEnded = true;
+            this.endReason = 'EXTINCIÓN - Todas las células han muerto';
+            this.endConfirmed = true;
+            return true;
+        }
+
+        // CASOS 2, 3 y 4: Estado estable, bucle o nave espacial
+        // (el estado ya avanzó: su generación es la siguiente al contador)
+        const end = this.endDetector.check(this, this.generation + this.lastStepSize);
+        if (end) {
+            this.hasEnded = true;
+            this.endReason = end.reason;
+            this.endConfirmed = end.confirmed;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: countChanges
+     * ------------------------------------------------------------------------
+     * Nacimientos y muertes del último paso (ver GameOfLife.countChanges),
+     * comparando la raíz actual con la anterior. Con saltos de 2^k
+     * generaciones son los cambios entre los extremos del salto, no la suma
+     * de los de cada generación.
+     *
+     * ALGORITMO:
+     * 1. Ampliar la raíz menor hasta el nivel de la otra (las dos están
+     *    centradas en el origen, así que sus cuadrantes coinciden)
+     * 2. Recorrer las dos a la vez: un mismo nodo no tiene cambios y, si
+     *    un lado está vacío, todas las células del otro nacieron o murieron
+     * 3. Memorizar cada par de nodos (los patrones repetitivos comparten
+     *    subárboles)
+     *
+     * @returns {{births: number, deaths: number}}
+     *
+     * COMPLEJIDAD: O(pares de nodos distintos)
+     */
+    countChanges() {
+        if (!this.previousRoot) return { births: 0, deaths: 0 };
+
+        // PASO 1: Mismo nivel
+        let current = this.root;
+        let previous = this.previousRoot;
+        while (current.level < previous.level) current = this.expand(current);
+        while (previous.level < current.level) previous = this.expand(previous);
+
+        // PASOS 2 y 3: Recorrido con memoria
+        const memo = new Map();
+        const diff = (a, b) => {
+            if (a === b) return [0, 0];
+            if (b.population === 0) return [a.population, 0];
+            if (a.population === 0) return [0, b.population];
+            const key = `${a.id},${b.id}`;
+            let result = memo.get(key);
+            if (!result) {
+                result = [0, 0];
+                for (const quadrant of ['nw', 'ne', 'sw', 'se']) {
+                    const [births, deaths] = diff(a[quadrant], b[quadrant]);
+                    result[0] += births;
+                    result[1] += deaths;
+                }
+                memo.set(key, result);
+            }
+            return result;
+        };
+
+        const [births, deaths] = diff(current, previous);
+        return { births, deaths };
+    }
+
+    /**
+     * Reinicia estadísticas y detección de finalización (como GameOfLife).
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    reset() {
+        this.previousRoot = null;
+        this.generation = 0;
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.countAliveCells();
+        this.endDetector.restart(this, this.generation);
+        this.viewDirty = true;
+    }
+
+    /**
+     * Cambia la regla sin modificar las células. Los sucesores memorizados
+     * se calcularon con la regla anterior, así que se descartan.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si HashLife no admite la regla
+     *
+     * COMPLEJIDAD: O(nodos distintos de la raíz)
+     */
+    setRule(rule) {
+        HashLife.checkRule(rule);
+        this.rule = rule;
+        this.neighbourOffsets = getNeighbourhoodOffsets(rule);
+        this.rebuildCaches();
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * CARGA Y EDICIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: loadState
+     * ------------------------------------------------------------------------
+     * Sustituye el universo por las células de un array RGBA del tamaño de
+     * la vista (mismo formato que las texturas de GameOfLife: R > 128 es
+     * una célula viva). Fuera de la vista el universo queda vacío.
+     *
+     * ALGORITMO:
+     * Se construye el quadtree de arriba abajo; los cuadrados que no tocan
+     * la vista son nodos vacíos y no se recorren.
+     *
+     * @param {Uint8Array} data - width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    loadState(data) {
+        const x0 = this.viewX, y0 = this.viewY;
+        const x1 = x0 + this.width, y1 = y0 + this.height;
+
+        // Menor raíz centrada en el origen que contiene la vista
+        let level = HASHLIFE_MIN_LEVEL;
+        while (2 ** (level - 1) < Math.max(-x0, x1, -y0, y1)) level++;
+
+        const build = (level, x, y) => {
+            const size = 2 ** level;
+            if (x >= x1 || x + size <= x0 || y >= y1 || y + size <= y0) {
+                return this.emptyNode(level);
+            }
+            if (level === 0) {
+                return data[((y - y0) * this.width + (x - x0)) * 4] > 128 ? this.aliveLeaf : this.deadLeaf;
+            }
+            const half = size / 2;
+            return this.join(
+                build(level - 1, x, y),
+                build(level - 1, x + half, y),
+                build(level - 1, x, y + half),
+                build(level - 1, x + half, y + half)
+            );
+        };
+
+        const half = 2 ** (level - 1);
+        this.root = this.crop(build(level, -half, -half));
+        this.reset();
+    }
+
+    /**
+     * Dibuja la vista en un array RGBA (formato de loadState).
+     *
+     * @returns {Uint8Array} width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(nodos no vacíos dentro de la vista)
+     */
+    readState() {
+        const data = new Uint8Array(this.width * this.height * 4);
+        this.paintView(data);
+        return data;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODOS: saveSnapshot / restoreSnapshot
+     * ------------------------------------------------------------------------
+     * Copia del universo entero (ver GameOfLife.saveSnapshot). Guardar la
+     * raíz no basta: sus nodos retienen los sucesores memorizados y, tras
+     * rebuildCaches, una tabla entera. La copia es un árbol de objetos
+     * simples {level, population, nw, ne, sw, se} que comparte los
+     * subárboles repetidos como el original; internTree la vuelve a
+     * registrar al restaurar.
+     *
+     * @returns {{generation: number, bytes: number, root: Object}}
+     *
+     * COMPLEJIDAD: O(nodos distintos no vacíos de la raíz)
+     */
+    saveSnapshot() {
+        const copies = new Map();
+        const copy = (node) => {
+            if (node.level === 0 || node.population === 0) {
+                return { level: node.level, population: node.population };
+            }
+            let result = copies.get(node);
+            if (!result) {
+                result = {
+                    level: node.level,
+                    population: node.population,
+                    nw: copy(node.nw),
+                    ne: copy(node.ne),
+                    sw: copy(node.sw),
+                    se: copy(node.se)
+                };
+                copies.set(node, result);
+            }
+            return result;
+        };
+
+        const root = copy(this.root);
+        return {
+            generation: this.generation,
+            bytes: copies.size * HASHLIFE_SNAPSHOT_NODE_BYTES,
+            root
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - Copia devuelta por saveSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.root = this.internTree(snapshot.root);
+        this.reset();
+        this.generation = snapshot.generation;
+        this.endDetector.restart(this, this.generation, false);
+    }
+
+    /**
+     * Pinta las células vivas de la vista en un array RGBA (a ceros).
+     *
+     * @param {Uint8Array} data - width × height × 4 bytes
+     */
+    paintView(data) {
+        this.forEachCellIn(this.viewX, this.viewY, this.width, this.height, (x, y) => {
+            const index = ((y - this.viewY) * this.width + (x - this.viewX)) * 4;
+            data[index + 0] = 255;
+            data[index + 1] = 255;
+            data[index + 2] = 255;
+            data[index + 3] = 0;
+        });
+    }
+
+    /**
+     * Recorre las células vivas de un rectángulo del universo saltando los
+     * nodos vacíos y los que quedan fuera.
+     *
+     * @param {number} x0 - Columna de la esquina
+     * @param {number} y0 - Fila de la esquina
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @param {Function} callback - Recibe (x, y) de cada célula viva
+     *
+     * COMPLEJIDAD: O(nodos no vacíos dentro del rectángulo)
+     */
+    forEachCellIn(x0, y0, width, height, callback) {
+        const x1 = x0 + width, y1 = y0 + height;
+
+        const visit = (node, x, y) => {
+            const size = 2 ** node.level;
+            if (node.population === 0 || x >= x1 || x + size <= x0 || y >= y1 || y + size <= y0) {
+                return;
+            }
+            if (node.level === 0) {
+                callback(x, y);
+                return;
+            }
+            const half = size / 2;
+            visit(node.nw, x, y);
+            visit(node.ne, x + half, y);
+            visit(node.sw, x, y + half);
+            visit(node.se, x + half, y + half);
+        };
+
+        const half = 2 ** (this.root.level - 1);
+        visit(this.root, -half, -half);
+    }
+
+    /**
+     * Configuración aleatoria en la vista (30% de células vivas, como
+     * GameOfLife.randomize).
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    randomize() {
+        const data = new Uint8Array(this.width * this.height * 4);
+        for (let i = 0; i < this.width * this.height; i++) {
+            data[i * 4] = Math.random() < 0.3 ? 255 : 0;
+        }
+        this.loadState(data);
+    }
+
+    /**
+     * Vacía el universo.
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    clear() {
+        this.root = this.emptyNode(HASHLIFE_MIN_LEVEL);
+        this.reset();
+    }
+
+    /**
+     * Dibuja o borra una célula de la vista.
+     *
+     * @param {number} x - Columna en la vista
+     * @param {number} y - Fila en la vista
+     * @param {boolean} alive - true = viva, false = muerta
+     *
+     * COMPLEJIDAD: O(nivel de la raíz)
+     */
+    drawCell(x, y, alive) {
+        const ux = this.viewX + x;
+        const uy = this.viewY + y;
+
+        // Ampliar la raíz hasta que contenga la célula
+        let root = this.root;
+        while (Math.max(-ux, ux + 1, -uy, uy + 1) > 2 ** (root.level - 1)) {
+            root = this.expand(root);
+        }
+
+        const half = 2 ** (root.level - 1);
+        this.root = this.crop(this.setCellIn(root, ux + half, uy + half, alive));
+        this.countAliveCells();
+        this.viewDirty = true;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: loadPattern
+     * ------------------------------------------------------------------------
+     * Carga un patrón (PATTERNS de game.js o lista de células) en el centro
+     * de la vista, en la misma posición que GameOfLife.loadPattern. El
+     * universo no tiene bordes: un patrón mayor que la vista se carga
+     * entero.
+     *
+     * @param {string|Array[]} pattern - Nombre del patrón (clave en
+     *        PATTERNS) o lista de células vivas (ver placePattern en game.js)
+     *
+     * COMPLEJIDAD: O(p × nivel) donde p = tamaño del patrón
+     */
+    loadPattern(pattern) {
+        const cells = placePattern(pattern, this.width, this.height);
+        if (!cells) {
+            console.error(`Patron ${pattern} no encontrado`);
+            return;
+        }
+
+        this.root = this.emptyNode(HASHLIFE_MIN_LEVEL);
+        for (const [x, y] of cells) {
+            this.drawCell(x, y, true);
+        }
+
+        this.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: loadTree
+     * ------------------------------------------------------------------------
+     * Carga un quadtree ya construido (parseMacrocell en patternfiles.js)
+     * sin pasar por células: un patrón de millones de células cuesta lo
+     * que sus nodos distintos. La raíz del árbol está centrada en el origen
+     * como la del universo, así que el patrón conserva sus coordenadas y la
+     * vista se centra en él.
+     *
+     * @param {Object} tree - Raíz {level, population, nw, ne, sw, se} con
+     *        NO = X e Y menores (ver internTree)
+     *
+     * COMPLEJIDAD: O(nodos distintos del árbol)
+     */
+    loadTree(tree) {
+        let root = this.internTree(tree);
+        while (root.level < HASHLIFE_MIN_LEVEL) root = this.expand(root);
+
+        this.root = this.crop(root);
+        this.reset();
+        this.centerView();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * VISTA
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Cambia el tamaño de la vista manteniendo su centro (el universo no
+     * cambia).
+     *
+     * @param {number} width - Nuevo ancho en células
+     * @param {number} height - Nuevo alto en células
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    resize(width, height) {
+        this.viewX += Math.floor((this.width - width) / 2);
+        this.viewY += Math.floor((this.height - height) / 2);
+        this.width = width;
+        this.height = height;
+        this.viewDirty = true;
+    }
+
+    /**
+     * Desplaza la vista.
+     *
+     * @param {number} dx - Células hacia la derecha
+     * @param {number} dy - Células hacia arriba
+     */
+    panView(dx, dy) {
+        this.viewX += dx;
+        this.viewY += dy;
+        this.viewDirty = true;
+    }
+
+    /**
+     * Centra la vista en el rectángulo que contiene todas las células vivas
+     * (en el origen si el universo está vacío).
+     *
+     * COMPLEJIDAD: O(nodos distintos de la raíz); los límites se memorizan
+     * en cada nodo
+     */
+    centerView() {
+        let cx = 0, cy = 0;
+        const bounds = this.getBounds(this.root);
+        if (bounds) {
+            const half = 2 ** (this.root.level - 1);
+            cx = Math.floor((bounds[0] + bounds[2]) / 2) - half;
+            cy = Math.floor((bounds[1] + bounds[3]) / 2) - half;
+        }
+        this.viewX = cx - Math.floor(this.width / 2);
+        this.viewY = cy - Math.floor(this.height / 2);
+        this.viewDirty = true;
+    }
+
+    /**
+     * Rectángulo que contiene las células vivas de un nodo, relativo a su
+     * esquina.
+     *
+     * @param {Object} node - Nodo
+     * @returns {number[]|null} [minX, minY, maxX, maxY] o null si está vacío
+     */
+    getBounds(node) {
+        if (node.population === 0) return null;
+        if (node.level === 0) return [0, 0, 0, 0];
+        if (node.bounds) return node.bounds;
+
+        const half = 2 ** (node.level - 1);
+        let result = null;
+        [[node.nw, 0, 0], [node.ne, half, 0], [node.sw, 0, half], [node.se, half, half]].forEach(([child, dx, dy]) => {
+            const b = this.getBounds(child);
+            if (!b) return;
+            if (!result) {
+                result = [b[0] + dx, b[1] + dy, b[2] + dx, b[3] + dy];
+            } else {
+                result[0] = Math.min(result[0], b[0] + dx);
+                result[1] = Math.min(result[1], b[1] + dy);
+                result[2] = Math.max(result[2], b[2] + dx);
+                result[3] = Math.max(result[3], b[3] + dy);
+            }
+        });
+
+        node.bounds = result;
+        return result;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: getReadTexture
+     * ------------------------------------------------------------------------
+     * Textura con la vista actual, en el formato de GameOfLife (R=G=B=255
+     * viva, sin historia de las células), para el display shader. Solo se
+     * vuelve a dibujar si el universo o la vista cambiaron.
+     *
+     * @returns {WebGLTexture} Textura de width × height píxeles
+     *
+     * COMPLEJIDAD: O(nodos no vacíos dentro de la vista) si hay cambios
+     */
+    getReadTexture() {
+        const gl = this.gl;
+
+        if (!this.texture) {
+            this.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        }
+
+        if (this.viewDirty) {
+            gl.bindTexture(gl.TEXTURE_2D, this.texture);
+            gl.texImage2D(
+                gl.TEXTURE_2D,
+                0,
+                gl.RGBA,
+                this.width,
+                this.height,
+                0,
+                gl.RGBA,
+                gl.UNSIGNED_BYTE,
+                this.readState()
+            );
+            this.viewDirty = false;
+        }
+
+        return this.texture;
+    }
+
+    /**
+     * Libera la textura de la vista (al cambiar de motor).
+     */
+    dispose() {
+        if (this.texture) {
+            this.gl.deleteTexture(this.texture);
+            this.texture = null;
+        }
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * EXPORTACIÓN DE MÓDULOS
+ * ----------------------------------------------------------------------------
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashLife;
+}
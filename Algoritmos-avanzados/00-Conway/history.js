@@ -0,0 +1,255 @@
+/**
+ * ============================================================================
+ * HISTORIAL DE LA EJECUCIÓN: MUESTRAS Y COPIAS PARA VOLVER ATRÁS
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * La gráfica de actividad de la interfaz necesita, para cada generación
+ * comprobada, la población, los nacimientos, las muertes y el área de la
+ * caja envolvente; y al pulsar un punto, volver a esa generación. RunHistory
+ * guarda lo segundo y entrega lo primero a simulation.js para enviarlo.
+ *
+ * MUESTRAS:
+ * Se toman después de cada checkEnd (todas las generaciones en modo
+ * normal, una de cada endCheckInterval en turbo), así reutilizan la
+ * población y la caja envolvente que checkEnd acaba de calcular. La
+ * simulación no las guarda: se envían a la interfaz en lotes
+ * (takeMessage) y la interfaz conserva la serie.
+ *
+ * COPIAS (keyframes):
+ * - Cada interval generaciones se guarda una copia del motor
+ *   (saveSnapshot). Volver a la generación g es restaurar la última copia
+ *   anterior a g y avanzar el resto sin dibujar
+ * - Memoria acotada: si las copias pasan de HISTORY_MAX_KEYFRAMES o de
+ *   HISTORY_MAX_BYTES, se descarta una de cada dos (la de la generación
+ *   inicial se queda) y el intervalo se duplica. Una ejecución larga
+ *   conserva copias repartidas por toda ella, cada vez más separadas
+ * - Si una sola copia ocupa más de la mitad del presupuesto (cuadrículas
+ *   enormes) no se guardan copias y no se puede volver atrás
+ *
+ * REINICIO:
+ * Cualquier cambio del estado fuera de la simulación (patrón, dibujo,
+ * regla, motor, tamaño) invalida las copias: restart() empieza un
+ * historial nuevo desde el estado actual y avisa a la interfaz para que
+ * descarte su serie.
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Memoria máxima de las copias (64 MB)
+const HISTORY_MAX_BYTES = 64 * 1024 * 1024;
+
+// Número máximo de copias
+const HISTORY_MAX_KEYFRAMES = 64;
+
+// Generaciones entre copias al empezar (se duplica al aclarar)
+const HISTORY_KEYFRAME_INTERVAL = 64;
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: RunHistory
+ * ============================================================================
+ *
+ * El motor debe tener saveSnapshot, restoreSnapshot, countChanges,
+ * getStateFingerprint y endDetector (GameOfLife, PackedLife, TiledLife,
+ * HashLife y BitLife).
+ * ============================================================================
+ */
+class RunHistory {
+    /**
+     * Constructor de la clase RunHistory (historial vacío)
+     */
+    constructor() {
+        this.keyframes = [];                          // Copias: { generation, snapshot }
+        this.bytes = 0;                               // Memoria de las copias
+        this.interval = HISTORY_KEYFRAME_INTERVAL;    // Generaciones entre copias
+        this.canKeyframe = true;                      // false si una copia no cabe
+        this.pending = [];                            // Muestras aún no enviadas
+        this.restarted = false;                       // La interfaz debe vaciar su serie
+        this.truncatedAt = null;                      // La interfaz debe olvidar lo posterior
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: restart
+     * ------------------------------------------------------------------------
+     * Empieza un historial nuevo desde el estado actual del motor: primera
+     * copia y primera muestra (sin nacimientos ni muertes).
+     *
+     * @param {Object} engine - Motor de simulación
+     *
+     * COMPLEJIDAD: la de saveSnapshot, countAliveCells y
+     *              getStateFingerprint del motor
+     */
+    restart(engine) {
+        this.keyframes = [];
+        this.bytes = 0;
+        this.interval = HISTORY_KEYFRAME_INTERVAL;
+        this.canKeyframe = true;
+        this.pending = [];
+        this.restarted = true;
+        this.truncatedAt = null;
+
+        // Los motores solo calculan la huella de un estado no vacío
+        const empty = engine.countAliveCells() === 0 && engine.dyingCells === 0;
+        this.addSample(engine, { births: 0, deaths: 0 }, empty ? null : engine.getStateFingerprint());
+        this.addKeyframe(engine);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: record
+     * ------------------------------------------------------------------------
+     * Toma la muestra de la generación actual y, si toca, una copia. Se
+     * llama justo después de un paso comprobado con checkEnd: la población
+     * y la caja envolvente son las de checkEnd y countChanges compara con
+     * el estado anterior al paso.
+     *
+     * @param {Object} engine - Motor de simulación
+     *
+     * COMPLEJIDAD: la de countChanges del motor, más saveSnapshot si toca
+     */
+    record(engine) {
+        this.addSample(engine, engine.countChanges(), engine.endDetector.lastState);
+
+        const last = this.keyframes[this.keyframes.length - 1];
+        if (!last || engine.generation - last.generation >= this.interval) {
+            this.addKeyframe(engine);
+        }
+    }
+
+    /**
+     * Agrega una muestra a las pendientes de enviar.
+     *
+     * @param {Object} engine - Motor de simulación
+     * @param {{births: number, deaths: number}} changes - Del último paso
+     * @param {Object|null} state - Huella y caja envolvente (null si no hay)
+     */
+    addSample(engine, changes, state) {
+        const empty = engine.aliveCells + engine.dyingCells === 0 || !state;
+        this.pending.push({
+            generation: engine.generation,
+            population: engine.aliveCells,
+            births: changes.births,
+            deaths: changes.deaths,
+            area: empty ? 0 : state.width * state.height
+        });
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: addKeyframe
+     * ------------------------------------------------------------------------
+     * Guarda una copia del motor y aclara las copias si se pasan del
+     * presupuesto.
+     *
+     * ACLARADO:
+     * Mientras haya más de HISTORY_MAX_KEYFRAMES copias o pasen de
+     * HISTORY_MAX_BYTES, quedarse con las de posición par y duplicar el
+     * intervalo. Termina: con una sola copia la memoria no pasa de la mitad
+     * del presupuesto.
+     *
+     * @param {Object} engine - Motor de simulación
+     *
+     * COMPLEJIDAD: la de saveSnapshot, O(copias) al aclarar
+     */
+    addKeyframe(engine) {
+        if (!this.canKeyframe) return;
+
+        const snapshot = engine.saveSnapshot();
+        if (snapshot.bytes > HISTORY_MAX_BYTES / 2) {
+            this.canKeyframe = false;
+            this.keyframes = [];
+            this.bytes = 0;
+            return;
+        }
+
+        this.keyframes.push({ generation: snapshot.generation, snapshot });
+        this.bytes += snapshot.bytes;
+        while (this.keyframes.length > HISTORY_MAX_KEYFRAMES || this.bytes > HISTORY_MAX_BYTES) {
+            this.keyframes = this.keyframes.filter((keyframe, i) => i % 2 === 0);
+            this.bytes = this.keyframes.reduce((sum, keyframe) => sum + keyframe.snapshot.bytes, 0);
+            this.interval *= 2;
+        }
+    }
+
+    /**
+     * Última copia en o antes de una generación.
+     *
+     * @param {number} generation - Generación buscada
+     * @returns {Object|null} { generation, snapshot }, o null si no hay
+     *
+     * COMPLEJIDAD: O(copias)
+     */
+    findKeyframe(generation) {
+        let found = null;
+        for (const keyframe of this.keyframes) {
+            if (keyframe.generation > generation) break;
+            found = keyframe;
+        }
+        return found;
+    }
+
+    /**
+     * Olvida lo posterior a la generación actual del motor (después de
+     * volver atrás la ejecución sigue desde ahí).
+     *
+     * @param {Object} engine - Motor de simulación
+     *
+     * COMPLEJIDAD: O(copias)
+     */
+    truncate(engine) {
+        this.keyframes = this.keyframes.filter(keyframe => keyframe.generation <= engine.generation);
+        this.bytes = this.keyframes.reduce((sum, keyframe) => sum + keyframe.snapshot.bytes, 0);
+        this.pending = this.pending.filter(sample => sample.generation <= engine.generation);
+        this.truncatedAt = engine.generation;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: takeMessage
+     * ------------------------------------------------------------------------
+     * Mensaje 'history' con lo que la interfaz aún no sabe, o null si no hay
+     * nada nuevo.
+     *
+     * @returns {Object|null} { type: 'history', restart, truncate, samples,
+     *          earliest } donde restart pide vaciar la serie, truncate
+     *          (o null) olvidar las generaciones posteriores, samples son
+     *          { generation, population, births, deaths, area } y earliest
+     *          es la primera generación a la que se puede volver (null si
+     *          no hay copias)
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    takeMessage() {
+        if (!this.restarted && this.truncatedAt === null && this.pending.length === 0) return null;
+
+        const message = {
+            type: 'history',
+            restart: this.restarted,
+            truncate: this.truncatedAt,
+            samples: this.pending,
+            earliest: this.keyframes.length > 0 ? this.keyframes[0].generation : null
+        };
+        this.restarted = false;
+        this.truncatedAt = null;
+        this.pending = [];
+        return message;
+    }
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RunHistory,
+        HISTORY_MAX_BYTES,
+        HISTORY_MAX_KEYFRAMES,
+        HISTORY_KEYFRAME_INTERVAL
+    };
+}
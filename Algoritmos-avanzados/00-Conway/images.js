@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * IMÁGENES DEL TABLERO: PNG Y FOTOS COMO ESTADO INICIAL
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Para los informes y las diapositivas hace falta una imagen del tablero
+ * con un tamaño de célula elegido; y al revés, una imagen (un dibujo, un
+ * logotipo, una foto) sirve como estado inicial. Las dos direcciones pasan
+ * por el array RGBA de la textura (el mismo que randomize y clear suben
+ * con texImage2D):
+ *
+ * EXPORTAR (exportImage en simulation.js):
+ * 1. El display shader dibuja la cuadrícula con el modo de dibujo activo
+ *    en un canvas de scale píxeles por célula y se lee con readPixels
+ * 2. flipImageRows pone las filas de arriba abajo (readPixels empieza por
+ *    abajo) y drawGridLines dibuja, si se pide, las líneas entre células
+ * 3. La interfaz lo convierte en PNG (canvas.toBlob) y lo descarga
+ *
+ * IMPORTAR (importImage en simulation.js):
+ * 1. La interfaz decodifica la imagen y la reduce al tamaño de la
+ *    cuadrícula conservando la proporción (fitImage), sobre fondo negro
+ * 2. imageToStateData la convierte en el array RGBA de la textura: brillo
+ *    (luminancia) por encima del umbral = viva, con tramado de
+ *    Floyd-Steinberg opcional para los grises
+ * 3. loadState del motor la sube como con randomize
+ *
+ * COORDENADAS:
+ * Las imágenes (ImageData, PNG) tienen la fila 0 arriba; la textura, abajo.
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Píxeles por célula máximos al exportar
+const IMAGE_MAX_SCALE = 32;
+
+// Píxeles máximos de una imagen exportada (64 MB en RGBA)
+const IMAGE_MAX_PIXELS = 1 << 24;
+
+// Color de las líneas de la rejilla (gris oscuro sobre el fondo negro)
+const IMAGE_GRID_COLOR = [64, 64, 64];
+
+// Umbral de brillo por defecto al importar (0-255)
+const IMAGE_DEFAULT_THRESHOLD = 128;
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: flipImageRows
+ * ----------------------------------------------------------------------------
+ * Convierte lo leído con readPixels (fila 0 abajo) en píxeles de imagen
+ * (fila 0 arriba), opacos.
+ *
+ * @param {Uint8Array} data - width × height × 4 bytes de readPixels
+ * @param {number} width - Ancho en píxeles
+ * @param {number} height - Alto en píxeles
+ * @returns {Uint8ClampedArray} Píxeles RGBA para un ImageData
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function flipImageRows(data, width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+        const source = (height - 1 - y) * rowBytes;
+        pixels.set(data.subarray(source, source + rowBytes), y * rowBytes);
+    }
+    for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+    return pixels;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: drawGridLines
+ * ----------------------------------------------------------------------------
+ * Dibuja una línea de un píxel entre cada par de células (la primera
+ * columna y la primera fila de cada célula, salvo en el borde). Las
+ * células quedan de scale - 1 píxeles.
+ *
+ * @param {Uint8ClampedArray} pixels - Imagen RGBA (se modifica)
+ * @param {number} width - Ancho en píxeles
+ * @param {number} height - Alto en píxeles
+ * @param {number} scale - Píxeles por célula (≥ 2)
+ * @param {number[]} [color] - [R, G, B] de las líneas
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function drawGridLines(pixels, width, height, scale, color = IMAGE_GRID_COLOR) {
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if ((x % scale !== 0 || x === 0) && (y % scale !== 0 || y === 0)) continue;
+            const index = (y * width + x) * 4;
+            pixels[index + 0] = color[0];
+            pixels[index + 1] = color[1];
+            pixels[index + 2] = color[2];
+        }
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: fitImage
+ * ----------------------------------------------------------------------------
+ * Rectángulo donde dibujar una imagen dentro de la cuadrícula: lo más
+ * grande posible sin deformarla, centrado.
+ *
+ * @param {number} imageWidth - Ancho de la imagen
+ * @param {number} imageHeight - Alto de la imagen
+ * @param {number} width - Ancho de la cuadrícula
+ * @param {number} height - Alto de la cuadrícula
+ * @returns {{x: number, y: number, width: number, height: number}}
+ *          En píxeles de la cuadrícula (fila 0 arriba)
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function fitImage(imageWidth, imageHeight, width, height) {
+    const scale = Math.min(width / imageWidth, height / imageHeight);
+    const fitWidth = Math.max(1, Math.round(imageWidth * scale));
+    const fitHeight = Math.max(1, Math.round(imageHeight * scale));
+    return {
+        x: Math.floor((width - fitWidth) / 2),
+        y: Math.floor((height - fitHeight) / 2),
+        width: fitWidth,
+        height: fitHeight
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: imageToStateData
+ * ----------------------------------------------------------------------------
+ * Convierte una imagen del tamaño de la cuadrícula en el array RGBA de la
+ * textura (células vivas como las de randomize: recién nacidas y sin
+ * calor).
+ *
+ * PASO 1: Luminancia de cada píxel (0.299 R + 0.587 G + 0.114 B),
+ *         invertida si se pide (fondo claro, dibujo oscuro)
+ * PASO 2: Umbral: viva si la luminancia llega al umbral
+ * PASO 3: Con tramado (Floyd-Steinberg), el error de cada píxel (lo que
+ *         le faltó o le sobró para ser 0 o 255) se reparte entre los
+ *         vecinos aún no visitados: 7/16 a la derecha, 3/16, 5/16 y 1/16
+ *         en la fila siguiente. Los grises salen como densidades de
+ *         células vivas
+ *
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4 bytes
+ *        RGBA, fila 0 arriba
+ * @param {number} width - Ancho de la cuadrícula
+ * @param {number} height - Alto de la cuadrícula
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Umbral 0-255 (IMAGE_DEFAULT_THRESHOLD)
+ * @param {boolean} [options.dither] - Tramado de Floyd-Steinberg
+ * @param {boolean} [options.invert] - Oscuro = viva
+ * @returns {Uint8Array} width × height × 4 bytes RGBA (fila 0 abajo)
+ * @throws {Error} Si el umbral no es un entero entre 0 y 255 o los
+ *                 píxeles no tienen el tamaño de la cuadrícula
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function imageToStateData(pixels, width, height, options = {}) {
+    const { threshold = IMAGE_DEFAULT_THRESHOLD, dither = false, invert = false } = options;
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > 255) {
+        throw new Error('El umbral debe ser un entero entre 0 y 255');
+    }
+    if (!pixels || pixels.length !== width * height * 4) {
+        throw new Error(`La imagen debe tener el tamaño de la cuadrícula (${width}×${height})`);
+    }
+
+    // PASO 1: Luminancia
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const value = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        luminance[i] = invert ? 255 - value : value;
+    }
+
+    // PASOS 2 y 3: Umbral y tramado, de arriba abajo
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = luminance[y * width + x];
+            const on = value >= threshold;
+
+            if (dither) {
+                const error = value - (on ? 255 : 0);
+                if (x + 1 < width) luminance[y * width + x + 1] += error * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) luminance[(y + 1) * width + x - 1] += error * 3 / 16;
+                    luminance[(y + 1) * width + x] += error * 5 / 16;
+                    if (x + 1 < width) luminance[(y + 1) * width + x + 1] += error * 1 / 16;
+                }
+            }
+
+            if (on) {
+                const index = ((height - 1 - y) * width + x) * 4;
+                data[index + 0] = 255;  // Estado
+                data[index + 1] = 255;
+                data[index + 2] = 255;  // Frescura: recién nacida
+            }
+        }
+    }
+    return data;
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        flipImageRows,
+        drawGridLines,
+        fitImage,
+        imageToStateData,
+        IMAGE_MAX_SCALE,
+        IMAGE_MAX_PIXELS,
+        IMAGE_GRID_COLOR,
+        IMAGE_DEFAULT_THRESHOLD
+    };
+}
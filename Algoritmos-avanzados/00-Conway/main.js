@@ -5,75 +5,108 @@
  *
  * Algoritmos Avanzados - UNIPRO - 2025
  *
- * Este archivo contiene la lógica principal de la aplicación:
- * 1. Inicialización de WebGL y compilación de shaders
- * 2. Creación de buffers de geometría (quad fullscreen)
- * 3. Bucle de animación principal
- * 4. Sistema de controles (teclado, mouse, botones)
- * 5. Sistema de previsualización de patrones en mini-canvas
- *
- * ARQUITECTURA DE RENDERIZADO:
- * - Dos pasadas por generación:
- *   a) Compute pass: calcula siguiente estado → framebuffer
- *   b) Display pass: renderiza estado actual → pantalla
+ * Este archivo contiene la interfaz de la aplicación:
+ * 1. Arranque de la simulación (simulation.js) en un Web Worker
+ * 2. Intercambio de mensajes con la simulación
+ * 3. Sistema de controles (teclado, mouse, botones)
+ * 4. Sistema de previsualización de patrones en mini-canvas
+ *
+ * ARQUITECTURA:
+ * - El worker (worker.js) recibe el canvas como OffscreenCanvas y ejecuta
+ *   WebGL, el motor y el bucle de animación; cuando calcula muchas
+ *   generaciones seguidas (turbo, HashLife, checkEnd) el hilo principal
+ *   sigue libre para los controles y las previsualizaciones
+ * - Sin OffscreenCanvas (o con la página abierta como file://, que no
+ *   admite workers) simulation.js se ejecuta en el hilo principal con el
+ *   mismo protocolo de mensajes
  *
  * FLUJO PRINCIPAL:
- * 1. Usuario inicia simulación o carga patrón
- * 2. Bucle animate() se ejecuta cada frame (~60 FPS)
- * 3. Cada N milisegundos (según velocidad):
- *    - computeNextState(): GPU calcula nueva generación
- *    - checkEnd(): verifica si terminó
- *    - render(): muestra en pantalla
- *    - updateUI(): actualiza estadísticas
- *
- * OPTIMIZACIONES:
- * - Renderizado condicional (solo cuando hay cambios)
- * - Cálculo GPU-acelerado (miles de células en paralelo)
- * - Previsualización independiente (no afecta simulación principal)
+ * 1. Usuario pulsa un botón, una tecla o dibuja en el canvas
+ * 2. postCommand() envía la orden a la simulación
+ * 3. La simulación la ejecuta y responde con sus estadísticas (y un
+ *    mensaje de error si la orden falló)
+ * 4. onSimulationMessage() guarda las estadísticas y llama a updateUI()
  * ============================================================================
  */
 
 /**
  * ----------------------------------------------------------------------------
- * CONFIGURACIÓN GLOBAL
- * ----------------------------------------------------------------------------
- */
-
-// Tamaño de la cuadrícula principal (512x512 = 262,144 células)
-const GRID_SIZE = 512;
-
-// Velocidad inicial: 10 generaciones por segundo
-const DEFAULT_SPEED = 10;
-
-// Rango de velocidades permitidas
-const MIN_SPEED = 1;    // 1 FPS (muy lento, para análisis detallado)
-const MAX_SPEED = 60;   // 60 FPS (máximo del navegador por requestAnimationFrame)
-
-/**
- * ----------------------------------------------------------------------------
- * VARIABLES GLOBALES DEL SIMULADOR PRINCIPAL
+ * VARIABLES GLOBALES DE LA INTERFAZ
  * ----------------------------------------------------------------------------
+ *
+ * La configuración y el estado del simulador están en simulation.js; la
+ * interfaz solo guarda la última copia de sus estadísticas.
  */
 
-// Contexto WebGL para renderizado acelerado por GPU
-let gl;
-
-// Instancia del juego (gestiona texturas, framebuffers, patrones)
-let game;
-
-// Programas de shaders compilados
-let computeProgram;   // Para calcular siguiente generación
-let displayProgram;   // Para mostrar en pantalla
-
-// Buffers de geometría
-let quadBuffer;       // Vértices del quad fullscreen
-let texCoordBuffer;   // Coordenadas de textura UV
-
-// Estado de la simulación
-let isRunning = false;        // ¿Está la simulación en ejecución?
-let speed = DEFAULT_SPEED;    // Generaciones por segundo
-let lastUpdateTime = 0;       // Timestamp de la última actualización
-let isDrawing = false;        // ¿Usuario está dibujando con el mouse?
+// Canal hacia la simulación: worker.postMessage o handleCommand (ver createSimulation)
+let sendToSimulation = () => {};
+
+// Últimas estadísticas recibidas (mensaje 'stats', ver getStats en simulation.js)
+let sim = null;
+
+// Regla de esas estadísticas, ya parseada (previsualizaciones, dibujo hexagonal)
+let simRule = null;
+
+// ¿Se envió una regla? Al responder, los campos muestran su forma canónica
+let ruleRequested = false;
+
+// ¿Usuario está dibujando con el mouse?
+let isDrawing = false;
+
+// Último censo recibido (mensaje 'census', ver takeCensus en census.js)
+let lastCensus = null;
+
+// Región seleccionada con Mayús + arrastrar: { x, y, width, height } en
+// coordenadas de la cuadrícula (origen abajo), o null. selectionStart es
+// la célula donde empezó el arrastre mientras dura
+let selection = null;
+let selectionStart = null;
+
+// Última imagen importada (ImageBitmap): se vuelve a aplicar al cambiar el
+// umbral, el tramado o la inversión
+let importedImage = null;
+
+// Gráfica de actividad (chart.js); se crea antes de arrancar la simulación
+let activityChart = null;
+
+// Grabación en curso (RunRecorder en recorder.js), o null
+let recorder = null;
+
+// Campo de la interfaz donde se muestra el error de cada orden
+const COMMAND_ERRORS = {
+    setRule: 'ruleError',
+    setEngine: 'engineError',
+    setStepExponent: 'engineError',
+    setWorldSize: 'engineError',
+    resize: 'gridError',
+    census: 'censusError',
+    jumpTo: 'chartError',
+    setRenderMode: 'renderError',
+    importPattern: 'patternError',
+    exportPattern: 'patternError',
+    importImage: 'imageError',
+    exportImage: 'imageError',
+    startRecording: 'recordError',
+    recordFrame: 'recordError'
+};
+
+// Nombre de cada formato de archivo de patrón (ver PATTERN_FORMATS en
+// patternfiles.js)
+const PATTERN_FORMAT_NAMES = {
+    rle: 'RLE',
+    cells: 'PLAINTEXT',
+    life105: 'LIFE 1.05',
+    life106: 'LIFE 1.06',
+    macrocell: 'MACROCELL'
+};
+
+// Extremos de la leyenda del mapa de color en cada modo de dibujo
+// (el modo estado no usa el mapa)
+const RENDER_LEGENDS = {
+    age: ['VIEJA', 'RECIÉN NACIDA'],
+    heat: ['1 GEN. VIVA', '255+ GEN.'],
+    trail: ['APAGADA', 'RECIÉN MUERTA']
+};
 
 /**
  * ============================================================================
@@ -87,492 +120,348 @@ let isDrawing = false;        // ¿Usuario está dibujando con el mouse?
  * ----------------------------------------------------------------------------
  *
  * Se ejecuta cuando el DOM está completamente cargado.
- * Inicializa todo el sistema: WebGL, shaders, buffers, controles.
  *
  * ORDEN DE INICIALIZACIÓN (importante):
- * 1. Obtener contexto WebGL
- * 2. Compilar shaders
- * 3. Crear buffers de geometría
- * 4. Crear instancia del juego
- * 5. Generar patrón inicial
- * 6. Configurar event listeners
- * 7. Iniciar bucle de animación
+ * 1. Configurar event listeners y la gráfica de actividad
+ * 2. Arrancar la simulación, que responde con 'ready' y las estadísticas
+ *    iniciales (la interfaz se actualiza al recibirlas)
  */
 window.addEventListener('DOMContentLoaded', () => {
-    // Obtener elemento canvas del DOM
-    const canvas = document.getElementById('glCanvas');
-
-    // Intentar obtener contexto WebGL
-    // WebGL es la API de JavaScript para gráficos 3D/2D acelerados por GPU
-    gl = canvas.getContext('webgl');
-
-    if (!gl) {
-        // Navegador no soporta WebGL
-        alert('WebGL no está disponible en este navegador');
-        return;
-    }
-
-    // Inicializar WebGL: compilar shaders, crear buffers
-    initWebGL();
-
-    // Crear instancia del juego con el tamaño de la cuadrícula
-    game = new GameOfLife(gl, GRID_SIZE, GRID_SIZE);
-
-    // Generar configuración inicial aleatoria
-    game.randomize();
-
     // Configurar todos los controles (botones, teclado, mouse)
     setupControls();
 
-    // Renderizar el estado inicial en la pantalla
-    render();
+    // Gráfica de actividad: pulsar un punto vuelve a esa generación
+    activityChart = new ActivityChart(
+        document.getElementById('activityChart'),
+        document.getElementById('chartReadout'),
+        generation => postCommand({ type: 'jumpTo', generation })
+    );
 
-    // Actualizar la interfaz de usuario (estadísticas, botones)
-    updateUI();
+    // Arrancar la simulación sobre el canvas principal
+    createSimulation(document.getElementById('glCanvas'));
 });
 
 /**
  * ----------------------------------------------------------------------------
- * FUNCIÓN: initWebGL
+ * FUNCIÓN: createSimulation
  * ----------------------------------------------------------------------------
  *
- * Inicializa todos los recursos WebGL necesarios.
+ * Arranca la simulación en un Web Worker con el canvas transferido como
+ * OffscreenCanvas. Si el navegador no lo admite, no tiene WebGL en un
+ * OffscreenCanvas (canRenderOffscreen) o no deja crear el worker (páginas
+ * abiertas como file://), la ejecuta en el hilo principal: las órdenes van
+ * directamente a handleCommand y las respuestas a onSimulationMessage, de
+ * forma síncrona.
  *
- * PROCESO:
- * 1. Compilar vertex y fragment shaders desde strings
- * 2. Enlazar shaders en programas (compute y display)
- * 3. Crear buffer para quad (6 vértices = 2 triángulos)
- * 4. Crear buffer para coordenadas de textura
- * 5. Configurar viewport
+ * Tras transferControlToOffscreen() el canvas ya no admite getContext, por
+ * eso WebGL se comprueba y el worker se crea antes de transferirlo.
  *
- * GEOMETRÍA DEL QUAD:
- * Un quad es un rectángulo formado por 2 triángulos.
- * Cubre toda la pantalla en coordenadas normalizadas [-1, 1].
+ * FALLOS DEL WORKER:
+ * Hasta que responde 'ready', un error al cargar sus scripts (onerror) o
+ * al crear el contexto WebGL ('error' de la orden 'init') se avisa al
+ * usuario y la simulación pasa al hilo principal sobre un canvas nuevo
+ * (replaceCanvas): el transferido ya no sirve. Después de 'ready', un
+ * error sin capturar solo se avisa.
  *
- *   (-1,1) +-----+ (1,1)
- *          |   / |
- *          | /   |
- * (-1,-1) +-----+ (1,-1)
+ * @param {HTMLCanvasElement} canvas - Canvas principal
  *
- * COMPLEJIDAD: O(1) - operaciones constantes
+ * COMPLEJIDAD: O(1) (la inicialización de la simulación, ver initSimulation)
  */
-function initWebGL() {
-    /**
-     * PASO 1: Compilar programas de shaders
-     * Los shaders están definidos en shaders.js como strings
-     */
-    computeProgram = createProgram(vertexShaderSource, computeShaderSource);
-    displayProgram = createProgram(vertexShaderSource, displayShaderSource);
-
-    /**
-     * PASO 2: Crear buffer para vértices del quad
-     *
-     * Float32Array contiene 12 valores (6 vértices × 2 coordenadas):
-     * Triángulo 1: (-1,-1), (1,-1), (-1,1)
-     * Triángulo 2: (-1,1), (1,-1), (1,1)
-     *
-     * Nota: ordenados en sentido antihorario (convención de OpenGL)
-     */
-    quadBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
-    gl.bufferData(
-        gl.ARRAY_BUFFER,
-        new Float32Array([
-            -1, -1,   // Vértice 0: esquina inferior izquierda
-             1, -1,   // Vértice 1: esquina inferior derecha
-            -1,  1,   // Vértice 2: esquina superior izquierda
-            -1,  1,   // Vértice 3: esquina superior izquierda (segundo triángulo)
-             1, -1,   // Vértice 4: esquina inferior derecha (segundo triángulo)
-             1,  1    // Vértice 5: esquina superior derecha
-        ]),
-        gl.STATIC_DRAW  // Hint: los datos no cambiarán
-    );
+function createSimulation(canvas) {
+    if (typeof Worker === 'function' && typeof canvas.transferControlToOffscreen === 'function' &&
+        canRenderOffscreen()) {
+        try {
+            const worker = new Worker('worker.js');
+            const offscreen = canvas.transferControlToOffscreen();
+            let ready = false;
+
+            const fallBack = (text) => {
+                worker.terminate();
+                showCommandError('init', `La simulación no pudo arrancar en un worker (${text}): sigue en el hilo principal`);
+                runOnMainThread(replaceCanvas(canvas));
+            };
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (!ready && message.type === 'error' && message.command === 'init') {
+                    fallBack(message.message);
+                    return;
+                }
+                if (message.type === 'ready') ready = true;
+                onSimulationMessage(message);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                const text = event.message || 'no se pudo cargar worker.js';
+                if (ready) {
+                    showCommandError('init', `Error en la simulación: ${text}`);
+                } else {
+                    fallBack(text);
+                }
+            };
 
-    /**
-     * PASO 3: Crear buffer para coordenadas de textura
-     *
-     * Mapean los vértices del quad a coordenadas de textura [0,1]:
-     * (0,0) = esquina inferior izquierda de la textura
-     * (1,1) = esquina superior derecha de la textura
-     */
-    texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(
-        gl.ARRAY_BUFFER,
-        new Float32Array([
-            0, 0,   // Vértice 0: esquina inferior izquierda de textura
-            1, 0,   // Vértice 1: esquina inferior derecha de textura
-            0, 1,   // Vértice 2: esquina superior izquierda de textura
-            0, 1,   // Vértice 3: esquina superior izquierda de textura
-            1, 0,   // Vértice 4: esquina inferior derecha de textura
-            1, 1    // Vértice 5: esquina superior derecha de textura
-        ]),
-        gl.STATIC_DRAW
-    );
+            worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+            sendToSimulation = (message) => worker.postMessage(message);
+            return;
+        } catch (error) {
+            // Sin worker: seguir en el hilo principal
+        }
+    }
 
-    /**
-     * PASO 4: Configurar viewport
-     * Define el área de renderizado en píxeles de la pantalla
-     * (0, 0) es la esquina inferior izquierda en WebGL
-     */
-    gl.viewport(0, 0, GRID_SIZE, GRID_SIZE);
+    runOnMainThread(canvas);
 }
 
 /**
- * ----------------------------------------------------------------------------
- * FUNCIÓN: createProgram
- * ----------------------------------------------------------------------------
- *
- * Compila y enlaza un programa de shaders completo.
- *
- * PROCESO:
- * 1. Compilar vertex shader
- * 2. Compilar fragment shader
- * 3. Crear programa
- * 4. Adjuntar ambos shaders al programa
- * 5. Enlazar (link) el programa
- * 6. Verificar errores
+ * Ejecuta la simulación en el hilo principal: las órdenes van directamente
+ * a handleCommand y las respuestas a onSimulationMessage.
  *
- * ¿QUÉ ES ENLAZAR (LINKING)?
- * Es el proceso de conectar las salidas del vertex shader con las entradas
- * del fragment shader. Similar al linking en compiladores de C/C++.
+ * @param {HTMLCanvasElement} canvas - Canvas principal (sin transferir)
  *
- * @param {string} vertexSource - Código fuente del vertex shader (GLSL)
- * @param {string} fragmentSource - Código fuente del fragment shader (GLSL)
- * @returns {WebGLProgram} Programa de shaders compilado y enlazado
- *
- * COMPLEJIDAD: O(n) donde n = tamaño del código shader
+ * COMPLEJIDAD: O(1) (ver initSimulation)
  */
-function createProgram(vertexSource, fragmentSource) {
-    // Compilar cada shader por separado
-    const vertexShader = compileShader(gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentSource);
-
-    // Crear programa (contenedor para los shaders)
-    const program = gl.createProgram();
-
-    // Adjuntar ambos shaders al programa
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-
-    // Enlazar el programa
-    // Esto conecta las salidas del vertex shader con las entradas del fragment shader
-    gl.linkProgram(program);
-
-    // Verificar que el enlace fue exitoso
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error('Error al enlazar programa:', gl.getProgramInfoLog(program));
-        return null;
-    }
-
-    return program;
+function runOnMainThread(canvas) {
+    sendToSimulation = handleCommand;
+    initSimulation(canvas, onSimulationMessage);
 }
 
 /**
- * ----------------------------------------------------------------------------
- * FUNCIÓN: compileShader
- * ----------------------------------------------------------------------------
+ * Sustituye el canvas principal, ya transferido a un worker, por una copia
+ * del elemento (mismo id, clases y tamaño) con sus controles de dibujo.
  *
- * Compila un shader individual (vertex o fragment).
+ * @param {HTMLCanvasElement} canvas - Canvas transferido
+ * @returns {HTMLCanvasElement} Canvas nuevo, en el mismo lugar del documento
  *
- * PROCESO:
- * 1. Crear objeto shader del tipo especificado
- * 2. Cargar código fuente en el shader
- * 3. Compilar
- * 4. Verificar errores de compilación
- *
- * TIPOS DE SHADER:
- * - gl.VERTEX_SHADER: procesa vértices (posiciones)
- * - gl.FRAGMENT_SHADER: procesa píxeles (colores)
+ * COMPLEJIDAD: O(1)
+ */
+function replaceCanvas(canvas) {
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    setupCanvasControls(fresh);
+    return fresh;
+}
+
+/**
+ * ¿Puede un OffscreenCanvas crear un contexto WebGL? Algunos navegadores
+ * tienen OffscreenCanvas pero solo con contexto 2D; el canvas de prueba es
+ * de 1×1 y no se transfiere.
  *
- * @param {GLenum} type - Tipo de shader (VERTEX_SHADER o FRAGMENT_SHADER)
- * @param {string} source - Código fuente GLSL del shader
- * @returns {WebGLShader} Shader compilado
+ * @returns {boolean}
  *
- * COMPLEJIDAD: O(n) donde n = longitud del código fuente
+ * COMPLEJIDAD: O(1)
  */
-function compileShader(type, source) {
-    // Crear objeto shader
-    const shader = gl.createShader(type);
-
-    // Cargar el código fuente
-    gl.shaderSource(shader, source);
-
-    // Compilar
-    gl.compileShader(shader);
-
-    // Verificar compilación exitosa
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Error al compilar shader:', gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
+function canRenderOffscreen() {
+    if (typeof OffscreenCanvas !== 'function') return false;
+    try {
+        return new OffscreenCanvas(1, 1).getContext('webgl') !== null;
+    } catch (error) {
+        return false;
     }
-
-    return shader;
 }
 
 /**
  * ----------------------------------------------------------------------------
- * FUNCIÓN: setupAttributes
+ * FUNCIÓN: postCommand
  * ----------------------------------------------------------------------------
  *
- * Configura los atributos de un programa de shaders.
- *
- * ATRIBUTOS:
- * Son variables de entrada del vertex shader que cambian por vértice.
- * En nuestro caso: posición (a_position) y coordenadas UV (a_texCoord).
+ * Envía una orden a la simulación. Oculta antes el error de la orden: si
+ * vuelve a fallar, la simulación responde con otro mensaje 'error'.
  *
- * PROCESO:
- * 1. Obtener location (índice) de cada atributo
- * 2. Activar el buffer correspondiente
- * 3. Configurar cómo leer datos del buffer (stride, offset, etc.)
- * 4. Habilitar el atributo
- *
- * @param {WebGLProgram} program - Programa donde configurar atributos
+ * @param {Object} message - { type, ...datos } (ver handleCommand)
  *
  * COMPLEJIDAD: O(1)
  */
-function setupAttributes(program) {
-    // Obtener locations de los atributos
-    // Estos índices identifican los atributos en el programa
-    const positionLocation = gl.getAttribLocation(program, 'a_position');
-    const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
-
-    /**
-     * Configurar atributo a_position (coordenadas de vértices)
-     */
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);     // Activar buffer de posiciones
-    gl.enableVertexAttribArray(positionLocation);   // Habilitar el atributo
-    gl.vertexAttribPointer(
-        positionLocation,    // Índice del atributo
-        2,                   // Número de componentes por vértice (x, y)
-        gl.FLOAT,            // Tipo de datos
-        false,               // ¿Normalizar? (no necesario para posiciones)
-        0,                   // Stride: bytes entre vértices consecutivos (0 = compacto)
-        0                    // Offset: bytes desde el inicio del buffer
-    );
-
-    /**
-     * Configurar atributo a_texCoord (coordenadas de textura)
-     */
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);  // Activar buffer de UVs
-    gl.enableVertexAttribArray(texCoordLocation);    // Habilitar el atributo
-    gl.vertexAttribPointer(
-        texCoordLocation,    // Índice del atributo
-        2,                   // Número de componentes (u, v)
-        gl.FLOAT,            // Tipo de datos
-        false,               // No normalizar
-        0,                   // Stride: 0 (datos compactos)
-        0                    // Offset: 0 (empezar desde el inicio)
-    );
+function postCommand(message) {
+    const errorId = COMMAND_ERRORS[message.type];
+    if (errorId) {
+        document.getElementById(errorId).classList.add('hidden');
+    }
+    sendToSimulation(message);
 }
 
-/**
- * ============================================================================
- * BUCLE DE SIMULACIÓN PRINCIPAL
- * ============================================================================
- */
-
 /**
  * ----------------------------------------------------------------------------
- * FUNCIÓN: computeNextState
+ * FUNCIÓN: onSimulationMessage
  * ----------------------------------------------------------------------------
  *
- * Calcula el siguiente estado del juego usando el compute shader en la GPU.
- *
- * ARQUITECTURA PING-PONG:
- * 1. Lee de textures[currentTexture] (estado actual)
- * 2. Escribe a textures[1-currentTexture] (nuevo estado) mediante framebuffer
- * 3. Intercambia texturas (swap)
- *
- * PROCESO DETALLADO:
- * 1. Activar programa compute
- * 2. Configurar atributos de geometría
- * 3. Pasar uniforms (textura de estado, resolución)
- * 4. Activar textura de lectura
- * 5. Activar framebuffer de escritura
- * 6. Renderizar quad (ejecuta compute shader para cada píxel)
- * 7. Intercambiar texturas
- *
- * GPU PARALLEL PROCESSING:
- * El compute shader se ejecuta en paralelo para TODAS las células
- * simultáneamente. En una GPU moderna, esto puede ser 1000x más rápido
- * que procesar célula por célula en CPU.
- *
- * COMPLEJIDAD:
- * - CPU: O(1) - solo configuración
- * - GPU: O(n) donde n = número de células, pero ejecutado en paralelo
- * - Tiempo real: ≈ O(1) gracias al paralelismo masivo
+ * Procesa los mensajes de la simulación.
+ *
+ * MENSAJES:
+ * - 'ready': tamaño máximo de la cuadrícula que admite la GPU
+ * - 'stats': estadísticas; sincroniza los controles que dependen de ellas
+ *   (regla, tamaño, motor) cuando cambian y actualiza la interfaz
+ * - 'history': muestras nuevas para la gráfica de actividad
+ * - 'census': tabla de objetos del estado actual
+ * - 'patternInfo': nombre, autor y comentarios del archivo importado
+ * - 'pattern': archivo exportado, que se descarga
+ * - 'image': píxeles del tablero, que se descargan como PNG
+ * - 'recordFrame': fotograma de la grabación en curso, que se codifica
+ * - 'error': muestra el mensaje junto al control de la orden y devuelve
+ *   ese control al valor actual
+ *
+ * @param {Object} message - { type, ... }
+ *
+ * COMPLEJIDAD: O(p) si cambia la regla (p = número de previsualizaciones),
+ *              O(1) en otro caso
  */
-function computeNextState() {
-    // Activar el programa compute (compilado al inicio)
-    gl.useProgram(computeProgram);
+function onSimulationMessage(message) {
+    switch (message.type) {
+        case 'ready':
+            document.getElementById('gridWidth').max = message.maxWidth;
+            document.getElementById('gridHeight').max = message.maxHeight;
+            break;
+
+        case 'stats': {
+            const previous = sim;
+            sim = message;
+
+            if (!previous || previous.rulestring !== sim.rulestring || ruleRequested) {
+                ruleRequested = false;
+                simRule = parseRule(sim.rulestring);
+                previews.forEach(preview => preview.setRule(simRule));
+                syncRuleControls();
+            }
+            if (!previous || previous.width !== sim.width || previous.height !== sim.height) {
+                document.getElementById('gridWidth').value = sim.width;
+                document.getElementById('gridHeight').value = sim.height;
+                // La selección puede quedar fuera de la cuadrícula nueva
+                setSelection(null);
+            }
+            if (!previous || previous.engine !== sim.engine) {
+                syncEngineControls();
+            }
+            if (!previous || previous.renderMode !== sim.renderMode ||
+                previous.colorMap !== sim.colorMap || previous.cellHistory !== sim.cellHistory) {
+                syncRenderControls();
+            }
 
-    // Configurar atributos de geometría (posición y UV)
-    setupAttributes(computeProgram);
+            updateUI();
+            break;
+        }
 
-    /**
-     * Configurar uniforms (variables globales del shader)
-     */
+        case 'history':
+            activityChart.addMessage(message);
+            break;
 
-    // u_state: textura con el estado actual
-    const stateLocation = gl.getUniformLocation(computeProgram, 'u_state');
-    // u_resolution: dimensiones de la cuadrícula
-    const resolutionLocation = gl.getUniformLocation(computeProgram, 'u_resolution');
+        case 'census':
+            lastCensus = message.census;
+            showCensus(lastCensus);
+            break;
 
-    // Decir al shader que u_state está en la unidad de textura 0
-    gl.uniform1i(stateLocation, 0);
-    // Pasar dimensiones de la cuadrícula
-    gl.uniform2f(resolutionLocation, GRID_SIZE, GRID_SIZE);
+        case 'patternInfo':
+            showPatternInfo(message);
+            break;
 
-    /**
-     * Activar textura de lectura
-     * TEXTURE0 es la primera unidad de textura (hay múltiples disponibles)
-     */
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
+        case 'pattern':
+            downloadFile(message.filename, message.text, 'text/plain');
+            break;
 
-    /**
-     * Activar framebuffer de escritura
-     * Esto hace que gl.drawArrays renderice a la textura en lugar de la pantalla
-     */
-    gl.bindFramebuffer(gl.FRAMEBUFFER, game.getWriteFramebuffer());
+        case 'image':
+            downloadImage(message);
+            break;
 
-    /**
-     * Dibujar el quad (6 vértices = 2 triángulos)
-     * Esto ejecuta el compute shader una vez por cada píxel de la textura
-     */
-    gl.drawArrays(
-        gl.TRIANGLES,    // Modo: triángulos
-        0,               // Primer vértice
-        6                // Número de vértices
-    );
+        case 'recordFrame':
+            // Tras cancelar pueden llegar fotogramas ya pedidos
+            if (recorder) recorder.addFrame(message);
+            break;
 
-    /**
-     * Intercambiar texturas (ping-pong)
-     * La textura de escritura se convierte en lectura para la siguiente frame
-     */
-    game.swap();
+        case 'error':
+            showCommandError(message.command, message.message);
+            break;
+    }
 }
 
 /**
  * ----------------------------------------------------------------------------
- * FUNCIÓN: render
+ * FUNCIÓN: showCommandError
  * ----------------------------------------------------------------------------
  *
- * Renderiza el estado actual del juego en la pantalla.
- *
- * DIFERENCIA CON computeNextState:
- * - computeNextState: calcula → escribe a framebuffer (off-screen)
- * - render: visualiza → escribe a pantalla (on-screen)
+ * Muestra el error de una orden y devuelve sus controles al valor de las
+ * últimas estadísticas (la orden no cambió nada en la simulación).
  *
- * PROCESO:
- * 1. Activar programa display
- * 2. Configurar atributos
- * 3. Pasar textura de estado actual
- * 4. Renderizar a pantalla (framebuffer null)
- * 5. Dibujar quad
+ * @param {string} command - Tipo de la orden que falló
+ * @param {string} text - Mensaje de error
  *
- * COMPLEJIDAD: O(1) en CPU, O(n) en GPU (pero paralelizado)
+ * COMPLEJIDAD: O(1)
  */
-function render() {
-    // Activar programa display
-    gl.useProgram(displayProgram);
-
-    // Configurar atributos de geometría
-    setupAttributes(displayProgram);
-
-    // Configurar uniform u_state
-    const stateLocation = gl.getUniformLocation(displayProgram, 'u_state');
-    gl.uniform1i(stateLocation, 0);
-
-    // Activar textura de estado actual
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
-
-    /**
-     * Renderizar a pantalla (framebuffer = null)
-     * null significa "pantalla por defecto" (no off-screen)
-     */
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-    // Dibujar el quad
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+function showCommandError(command, text) {
+    const errorId = COMMAND_ERRORS[command];
+    if (!errorId) {
+        // Sin WebGL u orden sin campo de error propio
+        alert(text);
+        return;
+    }
+    const errorElement = document.getElementById(errorId);
+    errorElement.textContent = text;
+    errorElement.classList.remove('hidden');
+
+    if (command === 'setRule') {
+        // El campo de texto conserva lo escrito para poder corregirlo
+        ruleRequested = false;
+        document.getElementById('neighbourhoodSelect').value = simRule.neighbourhood;
+        document.getElementById('topologySelect').value = getTopologyOption(simRule.topology);
+    } else if (command === 'resize') {
+        document.getElementById('gridWidth').value = sim.width;
+        document.getElementById('gridHeight').value = sim.height;
+    } else if (command === 'setEngine') {
+        document.getElementById('engineSelect').value = sim.engine;
+    } else if (command === 'setStepExponent') {
+        document.getElementById('stepExponent').value = sim.stepExponent;
+    } else if (command === 'setWorldSize') {
+        document.getElementById('worldWidth').value = sim.worldWidth;
+        document.getElementById('worldHeight').value = sim.worldHeight;
+    } else if (command === 'setRenderMode') {
+        syncRenderControls();
+    } else if (command === 'startRecording' || command === 'recordFrame') {
+        endRecording(null);
+    }
 }
 
 /**
- * ----------------------------------------------------------------------------
- * FUNCIÓN: animate
- * ----------------------------------------------------------------------------
- *
- * Bucle de animación principal. Se ejecuta aproximadamente 60 veces por segundo.
+ * Muestra la regla activa en los controles: la forma canónica en el campo
+ * de texto (ej: "b36s23" → "B36/S23") y los desplegables sincronizados (el
+ * de reglas queda sin selección si la regla no es de RULE_PRESETS).
  *
- * CONTROL DE VELOCIDAD:
- * No calculamos una nueva generación cada frame, sino cada N milisegundos
- * según la velocidad configurada. Esto permite velocidades < 60 FPS.
- *
- * ALGORITMO:
- * 1. Si la simulación no está corriendo o terminó → no hacer nada
- * 2. Calcular tiempo transcurrido desde última actualización
- * 3. Si pasó suficiente tiempo (según velocidad):
- *    a) Calcular siguiente estado
- *    b) Verificar si terminó
- *    c) Si terminó: detener y mostrar mensaje
- *    d) Si no terminó: incrementar generación
- *    e) Renderizar
- *    f) Actualizar UI
- * 4. Solicitar siguiente frame
- *
- * @param {number} timestamp - Tiempo actual en milisegundos (DOMHighResTimeStamp)
- *
- * COMPLEJIDAD: O(1) en CPU (sin contar GPU)
+ * COMPLEJIDAD: O(1)
  */
-function animate(timestamp) {
-    // Solo procesar si está corriendo y no ha terminado
-    if (isRunning && !game.hasEnded) {
-        // Calcular intervalo en milisegundos entre actualizaciones
-        // speed = generaciones por segundo
-        // interval = 1000 ms / speed
-        // Ejemplo: speed=10 → interval=100ms → 10 generaciones por segundo
-        const interval = 1000 / speed;
-
-        // Verificar si pasó suficiente tiempo desde la última actualización
-        if (timestamp - lastUpdateTime >= interval) {
-            // Calcular siguiente estado en la GPU
-            computeNextState();
-
-            /**
-             * IMPORTANTE: Verificar finalización ANTES de incrementar generación
-             * Esto asegura que el contador muestre la generación correcta al terminar
-             */
-            if (game.checkEnd()) {
-                // Juego terminó, incrementar generación final
-                game.nextGeneration();
-                // Detener simulación
-                isRunning = false;
-                // Mostrar mensaje de finalización
-                showEndMessage(game.endReason);
-                // Actualizar UI (deshabilitar botones, etc.)
-                updateUI();
-            } else {
-                // Continúa, incrementar generación
-                game.nextGeneration();
-            }
-
-            // Renderizar estado actual en pantalla
-            render();
+function syncRuleControls() {
+    document.getElementById('ruleInput').value = simRule.rulestring;
+    document.getElementById('rulePreset').value = simRule.rulestring.split(':')[0];
+    document.getElementById('neighbourhoodSelect').value = simRule.neighbourhood;
+    document.getElementById('topologySelect').value = getTopologyOption(simRule.topology);
+}
 
-            // Actualizar estadísticas en la UI
-            updateUI();
+/**
+ * Muestra el motor activo y sus controles propios: HashLife (salto 2^k y
+ * vista) y TiledLife (tamaño del mundo y vista).
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function syncEngineControls() {
+    document.getElementById('engineSelect').value = sim.engine;
+    document.getElementById('hashlifeControls').classList.toggle('hidden', sim.engine !== 'hashlife');
+    document.getElementById('tiledControls').classList.toggle('hidden', sim.engine !== 'tiled');
+}
 
-            // Actualizar timestamp de última actualización
-            lastUpdateTime = timestamp;
-        }
+/**
+ * Muestra el modo de dibujo y el mapa de color activos: la leyenda del mapa
+ * con los extremos del modo y, si el motor no guarda la historia de las
+ * células, el aviso de que se dibuja el estado.
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function syncRenderControls() {
+    document.getElementById('renderModeSelect').value = sim.renderMode;
+    document.getElementById('colorMapSelect').value = sim.colorMap;
+
+    const legend = RENDER_LEGENDS[sim.renderMode];
+    const legendElement = document.getElementById('colorMapLegend');
+    legendElement.classList.toggle('hidden', !legend);
+    legendElement.setAttribute('data-map', sim.colorMap);
+    if (legend) {
+        document.getElementById('legendLow').textContent = legend[0];
+        document.getElementById('legendHigh').textContent = legend[1];
     }
 
-    // Solicitar siguiente frame de animación
-    // requestAnimationFrame llama a animate ~60 veces por segundo
-    requestAnimationFrame(animate);
+    document.getElementById('renderNote').classList.toggle('hidden', !legend || sim.cellHistory);
 }
 
 /**
@@ -586,13 +475,16 @@ function animate(timestamp) {
  * FUNCIÓN: updateUI
  * ----------------------------------------------------------------------------
  *
- * Actualiza todos los elementos de la interfaz de usuario.
+ * Actualiza todos los elementos de la interfaz de usuario a partir de las
+ * últimas estadísticas de la simulación.
  *
  * ELEMENTOS ACTUALIZADOS:
  * - Contador de generaciones
- * - Contador de células vivas
- * - Velocidad actual
+ * - Contador de células vivas (y muriendo, en reglas Generations)
+ * - Velocidad actual y generaciones por segundo reales
+ * - Botón del modo turbo
  * - Estado de botones (habilitado/deshabilitado)
+ * - Mensaje de finalización
  *
  * LÓGICA DE BOTONES:
  * - Si terminó: deshabilitar start y pause
@@ -603,25 +495,40 @@ function animate(timestamp) {
  */
 function updateUI() {
     // Actualizar estadísticas en el DOM
-    document.getElementById('generation').textContent = game.generation;
-    document.getElementById('aliveCells').textContent = game.aliveCells;
-    document.getElementById('speed').textContent = speed;
+    document.getElementById('generation').textContent = sim.generation;
+    document.getElementById('aliveCells').textContent = sim.aliveCells;
+    document.getElementById('speed').textContent = sim.speed;
+    document.getElementById('gensPerSecond').textContent = sim.gensPerSecond;
+    document.getElementById('turboBtn').textContent = sim.turbo ? 'TURBO: SÍ' : 'TURBO: NO';
+    document.getElementById('ruleName').textContent = sim.rulestring;
+    document.getElementById('gridSize').textContent = `${sim.width}×${sim.height}`;
+
+    // Motor por teselas: teselas guardadas (las activas y sus vecinas)
+    if (sim.engine === 'tiled') {
+        document.getElementById('tileCount').textContent = sim.tileCount;
+    }
+
+    // Células muriendo: solo tiene sentido en reglas Generations (C > 2)
+    document.getElementById('dyingCells').textContent = sim.dyingCells;
+    document.getElementById('dyingStat').classList.toggle('hidden', simRule.states <= 2);
 
     // Obtener referencias a botones
     const startBtn = document.getElementById('startBtn');
     const pauseBtn = document.getElementById('pauseBtn');
 
     // Actualizar estado de botones según estado del juego
-    if (game.hasEnded) {
+    if (sim.hasEnded) {
         // Juego terminado: deshabilitar ambos botones
         startBtn.disabled = true;
         pauseBtn.disabled = true;
+        showEndMessage(sim.endReason, sim.endConfirmed);
     } else {
         // Juego activo:
         // - Deshabilitar start si está corriendo
         // - Deshabilitar pause si está pausado
-        startBtn.disabled = isRunning;
-        pauseBtn.disabled = !isRunning;
+        startBtn.disabled = sim.running || sim.recording;
+        pauseBtn.disabled = !sim.running;
+        hideEndMessage();
     }
 }
 
@@ -630,15 +537,20 @@ function updateUI() {
  * FUNCIÓN: showEndMessage
  * ----------------------------------------------------------------------------
  *
- * Muestra un mensaje de finalización superpuesto en el canvas.
+ * Muestra un mensaje de finalización superpuesto en el canvas, indicando
+ * si la repetición se comprobó bit a bit o solo coinciden las huellas (y
+ * entonces puede ser una colisión).
  *
  * @param {string} reason - Mensaje descriptivo (ej: "EXTINCIÓN - ...")
+ * @param {boolean} confirmed - ¿Fin confirmado? (si no, probable)
  *
  * COMPLEJIDAD: O(1)
  */
-function showEndMessage(reason) {
+function showEndMessage(reason, confirmed) {
     const endMessage = document.getElementById('endMessage');
-    endMessage.textContent = reason;
+    endMessage.textContent = confirmed
+        ? `${reason} (confirmado)`
+        : `${reason} (probable: coinciden las huellas, sin comparar el estado; una colisión es muy improbable pero posible)`;
     endMessage.classList.remove('hidden');
 }
 
@@ -656,6 +568,296 @@ function hideEndMessage() {
     endMessage.classList.add('hidden');
 }
 
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: showCensus
+ * ----------------------------------------------------------------------------
+ *
+ * Muestra el censo en la tabla del panel CENSO: una fila por objeto con
+ * su nombre (o "?" si no está en el catálogo), su apgcode y cuántos hay.
+ *
+ * @param {Object} census - Resultado de takeCensus (census.js)
+ *
+ * COMPLEJIDAD: O(k) donde k = objetos distintos
+ */
+function showCensus(census) {
+    document.getElementById('censusSummary').textContent =
+        `GENERACIÓN ${census.generation}: ${census.islands} OBJETOS, ${census.population} CÉLULAS`;
+
+    const body = document.getElementById('censusTable').querySelector('tbody');
+    body.replaceChildren(...census.objects.map(({ code, name, count }) => {
+        const row = document.createElement('tr');
+        [name || '?', code, count].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }));
+
+    document.getElementById('censusResult').classList.remove('hidden');
+    document.getElementById('censusExportBtn').disabled = false;
+}
+
+/**
+ * Muestra en el panel ARCHIVOS los datos del archivo importado: formato,
+ * nombre, autor, tamaño, recorte (Macrocell que no cabe) y comentarios.
+ *
+ * @param {Object} info - Mensaje 'patternInfo' (ver importPattern en
+ *                        simulation.js)
+ *
+ * COMPLEJIDAD: O(c) donde c = longitud de los comentarios
+ */
+function showPatternInfo(info) {
+    const title = [info.name || 'SIN NOMBRE', info.author ? `(${info.author})` : null]
+        .filter(Boolean).join(' ');
+    const lines = [
+        `${PATTERN_FORMAT_NAMES[info.format]} - ${title}: ${info.width}×${info.height}, ${info.cells} CÉLULAS`,
+        ...(info.cropped ? [`RECORTADO A ${info.cropped.width}×${info.cropped.height} (HASHLIFE LO CARGA ENTERO)`] : []),
+        ...info.comments
+    ];
+    const element = document.getElementById('patternInfo');
+    element.textContent = lines.join('\n');
+    element.classList.remove('hidden');
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: applyImportedImage
+ * ----------------------------------------------------------------------------
+ *
+ * Reduce la última imagen importada al tamaño de la cuadrícula (de la
+ * vista con HashLife y TiledLife) sin deformarla (fitImage en images.js),
+ * sobre fondo negro, y la envía con el umbral, el tramado y la inversión
+ * elegidos.
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function applyImportedImage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = sim.width;
+    canvas.height = sim.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, sim.width, sim.height);
+
+    const rect = fitImage(importedImage.width, importedImage.height, sim.width, sim.height);
+    context.drawImage(importedImage, rect.x, rect.y, rect.width, rect.height);
+
+    postCommand({
+        type: 'importImage',
+        width: sim.width,
+        height: sim.height,
+        pixels: context.getImageData(0, 0, sim.width, sim.height).data,
+        threshold: Number(document.getElementById('imageThreshold').value),
+        dither: document.getElementById('imageDither').checked,
+        invert: document.getElementById('imageInvert').checked
+    });
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: downloadImage
+ * ----------------------------------------------------------------------------
+ *
+ * Descarga como PNG los píxeles del mensaje 'image' (ver exportImage en
+ * simulation.js): un canvas 2D del mismo tamaño los codifica.
+ *
+ * @param {Object} message - { width, height, pixels, filename }
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function downloadImage(message) {
+    const canvas = document.createElement('canvas');
+    canvas.width = message.width;
+    canvas.height = message.height;
+    canvas.getContext('2d').putImageData(new ImageData(message.pixels, message.width, message.height), 0, 0);
+    canvas.toBlob(blob => downloadFile(message.filename, blob, 'image/png'), 'image/png');
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: startRecorder
+ * ----------------------------------------------------------------------------
+ *
+ * Empieza una grabación con las opciones del panel GRABACIÓN: crea el
+ * RunRecorder (recorder.js) y pide a la simulación el primer fotograma;
+ * los siguientes los pide el propio RunRecorder al codificar cada uno.
+ *
+ * COMPLEJIDAD: O(1) (la simulación va a la primera generación, ver
+ *              startRecording en simulation.js)
+ */
+function startRecorder() {
+    const crop = document.getElementById('recordCrop').checked;
+    if (crop && !selection) {
+        showCommandError('startRecording', 'Selecciona una región con Mayús + arrastrar o desmarca SELECCIÓN');
+        return;
+    }
+
+    const progress = document.getElementById('recordProgress');
+    const statusText = document.getElementById('recordStatusText');
+    try {
+        recorder = new RunRecorder(
+            document.getElementById('recordFormatSelect').value,
+            Number(document.getElementById('recordDelay').value),
+            {
+                next: () => postCommand({ type: 'recordFrame' }),
+                progress: (done, total, generation) => {
+                    progress.value = done / total;
+                    statusText.textContent = `FOTOGRAMA ${done} DE ${total} · GENERACIÓN ${generation}`;
+                },
+                done: (blob, filename) => {
+                    downloadFile(filename, blob, blob.type);
+                    endRecording(`GUARDADO: ${filename}`);
+                },
+                error: (text) => {
+                    postCommand({ type: 'stopRecording' });
+                    showCommandError('recordFrame', text);
+                }
+            }
+        );
+    } catch (error) {
+        showCommandError('startRecording', error.message);
+        return;
+    }
+
+    document.getElementById('recordStartBtn').disabled = true;
+    document.getElementById('recordCancelBtn').disabled = false;
+    document.getElementById('recordStatus').classList.remove('hidden');
+    progress.value = 0;
+    statusText.textContent = 'PREPARANDO LA PRIMERA GENERACIÓN...';
+
+    postCommand({
+        type: 'startRecording',
+        from: Number(document.getElementById('recordFrom').value),
+        to: Number(document.getElementById('recordTo').value),
+        stride: Number(document.getElementById('recordStride').value),
+        scale: Number(document.getElementById('recordScale').value),
+        region: crop ? selection : null
+    });
+}
+
+/**
+ * Devuelve el panel GRABACIÓN al reposo al terminar, cancelar o fallar
+ * la grabación.
+ *
+ * @param {string|null} text - Mensaje final, o null para ocultar el
+ *                             progreso
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function endRecording(text) {
+    if (recorder) recorder.cancel();
+    recorder = null;
+    document.getElementById('recordStartBtn').disabled = false;
+    document.getElementById('recordCancelBtn').disabled = true;
+    document.getElementById('recordStatus').classList.toggle('hidden', text === null);
+    if (text !== null) document.getElementById('recordStatusText').textContent = text;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: downloadFile
+ * ----------------------------------------------------------------------------
+ *
+ * Descarga un texto (o un Blob ya hecho) como archivo: un enlace temporal
+ * a un Blob con el atributo download.
+ *
+ * @param {string} filename - Nombre del archivo
+ * @param {string|Blob} text - Contenido
+ * @param {string} type - Tipo MIME (ej: "application/json")
+ *
+ * COMPLEJIDAD: O(n) donde n = longitud del contenido
+ */
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: applyRule
+ * ----------------------------------------------------------------------------
+ *
+ * Envía un rulestring a la simulación. Si es válido, las estadísticas de
+ * respuesta traen la regla nueva y onSimulationMessage cambia la de las
+ * previsualizaciones y sincroniza los controles; si no, la simulación
+ * responde con el error (ver setRule en simulation.js).
+ *
+ * @param {string} rulestring - Regla en notación B/S (ej: "B36/S23") o
+ *                              Larger than Life (ej: "R5,C0,M1,S34..58,B34..45,NM")
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function applyRule(rulestring) {
+    ruleRequested = true;
+    postCommand({ type: 'setRule', rulestring });
+}
+
+/**
+ * Opciones del selector de topología: sufijo de Golly para una cuadrícula
+ * de ancho × alto células.
+ */
+const TOPOLOGY_OPTIONS = {
+    torus: () => '',
+    plane: () => ':P',
+    'cylinder-h': (width) => `:T${width},0`,
+    'cylinder-v': (width, height) => `:T0,${height}`,
+    mobius: (width) => `:K${width},0*`,
+    klein: (width, height) => `:K${width}*,${height}`,
+    cross: (width, height) => `:C${width},${height}`
+};
+
+/**
+ * Opción del selector de topología que corresponde a una topología
+ * (según los modos de sus bordes; el tamaño no se tiene en cuenta).
+ *
+ * @param {Object} topology - rule.topology
+ * @returns {string} Clave de TOPOLOGY_OPTIONS
+ */
+function getTopologyOption(topology) {
+    const [x, y] = topology.modes;
+    if (x === 2 && y === 2) return 'cross';
+    if (x === 2 || y === 2) return x === 0 || y === 0 ? 'mobius' : 'klein';
+    if (x === 1 && y === 1) return 'torus';
+    if (x === 1) return 'cylinder-h';
+    if (y === 1) return 'cylinder-v';
+    return 'plane';
+}
+
+/**
+ * Activa o desactiva el modo turbo (botón TURBO y tecla T).
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function toggleTurbo() {
+    postCommand({ type: 'setTurbo', enabled: !sim.turbo });
+}
+
+/**
+ * Lee un campo numérico del modo turbo.
+ *
+ * @param {HTMLInputElement} input - Campo a leer
+ * @param {number} max - Valor máximo admitido
+ * @param {string} message - Error a mostrar si el valor no es válido
+ * @returns {number|null} Entero entre 1 y max, o null si no es válido
+ */
+function readTurboSetting(input, max, message) {
+    const turboError = document.getElementById('turboError');
+    const value = Number(input.value);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        turboError.textContent = message;
+        turboError.classList.remove('hidden');
+        return null;
+    }
+    turboError.classList.add('hidden');
+    return value;
+}
+
 /**
  * ============================================================================
  * SISTEMA DE CONTROLES
@@ -673,8 +875,7 @@ function hideEndMessage() {
  * 1. Botones de la interfaz (iniciar, pausar, aleatorio, limpiar, velocidad)
  * 2. Botones de patrones predefinidos
  * 3. Teclado (espacio, R, C, flechas)
- * 4. Mouse (click y arrastre para dibujar)
- * 5. Touch (soporte para dispositivos táctiles)
+ * 4. Mouse y touch sobre el canvas (setupCanvasControls)
  *
  * EVENT LISTENERS vs INLINE HANDLERS:
  * Usamos addEventListener en lugar de onclick por:
@@ -693,44 +894,363 @@ function setupControls() {
 
     // Botón INICIAR: inicia la simulación
     document.getElementById('startBtn').addEventListener('click', () => {
-        if (!game.hasEnded) {
-            isRunning = true;
-            updateUI();
-        }
+        postCommand({ type: 'start' });
     });
 
     // Botón PAUSAR: pausa la simulación
     document.getElementById('pauseBtn').addEventListener('click', () => {
-        isRunning = false;
-        updateUI();
+        postCommand({ type: 'pause' });
     });
 
     // Botón ALEATORIO: genera configuración aleatoria
     document.getElementById('randomBtn').addEventListener('click', () => {
-        game.randomize();
-        hideEndMessage();
-        render();
-        updateUI();
+        postCommand({ type: 'randomize' });
     });
 
     // Botón LIMPIAR: borra todas las células
     document.getElementById('clearBtn').addEventListener('click', () => {
-        game.clear();
-        hideEndMessage();
-        render();
-        updateUI();
+        postCommand({ type: 'clear' });
     });
 
     // Botón LENTO: reduce velocidad en 5 FPS
+    // (la simulación limita la velocidad a MIN_SPEED..MAX_SPEED)
     document.getElementById('slowBtn').addEventListener('click', () => {
-        speed = Math.max(MIN_SPEED, speed - 5);
-        updateUI();
+        postCommand({ type: 'setSpeed', speed: sim.speed - 5 });
     });
 
     // Botón RÁPIDO: aumenta velocidad en 5 FPS
     document.getElementById('fastBtn').addEventListener('click', () => {
-        speed = Math.min(MAX_SPEED, speed + 5);
-        updateUI();
+        postCommand({ type: 'setSpeed', speed: sim.speed + 5 });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * MODO TURBO
+     * ------------------------------------------------------------------------
+     * Generaciones por frame y cada cuántas se comprueba el fin. Un valor
+     * fuera de rango muestra el error y devuelve el campo al valor actual.
+     */
+    document.getElementById('turboBtn').addEventListener('click', toggleTurbo);
+
+    const turboInput = document.getElementById('turboGenerations');
+    turboInput.max = MAX_TURBO_GENERATIONS;
+    turboInput.value = DEFAULT_TURBO_GENERATIONS;
+    turboInput.addEventListener('change', () => {
+        const value = readTurboSetting(turboInput, MAX_TURBO_GENERATIONS,
+            `Las generaciones por frame deben ser un entero entre 1 y ${MAX_TURBO_GENERATIONS}`);
+        if (value === null) {
+            turboInput.value = sim.turboGenerations;
+        } else {
+            postCommand({ type: 'setTurbo', generations: value });
+        }
+    });
+
+    const endCheckInput = document.getElementById('endCheckInterval');
+    endCheckInput.max = MAX_END_CHECK_INTERVAL;
+    endCheckInput.value = DEFAULT_END_CHECK_INTERVAL;
+    endCheckInput.addEventListener('change', () => {
+        const value = readTurboSetting(endCheckInput, MAX_END_CHECK_INTERVAL,
+            `El intervalo de comprobación debe ser un entero entre 1 y ${MAX_END_CHECK_INTERVAL}`);
+        if (value === null) {
+            endCheckInput.value = sim.endCheckInterval;
+        } else {
+            postCommand({ type: 'setTurbo', endCheckInterval: value });
+        }
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * SELECTOR DE REGLA
+     * ------------------------------------------------------------------------
+     * El desplegable se rellena con RULE_PRESETS (rules.js). Elegir una regla
+     * la aplica directamente; el campo de texto admite cualquier rulestring.
+     */
+    const rulePreset = document.getElementById('rulePreset');
+    const ruleInput = document.getElementById('ruleInput');
+
+    RULE_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.rule;
+        option.textContent = `${preset.name} (${preset.rule})`;
+        rulePreset.appendChild(option);
+    });
+
+    // Las reglas del catálogo conservan la topología elegida
+    rulePreset.addEventListener('change', () => {
+        applyRule(rulePreset.value + simRule.topology.suffix);
+    });
+
+    document.getElementById('ruleBtn').addEventListener('click', () => {
+        applyRule(ruleInput.value);
+    });
+
+    // Enter en el campo de texto aplica la regla
+    ruleInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            applyRule(ruleInput.value);
+        }
+    });
+
+    // Selector de vecindario: aplica la regla actual con otro sufijo
+    // (B3/S23 → B3/S23H) o con otra forma Larger than Life (NM → NN)
+    const neighbourhoodSelect = document.getElementById('neighbourhoodSelect');
+    neighbourhoodSelect.addEventListener('change', () => {
+        let rule;
+        try {
+            rule = withNeighbourhood(simRule, neighbourhoodSelect.value);
+        } catch (error) {
+            const ruleError = document.getElementById('ruleError');
+            ruleError.textContent = error.message;
+            ruleError.classList.remove('hidden');
+            neighbourhoodSelect.value = simRule.neighbourhood;
+            return;
+        }
+        applyRule(rule.rulestring);
+    });
+
+    // Selector de topología: aplica la regla actual con otro sufijo de Golly
+    // (B3/S23 → B3/S23:K512*,512) del tamaño de la cuadrícula completa
+    const topologySelect = document.getElementById('topologySelect');
+    topologySelect.addEventListener('change', () => {
+        const suffix = TOPOLOGY_OPTIONS[topologySelect.value](sim.width, sim.height);
+        let rule;
+        try {
+            rule = withTopology(simRule, suffix);
+        } catch (error) {
+            const ruleError = document.getElementById('ruleError');
+            ruleError.textContent = error.message;
+            ruleError.classList.remove('hidden');
+            topologySelect.value = getTopologyOption(simRule.topology);
+            return;
+        }
+        applyRule(rule.rulestring);
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * MOTOR DE SIMULACIÓN
+     * ------------------------------------------------------------------------
+     * GPU (GameOfLife), HashLife, GPU empaquetada (PackedLife) o por teselas
+     * (TiledLife). Con HashLife aparecen el salto 2^k por paso y el botón
+     * para centrar la vista en el patrón; con TiledLife, el tamaño del mundo.
+     */
+
+    // El motor nuevo recibe el salto de HashLife y el tamaño del mundo de
+    // TiledLife de sus campos (si falla, showCommandError restaura el select)
+    const stepExponent = document.getElementById('stepExponent');
+    const worldWidth = document.getElementById('worldWidth');
+    const worldHeight = document.getElementById('worldHeight');
+
+    const engineSelect = document.getElementById('engineSelect');
+    engineSelect.addEventListener('change', () => {
+        postCommand({
+            type: 'setEngine',
+            name: engineSelect.value,
+            stepExponent: Number(stepExponent.value),
+            worldWidth: Number(worldWidth.value),
+            worldHeight: Number(worldHeight.value)
+        });
+    });
+
+    stepExponent.max = HASHLIFE_MAX_STEP_EXPONENT;
+    stepExponent.addEventListener('change', () => {
+        postCommand({ type: 'setStepExponent', exponent: Number(stepExponent.value) });
+    });
+
+    document.getElementById('centerBtn').addEventListener('click', () => {
+        postCommand({ type: 'center' });
+    });
+
+    // Motor por teselas: tamaño del mundo (conserva la vista) y centrar
+    worldWidth.step = worldHeight.step = TILED_TILE_SIZE;
+    worldWidth.max = worldHeight.max = TILED_MAX_WORLD_SIZE;
+
+    document.getElementById('worldBtn').addEventListener('click', () => {
+        postCommand({
+            type: 'setWorldSize',
+            width: Number(worldWidth.value),
+            height: Number(worldHeight.value)
+        });
+    });
+
+    document.getElementById('tiledCenterBtn').addEventListener('click', () => {
+        postCommand({ type: 'center' });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * MODO DE DIBUJO
+     * ------------------------------------------------------------------------
+     * Estado, edad, calor o estela, y el mapa de color de los tres últimos
+     * (la simulación guarda la historia de las células en todo momento).
+     */
+    const renderModeSelect = document.getElementById('renderModeSelect');
+    renderModeSelect.addEventListener('change', () => {
+        postCommand({ type: 'setRenderMode', mode: renderModeSelect.value });
+    });
+
+    const colorMapSelect = document.getElementById('colorMapSelect');
+    colorMapSelect.addEventListener('change', () => {
+        postCommand({ type: 'setRenderMode', colorMap: colorMapSelect.value });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * TAMAÑO DE LA CUADRÍCULA
+     * ------------------------------------------------------------------------
+     * Ancho × alto en células, hasta el máximo de la GPU (el mensaje
+     * 'ready' de la simulación fija el max de los campos). Los campos
+     * muestran el tamaño real: el nuevo al llegar las estadísticas o el
+     * anterior si no se pudo cambiar (showCommandError).
+     */
+    const gridWidth = document.getElementById('gridWidth');
+    const gridHeight = document.getElementById('gridHeight');
+
+    const applyGridSize = () => {
+        postCommand({
+            type: 'resize',
+            width: Number(gridWidth.value),
+            height: Number(gridHeight.value)
+        });
+    };
+
+    document.getElementById('gridBtn').addEventListener('click', applyGridSize);
+
+    // Enter en cualquiera de los dos campos redimensiona
+    [gridWidth, gridHeight].forEach(input => {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                applyGridSize();
+            }
+        });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * CENSO
+     * ------------------------------------------------------------------------
+     * La simulación clasifica los objetos del estado actual y responde con
+     * un mensaje 'census'; el último censo se puede descargar como JSON.
+     */
+    document.getElementById('censusBtn').addEventListener('click', () => {
+        postCommand({ type: 'census' });
+    });
+
+    document.getElementById('censusExportBtn').addEventListener('click', () => {
+        downloadFile(`censo-${lastCensus.generation}.json`, JSON.stringify(lastCensus, null, 2), 'application/json');
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * ARCHIVOS DE PATRONES
+     * ------------------------------------------------------------------------
+     * El archivo se lee aquí y la simulación reconoce el formato y lo
+     * interpreta (importPattern); al exportar, en el formato elegido, la
+     * simulación responde con un mensaje 'pattern' que se descarga. Con una
+     * región seleccionada solo se exporta esa región.
+     */
+    const patternFileInput = document.getElementById('patternFileInput');
+
+    document.getElementById('patternImportBtn').addEventListener('click', () => {
+        patternFileInput.click();
+    });
+
+    patternFileInput.addEventListener('change', () => {
+        const file = patternFileInput.files[0];
+        if (!file) return;
+        // Elegir el mismo archivo otra vez vuelve a lanzar 'change'
+        patternFileInput.value = '';
+        file.text().then(text => {
+            document.getElementById('patternInfo').classList.add('hidden');
+            postCommand({ type: 'importPattern', text });
+        });
+    });
+
+    document.getElementById('patternExportBtn').addEventListener('click', () => {
+        postCommand({
+            type: 'exportPattern',
+            region: selection,
+            format: document.getElementById('patternFormatSelect').value
+        });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * IMAGEN
+     * ------------------------------------------------------------------------
+     * EXPORTAR PNG pide a la simulación el tablero a los píxeles por célula
+     * elegidos (responde con 'image'). IMPORTAR IMAGEN la decodifica aquí y
+     * la simulación aplica el umbral; cambiar el umbral, el tramado o la
+     * inversión vuelve a aplicar la última imagen.
+     */
+    const imageFileInput = document.getElementById('imageFileInput');
+    document.getElementById('imageScale').max = IMAGE_MAX_SCALE;
+
+    document.getElementById('imageExportBtn').addEventListener('click', () => {
+        postCommand({
+            type: 'exportImage',
+            scale: Number(document.getElementById('imageScale').value),
+            grid: document.getElementById('imageGrid').checked
+        });
+    });
+
+    document.getElementById('imageImportBtn').addEventListener('click', () => {
+        imageFileInput.click();
+    });
+
+    imageFileInput.addEventListener('change', () => {
+        const file = imageFileInput.files[0];
+        if (!file) return;
+        imageFileInput.value = '';
+        createImageBitmap(file).then(bitmap => {
+            importedImage = bitmap;
+            applyImportedImage();
+        }, () => {
+            showCommandError('importImage', `No se pudo leer la imagen ${file.name}`);
+        });
+    });
+
+    ['imageThreshold', 'imageDither', 'imageInvert'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            if (importedImage) applyImportedImage();
+        });
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * GRABACIÓN
+     * ------------------------------------------------------------------------
+     * GRABAR pide el primer fotograma (startRecorder); CANCELAR descarta lo
+     * grabado y la simulación deja de esperar más peticiones.
+     */
+    document.getElementById('recordScale').max = IMAGE_MAX_SCALE;
+
+    document.getElementById('recordStartBtn').addEventListener('click', startRecorder);
+
+    document.getElementById('recordCancelBtn').addEventListener('click', () => {
+        postCommand({ type: 'stopRecording' });
+        endRecording('GRABACIÓN CANCELADA');
+    });
+
+    /**
+     * ------------------------------------------------------------------------
+     * GRÁFICA DE ACTIVIDAD
+     * ------------------------------------------------------------------------
+     * Series visibles, escala logarítmica y vuelta a la ejecución completa
+     * (el zoom, el desplazamiento y el clic los gestiona ActivityChart).
+     */
+    document.querySelectorAll('[data-chart-series]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            activityChart.setSeriesVisible(checkbox.getAttribute('data-chart-series'), checkbox.checked);
+        });
+    });
+
+    document.getElementById('chartLogScale').addEventListener('change', (e) => {
+        activityChart.setLogScale(e.target.checked);
+    });
+
+    document.getElementById('chartResetBtn').addEventListener('click', () => {
+        activityChart.resetView();
     });
 
     /**
@@ -746,12 +1266,7 @@ function setupControls() {
             const patternName = btn.getAttribute('data-pattern');
 
             // Cargar patrón en el juego
-            game.loadPattern(patternName);
-
-            // Limpiar UI
-            hideEndMessage();
-            render();
-            updateUI();
+            postCommand({ type: 'loadPattern', name: patternName });
         });
     });
 
@@ -761,77 +1276,122 @@ function setupControls() {
      * ------------------------------------------------------------------------
      */
     document.addEventListener('keydown', (e) => {
+        // No interceptar teclas mientras se escribe en un campo del formulario
+        if (e.target.matches('input, select, textarea')) return;
+
         switch (e.key) {
+            case 'Escape':  // ESC: quitar la selección
+                setSelection(null);
+                break;
+
             case ' ':  // Barra espaciadora: pausar/reanudar
                 e.preventDefault();  // Evitar scroll de página
-                if (!game.hasEnded) {
-                    isRunning = !isRunning;  // Toggle
-                    updateUI();
-                }
+                postCommand({ type: sim.running ? 'pause' : 'start' });  // Toggle
                 break;
 
             case 'r':  // R: patrón aleatorio
             case 'R':
-                game.randomize();
-                hideEndMessage();
-                render();
-                updateUI();
+                postCommand({ type: 'randomize' });
                 break;
 
             case 'c':  // C: limpiar
             case 'C':
-                game.clear();
-                hideEndMessage();
-                render();
-                updateUI();
+                postCommand({ type: 'clear' });
+                break;
+
+            case 't':  // T: activar/desactivar el modo turbo
+            case 'T':
+                toggleTurbo();
                 break;
 
             case 'ArrowUp':  // Flecha arriba: más rápido
                 e.preventDefault();  // Evitar scroll
-                speed = Math.min(MAX_SPEED, speed + 5);
-                updateUI();
+                postCommand({ type: 'setSpeed', speed: sim.speed + 5 });
                 break;
 
             case 'ArrowDown':  // Flecha abajo: más lento
                 e.preventDefault();  // Evitar scroll
-                speed = Math.max(MIN_SPEED, speed - 5);
-                updateUI();
+                postCommand({ type: 'setSpeed', speed: sim.speed - 5 });
+                break;
+
+            case 'w':  // W/A/S/D: mover la vista de HashLife o del motor por
+            case 'W':  // teselas un cuarto de su tamaño (con la GPU no hay nada fuera)
+            case 'a':
+            case 'A':
+            case 's':
+            case 'S':
+            case 'd':
+            case 'D':
+                if (sim.engine === 'hashlife' || sim.engine === 'tiled') {
+                    const [dx, dy] = {
+                        w: [0, 1], a: [-1, 0], s: [0, -1], d: [1, 0]
+                    }[e.key.toLowerCase()];
+                    postCommand({ type: 'pan', dx, dy });
+                }
                 break;
         }
     });
 
+    // Dibujo y selección sobre el canvas principal
+    setupCanvasControls(document.getElementById('glCanvas'));
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setupCanvasControls
+ * ----------------------------------------------------------------------------
+ *
+ * Configura el dibujo con mouse y touch sobre el canvas principal. Aparte
+ * de setupControls porque replaceCanvas lo vuelve a llamar con el canvas
+ * nuevo.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas principal
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setupCanvasControls(canvas) {
     /**
      * ------------------------------------------------------------------------
      * CONTROLES DE MOUSE - DIBUJO MANUAL
      * ------------------------------------------------------------------------
      * Permite al usuario dibujar células clickeando y arrastrando sobre el canvas.
+     * Con Mayús pulsada, arrastrar selecciona una región en lugar de dibujar.
      */
-    const canvas = document.getElementById('glCanvas');
 
-    // Mouse down: iniciar dibujo
+    // Mouse down: iniciar dibujo (o selección, con Mayús)
     canvas.addEventListener('mousedown', (e) => {
+        if (e.shiftKey) {
+            selectionStart = cellAtPosition(e);
+            setSelection(selectionRect(selectionStart, selectionStart));
+            return;
+        }
         isDrawing = true;
         drawAtPosition(e);
     });
 
-    // Mouse move: continuar dibujando si el botón está presionado
+    // Mouse move: continuar dibujando (o seleccionando) si el botón está presionado
     canvas.addEventListener('mousemove', (e) => {
-        if (isDrawing) {
+        if (selectionStart) {
+            setSelection(selectionRect(selectionStart, cellAtPosition(e)));
+        } else if (isDrawing) {
             drawAtPosition(e);
         }
     });
 
     // Mouse up: terminar dibujo
     canvas.addEventListener('mouseup', () => {
+        if (selectionStart) {
+            selectionStart = null;
+            return;
+        }
         isDrawing = false;
-        game.reset();  // Resetear estadísticas
-        hideEndMessage();
-        updateUI();
+        postCommand({ type: 'drawEnd' });  // Resetear estadísticas
     });
 
-    // Mouse leave: terminar dibujo si el mouse sale del canvas
+    // Mouse leave: terminar dibujo (o selección) si el mouse sale del canvas
     canvas.addEventListener('mouseleave', () => {
         isDrawing = false;
+        selectionStart = null;
     });
 
     /**
@@ -858,9 +1418,7 @@ function setupControls() {
     // Touch end: terminar dibujo
     canvas.addEventListener('touchend', () => {
         isDrawing = false;
-        game.reset();
-        hideEndMessage();
-        updateUI();
+        postCommand({ type: 'drawEnd' });
     });
 }
 
@@ -874,8 +1432,10 @@ function setupControls() {
  * CONVERSIÓN DE COORDENADAS:
  * 1. Coordenadas del evento (e.clientX, e.clientY) están en píxeles de página
  * 2. Restar offset del canvas para obtener coordenadas relativas al canvas
- * 3. Escalar a coordenadas de la cuadrícula (0 a GRID_SIZE-1)
+ * 3. Escalar a coordenadas de la cuadrícula (0 a ancho-1, 0 a alto-1)
  * 4. Invertir eje Y (canvas usa origen arriba, OpenGL usa origen abajo)
+ * 5. En la rejilla hexagonal, buscar la célula hexagonal que contiene el
+ *    punto (hexCellAt), igual que hace el display shader al dibujarla
  *
  * @param {MouseEvent|Touch} e - Evento de mouse o touch
  *
@@ -886,7 +1446,7 @@ function setupControls() {
  * - Invertir Y: glY = 512 - 1 - 128 = 383
  * - Dibujar célula en (256, 383)
  *
- * COMPLEJIDAD: O(n) donde n = GRID_SIZE² (por drawCell que lee/escribe textura)
+ * COMPLEJIDAD: O(1) aquí; en la simulación, la de drawCell de cada motor
  */
 function drawAtPosition(e) {
     const canvas = document.getElementById('glCanvas');
@@ -901,26 +1461,141 @@ function drawAtPosition(e) {
      * rect.left/top = posición del canvas en la página
      * rect.width/height = dimensiones renderizadas del canvas
      */
-    const x = Math.floor((e.clientX - rect.left) / rect.width * GRID_SIZE);
-    const y = Math.floor((e.clientY - rect.top) / rect.height * GRID_SIZE);
-
-    /**
-     * Invertir eje Y porque:
-     * - Canvas HTML usa origen en esquina superior izquierda (Y aumenta hacia abajo)
-     * - OpenGL/WebGL usa origen en esquina inferior izquierda (Y aumenta hacia arriba)
-     */
-    const glY = GRID_SIZE - 1 - y;
+    const px = (e.clientX - rect.left) / rect.width * sim.width;
+    const py = (e.clientY - rect.top) / rect.height * sim.height;
+    const x = Math.floor(px);
+    const y = Math.floor(py);
 
     // Verificar que la coordenada está dentro de los límites
-    if (x >= 0 && x < GRID_SIZE && y >= 0 && y < GRID_SIZE) {
-        // Dibujar célula viva
-        game.drawCell(x, glY, true);
+    if (x >= 0 && x < sim.width && y >= 0 && y < sim.height) {
+        /**
+         * Invertir eje Y porque:
+         * - Canvas HTML usa origen en esquina superior izquierda (Y aumenta hacia abajo)
+         * - OpenGL/WebGL usa origen en esquina inferior izquierda (Y aumenta hacia arriba)
+         */
+        let cellX = x;
+        let cellY = sim.height - 1 - y;
+
+        if (simRule.neighbourhood === 'hexagonal') {
+            // Las filas impares están desplazadas: la célula depende de la
+            // posición exacta dentro del pixel, no solo de floor()
+            [cellX, cellY] = hexCellAt(px, sim.height - py);
+            cellX = (cellX + sim.width) % sim.width;
+            cellY = (cellY + sim.height) % sim.height;
+        }
 
-        // Renderizar para mostrar el cambio inmediatamente
-        render();
+        // Dibujar célula viva (la simulación la muestra inmediatamente)
+        postCommand({ type: 'draw', x: cellX, y: cellY, alive: true });
     }
 }
 
+/**
+ * Célula de la cuadrícula bajo el mouse (origen abajo), pegada al borde si
+ * el puntero está fuera del canvas. Es la misma conversión que
+ * drawAtPosition sin el ajuste hexagonal: la selección es un rectángulo de
+ * filas y columnas.
+ *
+ * @param {MouseEvent} e - Evento de mouse
+ * @returns {number[]} [x, y]
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function cellAtPosition(e) {
+    const rect = document.getElementById('glCanvas').getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / rect.width * sim.width);
+    const y = Math.floor((e.clientY - rect.top) / rect.height * sim.height);
+    return [
+        Math.min(Math.max(x, 0), sim.width - 1),
+        sim.height - 1 - Math.min(Math.max(y, 0), sim.height - 1)
+    ];
+}
+
+/**
+ * Rectángulo entre dos células (ambas incluidas).
+ *
+ * @param {number[]} a - [x, y] de una esquina
+ * @param {number[]} b - [x, y] de la esquina opuesta
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function selectionRect(a, b) {
+    return {
+        x: Math.min(a[0], b[0]),
+        y: Math.min(a[1], b[1]),
+        width: Math.abs(a[0] - b[0]) + 1,
+        height: Math.abs(a[1] - b[1]) + 1
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setSelection
+ * ----------------------------------------------------------------------------
+ *
+ * Cambia la región seleccionada y la muestra sobre el canvas (#selectionBox)
+ * y en el panel ARCHIVOS.
+ *
+ * @param {Object|null} rect - { x, y, width, height } en coordenadas de la
+ *                             cuadrícula (origen abajo), o null para quitarla
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setSelection(rect) {
+    selection = rect;
+    const box = document.getElementById('selectionBox');
+    const info = document.getElementById('selectionInfo');
+    box.classList.toggle('hidden', !rect);
+    info.classList.toggle('hidden', !rect);
+    if (!rect) return;
+
+    // La caja se coloca sobre el canvas (sin su borde), con el origen arriba
+    const canvas = document.getElementById('glCanvas');
+    const cellWidth = canvas.clientWidth / sim.width;
+    const cellHeight = canvas.clientHeight / sim.height;
+    box.style.left = `${canvas.offsetLeft + canvas.clientLeft + rect.x * cellWidth}px`;
+    box.style.top = `${canvas.offsetTop + canvas.clientTop + (sim.height - rect.y - rect.height) * cellHeight}px`;
+    box.style.width = `${rect.width * cellWidth}px`;
+    box.style.height = `${rect.height * cellHeight}px`;
+    info.textContent = `SELECCIÓN: ${rect.width}×${rect.height} DESDE (${rect.x}, ${rect.y}) (ESC PARA QUITARLA)`;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: hexCellAt
+ * ----------------------------------------------------------------------------
+ *
+ * Célula de la rejilla hexagonal que contiene un punto. Es la misma cuenta
+ * que hexCell() del display shader, para que el dibujo caiga exactamente en
+ * el hexágono que se ve en pantalla.
+ *
+ * ALGORITMO (centro más cercano):
+ * - Centro de la célula (col, row): (col + 0.5 + 0.5·(row % 2), row + 0.5)
+ * - Solo compiten las dos filas cuyos centros rodean al punto
+ * - La distancia vertical se escala por √3/2 (red hexagonal regular)
+ *
+ * @param {number} x - Coordenada X en unidades de célula
+ * @param {number} y - Coordenada Y en unidades de célula (origen abajo)
+ * @returns {number[]} [columna, fila] sin envolver (pueden valer -1 o el tamaño)
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function hexCellAt(x, y) {
+    const row0 = Math.floor(y - 0.5);
+    let best = null;
+    let bestDistance = Infinity;
+    for (const row of [row0, row0 + 1]) {
+        const shift = (row & 1) ? 0.5 : 0;
+        const col = Math.floor(x - shift);
+        const dx = x - (col + 0.5 + shift);
+        const dy = (y - (row + 0.5)) * Math.sqrt(3) / 2;
+        const distance = dx * dx + dy * dy;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = [col, row];
+        }
+    }
+    return best;
+}
+
 /**
  * ============================================================================
  * SISTEMA DE PREVISUALIZACIÓN DE PATRONES
@@ -949,7 +1624,7 @@ function drawAtPosition(e) {
  *
  * ARQUITECTURA:
  * - Cada preview mantiene su propio grid 2D
- * - Implementa reglas de Conway en JavaScript puro
+ * - Aplica la misma regla que el simulador principal (nextCellState de rules.js)
  * - Se anima independientemente del simulador principal
  */
 class PatternPreview {
@@ -973,6 +1648,16 @@ class PatternPreview {
         // Obtener patrón de la tabla global PATTERNS
         this.pattern = PATTERNS[patternName];
 
+        // Regla activa (se sincroniza con el simulador principal en applyRule)
+        // y desplazamientos de su vecindario para filas pares e impares
+        // (solo difieren en la rejilla hexagonal; gridSize es par para que
+        // las filas desplazadas encajen al envolver)
+        this.rule = parseRule(DEFAULT_RULE);
+        this.offsets = [0, 1].map(row => getNeighbourhoodOffsets(this.rule, row));
+
+        // Región simulada y bordes según la topología de la regla
+        this.bounds = resolveTopology(this.rule.topology, this.gridSize, this.gridSize);
+
         /**
          * Crear grids internos (arrays 2D)
          * grid: estado actual
@@ -1052,49 +1737,103 @@ class PatternPreview {
         this.generation = 0;
     }
 
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: setRule
+     * ------------------------------------------------------------------------
+     * Cambia la regla de la previsualización y reinicia el patrón, para que
+     * la animación muestre su evolución bajo la nueva regla desde el principio.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     *
+     * COMPLEJIDAD: O(g² + p) por initPattern
+     */
+    setRule(rule) {
+        this.rule = rule;
+        this.offsets = [0, 1].map(row => getNeighbourhoodOffsets(rule, row));
+        this.bounds = resolveTopology(rule.topology, this.gridSize, this.gridSize);
+        this.initPattern();
+        this.draw();
+    }
+
     /**
      * ------------------------------------------------------------------------
      * MÉTODO: countNeighbors
      * ------------------------------------------------------------------------
-     * Cuenta los vecinos vivos de una célula (vecindario de Moore).
+     * Cuenta los vecinos vivos de una célula en el vecindario de la regla.
+     * Solo cuentan las células en estado 1: en reglas Generations las células
+     * muriendo (estado ≥ 2) no son vecinos vivos.
      *
-     * VECINDARIO DE MOORE (8 vecinos):
+     * VECINDARIO DE MOORE (8 vecinos, reglas B/S):
      *   (x-1,y-1)  (x,y-1)  (x+1,y-1)
      *   (x-1,y  )  (AQUÍ)   (x+1,y  )
      *   (x-1,y+1)  (x,y+1)  (x+1,y+1)
      *
-     * BORDES TOROIDALES:
-     * Usa operador módulo (%) para envolver coordenadas.
-     * Ejemplo: x=-1 → x=(−1+20)%20=19 (borde derecho)
+     * Las reglas von Neumann, hexagonales y Larger than Life usan los
+     * desplazamientos de getNeighbourhoodOffsets() (los mismos que recorre el
+     * compute shader); en la rejilla hexagonal dependen de la paridad de la fila.
+     *
+     * BORDES:
+     * mapTopologyCell() aplica la topología de la regla, igual que getCell()
+     * del compute shader. Con el toro por defecto envuelve con módulo:
+     * Ejemplo: x=-1 → x=19 (borde derecho); con :P sería un vecino muerto
      *
      * @param {number} x - Coordenada X de la célula
      * @param {number} y - Coordenada Y de la célula
-     * @returns {number} Número de vecinos vivos (0-8)
+     * @returns {number} Número de vecinos vivos (0-8 con Moore de radio 1)
      *
-     * COMPLEJIDAD: O(1) - siempre 8 vecinos
+     * COMPLEJIDAD: O(k) donde k = tamaño del vecindario (8 en Moore de radio 1)
      */
     countNeighbors(x, y) {
         let count = 0;
 
-        // Iterar sobre los 8 vecinos
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                // Saltar la célula central
-                if (dx === 0 && dy === 0) continue;
+        // Iterar sobre los desplazamientos del vecindario
+        for (const [dx, dy] of this.offsets[y & 1]) {
+            // Traducir la posición según la topología (toro, Klein...);
+            // null = fuera de un borde muerto
+            const cell = mapTopologyCell(this.bounds, x + dx, y + dy);
 
-                // Calcular coordenadas con bordes toroidales
-                // (x + dx + gridSize) % gridSize maneja correctamente negativos
-                const nx = (x + dx + this.gridSize) % this.gridSize;
-                const ny = (y + dy + this.gridSize) % this.gridSize;
-
-                // Sumar estado del vecino (0 o 1)
-                count += this.grid[ny][nx];
-            }
+            // Sumar el vecino si está vivo (estado 1)
+            if (cell && this.grid[cell[1]][cell[0]] === 1) count++;
         }
 
         return count;
     }
 
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: neighbourMask
+     * ------------------------------------------------------------------------
+     * Máscara de 8 bits de los vecinos de Moore vivos, en el orden de
+     * NEIGHBOUR_MASK_OFFSETS (el mismo que neighbourMask() del compute shader).
+     *
+     * @param {number} x - Coordenada X de la célula
+     * @param {number} y - Coordenada Y de la célula
+     * @returns {number} Máscara (0-255)
+     *
+     * COMPLEJIDAD: O(1) - siempre 8 vecinos
+     */
+    neighbourMask(x, y) {
+        let mask = 0;
+        NEIGHBOUR_MASK_OFFSETS.forEach(([dx, dy], bit) => {
+            const cell = mapTopologyCell(this.bounds, x + dx, y + dy);
+            if (cell && this.grid[cell[1]][cell[0]] === 1) mask |= 1 << bit;
+        });
+        return mask;
+    }
+
+    /**
+     * ¿Está la célula (x, y) dentro de la región simulada por la topología?
+     *
+     * @param {number} x - Coordenada X de la célula
+     * @param {number} y - Coordenada Y de la célula
+     * @returns {boolean} true si está dentro
+     */
+    isInRegion(x, y) {
+        const b = this.bounds;
+        return x >= b.x && x < b.x + b.width && y >= b.y && y < b.y + b.height;
+    }
+
     /**
      * ------------------------------------------------------------------------
      * MÉTODO: update
@@ -1104,16 +1843,19 @@ class PatternPreview {
      * ALGORITMO:
      * 1. Para cada célula en el grid:
      *    a) Contar vecinos vivos
-     *    b) Aplicar reglas de Conway
+     *    b) Aplicar la regla activa (nextCellState)
      *    c) Escribir nuevo estado en nextGrid
      * 2. Intercambiar grids (nextGrid → grid)
      * 3. Incrementar contador de generaciones
      * 4. Si llegó al período conocido, reiniciar
      *
-     * REGLAS DE CONWAY (implementadas en código):
-     * - Célula viva con 2 o 3 vecinos → sobrevive
-     * - Célula muerta con 3 vecinos → nace
+     * REGLA (misma que el compute shader):
+     * - Célula viva con un conteo de la lista S → sobrevive
+     * - Célula muerta con un conteo de la lista B → nace
      * - Cualquier otro caso → muere o permanece muerta
+     * - Con Conway (B3/S23): sobrevive con 2 o 3, nace con 3
+     * - Reglas de Hensel: decide la máscara de vecinos, consultada en las
+     *   mismas tablas de 256 entradas que se suben a la GPU
      *
      * RESETEO AUTOMÁTICO:
      * Cada patrón tiene un período conocido. Después de ese número de
@@ -1125,20 +1867,22 @@ class PatternPreview {
         // Calcular siguiente generación
         for (let y = 0; y < this.gridSize; y++) {
             for (let x = 0; x < this.gridSize; x++) {
-                // Contar vecinos vivos
+                // Fuera de la región simulada (topología menor que la
+                // cuadrícula) las células siempre están muertas
+                if (!this.isInRegion(x, y)) {
+                    this.nextGrid[y][x] = 0;
+                    continue;
+                }
+
+                // Contar vecinos vivos (y su máscara en reglas de Hensel)
                 const neighbors = this.countNeighbors(x, y);
+                const mask = this.rule.isotropic ? this.neighbourMask(x, y) : 0;
 
                 // Estado actual de esta célula
                 const current = this.grid[y][x];
 
-                // Aplicar reglas de Conway
-                if (current === 1) {
-                    // Célula viva: sobrevive con 2 o 3 vecinos
-                    this.nextGrid[y][x] = (neighbors === 2 || neighbors === 3) ? 1 : 0;
-                } else {
-                    // Célula muerta: nace con exactamente 3 vecinos
-                    this.nextGrid[y][x] = (neighbors === 3) ? 1 : 0;
-                }
+                // Aplicar la regla activa
+                this.nextGrid[y][x] = nextCellState(this.rule, current, neighbors, mask);
             }
         }
 
@@ -1150,8 +1894,9 @@ class PatternPreview {
         this.generation++;
 
         /**
-         * Tabla de períodos conocidos para cada patrón
+         * Tabla de períodos conocidos para cada patrón (bajo B3/S23)
          * Después de estas generaciones, el patrón vuelve al estado inicial
+         * Con otras reglas sirve igualmente para reiniciar la animación
          */
         const resetGenerations = {
             // Vidas estáticas (nunca cambian)
@@ -1193,24 +1938,46 @@ class PatternPreview {
      * RENDERIZADO:
      * - Negro (0,0,0) para células muertas
      * - Blanco (255,255,255) para células vivas
+     * - Degradado de getDyingColor() para células muriendo (Generations)
      * - Sin bordes entre células (aspecto sólido)
+     * - En la rejilla hexagonal, cada célula es un hexágono y las filas
+     *   impares se desplazan media célula a la derecha (como en el display shader)
      *
      * CANVAS 2D API:
      * - fillStyle: establece el color de relleno
      * - fillRect(x, y, w, h): dibuja un rectángulo relleno
+     * - beginPath/moveTo/lineTo/fill: dibuja un polígono (hexágonos)
      *
      * COMPLEJIDAD: O(g²) donde g=gridSize
      */
     draw() {
-        // Limpiar canvas (fondo negro)
-        this.ctx.fillStyle = '#000';
+        // Limpiar canvas: gris muy oscuro fuera de la región simulada
+        // (como el display shader) y negro dentro
+        const b = this.bounds;
+        this.ctx.fillStyle = '#1f1f1f';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Dibujar células vivas (blancas)
-        this.ctx.fillStyle = '#fff';
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(
+            b.x * this.cellSize,
+            b.y * this.cellSize,
+            b.width * this.cellSize,
+            b.height * this.cellSize
+        );
+
+        // Dibujar células vivas (blancas) y muriendo (degradado)
         for (let y = 0; y < this.gridSize; y++) {
             for (let x = 0; x < this.gridSize; x++) {
-                if (this.grid[y][x] === 1) {
+                const state = this.grid[y][x];
+                if (state !== 0) {
+                    this.ctx.fillStyle = state === 1
+                        ? '#fff'
+                        : getDyingColor(state, this.rule.states);
+
+                    if (this.rule.neighbourhood === 'hexagonal') {
+                        this.drawHexagon(x, y);
+                        continue;
+                    }
+
                     // Calcular posición en píxeles
                     const px = x * this.cellSize;
                     const py = y * this.cellSize;
@@ -1228,6 +1995,41 @@ class PatternPreview {
         }
     }
 
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: drawHexagon
+     * ------------------------------------------------------------------------
+     * Dibuja la célula (x, y) de la rejilla hexagonal con el color actual.
+     *
+     * GEOMETRÍA (en unidades de célula, respecto al centro):
+     * Hexágono con vértice arriba, 1 célula de ancho y 4/3 de alto, que es
+     * la red hexagonal regular estirada para que las filas estén a 1 célula:
+     *        (0, -2/3)
+     *   (-½, -⅓)   (½, -⅓)
+     *   (-½,  ⅓)   (½,  ⅓)
+     *        (0,  2/3)
+     *
+     * @param {number} x - Columna de la célula
+     * @param {number} y - Fila de la célula
+     */
+    drawHexagon(x, y) {
+        const size = this.cellSize;
+        const cx = (x + 0.5 + (y & 1) * 0.5) * size;
+        const cy = (y + 0.5) * size;
+        const vertices = [[0, -2 / 3], [0.5, -1 / 3], [0.5, 1 / 3], [0, 2 / 3], [-0.5, 1 / 3], [-0.5, -1 / 3]];
+
+        this.ctx.beginPath();
+        vertices.forEach(([vx, vy], i) => {
+            if (i === 0) {
+                this.ctx.moveTo(cx + vx * size, cy + vy * size);
+            } else {
+                this.ctx.lineTo(cx + vx * size, cy + vy * size);
+            }
+        });
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
     /**
      * ------------------------------------------------------------------------
      * MÉTODO: animate
@@ -1252,6 +2054,27 @@ class PatternPreview {
     }
 }
 
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: getDyingColor
+ * ----------------------------------------------------------------------------
+ *
+ * Color CSS de una célula muriendo, igual al degradado del display shader:
+ * amarillo (1.0, 0.8, 0.2) justo al morir → violeta oscuro (0.25, 0.0, 0.4)
+ * en el último estado.
+ *
+ * @param {number} state - Estado de decadencia (2..C-1)
+ * @param {number} states - Número de estados de la regla (C)
+ * @returns {string} Color en formato rgb()
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function getDyingColor(state, states) {
+    const t = (state - 2) / Math.max(states - 3, 1);
+    const mix = (a, b) => Math.round((a + (b - a) * t) * 255);
+    return `rgb(${mix(1.0, 0.25)}, ${mix(0.8, 0.0)}, ${mix(0.2, 0.4)})`;
+}
+
 /**
  * ============================================================================
  * INICIALIZACIÓN DE PREVISUALIZACIONES
@@ -1290,13 +2113,3 @@ function animatePreviews(timestamp) {
 
 // Iniciar bucle de previsualizaciones
 requestAnimationFrame(animatePreviews);
-
-/**
- * ============================================================================
- * INICIAR BUCLE DE ANIMACIÓN PRINCIPAL
- * ============================================================================
- *
- * Solicitar el primer frame de animación.
- * Esto inicia el bucle infinito de animate().
- */
-requestAnimationFrame(animate);
@@ -0,0 +1,628 @@
+/**
+ * ============================================================================
+ * MOTOR GPU EMPAQUETADO: 32 CÉLULAS POR TEXEL
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * GameOfLife (game.js) guarda una célula por texel RGBA: 4 bytes por célula
+ * aunque en reglas de dos estados solo hace falta un bit. Una cuadrícula de
+ * 4096×4096 ocupa así 64 MB por textura (128 MB con el ping-pong) y cada
+ * readPixels (contar células, hash) copia esos 64 MB a la CPU.
+ *
+ * PackedLife guarda un bloque de 8×1 células en cada canal de 8 bits:
+ * 32 células por texel, 32 veces menos memoria de vídeo y de readPixels
+ * (4096×4096 → 2 MB por textura).
+ *
+ * REPRESENTACIÓN:
+ * - La textura mide (ancho / 32) × alto texels
+ * - El bit b (0 = menos significativo) del canal c (R, G, B, A) del texel
+ *   tx de la fila y es la célula x = 32·tx + 8·c + b de esa fila
+ * - Leída con readPixels, cada fila es una tira de ancho / 8 bytes: la
+ *   célula x está en el byte x >> 3, bit x & 7
+ *
+ * SHADERS (shaders.js):
+ * - packedComputeShaderSource: cada fragmento lee los 3×3 texels que
+ *   rodean a su bloque, desempaqueta las 3 filas de 34 células (el bloque y
+ *   una célula a cada lado) y calcula las 32 células nuevas con la tabla
+ *   de 256 entradas de la regla
+ * - packedDisplayShaderSource: extrae el bit de cada célula para dibujarla
+ *
+ * REGLAS ADMITIDAS:
+ * Dos estados (un bit por célula), vecindario que quepa en 3×3 (B/S de
+ * Moore o von Neumann, Hensel, Larger than Life de radio 1) y topologías
+ * que ocupen toda la cuadrícula sin invertir bordes (toro, plano y
+ * cilindros). El ancho debe ser múltiplo de 32 para que los bordes caigan
+ * entre texels.
+ * ============================================================================
+ */
+
+// rules.js, reduction.js, enddetection.js y game.js: globales en el navegador, require en Node
+const PACKED_DEPS = typeof parseRule === 'function'
+    ? {
+        GameOfLife,
+        DEFAULT_RULE,
+        NEIGHBOUR_MASK_OFFSETS,
+        placePattern,
+        parseRule,
+        resolveTopology,
+        getNeighbourhoodOffsets,
+        nextCellState,
+        reductionWeights,
+        addHash,
+        multiplyHash,
+        normaliseFingerprint
+    }
+    : Object.assign({}, require('./rules.js'), require('./reduction.js'), require('./enddetection.js'),
+        { GameOfLife: require('./game.js'), placePattern: require('./game.js').placePattern });
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Células por texel: 4 canales × 8 bits
+const PACKED_CELLS_PER_TEXEL = 32;
+
+// Número de bits a 1 de cada byte (para contar células sin desempaquetar)
+const PACKED_BIT_COUNTS = new Uint8Array(256);
+for (let i = 1; i < 256; i++) {
+    PACKED_BIT_COUNTS[i] = (i & 1) + PACKED_BIT_COUNTS[i >> 1];
+}
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: PackedLife
+ * ============================================================================
+ *
+ * Hereda de GameOfLife las texturas ping-pong, los framebuffers, la
+ * detección de finalización y la textura de consulta de la regla. Cambian
+ * el tamaño de las texturas y todo lo que lee o escribe células desde la
+ * CPU; readState/loadState siguen usando el formato RGBA de una célula por
+ * texel, así que el cambio de motor no distingue PackedLife de GameOfLife.
+ *
+ * En simulation.js, computeNextState y render usan los programas empaquetados
+ * cuando el motor activo es un PackedLife.
+ * ============================================================================
+ */
+class PackedLife extends PACKED_DEPS.GameOfLife {
+    /**
+     * Constructor de la clase PackedLife
+     *
+     * @param {WebGLRenderingContext} gl - Contexto WebGL
+     * @param {number} width - Ancho de la cuadrícula en células (múltiplo de 32)
+     * @param {number} height - Alto de la cuadrícula en células
+     * @param {Object} [rule] - Regla devuelta por parseRule (por defecto B3/S23)
+     * @throws {Error} Si la regla o el tamaño no se admiten (ver checkRule)
+     */
+    constructor(gl, width, height, rule = PACKED_DEPS.parseRule(PACKED_DEPS.DEFAULT_RULE)) {
+        PackedLife.checkRule(rule, width, height);
+        super(gl, width, height, rule);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO ESTÁTICO: checkRule
+     * ------------------------------------------------------------------------
+     * Comprueba que el motor empaquetado puede simular una regla en una
+     * cuadrícula de ancho × alto células.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @param {number} width - Ancho de la cuadrícula en células
+     * @param {number} height - Alto de la cuadrícula en células
+     * @throws {Error} Si la regla no es de dos estados con vecindario 3×3,
+     *                 el ancho no es múltiplo de 32 o la topología no es un
+     *                 toro, un plano o un cilindro de toda la cuadrícula
+     */
+    static checkRule(rule, width, height) {
+        if (rule.states > 2) {
+            throw new Error('El motor empaquetado solo admite reglas de dos estados (sin Generations)');
+        }
+        if (rule.radius !== 1 || rule.neighbourhood === 'hexagonal') {
+            throw new Error('El motor empaquetado solo admite vecindarios de Moore o von Neumann de radio 1');
+        }
+        if (width % PACKED_CELLS_PER_TEXEL !== 0) {
+            throw new Error(`El motor empaquetado necesita un ancho múltiplo de ${PACKED_CELLS_PER_TEXEL}`);
+        }
+        const bounds = PACKED_DEPS.resolveTopology(rule.topology, width, height);
+        if (bounds.x !== 0 || bounds.y !== 0 || bounds.width !== width || bounds.height !== height ||
+            bounds.modes[0] > 1 || bounds.modes[1] > 1) {
+            throw new Error('El motor empaquetado solo admite toro, plano o cilindro del tamaño de la cuadrícula');
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO ESTÁTICO: buildNeighbourhoodTable
+     * ------------------------------------------------------------------------
+     * Tabla de 256×1 texels con el mismo formato que ruleToNeighbourhoodTable
+     * (R = nace, G = sobrevive, indexada por la máscara de NEIGHBOUR_MASK_OFFSETS),
+     * pero válida para cualquier regla de vecindario 3×3: el conteo se hace
+     * con getNeighbourhoodOffsets, así que von Neumann solo cuenta 4 vecinos
+     * y con M1 (Larger than Life) la célula viva se cuenta a sí misma.
+     *
+     * @param {Object} rule - Regla de dos estados y radio 1
+     * @returns {Uint8Array} 256 × 4 bytes listos para texImage2D
+     *
+     * COMPLEJIDAD: O(256 × 9)
+     */
+    static buildNeighbourhoodTable(rule) {
+        const { NEIGHBOUR_MASK_OFFSETS: maskOffsets, getNeighbourhoodOffsets, nextCellState } = PACKED_DEPS;
+        const offsets = getNeighbourhoodOffsets(rule);
+        const data = new Uint8Array(256 * 4);
+
+        for (let mask = 0; mask < 256; mask++) {
+            for (let state = 0; state <= 1; state++) {
+                let neighbors = 0;
+                for (const [dx, dy] of offsets) {
+                    if (dx === 0 && dy === 0) {
+                        neighbors += state;
+                    } else {
+                        const bit = maskOffsets.findIndex(([mx, my]) => mx === dx && my === dy);
+                        neighbors += (mask >> bit) & 1;
+                    }
+                }
+                data[mask * 4 + state] = nextCellState(rule, state, neighbors, mask) === 1 ? 255 : 0;
+            }
+            data[mask * 4 + 3] = 255;
+        }
+
+        return data;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * TEXTURAS
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Ancho de las texturas en texels
+     */
+    get textureWidth() {
+        return this.width / PACKED_CELLS_PER_TEXEL;
+    }
+
+    /**
+     * Crea una textura de (ancho / 32) × alto texels con los mismos
+     * parámetros que GameOfLife.createTexture.
+     *
+     * MEMORIA:
+     * Para 4096×4096 células: 128 × 4096 × 4 bytes = 2 MB por textura
+     *
+     * @returns {WebGLTexture} Textura creada (todas las células muertas)
+     */
+    createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            this.textureWidth,
+            this.height,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            null
+        );
+        return texture;
+    }
+
+    /**
+     * Sube la tabla de la regla activa. A diferencia de GameOfLife, el
+     * compute shader empaquetado la consulta con todas las reglas.
+     *
+     * COMPLEJIDAD: O(256)
+     */
+    updateNeighbourhoodTable() {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.neighbourhoodTable);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            256,
+            1,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            PackedLife.buildNeighbourhoodTable(this.rule)
+        );
+    }
+
+    /**
+     * Lee el estado empaquetado: ancho / 8 bytes por fila.
+     *
+     * @param {number} [index] - Textura del ping-pong (por defecto la del
+     *                           estado actual; la otra guarda la generación
+     *                           anterior)
+     * @returns {Uint8Array} width × height / 8 bytes
+     *
+     * COMPLEJIDAD: O(n / 32) texels
+     */
+    readPacked(index = this.currentTexture) {
+        const gl = this.gl;
+        const data = new Uint8Array(this.width * this.height / 8);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[index]);
+        gl.readPixels(0, 0, this.textureWidth, this.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return data;
+    }
+
+    /**
+     * Sube un estado empaquetado a la textura actual.
+     *
+     * @param {Uint8Array} data - width × height / 8 bytes
+     */
+    uploadPacked(data) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            this.textureWidth,
+            this.height,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            data
+        );
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * EDICIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Patrón aleatorio con un 30% de células vivas. Recorre las células en
+     * el mismo orden que GameOfLife.randomize (una llamada a Math.random
+     * por célula).
+     *
+     * COMPLEJIDAD: O(n)
+     */
+    randomize() {
+        const data = new Uint8Array(this.width * this.height / 8);
+        for (let i = 0; i < this.width * this.height; i++) {
+            if (Math.random() < 0.3) {
+                data[i >> 3] |= 1 << (i & 7);
+            }
+        }
+        this.uploadPacked(data);
+        this.reset();
+    }
+
+    /**
+     * COMPLEJIDAD: O(n / 8)
+     */
+    clear() {
+        this.uploadPacked(new Uint8Array(this.width * this.height / 8));
+        this.reset();
+    }
+
+    /**
+     * Dibuja o borra una célula. Solo lee y reescribe el texel que la
+     * contiene (texSubImage2D), no la textura completa.
+     *
+     * @param {number} x - Coordenada X de la célula
+     * @param {number} y - Coordenada Y de la célula
+     * @param {boolean} alive - true = viva, false = muerta
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    drawCell(x, y, alive) {
+        const gl = this.gl;
+        const texelX = Math.floor(x / PACKED_CELLS_PER_TEXEL);
+        const texel = new Uint8Array(4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
+        gl.readPixels(texelX, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, texel);
+
+        const channel = (x >> 3) & 3;
+        if (alive) {
+            texel[channel] |= 1 << (x & 7);
+        } else {
+            texel[channel] &= ~(1 << (x & 7));
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, texelX, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, texel);
+    }
+
+    /**
+     * Carga un patrón centrado, con el mismo centrado que
+     * GameOfLife.loadPattern.
+     *
+     * @param {string|Array[]} pattern - Nombre del patrón (clave en
+     *        PATTERNS) o lista de células vivas (ver placePattern en game.js)
+     *
+     * COMPLEJIDAD: O(n / 8 + p)
+     */
+    loadPattern(pattern) {
+        const cells = PACKED_DEPS.placePattern(pattern, this.width, this.height);
+        if (!cells) {
+            console.error(`Patron ${pattern} no encontrado`);
+            return;
+        }
+
+        const data = new Uint8Array(this.width * this.height / 8);
+        for (const [x, y] of cells) {
+            if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                const i = y * this.width + x;
+                data[i >> 3] |= 1 << (i & 7);
+            }
+        }
+
+        this.uploadPacked(data);
+        this.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * ESTADÍSTICAS
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Cuenta las células vivas sumando los bits de cada byte
+     * (PACKED_BIT_COUNTS). No hay células muriendo (dos estados).
+     *
+     * @returns {number} Cantidad de células vivas
+     *
+     * COMPLEJIDAD: O(n / 8)
+     */
+    countAliveCells() {
+        const data = this.readPacked();
+        let count = 0;
+        for (let i = 0; i < data.length; i++) {
+            count += PACKED_BIT_COUNTS[data[i]];
+        }
+        this.aliveCells = count;
+        this.dyingCells = 0;
+        return count;
+    }
+
+    /**
+     * Nacimientos y muertes del último paso (ver
+     * GameOfLife.countChanges), contando los bits que cambian entre las
+     * dos texturas del ping-pong.
+     *
+     * @returns {{births: number, deaths: number}}
+     *
+     * COMPLEJIDAD: O(n / 8)
+     */
+    countChanges() {
+        const current = this.readPacked();
+        const previous = this.readPacked(1 - this.currentTexture);
+        let births = 0;
+        let deaths = 0;
+        for (let i = 0; i < current.length; i++) {
+            births += PACKED_BIT_COUNTS[current[i] & ~previous[i] & 0xff];
+            deaths += PACKED_BIT_COUNTS[previous[i] & ~current[i] & 0xff];
+        }
+        return { births, deaths };
+    }
+
+    /**
+     * Misma huella y caja envolvente que GameOfLife.getStateFingerprint
+     * (Σ a^x × b^y módulo 2^32 - 5 sobre las células vivas con cada par de
+     * bases de reductionWeight, llevada a la esquina de la caja), calculadas
+     * en la CPU sobre la textura empaquetada: la reducción de la GPU no sabe
+     * leer 32 células por texel. Los bytes a 0 (la mayoría) se saltan sin
+     * mirar sus bits.
+     *
+     * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+     *          Huella (16 dígitos hexadecimales) y caja envolvente
+     *
+     * COMPLEJIDAD: O(n / 8 + vivas)
+     */
+    getStateFingerprint() {
+        const data = this.readPacked();
+        const bytesPerRow = this.width / 8;
+        const { reductionWeights: weights, addHash, multiplyHash } = PACKED_DEPS;
+        const weightsX = [weights(this.width, 0), weights(this.width, 2)];
+        const weightsY = [weights(this.height, 1), weights(this.height, 3)];
+        const bounds = [this.width, this.height, -1, -1];
+        let low = 0;
+        let high = 0;
+        for (let i = 0; i < data.length; i++) {
+            const byte = data[i];
+            if (byte === 0) continue;
+            const y = Math.floor(i / bytesPerRow);
+            for (let bit = 0; bit < 8; bit++) {
+                if (byte & (1 << bit)) {
+                    const x = (i % bytesPerRow) * 8 + bit;
+                    low = addHash(low, multiplyHash(weightsX[0][x], weightsY[0][y]));
+                    high = addHash(high, multiplyHash(weightsX[1][x], weightsY[1][y]));
+                    bounds[0] = Math.min(bounds[0], x);
+                    bounds[1] = Math.min(bounds[1], y);
+                    bounds[2] = Math.max(bounds[2], x);
+                    bounds[3] = Math.max(bounds[3], y);
+                }
+            }
+        }
+        return PACKED_DEPS.normaliseFingerprint(low, high, bounds);
+    }
+
+    /**
+     * Códigos de las células de un rectángulo, como GameOfLife.readRegion,
+     * sacados de la textura empaquetada (32 veces menos datos que leer).
+     *
+     * @param {number} x - Columna de la esquina
+     * @param {number} y - Fila de la esquina
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @returns {Uint8Array} width × height bytes (255 viva, 0 muerta)
+     *
+     * COMPLEJIDAD: O(n / 8 + width × height)
+     */
+    readRegion(x, y, width, height) {
+        const data = this.readPacked();
+        const bytesPerRow = this.width / 8;
+        const codes = new Uint8Array(width * height);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const cx = x + i;
+                const byte = data[(y + j) * bytesPerRow + (cx >>> 3)];
+                if (byte & (1 << (cx & 7))) codes[j * width + i] = 255;
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * TAMAÑO Y CAMBIO DE MOTOR
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Cambia las dimensiones conservando el patrón centrado, como
+     * GameOfLife.resize.
+     *
+     * @param {number} width - Nuevo ancho en células (múltiplo de 32)
+     * @param {number} height - Nuevo alto en células
+     * @throws {Error} Si el nuevo tamaño no se admite con la regla activa
+     *
+     * COMPLEJIDAD: O(n + m) donde n, m = células antes y después
+     */
+    resize(width, height) {
+        PackedLife.checkRule(this.rule, width, height);
+        const gl = this.gl;
+
+        // PASO 1: Leer el estado actual
+        const oldData = this.readPacked();
+
+        // PASO 2: Copiar centrado célula a célula (el desplazamiento no
+        // tiene por qué ser múltiplo de 8)
+        const data = new Uint8Array(width * height / 8);
+        const offsetX = Math.floor((width - this.width) / 2);
+        const offsetY = Math.floor((height - this.height) / 2);
+        const fromX = Math.max(0, -offsetX);
+        const toX = Math.min(this.width, width - offsetX);
+        for (let y = 0; y < this.height; y++) {
+            const newY = y + offsetY;
+            if (newY < 0 || newY >= height) continue;
+            for (let x = fromX; x < toX; x++) {
+                const i = y * this.width + x;
+                if (oldData[i >> 3] & (1 << (i & 7))) {
+                    const j = newY * width + x + offsetX;
+                    data[j >> 3] |= 1 << (j & 7);
+                }
+            }
+        }
+
+        // PASO 3: Recrear texturas y framebuffers con el nuevo tamaño
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        this.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+
+        this.width = width;
+        this.height = height;
+        this.textures = [this.createTexture(), this.createTexture()];
+        this.framebuffers = [
+            this.createFramebuffer(this.textures[0]),
+            this.createFramebuffer(this.textures[1])
+        ];
+        this.currentTexture = 0;
+
+        // PASO 4: Subir el patrón
+        this.uploadPacked(data);
+
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+        this.countAliveCells();
+    }
+
+    /**
+     * Estado en el formato RGBA de GameOfLife (una célula por texel, sin
+     * historia de las células), para pasarlo a otro motor.
+     *
+     * @returns {Uint8Array} width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(n)
+     */
+    readState() {
+        const packed = this.readPacked();
+        const data = new Uint8Array(this.width * this.height * 4);
+        for (let i = 0; i < this.width * this.height; i++) {
+            const value = packed[i >> 3] & (1 << (i & 7)) ? 255 : 0;
+            data[i * 4 + 0] = value;
+            data[i * 4 + 1] = value;
+            data[i * 4 + 2] = value;
+            data[i * 4 + 3] = 0;
+        }
+        return data;
+    }
+
+    /**
+     * Carga un estado RGBA de GameOfLife (las células muriendo se pierden:
+     * solo cuenta el canal R).
+     *
+     * @param {Uint8Array} data - width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(n)
+     */
+    loadState(data) {
+        const packed = new Uint8Array(this.width * this.height / 8);
+        for (let i = 0; i < this.width * this.height; i++) {
+            if (data[i * 4] > 128) {
+                packed[i >> 3] |= 1 << (i & 7);
+            }
+        }
+        this.uploadPacked(packed);
+        this.reset();
+    }
+
+    /**
+     * Copia del estado empaquetado (ver GameOfLife.saveSnapshot): ocupa
+     * un bit por célula.
+     *
+     * @returns {{generation: number, bytes: number, data: Uint8Array}}
+     *
+     * COMPLEJIDAD: O(n / 8)
+     */
+    saveSnapshot() {
+        const data = this.readPacked();
+        return { generation: this.generation, bytes: data.byteLength, data };
+    }
+
+    /**
+     * @param {Object} snapshot - Copia devuelta por saveSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.uploadPacked(snapshot.data);
+        this.reset();
+        this.generation = snapshot.generation;
+        this.endDetector.restart(this, this.generation, false);
+    }
+
+    /**
+     * Cambia la regla (debe seguir siendo admitida por el motor).
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si el motor empaquetado no admite la regla
+     */
+    setRule(rule) {
+        PackedLife.checkRule(rule, this.width, this.height);
+        super.setRule(rule);
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * EXPORTACIÓN DE MÓDULOS
+ * ----------------------------------------------------------------------------
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PackedLife;
+}
@@ -0,0 +1,1297 @@
+/**
+ * ============================================================================
+ * ARCHIVOS DE PATRONES: RLE, PLAINTEXT, LIFE 1.05/1.06 Y MACROCELL
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Los patrones publicados (LifeWiki, catálogos de Golly) se distribuyen en
+ * formato RLE (Run Length Encoded) y los más antiguos en plaintext (.cells)
+ * o en las listas de Life 1.05/1.06. parsePattern reconoce el formato por
+ * el contenido y convierte el archivo en una lista de células que acepta
+ * loadPattern de cualquier motor; writePattern escribe una región de la
+ * cuadrícula en cualquiera de ellos o como array de PATTERNS. Los patrones
+ * enormes (criaderos, la Caterpillar) solo son manejables en Macrocell, el
+ * quadtree de Golly: ese formato se lee sin expandirlo a células.
+ *
+ * FORMATO RLE:
+ *   #N Glider
+ *   #O Richard K. Guy
+ *   #C El primer planeador descubierto
+ *   x = 3, y = 3, rule = B3/S23
+ *   bob$2bo$3o!
+ *
+ * - Líneas "#": #N nombre, #O autor, #C o #c comentario, #r regla (formato
+ *   antiguo); el resto (#P, #R...) se ignoran
+ * - Cabecera: ancho x, alto y y, opcionalmente, la regla
+ * - Cuerpo: tramos "<n><símbolo>" (n = 1 si se omite), de arriba abajo y
+ *   de izquierda a derecha; "$" termina la fila (n "$" saltan n - 1 filas
+ *   vacías) y "!" el patrón. Las muertas al final de una fila se omiten
+ *
+ * SÍMBOLOS:
+ * - Dos estados: "b" muerta, "o" viva
+ * - Varios estados (Generations): "." muerta, "A" viva, "B".."X" estados
+ *   2 a 24 (muriendo) y, con prefijo "p".."y", 25 en adelante ("pA" = 25)
+ * - Al leer se aceptan los dos juegos en cualquier regla
+ *
+ * FORMATO PLAINTEXT (.cells), solo dos estados y sin regla:
+ *   !Name: Glider
+ *   !Un comentario
+ *   .O
+ *   ..O
+ *   OOO
+ *
+ * FORMATO LIFE 1.05: bloques de filas ("*" viva, "." muerta) colocados con
+ * "#P x y" (esquina superior izquierda); "#D" descripción, "#N" regla de
+ * Conway y "#R 23/3" otra regla (supervivencia/nacimiento)
+ *
+ * FORMATO LIFE 1.06: una célula viva "x y" por línea, sin regla
+ *
+ * FORMATO MACROCELL (.mc), el quadtree de HashLife:
+ *   [M2] (golly 4.2)
+ *   #R B3/S23
+ *   .*$..*$***$
+ *   4 1 0 0 0
+ *
+ * - Cada línea es un nodo (numerados desde 1; 0 = nodo vacío): una hoja de
+ *   8×8 en filas de "*" y "." terminadas en "$", o "nivel NO NE SO SE" con
+ *   los índices de sus cuatro hijos (NO = arriba a la izquierda). El último
+ *   nodo es la raíz, centrada en el origen
+ * - Con varios estados no hay hojas de 8×8: los nodos de nivel 1 llevan
+ *   los estados de sus cuatro células
+ *
+ * COORDENADAS:
+ * Las células son [x, y] (viva) o [x, y, estado] (muriendo), con y hacia
+ * arriba como en PATTERNS y en las texturas: la primera fila del archivo
+ * es la de arriba (y = alto - 1). En Life 1.05/1.06 la y crece hacia abajo
+ * y puede ser negativa: al leer se lleva la esquina a (0, 0). Macrocell
+ * no da células sino el quadtree (tree) y su caja envolvente: HashLife lo
+ * carga tal cual y cropMacrocell lo convierte en células para los demás.
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Longitud máxima de las líneas del cuerpo al escribir (la de Golly)
+const RLE_LINE_LENGTH = 70;
+
+// Células no muertas máximas de un archivo (un tramo "99999999o" no debe
+// agotar la memoria)
+const RLE_MAX_CELLS = 1 << 22;
+
+// Letras de los estados 1 a 24 en la notación de varios estados
+const RLE_STATE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWX';
+
+// Prefijos de los estados 25 en adelante ("p" = 25..48, "q" = 49..72...)
+const RLE_STATE_PREFIXES = 'pqrstuvwxy';
+
+// Nivel de las hojas de Macrocell con dos estados (cuadrados de 8×8)
+const MACROCELL_LEAF_LEVEL = 3;
+
+// Nivel máximo de un nodo Macrocell (2^50 células de lado: las coordenadas
+// siguen siendo enteros exactos)
+const MACROCELL_MAX_LEVEL = 50;
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseRLE
+ * ----------------------------------------------------------------------------
+ * Lee un archivo RLE.
+ *
+ * PASO 1: Líneas "#" hasta la cabecera (nombre, autor, comentarios, regla)
+ * PASO 2: Cabecera "x = ..., y = ..., rule = ..."
+ * PASO 3: Cuerpo hasta "!": tramos de células por filas
+ * PASO 4: Voltear las filas (y hacia arriba)
+ *
+ * Si alguna célula queda fuera del ancho o el alto de la cabecera, el
+ * patrón se agranda hasta contenerla (Golly hace lo mismo).
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { name, author, comments, width, height, rulestring,
+ *          states, cells } donde rulestring es null si el archivo no trae
+ *          regla y states el mayor estado usado más uno (2 si solo hay
+ *          vivas)
+ * @throws {Error} Si falta la cabecera o el cuerpo no es RLE válido
+ *
+ * COMPLEJIDAD: O(longitud del texto + células no muertas)
+ */
+function parseRLE(text) {
+    const lines = String(text).split(/\r?\n/);
+    const pattern = emptyPattern();
+
+    // PASO 1: Líneas "#" (y líneas en blanco) antes de la cabecera
+    let index = 0;
+    for (; index < lines.length; index++) {
+        const line = lines[index].trim();
+        if (line === '') continue;
+        if (line[0] !== '#') break;
+
+        const value = line.slice(2).trim();
+        switch (line[1]) {
+            case 'N': pattern.name = value; break;
+            case 'O': pattern.author = value; break;
+            case 'C':
+            case 'c': pattern.comments.push(value); break;
+            case 'r': pattern.rulestring = value; break;
+        }
+    }
+
+    // PASO 2: Cabecera
+    if (index === lines.length) {
+        throw new Error('El archivo RLE no tiene cabecera (x = ..., y = ...)');
+    }
+    const header = parseRLEHeader(lines[index], index + 1);
+    pattern.width = header.width;
+    pattern.height = header.height;
+    if (header.rulestring !== null) pattern.rulestring = header.rulestring;
+
+    // PASO 3: Cuerpo
+    const cells = [];
+    let count = '';
+    let prefix = '';
+    let x = 0;
+    let row = 0;
+    let finished = false;
+    for (index++; index < lines.length && !finished; index++) {
+        for (const char of lines[index]) {
+            if (char >= '0' && char <= '9') {
+                if (prefix) throw rleError(`falta la letra tras "${prefix}"`, index);
+                count += char;
+                continue;
+            }
+            if (char === ' ' || char === '\t' || char === '\r') continue;
+
+            const run = count === '' ? 1 : Number(count);
+            count = '';
+
+            if (char === '!') {
+                finished = true;
+                break;
+            }
+            if (char === '$') {
+                row += run;
+                x = 0;
+                continue;
+            }
+            if (RLE_STATE_PREFIXES.includes(char) && !prefix) {
+                prefix = char;
+                // El número iba antes del prefijo
+                count = String(run);
+                continue;
+            }
+
+            let state;
+            if (prefix) {
+                const letter = RLE_STATE_LETTERS.indexOf(char);
+                if (letter === -1) throw rleError(`"${prefix}${char}" no es un estado`, index);
+                state = (RLE_STATE_PREFIXES.indexOf(prefix) + 1) * 24 + letter + 1;
+                prefix = '';
+            } else if (char === 'b' || char === '.') {
+                state = 0;
+            } else if (char === 'o') {
+                state = 1;
+            } else if (RLE_STATE_LETTERS.includes(char)) {
+                state = RLE_STATE_LETTERS.indexOf(char) + 1;
+            } else {
+                throw rleError(`carácter "${char}" no válido`, index);
+            }
+
+            if (state > 0) {
+                if (cells.length + run > RLE_MAX_CELLS) {
+                    throw new Error(`El patrón tiene más de ${RLE_MAX_CELLS} células`);
+                }
+                for (let i = 0; i < run; i++) {
+                    cells.push(state === 1 ? [x + i, row] : [x + i, row, state]);
+                }
+            }
+            x += run;
+            pattern.width = Math.max(pattern.width, x);
+        }
+    }
+    if (!finished && (count !== '' || prefix)) {
+        throw new Error('El archivo RLE termina a mitad de un tramo');
+    }
+
+    // PASO 4: Voltear las filas (la primera del archivo es la de arriba)
+    return finishPattern(pattern, cells);
+}
+
+/**
+ * Lee la cabecera "x = 3, y = 3, rule = B3/S23" (la regla es opcional y
+ * puede contener comas, así que va hasta el final de la línea).
+ *
+ * @param {string} line - Línea de la cabecera
+ * @param {number} lineNumber - Número de línea (para los mensajes)
+ * @returns {{width: number, height: number, rulestring: string|null}}
+ * @throws {Error} Si falta x o y o no son enteros no negativos
+ */
+function parseRLEHeader(line, lineNumber) {
+    const match = line.match(/^\s*x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)\s*(?:,\s*rule\s*=\s*(.*?))?\s*$/i);
+    if (!match) {
+        throw new Error(`Línea ${lineNumber}: se esperaba la cabecera "x = ..., y = ..." y hay "${line.trim()}"`);
+    }
+    return {
+        width: Number(match[1]),
+        height: Number(match[2]),
+        rulestring: match[3] ? match[3] : null
+    };
+}
+
+/**
+ * Error del cuerpo de un archivo RLE con su número de línea.
+ *
+ * @param {string} text - Descripción
+ * @param {number} index - Índice de la línea (desde 0)
+ * @returns {Error}
+ */
+function rleError(text, index) {
+    return new Error(`Línea ${index + 1} del archivo RLE: ${text}`);
+}
+
+/**
+ * Completa un patrón leído con sus células en filas de arriba abajo: lo
+ * agranda hasta contenerlas, voltea las filas (y hacia arriba) y calcula
+ * el número de estados.
+ *
+ * @param {Object} pattern - Patrón con width y height de la cabecera (0
+ *                           si el formato no los trae)
+ * @param {Array[]} cells - [x, fila] o [x, fila, estado], fila 0 = arriba
+ * @returns {Object} El mismo patrón con cells y states
+ *
+ * COMPLEJIDAD: O(células)
+ */
+function finishPattern(pattern, cells) {
+    let maxState = 1;
+    for (const cell of cells) {
+        pattern.width = Math.max(pattern.width, cell[0] + 1);
+        pattern.height = Math.max(pattern.height, cell[1] + 1);
+        if (cell.length > 2) maxState = Math.max(maxState, cell[2]);
+    }
+    for (const cell of cells) {
+        cell[1] = pattern.height - 1 - cell[1];
+    }
+    pattern.cells = cells;
+    pattern.states = maxState + 1;
+    return pattern;
+}
+
+/**
+ * Estados de un patrón en una rejilla de width × height con la fila 0
+ * arriba (el orden de escritura de todos los formatos de filas).
+ *
+ * @param {Object} pattern - { width, height, cells }
+ * @returns {Uint8Array} width × height estados (0 muerta, 1 viva, ≥ 2 muriendo)
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function patternGrid(pattern) {
+    const { width, height } = pattern;
+    const grid = new Uint8Array(width * height);
+    for (const [x, y, state = 1] of pattern.cells) {
+        grid[(height - 1 - y) * width + x] = state;
+    }
+    return grid;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writeRLE
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón en formato RLE.
+ *
+ * PASO 1: Estados en una rejilla de width × height (fila 0 = arriba)
+ * PASO 2: Comentarios y cabecera con la regla (sin "rule =" si el patrón
+ *         no la trae, como los de plaintext o Life 1.06)
+ * PASO 3: Tramos de cada fila sin las muertas del final; las filas vacías
+ *         se acumulan en el siguiente "$"
+ * PASO 4: Repartir los tramos en líneas de RLE_LINE_LENGTH caracteres
+ *         como mucho (un tramo nunca se parte)
+ *
+ * Con reglas de dos estados se usan "b" y "o"; con más, ".", "A", "B"...
+ *
+ * @param {Object} pattern - { name, author, comments, width, height,
+ *        rulestring, states, cells } como los de parseRLE (name, author,
+ *        comments y states son opcionales)
+ * @returns {string} Contenido del archivo
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function writeRLE(pattern) {
+    const { width, height } = pattern;
+    const multiState = (pattern.states || 2) > 2;
+
+    // PASO 1: Rejilla de estados
+    const grid = patternGrid(pattern);
+
+    // PASO 2: Comentarios y cabecera
+    const lines = [];
+    if (pattern.name) lines.push(`#N ${pattern.name}`);
+    if (pattern.author) lines.push(`#O ${pattern.author}`);
+    (pattern.comments || []).forEach(comment => lines.push(`#C ${comment}`));
+    lines.push(pattern.rulestring
+        ? `x = ${width}, y = ${height}, rule = ${pattern.rulestring}`
+        : `x = ${width}, y = ${height}`);
+
+    // PASO 3: Tramos
+    const runs = [];
+    const addRun = (count, symbol) => runs.push(count > 1 ? `${count}${symbol}` : symbol);
+    let pendingRows = 0;
+    for (let row = 0; row < height; row++) {
+        const offset = row * width;
+        let end = width;
+        while (end > 0 && grid[offset + end - 1] === 0) end--;
+        if (end === 0) {
+            pendingRows++;
+            continue;
+        }
+        if (pendingRows > 0) addRun(pendingRows, '$');
+        pendingRows = 1;
+
+        for (let x = 0; x < end;) {
+            const state = grid[offset + x];
+            let count = 1;
+            while (x + count < end && grid[offset + x + count] === state) count++;
+            addRun(count, rleSymbol(state, multiState));
+            x += count;
+        }
+    }
+    runs.push('!');
+
+    // PASO 4: Líneas de RLE_LINE_LENGTH caracteres
+    let current = '';
+    for (const run of runs) {
+        if (current.length + run.length > RLE_LINE_LENGTH) {
+            lines.push(current);
+            current = '';
+        }
+        current += run;
+    }
+    lines.push(current);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Símbolo RLE de un estado.
+ *
+ * @param {number} state - 0 muerta, 1 viva, ≥ 2 muriendo
+ * @param {boolean} multiState - true para la notación de varios estados
+ * @returns {string} "b"/"o" o ".", "A".."X", "pA"...
+ */
+function rleSymbol(state, multiState) {
+    if (!multiState) return state === 0 ? 'b' : 'o';
+    if (state === 0) return '.';
+    if (state <= 24) return RLE_STATE_LETTERS[state - 1];
+    const prefix = Math.floor((state - 1) / 24) - 1;
+    return RLE_STATE_PREFIXES[prefix] + RLE_STATE_LETTERS[(state - 1) % 24];
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parsePlaintext
+ * ----------------------------------------------------------------------------
+ * Lee un archivo plaintext (.cells): líneas "!" de comentario ("!Name:" y
+ * "!Author:" dan el nombre y el autor) y filas de "." (muerta) y "O" o "*"
+ * (viva), de arriba abajo. Una línea vacía es una fila vacía.
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} Patrón como el de parseRLE (rulestring null)
+ * @throws {Error} Si una fila tiene otros caracteres
+ *
+ * COMPLEJIDAD: O(longitud del texto)
+ */
+function parsePlaintext(text) {
+    const pattern = emptyPattern();
+    const cells = [];
+    let row = 0;
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        if (line[0] === '!') {
+            const comment = line.slice(1).trim();
+            const field = comment.match(/^(Name|Author):\s*(.*)$/i);
+            if (field && field[1].toLowerCase() === 'name') {
+                pattern.name = field[2];
+            } else if (field) {
+                pattern.author = field[2];
+            } else {
+                pattern.comments.push(comment);
+            }
+            return;
+        }
+
+        const cellsRow = line.trimEnd();
+        for (let x = 0; x < cellsRow.length; x++) {
+            const char = cellsRow[x];
+            if (char === 'O' || char === '*') {
+                cells.push([x, row]);
+            } else if (char !== '.') {
+                throw new Error(`Línea ${index + 1} del archivo plaintext: carácter "${char}" no válido`);
+            }
+        }
+        row++;
+    });
+
+    // Las líneas vacías del final no son filas del patrón
+    return finishPattern(pattern, cells);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writePlaintext
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón en formato plaintext: "!Name:", "!Author:" y los
+ * comentarios, y una fila de "." y "O" por línea sin los "." del final.
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE (la regla no se
+ *                           guarda)
+ * @returns {string} Contenido del archivo
+ * @throws {Error} Si hay células muriendo (solo admite dos estados)
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function writePlaintext(pattern) {
+    const grid = patternGrid(pattern);
+    if (grid.some(state => state > 1)) {
+        throw new Error('El formato plaintext solo admite células vivas y muertas');
+    }
+
+    const lines = [];
+    if (pattern.name) lines.push(`!Name: ${pattern.name}`);
+    if (pattern.author) lines.push(`!Author: ${pattern.author}`);
+    (pattern.comments || []).forEach(comment => lines.push(`!${comment}`));
+    for (let row = 0; row < pattern.height; row++) {
+        const cellsRow = Array.from(grid.subarray(row * pattern.width, (row + 1) * pattern.width),
+            state => (state ? 'O' : '.'));
+        lines.push(cellsRow.join('').replace(/\.+$/, ''));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseLife105
+ * ----------------------------------------------------------------------------
+ * Lee un archivo Life 1.05.
+ *
+ * LÍNEAS:
+ * - "#Life 1.05": cabecera
+ * - "#D texto": descripción (la primera es el nombre del patrón)
+ * - "#N": regla de Conway; "#R 23/3": supervivencia/nacimiento
+ * - "#P x y": las filas siguientes empiezan en (x, y), y hacia abajo
+ * - Filas de "." y "*"
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} Patrón como el de parseRLE
+ * @throws {Error} Si un "#P" o una fila no son válidos
+ *
+ * COMPLEJIDAD: O(longitud del texto)
+ */
+function parseLife105(text) {
+    const pattern = emptyPattern();
+    const cells = [];
+    let left = 0;
+    let row = 0;
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || /^#Life/i.test(line)) return;
+
+        if (line[0] === '#') {
+            const value = line.slice(2).trim();
+            switch (line[1]) {
+                case 'D': pattern.comments.push(value); break;
+                case 'N': pattern.rulestring = 'B3/S23'; break;
+                case 'R': pattern.rulestring = value; break;
+                case 'P': {
+                    const match = value.match(/^(-?\d+)\s+(-?\d+)$/);
+                    if (!match) throw new Error(`Línea ${index + 1} del archivo Life 1.05: "#P" necesita x e y`);
+                    left = Number(match[1]);
+                    row = Number(match[2]);
+                    break;
+                }
+            }
+            return;
+        }
+
+        for (let x = 0; x < line.length; x++) {
+            if (line[x] === '*') {
+                cells.push([left + x, row]);
+            } else if (line[x] !== '.') {
+                throw new Error(`Línea ${index + 1} del archivo Life 1.05: carácter "${line[x]}" no válido`);
+            }
+        }
+        row++;
+    });
+
+    // El formato no tiene nombre: es la primera descripción
+    if (pattern.comments.length > 0) pattern.name = pattern.comments.shift();
+    return finishPattern(pattern, moveToOrigin(cells));
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writeLife105
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón en formato Life 1.05: nombre y comentarios como "#D",
+ * la regla ("#N" si es la de Conway o el patrón no la trae, si no "#R"
+ * con el rulestring) y un
+ * solo bloque "#P 0 0" con las filas sin los "." del final.
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE
+ * @returns {string} Contenido del archivo
+ * @throws {Error} Si hay células muriendo (solo admite dos estados)
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function writeLife105(pattern) {
+    const grid = patternGrid(pattern);
+    if (grid.some(state => state > 1)) {
+        throw new Error('El formato Life 1.05 solo admite células vivas y muertas');
+    }
+
+    const lines = ['#Life 1.05'];
+    if (pattern.name) lines.push(`#D ${pattern.name}`);
+    if (pattern.author) lines.push(`#D ${pattern.author}`);
+    (pattern.comments || []).forEach(comment => lines.push(`#D ${comment}`));
+    lines.push(!pattern.rulestring || pattern.rulestring === 'B3/S23' ? '#N' : `#R ${pattern.rulestring}`);
+    lines.push('#P 0 0');
+    for (let row = 0; row < pattern.height; row++) {
+        const cellsRow = Array.from(grid.subarray(row * pattern.width, (row + 1) * pattern.width),
+            state => (state ? '*' : '.'));
+        lines.push(cellsRow.join('').replace(/\.+$/, '') || '.');
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseLife106
+ * ----------------------------------------------------------------------------
+ * Lee un archivo Life 1.06: una célula viva "x y" por línea (y hacia
+ * abajo); las líneas "#" se ignoran.
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} Patrón como el de parseRLE (rulestring null)
+ * @throws {Error} Si una línea no son dos enteros
+ *
+ * COMPLEJIDAD: O(longitud del texto)
+ */
+function parseLife106(text) {
+    const cells = [];
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || line[0] === '#') return;
+
+        const match = line.match(/^(-?\d+)\s+(-?\d+)$/);
+        if (!match) throw new Error(`Línea ${index + 1} del archivo Life 1.06: se esperaba "x y"`);
+        if (cells.length === RLE_MAX_CELLS) {
+            throw new Error(`El patrón tiene más de ${RLE_MAX_CELLS} células`);
+        }
+        cells.push([Number(match[1]), Number(match[2])]);
+    });
+
+    return finishPattern(emptyPattern(), moveToOrigin(cells));
+}
+
+/**
+ * Escribe un patrón en formato Life 1.06 (sin regla ni comentarios, que
+ * el formato no admite): una línea "x y" por célula viva, con la esquina
+ * superior izquierda en (0, 0).
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE
+ * @returns {string} Contenido del archivo
+ * @throws {Error} Si hay células muriendo (solo admite dos estados)
+ *
+ * COMPLEJIDAD: O(células)
+ */
+function writeLife106(pattern) {
+    if (pattern.cells.some(cell => cell.length > 2)) {
+        throw new Error('El formato Life 1.06 solo admite células vivas');
+    }
+    const lines = ['#Life 1.06'];
+    for (const [x, y] of pattern.cells) {
+        lines.push(`${x} ${pattern.height - 1 - y}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writePatternArray
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón como entrada de PATTERNS (game.js), lista para pegar
+ * en el catálogo: comentario con el nombre, los comentarios y el tamaño, y
+ * las células [x, y] (y hacia arriba, esquina en (0, 0)) agrupadas por
+ * filas como las del resto del catálogo. Las células muriendo se escriben
+ * como [x, y, estado] (loadPattern también las acepta).
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE
+ * @returns {string} Código JavaScript con la entrada (clave "patron")
+ *
+ * COMPLEJIDAD: O(células × log(células))
+ */
+function writePatternArray(pattern) {
+    const cells = pattern.cells.slice().sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+    const lines = ['    /**', `     * ${(pattern.name || 'PATRÓN').toUpperCase()}`];
+    (pattern.comments || []).forEach(comment => lines.push(`     * ${comment}`));
+    lines.push('     *', `     * Tamaño: ${pattern.width}x${pattern.height}`, '     */', '    patron: [');
+
+    // Una línea por fila, partida si pasa de RLE_LINE_LENGTH caracteres
+    const rows = [];
+    let current = null;
+    for (const cell of cells) {
+        const text = `[${cell.join(', ')}]`;
+        if (!current || current.y !== cell[1] || current.text.length + text.length > RLE_LINE_LENGTH) {
+            current = { y: cell[1], text };
+            rows.push(current);
+        } else {
+            current.text += `, ${text}`;
+        }
+    }
+    rows.forEach((row, i) => lines.push(`        ${row.text}${i < rows.length - 1 ? ',' : ''}`));
+    lines.push('    ]');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseMacrocell
+ * ----------------------------------------------------------------------------
+ * Lee un archivo Macrocell (.mc) sin expandirlo: el resultado es un
+ * quadtree con los subárboles repetidos compartidos, así que un patrón de
+ * millones de células ocupa lo que ocupe el archivo.
+ *
+ * LÍNEAS:
+ * - "[M2]": cabecera (la primera línea)
+ * - "#R regla", "#N nombre", "#O autor", "#C" o "#c" comentario; el resto
+ *   de las líneas "#" (#G, #FRAMES...) se ignoran
+ * - Nodos numerados desde 1 en orden de aparición, cada hijo antes que su
+ *   padre; el último es la raíz
+ *
+ * PASO 1: Cabecera y líneas "#"
+ * PASO 2: Cada nodo: hoja de 8×8 o "nivel NO NE SO SE"
+ * PASO 3: Llevar la raíz al menos a MACROCELL_LEAF_LEVEL
+ * PASO 4: Caja envolvente y número de estados
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} Patrón como el de parseRLE con tree (raíz del
+ *          quadtree, ver treeNodes), x e y (esquina de la caja envolvente
+ *          en coordenadas del árbol), population (células no muertas) y
+ *          cells = null (ver cropMacrocell)
+ * @throws {Error} Si falta la cabecera o algún nodo no es válido
+ *
+ * COMPLEJIDAD: O(longitud del texto)
+ */
+function parseMacrocell(text) {
+    const lines = String(text).split(/\r?\n/);
+    const pattern = emptyPattern();
+    const table = treeNodes();
+
+    // PASO 1: Cabecera (la primera línea no vacía)
+    const start = lines.findIndex(line => line.trim() !== '');
+    if (start < 0 || !/^\[M2\]/.test(lines[start].trim())) {
+        throw new Error('El archivo Macrocell no empieza por [M2]');
+    }
+
+    // PASO 2: Nodos
+    const nodes = [null];
+    let maxState = 1;
+    for (let index = start + 1; index < lines.length; index++) {
+        const line = lines[index].trim();
+        if (line === '') continue;
+
+        if (line[0] === '#') {
+            const value = line.slice(2).trim();
+            switch (line[1]) {
+                case 'R': pattern.rulestring = value; break;
+                case 'N': pattern.name = value; break;
+                case 'O': pattern.author = value; break;
+                case 'C':
+                case 'c': pattern.comments.push(value); break;
+            }
+            continue;
+        }
+
+        const error = (message) => new Error(`Línea ${index + 1} del archivo Macrocell: ${message}`);
+        if (/^[.*$]+$/.test(line)) {
+            nodes.push(parseMacrocellLeaf(table, line, error));
+            continue;
+        }
+
+        const fields = line.split(/\s+/);
+        if (fields.length !== 5 || !fields.every(field => /^\d+$/.test(field))) {
+            throw error(`nodo no válido "${line}"`);
+        }
+        const [level, ...children] = fields.map(Number);
+        if (level < 1 || level > MACROCELL_MAX_LEVEL) {
+            throw error(`nivel ${level} fuera de 1..${MACROCELL_MAX_LEVEL}`);
+        }
+
+        // En el archivo NO es la esquina de arriba (y hacia abajo): al
+        // voltear, los cuadrantes de arriba pasan a ser los de y mayores
+        let quadrants;
+        if (level === 1) {
+            // Nivel 1 (varios estados): los hijos son estados, no nodos
+            children.forEach(state => { maxState = Math.max(maxState, state); });
+            quadrants = children.map(state => table.leaf(state));
+        } else {
+            quadrants = children.map(child => {
+                if (child === 0) return table.empty(level - 1);
+                if (child >= nodes.length || nodes[child].level !== level - 1) {
+                    throw error(`el hijo ${child} no es un nodo anterior de nivel ${level - 1}`);
+                }
+                return nodes[child];
+            });
+        }
+        const [nw, ne, sw, se] = quadrants;
+        nodes.push(table.join(sw, se, nw, ne));
+    }
+
+    // PASO 3: Raíz
+    let root = nodes.length > 1 ? nodes[nodes.length - 1] : table.empty(MACROCELL_LEAF_LEVEL);
+    while (root.level < MACROCELL_LEAF_LEVEL) root = table.expand(root);
+
+    // PASO 4: Caja envolvente (coordenadas centradas en el origen)
+    const half = 2 ** (root.level - 1);
+    const bounds = treeBounds(root);
+    pattern.tree = root;
+    pattern.population = root.population;
+    pattern.cells = null;
+    pattern.states = maxState + 1;
+    if (bounds) {
+        pattern.x = bounds[0] - half;
+        pattern.y = bounds[1] - half;
+        pattern.width = bounds[2] - bounds[0] + 1;
+        pattern.height = bounds[3] - bounds[1] + 1;
+    } else {
+        pattern.x = 0;
+        pattern.y = 0;
+    }
+    return pattern;
+}
+
+/**
+ * Hoja de 8×8 de un archivo Macrocell: filas de arriba abajo con "*" viva
+ * y "." muerta, cada una terminada en "$" (sin las muertas del final ni
+ * las filas vacías del final).
+ *
+ * @param {Object} table - Tabla de nodos (treeNodes)
+ * @param {string} line - Línea de la hoja
+ * @param {Function} error - Crea el error con el número de línea
+ * @returns {Object} Nodo de nivel MACROCELL_LEAF_LEVEL
+ * @throws {Error} Si alguna célula queda fuera de 8×8
+ */
+function parseMacrocellLeaf(table, line, error) {
+    const size = 2 ** MACROCELL_LEAF_LEVEL;
+    const grid = new Uint8Array(size * size);
+    let x = 0, row = 0;
+    for (const char of line) {
+        if (char === '$') {
+            x = 0;
+            row++;
+            continue;
+        }
+        if (x >= size || row >= size) {
+            throw error(`la hoja "${line}" no cabe en ${size}×${size}`);
+        }
+        if (char === '*') grid[(size - 1 - row) * size + x] = 1;
+        x++;
+    }
+    return table.fromGrid(grid, size, size, 0, 0, MACROCELL_LEAF_LEVEL);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writeMacrocell
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón en formato Macrocell. Cada subárbol distinto se
+ * escribe una vez, así que estados enormes pero repetitivos (la raíz de
+ * HashLife tras millones de generaciones) caben en pocos kilobytes.
+ *
+ * PASO 1: Quadtree del patrón: el suyo (tree, de parseMacrocell o de
+ *         HashLife) o uno nuevo con sus células centradas en el origen
+ * PASO 2: Cabecera, regla y comentarios
+ * PASO 3: Nodos en postorden; los vacíos son el índice 0 y los repetidos
+ *         (mismo contenido) reutilizan el índice del primero
+ *
+ * Con dos estados las hojas son cuadrados de 8×8; con más (Generations),
+ * nodos de nivel 1 con los estados de sus cuatro células.
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE o con tree (nodos
+ *        {level, population, nw, ne, sw, se}, las hojas de nivel 0 con
+ *        population 1 si están vivas o state con su estado)
+ * @returns {string} Contenido del archivo
+ *
+ * COMPLEJIDAD: O(nodos distintos) con tree; O(width × height) sin él
+ */
+function writeMacrocell(pattern) {
+    // PASO 1: Quadtree
+    const multiState = pattern.states > 2;
+    const root = pattern.tree || treeNodes().fromCells(pattern.cells, pattern.width, pattern.height);
+
+    // PASO 2: Cabecera
+    const lines = ['[M2] (Algoritmos Avanzados - Juego de la Vida)'];
+    if (pattern.rulestring) lines.push(`#R ${pattern.rulestring}`);
+    if (pattern.name) lines.push(`#N ${pattern.name}`);
+    if (pattern.author) lines.push(`#O ${pattern.author}`);
+    (pattern.comments || []).forEach(comment => lines.push(`#C ${comment}`));
+
+    // PASO 3: Nodos (NO del archivo = cuadrante de y mayores)
+    const header = lines.length;
+    const indices = new Map();      // nodo → índice
+    const byLine = new Map();       // línea → índice (contenido repetido)
+    const write = (node) => {
+        if (node.population === 0) return 0;
+        let index = indices.get(node);
+        if (index !== undefined) return index;
+
+        let line;
+        if (!multiState && node.level === MACROCELL_LEAF_LEVEL) {
+            line = writeMacrocellLeaf(node);
+        } else if (node.level === 1) {
+            line = `1 ${[node.sw, node.se, node.nw, node.ne].map(leafState).join(' ')}`;
+        } else {
+            line = `${node.level} ${write(node.sw)} ${write(node.se)} ${write(node.nw)} ${write(node.ne)}`;
+        }
+
+        index = byLine.get(line);
+        if (index === undefined) {
+            lines.push(line);
+            index = lines.length - header;
+            byLine.set(line, index);
+        }
+        indices.set(node, index);
+        return index;
+    };
+    write(root);
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Línea de una hoja de 8×8 (formato de parseMacrocellLeaf).
+ *
+ * @param {Object} node - Nodo de nivel MACROCELL_LEAF_LEVEL
+ * @returns {string}
+ */
+function writeMacrocellLeaf(node) {
+    const size = 2 ** MACROCELL_LEAF_LEVEL;
+    const grid = new Uint8Array(size * size);
+    forEachTreeCell(node, 0, 0, 0, 0, size, size, (x, y) => { grid[y * size + x] = 1; });
+
+    const rows = [];
+    for (let y = size - 1; y >= 0; y--) {
+        let row = '';
+        for (let x = 0; x < size; x++) row += grid[y * size + x] ? '*' : '.';
+        rows.push(row.replace(/\.+$/, ''));
+    }
+    while (rows[rows.length - 1] === '') rows.pop();
+    return rows.map(row => row + '$').join('');
+}
+
+/**
+ * Estado de una hoja (las de HashLife solo tienen population).
+ *
+ * @param {Object} leaf - Nodo de nivel 0
+ * @returns {number}
+ */
+function leafState(leaf) {
+    return leaf.state !== undefined ? leaf.state : leaf.population;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: cropMacrocell
+ * ----------------------------------------------------------------------------
+ * Convierte un patrón de parseMacrocell en uno con células (el de los
+ * demás formatos) para los motores de cuadrícula fija: si no cabe en
+ * width × height, solo la parte central de su caja envolvente.
+ *
+ * @param {Object} pattern - Patrón de parseMacrocell
+ * @param {number} width - Ancho máximo
+ * @param {number} height - Alto máximo
+ * @returns {Object} Patrón con cells (esquina en (0, 0)), sin tree, y
+ *          cropped = true si se recortó
+ *
+ * COMPLEJIDAD: O(nodos no vacíos dentro del rectángulo)
+ */
+function cropMacrocell(pattern, width, height) {
+    width = Math.min(width, pattern.width);
+    height = Math.min(height, pattern.height);
+    const x0 = pattern.x + Math.floor((pattern.width - width) / 2);
+    const y0 = pattern.y + Math.floor((pattern.height - height) / 2);
+
+    const cells = [];
+    const half = 2 ** (pattern.tree.level - 1);
+    forEachTreeCell(pattern.tree, -half, -half, x0, y0, width, height, (x, y, state) => {
+        cells.push(state === 1 ? [x - x0, y - y0] : [x - x0, y - y0, state]);
+    });
+
+    return Object.assign({}, pattern, {
+        tree: null,
+        cells,
+        width,
+        height,
+        cropped: width < pattern.width || height < pattern.height
+    });
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * QUADTREES
+ * ----------------------------------------------------------------------------
+ * Nodos como los de HashLife (hashlife.js): { level, population, nw, ne,
+ * sw, se } con NO = X e Y menores (y hacia arriba); las hojas son de nivel
+ * 0 con su estado en state. HashLife.internTree registra estos árboles en
+ * su tabla.
+ */
+
+/**
+ * Tabla de nodos canónicos: dos cuadrados con las mismas células son el
+ * mismo objeto, como en HashLife.join.
+ *
+ * @returns {Object} { leaf(state), join(nw, ne, sw, se), empty(level),
+ *          expand(node), fromGrid(...), fromCells(...) }
+ */
+function treeNodes() {
+    const nodes = new Map();
+    const leaves = [];
+    const empties = [];
+    let nextId = 0;
+
+    const table = {
+        leaf(state) {
+            if (!leaves[state]) {
+                leaves[state] = { id: nextId++, level: 0, population: state > 0 ? 1 : 0, state };
+            }
+            return leaves[state];
+        },
+
+        join(nw, ne, sw, se) {
+            const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+            let node = nodes.get(key);
+            if (!node) {
+                node = {
+                    id: nextId++,
+                    level: nw.level + 1,
+                    population: nw.population + ne.population + sw.population + se.population,
+                    nw, ne, sw, se
+                };
+                nodes.set(key, node);
+            }
+            return node;
+        },
+
+        empty(level) {
+            if (level === 0) return table.leaf(0);
+            if (!empties[level]) {
+                const child = table.empty(level - 1);
+                empties[level] = table.join(child, child, child, child);
+            }
+            return empties[level];
+        },
+
+        // El nodo en el centro de uno del nivel siguiente (HashLife.expand)
+        expand(node) {
+            const e = table.empty(node.level - 1);
+            return table.join(
+                table.join(e, e, e, node.nw),
+                table.join(e, e, node.ne, e),
+                table.join(e, node.sw, e, e),
+                table.join(node.se, e, e, e)
+            );
+        },
+
+        // Nodo de un nivel con esquina (x, y) en una rejilla de estados
+        // (fila 0 = abajo); lo que queda fuera de la rejilla está muerto
+        fromGrid(grid, width, height, x, y, level) {
+            const size = 2 ** level;
+            if (x >= width || x + size <= 0 || y >= height || y + size <= 0) {
+                return table.empty(level);
+            }
+            if (level === 0) return table.leaf(grid[y * width + x]);
+            const half = size / 2;
+            return table.join(
+                table.fromGrid(grid, width, height, x, y, level - 1),
+                table.fromGrid(grid, width, height, x + half, y, level - 1),
+                table.fromGrid(grid, width, height, x, y + half, level - 1),
+                table.fromGrid(grid, width, height, x + half, y + half, level - 1)
+            );
+        },
+
+        // Raíz centrada en el origen con las células de un patrón (esquina
+        // del patrón en (-⌊width/2⌋, -⌊height/2⌋))
+        fromCells(cells, width, height) {
+            let level = MACROCELL_LEAF_LEVEL;
+            while (2 ** (level - 1) < Math.max(width - Math.floor(width / 2), height - Math.floor(height / 2))) {
+                level++;
+            }
+            const grid = new Uint8Array(width * height);
+            for (const [x, y, state = 1] of cells) grid[y * width + x] = state;
+
+            const half = 2 ** (level - 1);
+            return table.fromGrid(grid, width, height,
+                Math.floor(width / 2) - half, Math.floor(height / 2) - half, level);
+        }
+    };
+    return table;
+}
+
+/**
+ * Rectángulo que contiene las células no muertas de un nodo, relativo a su
+ * esquina (como HashLife.getBounds, memorizado en un Map propio).
+ *
+ * @param {Object} node - Nodo
+ * @param {Map} [memo] - Límites ya calculados
+ * @returns {number[]|null} [minX, minY, maxX, maxY] o null si está vacío
+ *
+ * COMPLEJIDAD: O(nodos distintos)
+ */
+function treeBounds(node, memo = new Map()) {
+    if (node.population === 0) return null;
+    if (node.level === 0) return [0, 0, 0, 0];
+    if (memo.has(node)) return memo.get(node);
+
+    const half = 2 ** (node.level - 1);
+    let result = null;
+    [[node.nw, 0, 0], [node.ne, half, 0], [node.sw, 0, half], [node.se, half, half]].forEach(([child, dx, dy]) => {
+        const b = treeBounds(child, memo);
+        if (!b) return;
+        if (!result) {
+            result = [b[0] + dx, b[1] + dy, b[2] + dx, b[3] + dy];
+        } else {
+            result[0] = Math.min(result[0], b[0] + dx);
+            result[1] = Math.min(result[1], b[1] + dy);
+            result[2] = Math.max(result[2], b[2] + dx);
+            result[3] = Math.max(result[3], b[3] + dy);
+        }
+    });
+
+    memo.set(node, result);
+    return result;
+}
+
+/**
+ * Recorre las células no muertas de un nodo dentro de un rectángulo,
+ * saltando los nodos vacíos y los que quedan fuera (como
+ * HashLife.forEachCellIn).
+ *
+ * @param {Object} node - Nodo
+ * @param {number} x - Columna de la esquina del nodo
+ * @param {number} y - Fila de la esquina del nodo
+ * @param {number} x0 - Columna de la esquina del rectángulo
+ * @param {number} y0 - Fila de la esquina del rectángulo
+ * @param {number} width - Ancho del rectángulo
+ * @param {number} height - Alto del rectángulo
+ * @param {Function} callback - Recibe (x, y, estado) de cada célula
+ *
+ * COMPLEJIDAD: O(nodos no vacíos dentro del rectángulo)
+ */
+function forEachTreeCell(node, x, y, x0, y0, width, height, callback) {
+    const size = 2 ** node.level;
+    if (node.population === 0 || x >= x0 + width || x + size <= x0 || y >= y0 + height || y + size <= y0) {
+        return;
+    }
+    if (node.level === 0) {
+        callback(x, y, leafState(node));
+        return;
+    }
+    const half = size / 2;
+    forEachTreeCell(node.nw, x, y, x0, y0, width, height, callback);
+    forEachTreeCell(node.ne, x + half, y, x0, y0, width, height, callback);
+    forEachTreeCell(node.sw, x, y + half, x0, y0, width, height, callback);
+    forEachTreeCell(node.se, x + half, y + half, x0, y0, width, height, callback);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: detectPatternFormat
+ * ----------------------------------------------------------------------------
+ * Reconoce el formato de un archivo de patrón por su contenido.
+ *
+ * ORDEN:
+ * 1. Cabecera "[M2]" (Macrocell), "#Life 1.05" o "#Life 1.06"
+ * 2. Primera línea "!" : plaintext
+ * 3. Primera línea que no es "#": "x = ..." es RLE
+ * 4. Alguna línea "#P": Life 1.05 sin cabecera
+ * 5. Primera línea que no es "#": "x y" (dos enteros) es Life 1.06 sin
+ *    cabecera y una fila de "." y "O" es plaintext
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {string} 'rle', 'cells', 'life105', 'life106' o 'macrocell'
+ * @throws {Error} Si no es ninguno de ellos
+ *
+ * COMPLEJIDAD: O(líneas de comentario iniciales)
+ */
+function detectPatternFormat(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+    if (lines.length === 0) throw new Error('El archivo está vacío');
+
+    if (/^\[M2\]/.test(lines[0])) return 'macrocell';
+    if (/^#Life\s+1\.05/i.test(lines[0])) return 'life105';
+    if (/^#Life\s+1\.06/i.test(lines[0])) return 'life106';
+    if (lines[0][0] === '!') return 'cells';
+
+    const first = lines.find(line => line[0] !== '#');
+    if (first !== undefined && /^x\s*=/i.test(first)) return 'rle';
+    if (lines.some(line => /^#P\s/.test(line))) return 'life105';
+    if (first !== undefined) {
+        if (/^-?\d+\s+-?\d+$/.test(first)) return 'life106';
+        if (/^[.O*]+$/.test(first)) return 'cells';
+    }
+    throw new Error('Formato de patrón no reconocido (se admiten RLE, plaintext, Life 1.05, Life 1.06 y Macrocell)');
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parsePattern
+ * ----------------------------------------------------------------------------
+ * Lee un archivo de patrón en cualquiera de los formatos
+ * (detectPatternFormat).
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} Patrón como el de parseRLE, con el formato en format
+ * @throws {Error} Si el formato no se reconoce o el archivo no es válido
+ *
+ * COMPLEJIDAD: la del lector del formato
+ */
+function parsePattern(text) {
+    const format = detectPatternFormat(text);
+    const pattern = PATTERN_FORMATS[format].parse(text);
+    pattern.format = format;
+    return pattern;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: writePattern
+ * ----------------------------------------------------------------------------
+ * Escribe un patrón en uno de los formatos de PATTERN_FORMATS.
+ *
+ * @param {Object} pattern - Patrón como el de writeRLE
+ * @param {string} format - 'rle', 'cells', 'life105', 'life106',
+ *        'macrocell' o 'array'
+ * @returns {string} Contenido del archivo
+ * @throws {Error} Si el formato no existe o no admite el patrón
+ *
+ * COMPLEJIDAD: la del escritor del formato
+ */
+function writePattern(pattern, format) {
+    if (!PATTERN_FORMATS[format]) {
+        throw new Error(`Formato de patrón desconocido: ${format}`);
+    }
+    return PATTERN_FORMATS[format].write(pattern);
+}
+
+/**
+ * Patrón vacío con los campos de parseRLE.
+ *
+ * @returns {Object}
+ */
+function emptyPattern() {
+    return {
+        name: null,
+        author: null,
+        comments: [],
+        width: 0,
+        height: 0,
+        rulestring: null,
+        states: 2,
+        cells: []
+    };
+}
+
+/**
+ * Lleva la esquina de unas células con coordenadas libres (Life 1.05 y
+ * 1.06, pueden ser negativas) a (0, 0).
+ *
+ * @param {Array[]} cells - [x, fila]
+ * @returns {Array[]} Las mismas células, desplazadas
+ *
+ * COMPLEJIDAD: O(células)
+ */
+function moveToOrigin(cells) {
+    let minX = Infinity, minY = Infinity;
+    for (const [x, y] of cells) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+    }
+    for (const cell of cells) {
+        cell[0] -= minX;
+        cell[1] -= minY;
+    }
+    return cells;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: codesToCells
+ * ----------------------------------------------------------------------------
+ * Células de un rectángulo leído con readRegion, en el formato de parseRLE.
+ *
+ * @param {Uint8Array} codes - width × height códigos (255 viva, estado de
+ *        decadencia muriendo, 0 muerta), fila 0 = abajo
+ * @param {number} width - Ancho del rectángulo
+ * @param {number} height - Alto del rectángulo
+ * @returns {Array[]} [x, y] o [x, y, estado] relativas a la esquina
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function codesToCells(codes, width, height) {
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const code = codes[y * width + x];
+            if (code === 255) {
+                cells.push([x, y]);
+            } else if (code >= 2) {
+                cells.push([x, y, code]);
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FORMATOS
+ * ----------------------------------------------------------------------------
+ * Lector, escritor y extensión de cada formato (array solo se escribe).
+ */
+const PATTERN_FORMATS = {
+    rle: { parse: parseRLE, write: writeRLE, extension: 'rle' },
+    cells: { parse: parsePlaintext, write: writePlaintext, extension: 'cells' },
+    life105: { parse: parseLife105, write: writeLife105, extension: 'lif' },
+    life106: { parse: parseLife106, write: writeLife106, extension: 'lif' },
+    macrocell: { parse: parseMacrocell, write: writeMacrocell, extension: 'mc' },
+    array: { parse: null, write: writePatternArray, extension: 'js' }
+};
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parsePattern,
+        writePattern,
+        detectPatternFormat,
+        parseRLE,
+        writeRLE,
+        parsePlaintext,
+        writePlaintext,
+        parseLife105,
+        writeLife105,
+        parseLife106,
+        writeLife106,
+        parseMacrocell,
+        writeMacrocell,
+        cropMacrocell,
+        writePatternArray,
+        codesToCells,
+        PATTERN_FORMATS,
+        RLE_LINE_LENGTH,
+        RLE_MAX_CELLS,
+        MACROCELL_LEAF_LEVEL,
+        MACROCELL_MAX_LEVEL
+    };
+}
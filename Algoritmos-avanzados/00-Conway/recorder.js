@@ -0,0 +1,514 @@
+/**
+ * ============================================================================
+ * GRABACIÓN DE EJECUCIONES: GIF ANIMADO Y WEBM
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Graba un intervalo de generaciones como animación: la simulación envía
+ * los fotogramas de uno en uno (mensajes 'recordFrame', ver startRecording
+ * en simulation.js) y aquí se codifican. Solo se usa en la interfaz
+ * (index.html), no en el worker.
+ *
+ * FORMATOS:
+ * - GIF: codificador propio (GifEncoder), sin bibliotecas ni red. Cada
+ *   fotograma lleva su paleta: los colores exactos si son 256 o menos (el
+ *   modo estado tiene 2 o los de la regla Generations), o una paleta fija
+ *   de 3-3-2 bits si hay más (mapas de color)
+ * - WebM: el navegador lo codifica (MediaRecorder) a partir de un canvas
+ *   2D; cada fotograma se muestra durante el retardo elegido, así que la
+ *   grabación tarda lo que dura el vídeo
+ *
+ * FLUJO:
+ * 1. startRecording: la simulación va a la primera generación y envía su
+ *    fotograma
+ * 2. RunRecorder.addFrame lo codifica y pide el siguiente (recordFrame):
+ *    la simulación no se adelanta al codificador
+ * 3. Tras el último, el archivo se descarga; cancelar es dejar de pedir
+ *    (stopRecording)
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Formatos de grabación: tipo MIME y extensión
+const RECORD_FORMATS = {
+    gif: { mime: 'image/gif', extension: 'gif' },
+    webm: { mime: 'video/webm', extension: 'webm' }
+};
+
+// Retardo entre fotogramas (milisegundos): los navegadores muestran los GIF
+// con menos de 20 ms a 100 ms
+const RECORD_MIN_DELAY = 20;
+const RECORD_MAX_DELAY = 10000;
+
+// Código LZW máximo de GIF (12 bits)
+const GIF_MAX_CODE = 4096;
+
+// Bytes máximos de un sub-bloque de datos de GIF
+const GIF_BLOCK_SIZE = 255;
+
+/**
+ * ============================================================================
+ * CLASE: GifEncoder
+ * ============================================================================
+ *
+ * Escribe un GIF89a animado que se repite sin fin.
+ *
+ * ESTRUCTURA DEL ARCHIVO:
+ * - Cabecera "GIF89a" y descriptor de pantalla (sin paleta global)
+ * - Extensión NETSCAPE2.0: repetir siempre
+ * - Por fotograma: extensión de control (retardo en centésimas),
+ *   descriptor de imagen, paleta local e índices comprimidos con LZW
+ * - Terminador 0x3B
+ */
+class GifEncoder {
+    /**
+     * Constructor de la clase GifEncoder
+     *
+     * @param {number} width - Ancho de los fotogramas en píxeles
+     * @param {number} height - Alto de los fotogramas en píxeles
+     * @throws {Error} Si el tamaño no cabe en un GIF (1..65535)
+     */
+    constructor(width, height) {
+        if (![width, height].every(n => Number.isInteger(n) && n >= 1 && n <= 0xffff)) {
+            throw new Error('Un GIF debe medir entre 1 y 65535 píxeles de lado');
+        }
+        this.width = width;
+        this.height = height;
+        this.bytes = new Uint8Array(1 << 16);
+        this.length = 0;
+        this.frames = 0;
+
+        // Cabecera y descriptor de pantalla: sin paleta global, fondo 0
+        this.writeString('GIF89a');
+        this.writeShort(width);
+        this.writeShort(height);
+        this.writeBytes([0x00, 0x00, 0x00]);
+
+        // NETSCAPE2.0: repetir 0 veces = siempre
+        this.writeBytes([0x21, 0xff, 0x0b]);
+        this.writeString('NETSCAPE2.0');
+        this.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+    }
+
+    /**
+     * Añade un fotograma.
+     *
+     * PASO 1: Paleta e índice de cada píxel (buildPalette)
+     * PASO 2: Control: retardo en centésimas de segundo (mínimo 2) y sin
+     *         borrar el fotograma anterior (todos son opacos y completos)
+     * PASO 3: Descriptor de imagen con paleta local de 2^bits colores
+     * PASO 4: Índices comprimidos (writeLzw)
+     *
+     * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+     *        bytes RGBA, fila 0 arriba (el alfa se ignora)
+     * @param {number} delay - Milisegundos hasta el siguiente fotograma
+     * @throws {Error} Si los píxeles no tienen el tamaño del GIF
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    addFrame(pixels, delay) {
+        if (pixels.length !== this.width * this.height * 4) {
+            throw new Error(`Todos los fotogramas deben medir ${this.width}×${this.height} píxeles`);
+        }
+
+        // PASO 1: Paleta
+        const { palette, indices } = GifEncoder.buildPalette(pixels);
+        let bits = 1;
+        while ((1 << bits) < palette.length / 3) bits++;
+
+        // PASO 2: Control
+        const centiseconds = Math.max(2, Math.round(delay / 10));
+        this.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+        this.writeShort(centiseconds);
+        this.writeBytes([0x00, 0x00]);
+
+        // PASO 3: Descriptor y paleta local (rellena hasta 2^bits colores)
+        this.writeByte(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeByte(0x80 | (bits - 1));
+        this.writeBytes(palette);
+        this.writeBytes(new Uint8Array(3 * (1 << bits) - palette.length));
+
+        // PASO 4: Datos (el tamaño mínimo de código de GIF es 2)
+        this.writeLzw(indices, Math.max(2, bits));
+        this.frames++;
+    }
+
+    /**
+     * Cierra el archivo.
+     *
+     * @returns {Uint8Array} Bytes del GIF
+     * @throws {Error} Si no se añadió ningún fotograma
+     */
+    finish() {
+        if (this.frames === 0) {
+            throw new Error('El GIF no tiene fotogramas');
+        }
+        this.writeByte(0x3b);
+        return this.bytes.slice(0, this.length);
+    }
+
+    /**
+     * Paleta de un fotograma: los colores exactos si son 256 o menos; si
+     * no, 256 colores fijos de 3 bits de rojo, 3 de verde y 2 de azul (el
+     * ojo distingue menos los azules).
+     *
+     * @param {Uint8ClampedArray|Uint8Array} pixels - Píxeles RGBA
+     * @returns {{palette: Uint8Array, indices: Uint8Array}} Paleta RGB
+     *          (3 bytes por color) e índice de cada píxel
+     *
+     * COMPLEJIDAD: O(píxeles)
+     */
+    static buildPalette(pixels) {
+        const count = pixels.length / 4;
+        const indices = new Uint8Array(count);
+        const colors = new Map();
+
+        for (let i = 0; i < count; i++) {
+            const color = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+            let index = colors.get(color);
+            if (index === undefined) {
+                if (colors.size === 256) return GifEncoder.quantize(pixels);
+                index = colors.size;
+                colors.set(color, index);
+            }
+            indices[i] = index;
+        }
+
+        const palette = new Uint8Array(colors.size * 3);
+        for (const [color, index] of colors) {
+            palette[index * 3] = color >> 16;
+            palette[index * 3 + 1] = (color >> 8) & 0xff;
+            palette[index * 3 + 2] = color & 0xff;
+        }
+        return { palette, indices };
+    }
+
+    /**
+     * Paleta fija 3-3-2 (ver buildPalette): cada componente se reduce a sus
+     * bits altos y la paleta usa el centro de cada intervalo.
+     *
+     * @param {Uint8ClampedArray|Uint8Array} pixels - Píxeles RGBA
+     * @returns {{palette: Uint8Array, indices: Uint8Array}}
+     *
+     * COMPLEJIDAD: O(píxeles)
+     */
+    static quantize(pixels) {
+        const count = pixels.length / 4;
+        const indices = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            indices[i] = (pixels[i * 4] & 0xe0) | ((pixels[i * 4 + 1] & 0xe0) >> 3) | (pixels[i * 4 + 2] >> 6);
+        }
+
+        const palette = new Uint8Array(256 * 3);
+        for (let index = 0; index < 256; index++) {
+            palette[index * 3] = (index & 0xe0) + 16;
+            palette[index * 3 + 1] = ((index << 3) & 0xe0) + 16;
+            palette[index * 3 + 2] = ((index & 0x03) << 6) + 32;
+        }
+        return { palette, indices };
+    }
+
+    /**
+     * Comprime los índices con el LZW de GIF y los escribe en sub-bloques
+     * de hasta 255 bytes.
+     *
+     * ALGORITMO:
+     * - Códigos 0..2^minCodeSize - 1: un índice; después, CLEAR (vaciar el
+     *   diccionario) y END; los siguientes, cadenas del diccionario
+     * - Se alarga la cadena actual mientras esté en el diccionario; al
+     *   salirse, se emite su código y se añade la cadena alargada
+     * - Los códigos empiezan con minCodeSize + 1 bits y crecen cuando el
+     *   siguiente código libre no cabe; al llegar a 4096 (12 bits) se
+     *   emite CLEAR y se empieza de nuevo
+     * - Los bits se empaquetan empezando por los menos significativos
+     *
+     * @param {Uint8Array} indices - Índice de la paleta de cada píxel
+     * @param {number} minCodeSize - Bits de los índices (2..8)
+     *
+     * COMPLEJIDAD: O(píxeles)
+     */
+    writeLzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const dictionary = new Map();
+        let nextCode = endCode + 1;
+        let codeSize = minCodeSize + 1;
+
+        const block = new Uint8Array(GIF_BLOCK_SIZE);
+        let blockLength = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const flushBlock = () => {
+            this.writeByte(blockLength);
+            this.writeBytes(block.subarray(0, blockLength));
+            blockLength = 0;
+        };
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block[blockLength++] = bitBuffer & 0xff;
+                if (blockLength === GIF_BLOCK_SIZE) flushBlock();
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        this.writeByte(minCodeSize);
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === GIF_MAX_CODE) {
+                emit(clearCode);
+                dictionary.clear();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                dictionary.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            block[blockLength++] = bitBuffer & 0xff;
+            if (blockLength === GIF_BLOCK_SIZE) flushBlock();
+        }
+        if (blockLength > 0) flushBlock();
+        this.writeByte(0x00);
+    }
+
+    /**
+     * Reserva espacio para n bytes más (duplicando el buffer).
+     *
+     * @param {number} n - Bytes que se van a escribir
+     */
+    reserve(n) {
+        if (this.length + n <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + n) size *= 2;
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    writeByte(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    // Enteros de 16 bits en little-endian, como todo GIF
+    writeShort(value) {
+        this.writeByte(value & 0xff);
+        this.writeByte(value >> 8);
+    }
+
+    writeBytes(values) {
+        this.reserve(values.length);
+        this.bytes.set(values, this.length);
+        this.length += values.length;
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+    }
+}
+
+/**
+ * ============================================================================
+ * CLASE: RunRecorder
+ * ============================================================================
+ *
+ * Una grabación en curso: recibe los fotogramas de la simulación, los
+ * codifica en el formato elegido, pide el siguiente y, tras el último,
+ * entrega el archivo.
+ */
+class RunRecorder {
+    /**
+     * Constructor de la clase RunRecorder
+     *
+     * @param {string} format - Clave de RECORD_FORMATS ('gif' o 'webm')
+     * @param {number} delay - Milisegundos entre fotogramas
+     * @param {Object} callbacks
+     * @param {Function} callbacks.next - Pide el siguiente fotograma
+     * @param {Function} callbacks.progress - Recibe (fotogramas hechos,
+     *        total, generación del último)
+     * @param {Function} callbacks.done - Recibe (Blob, nombre del archivo)
+     * @param {Function} callbacks.error - Recibe el mensaje si la
+     *        codificación falla (la grabación queda cancelada)
+     * @throws {Error} Si el formato o el retardo no son válidos, o el
+     *                 navegador no sabe grabar WebM
+     */
+    constructor(format, delay, callbacks) {
+        if (!RECORD_FORMATS[format]) {
+            throw new Error(`Formato de grabación desconocido: ${format}`);
+        }
+        if (!Number.isInteger(delay) || delay < RECORD_MIN_DELAY || delay > RECORD_MAX_DELAY) {
+            throw new Error(`El retardo debe ser un entero entre ${RECORD_MIN_DELAY} y ${RECORD_MAX_DELAY} ms`);
+        }
+        if (format === 'webm' && !RunRecorder.canRecordWebm()) {
+            throw new Error('Este navegador no puede grabar vídeo WebM: usa GIF');
+        }
+        this.format = format;
+        this.delay = delay;
+        this.callbacks = callbacks;
+        this.cancelled = false;
+        this.firstGeneration = null;
+
+        // GIF
+        this.encoder = null;
+
+        // WebM: canvas que se graba, su pista de vídeo y los trozos del archivo
+        this.canvas = null;
+        this.track = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+    }
+
+    /**
+     * ¿Puede el navegador grabar un canvas como WebM?
+     *
+     * @returns {boolean}
+     */
+    static canRecordWebm() {
+        return typeof MediaRecorder === 'function' &&
+            MediaRecorder.isTypeSupported(RECORD_FORMATS.webm.mime) &&
+            typeof HTMLCanvasElement === 'function' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * Codifica un fotograma de la simulación y pide el siguiente, o
+     * entrega el archivo si era el último.
+     *
+     * @param {Object} frame - Mensaje 'recordFrame': { index, total,
+     *        generation, width, height, pixels }
+     * @returns {Promise<void>} Se resuelve al terminar con el fotograma
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    async addFrame(frame) {
+        if (this.cancelled) return;
+        try {
+            if (this.firstGeneration === null) this.firstGeneration = frame.generation;
+
+            if (this.format === 'gif') {
+                if (!this.encoder) this.encoder = new GifEncoder(frame.width, frame.height);
+                this.encoder.addFrame(frame.pixels, this.delay);
+            } else {
+                await this.addVideoFrame(frame);
+            }
+            if (this.cancelled) return;
+
+            this.callbacks.progress(frame.index + 1, frame.total, frame.generation);
+            if (frame.index + 1 < frame.total) {
+                // Sin worker la simulación responde en el acto: el temporizador
+                // deja pintar el progreso y pulsar CANCELAR entre fotogramas
+                setTimeout(() => {
+                    if (!this.cancelled) this.callbacks.next();
+                }, 0);
+                return;
+            }
+
+            const { mime, extension } = RECORD_FORMATS[this.format];
+            const blob = this.format === 'gif'
+                ? new Blob([this.encoder.finish()], { type: mime })
+                : await this.finishVideo();
+            this.callbacks.done(blob, `generaciones-${this.firstGeneration}-${frame.generation}.${extension}`);
+        } catch (error) {
+            this.cancel();
+            this.callbacks.error(error.message);
+        }
+    }
+
+    /**
+     * Muestra un fotograma en el canvas grabado durante el retardo. La
+     * pista se crea con captureStream(0): solo toma un fotograma cuando se
+     * pide con requestFrame, y el vídeo guarda el tiempo real entre ellos.
+     *
+     * @param {Object} frame - Mensaje 'recordFrame'
+     * @returns {Promise<void>} Se resuelve pasado el retardo
+     * @throws {Error} Si el fotograma no mide lo mismo que los anteriores
+     */
+    async addVideoFrame(frame) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = frame.width;
+            this.canvas.height = frame.height;
+            const stream = this.canvas.captureStream(0);
+            this.track = stream.getVideoTracks()[0];
+            this.mediaRecorder = new MediaRecorder(stream, { mimeType: RECORD_FORMATS.webm.mime });
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) this.chunks.push(event.data);
+            };
+            this.mediaRecorder.start();
+        } else if (frame.width !== this.canvas.width || frame.height !== this.canvas.height) {
+            throw new Error(`Todos los fotogramas deben medir ${this.canvas.width}×${this.canvas.height} píxeles`);
+        }
+
+        this.canvas.getContext('2d').putImageData(new ImageData(frame.pixels, frame.width, frame.height), 0, 0);
+        this.track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    /**
+     * Detiene el MediaRecorder y junta los trozos del vídeo.
+     *
+     * @returns {Promise<Blob>} Archivo WebM
+     */
+    finishVideo() {
+        return new Promise(resolve => {
+            this.mediaRecorder.onstop = () => {
+                resolve(new Blob(this.chunks, { type: RECORD_FORMATS.webm.mime }));
+            };
+            this.mediaRecorder.stop();
+            this.track.stop();
+        });
+    }
+
+    /**
+     * Cancela la grabación: los fotogramas que lleguen después se ignoran
+     * y el vídeo a medias se descarta.
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.onstop = null;
+            this.mediaRecorder.stop();
+        }
+        if (this.track) this.track.stop();
+    }
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GifEncoder,
+        RunRecorder,
+        RECORD_FORMATS,
+        RECORD_MIN_DELAY,
+        RECORD_MAX_DELAY
+    };
+}
@@ -0,0 +1,530 @@
+/**
+ * ============================================================================
+ * REDUCCIÓN EN LA GPU: POBLACIÓN, HASH Y CAJA ENVOLVENTE DEL ESTADO
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * checkEnd() necesita en cada comprobación el número de células vivas (y
+ * muriendo), un hash del estado y su caja envolvente. Leer la textura completa con readPixels
+ * y recorrerla en JavaScript cuesta O(n) en la CPU y copia 4 bytes por
+ * célula (1 MB en 512×512, 64 MB en 4096×4096).
+ *
+ * StateReduction calcula esos valores en la GPU con una reducción
+ * logarítmica (shaders.js, reductionLeafShaderSource y
+ * reductionSumShaderSource): cada pasada combina bloques de 2×2 (suma,
+ * mínimo o máximo) hasta dejar un texel de 4 bytes con el resultado de 32
+ * bits. Se leen 4 bytes por valor.
+ *
+ * TRABAJOS:
+ * run() recibe una lista de trabajos { texture, textureWidth,
+ * textureHeight, x, y, width, height, lane[, previous] } y escribe el resultado de cada
+ * uno en un texel de la textura de resultados, que se lee con un único
+ * readPixels (TiledLife reduce todas sus teselas de una vez).
+ *
+ * HUELLA DEL ESTADO:
+ * Dos sumas Σ código × Wx(x) × Wy(y) módulo el primo 2^32 - 5
+ * (REDUCTION_MODULUS) sobre las células no muertas forman una huella de
+ * unos 64 bits. Es una suma, así que no depende del orden en que la GPU la
+ * calcula. Los pesos son potencias, Wx(x) = a^x y Wy(y) = b^y
+ * (reductionWeight), con otro par de bases para cada mitad: mover el
+ * patrón (dx, dy) multiplica la suma por a^dx × b^dy (translateHash), así
+ * que dividirla por el peso de la esquina de la caja envolvente da una
+ * huella que no depende de la posición del patrón.
+ *
+ * NACIMIENTOS Y MUERTES:
+ * Dos trabajos más leen también la generación anterior (la otra textura
+ * del ping-pong, campo previous del trabajo) y cuentan las células que
+ * pasaron de no vivas a vivas y al revés.
+ *
+ * CAJA ENVOLVENTE:
+ * Dos trabajos más dan la esquina mínima (x, y) y la máxima (x + 1, y + 1)
+ * de las células no muertas de la región, como dos enteros de 16 bits en
+ * el resultado de 32 (unpackCorner): la reducción combina con el mínimo o
+ * el máximo en lugar de sumar.
+ *
+ * COMPLEJIDAD: O(n) en la GPU en log2(lado) pasadas, O(1) en la CPU
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Valor que suma cada célula (u_lane del shader de la primera pasada)
+const REDUCTION_ALIVE = 0;    // 1 por célula viva
+const REDUCTION_DYING = 1;    // 1 por célula muriendo (reglas Generations)
+const REDUCTION_HASH = 2;     // Peso de la célula, mitad baja de la huella
+const REDUCTION_HASH_HIGH = 3;  // Peso de la célula, mitad alta de la huella
+const REDUCTION_MIN_CORNER = 4;  // (x, y) de la célula, combinada con el mínimo
+const REDUCTION_MAX_CORNER = 5;  // (x + 1, y + 1) de la célula, combinada con el máximo
+const REDUCTION_BIRTHS = 6;   // 1 por célula viva que no lo estaba en job.previous
+const REDUCTION_DEATHS = 7;   // 1 por célula viva en job.previous que ya no lo está
+
+// Ancho de la textura de resultados (un texel por trabajo, en filas)
+const REDUCTION_RESULTS_WIDTH = 256;
+
+// Módulo de la huella: el primo 2^32 - 5. Módulo 2^32 (una potencia de 2)
+// la suma de potencias de una base impar se anula para algunos patrones
+// (filas de Thue–Morse: Π(1 - a^(2^k)) es múltiplo de 2^(k+2)), y dos
+// estados distintos darían siempre la misma huella. Módulo un primo solo
+// coinciden por azar, con probabilidad del orden de 1 / REDUCTION_MODULUS
+// por mitad
+const REDUCTION_MODULUS = 4294967291;
+
+// Bases de los pesos: x e y de la mitad baja, x e y de la mitad alta
+// (raíces primitivas módulo REDUCTION_MODULUS: sus potencias no se repiten
+// hasta el exponente REDUCTION_MODULUS - 1)
+const REDUCTION_BASES = [0x9e3779b3, 0x85ebca77, 0xc2b2ae43, 0x27d4eb33];
+
+/**
+ * Suma de dos mitades de huella módulo REDUCTION_MODULUS.
+ *
+ * @param {number} a - Entero en 0..REDUCTION_MODULUS-1
+ * @param {number} b - Entero en 0..REDUCTION_MODULUS-1
+ * @returns {number} (a + b) mod REDUCTION_MODULUS
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function addHash(a, b) {
+    return (a + b) % REDUCTION_MODULUS;
+}
+
+/**
+ * Producto módulo REDUCTION_MODULUS. a × b puede llegar a 2^64 y un double
+ * solo es exacto hasta 2^53, así que b se parte en dos mitades de 16 bits
+ * (cada producto parcial queda por debajo de 2^48).
+ *
+ * @param {number} a - Entero en 0..REDUCTION_MODULUS-1
+ * @param {number} b - Entero en 0..REDUCTION_MODULUS-1
+ * @returns {number} (a × b) mod REDUCTION_MODULUS
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function multiplyHash(a, b) {
+    const high = (a * (b >>> 16)) % REDUCTION_MODULUS;
+    return (high * 65536 + a * (b & 0xFFFF)) % REDUCTION_MODULUS;
+}
+
+/**
+ * base^exponent módulo REDUCTION_MODULUS (exponenciación binaria).
+ *
+ * @param {number} base - Entero en 0..REDUCTION_MODULUS-1
+ * @param {number} exponent - Entero no negativo
+ * @returns {number} Potencia
+ *
+ * COMPLEJIDAD: O(log(exponent))
+ */
+function powerHash(base, exponent) {
+    let result = 1;
+    while (exponent > 0) {
+        if (exponent % 2 === 1) result = multiplyHash(result, base);
+        base = multiplyHash(base, base);
+        exponent = Math.floor(exponent / 2);
+    }
+    return result;
+}
+
+// Inversos de las bases (pequeño teorema de Fermat: a^(p-2) × a ≡ 1)
+const REDUCTION_INVERSE_BASES = REDUCTION_BASES.map(base => powerHash(base, REDUCTION_MODULUS - 2));
+
+/**
+ * Peso de la huella para una columna o una fila: base^index módulo
+ * REDUCTION_MODULUS. Admite índices negativos (potencias del inverso) para
+ * deshacer un desplazamiento, y coordenadas enormes (HashLife): por el
+ * pequeño teorema de Fermat basta el exponente módulo REDUCTION_MODULUS - 1.
+ *
+ * @param {number} index - Columna o fila (entero, puede ser negativo)
+ * @param {number} axis - 0 y 1 para x e y de la mitad baja, 2 y 3 para
+ *                        x e y de la mitad alta
+ * @returns {number} Entero en 1..REDUCTION_MODULUS-1
+ *
+ * COMPLEJIDAD: O(1) (32 iteraciones como mucho)
+ */
+function reductionWeight(index, axis) {
+    const base = index < 0 ? REDUCTION_INVERSE_BASES[axis] : REDUCTION_BASES[axis];
+    return powerHash(base, Math.abs(index) % (REDUCTION_MODULUS - 1));
+}
+
+/**
+ * Pesos de las columnas o filas 0..count-1 (tabla para recorrer un estado
+ * completo sin una exponenciación por célula).
+ *
+ * @param {number} count - Número de pesos
+ * @param {number} axis - Como en reductionWeight
+ * @returns {Uint32Array} reductionWeight(i, axis) para cada i
+ *
+ * COMPLEJIDAD: O(count)
+ */
+function reductionWeights(count, axis) {
+    const weights = new Uint32Array(count);
+    let weight = 1;
+    for (let i = 0; i < count; i++) {
+        weights[i] = weight;
+        weight = multiplyHash(weight, REDUCTION_BASES[axis]);
+    }
+    return weights;
+}
+
+/**
+ * Mueve todas las células de una mitad de la huella: Σ código × a^x × b^y
+ * pasa a Σ código × a^(x+dx) × b^(y+dy).
+ *
+ * @param {number} hash - Mitad de la huella (entero en 0..REDUCTION_MODULUS-1)
+ * @param {number} dx - Desplazamiento en x (puede ser negativo)
+ * @param {number} dy - Desplazamiento en y (puede ser negativo)
+ * @param {number} half - 0 = mitad baja, 1 = mitad alta
+ * @returns {number} Mitad de la huella desplazada
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function translateHash(hash, dx, dy, half) {
+    const weight = multiplyHash(reductionWeight(dx, 2 * half), reductionWeight(dy, 2 * half + 1));
+    return multiplyHash(hash, weight);
+}
+
+/**
+ * Esquina de un trabajo REDUCTION_MIN_CORNER o REDUCTION_MAX_CORNER.
+ *
+ * @param {number} value - Resultado de run()
+ * @returns {number[]} [x, y]
+ */
+function unpackCorner(value) {
+    return [value & 0xFFFF, value >>> 16];
+}
+
+/**
+ * ¿El trabajo usa la textura de pesos?
+ *
+ * @param {number} lane - Valor de cada célula (REDUCTION_*)
+ * @returns {boolean} true para las dos mitades de la huella
+ */
+function isHashLane(lane) {
+    return lane === REDUCTION_HASH || lane === REDUCTION_HASH_HIGH;
+}
+
+/**
+ * Operación con la que se combinan los valores de un trabajo (u_operation
+ * del shader de sumas).
+ *
+ * @param {number} lane - Valor de cada célula (REDUCTION_*)
+ * @returns {number} 0 = suma, 1 = mínimo, 2 = máximo
+ */
+function reductionOperation(lane) {
+    if (lane === REDUCTION_MIN_CORNER) return 1;
+    if (lane === REDUCTION_MAX_CORNER) return 2;
+    return 0;
+}
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: StateReduction
+ * ============================================================================
+ */
+class StateReduction {
+    /**
+     * Constructor de la clase StateReduction
+     *
+     * @param {WebGLRenderingContext} gl - Contexto WebGL
+     * @throws {Error} Si los shaders de reducción no compilan
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        // Programas de la primera pasada (células) y de las siguientes (sumas)
+        this.leafProgram = this.createProgram(reductionLeafShaderSource);
+        this.sumProgram = this.createProgram(reductionSumShaderSource);
+
+        // Quad de pantalla completa (solo posiciones)
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1, 1, -1, -1, 1,
+            -1, 1, 1, -1, 1, 1
+        ]), gl.STATIC_DRAW);
+
+        // Pasadas intermedias: dos texturas que se alternan (se agrandan al
+        // reducir regiones mayores) y la textura de resultados
+        this.levels = null;
+        this.levelWidth = 0;
+        this.levelHeight = 0;
+        this.results = null;
+        this.resultRows = 0;
+
+        // Pesos de la huella (x e y de la mitad baja en las filas 0 y 1, de
+        // la alta en las filas 2 y 3)
+        this.weights = null;
+        this.weightsSize = 0;
+    }
+
+    /**
+     * Compila un programa con el vertex shader de la reducción.
+     *
+     * @param {string} fragmentSource - Código GLSL del fragment shader
+     * @returns {WebGLProgram} Programa enlazado
+     * @throws {Error} Si el shader no compila o el programa no enlaza
+     */
+    createProgram(fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        [[gl.VERTEX_SHADER, reductionVertexShaderSource], [gl.FRAGMENT_SHADER, fragmentSource]]
+            .forEach(([type, source]) => {
+                const shader = gl.createShader(type);
+                gl.shaderSource(shader, source);
+                gl.compileShader(shader);
+                if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                    throw new Error(`Error al compilar el shader de reducción: ${gl.getShaderInfoLog(shader)}`);
+                }
+                gl.attachShader(program, shader);
+                gl.deleteShader(shader);
+            });
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Error al enlazar el programa de reducción: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    /**
+     * Crea una textura RGBA de bytes con filtrado NEAREST.
+     *
+     * @param {number} width - Ancho en texels
+     * @param {number} height - Alto en texels
+     * @param {Uint8Array} [data] - Contenido inicial (ceros si falta)
+     * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}}
+     */
+    createTarget(width, height, data = null) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        return { texture, framebuffer };
+    }
+
+    /**
+     * Libera una textura de createTarget.
+     *
+     * @param {Object|null} target - { texture, framebuffer }
+     */
+    deleteTarget(target) {
+        if (!target) return;
+        this.gl.deleteTexture(target.texture);
+        this.gl.deleteFramebuffer(target.framebuffer);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: ensureCapacity
+     * ------------------------------------------------------------------------
+     * Agranda (nunca reduce) las texturas intermedias, la de resultados y
+     * la de pesos para una lista de trabajos.
+     *
+     * @param {Object[]} jobs - Trabajos de run()
+     *
+     * COMPLEJIDAD: O(1), O(lado) si hay que regenerar los pesos
+     */
+    ensureCapacity(jobs) {
+        const gl = this.gl;
+
+        // Intermedias: la primera pasada escribe ceil(ancho/2) × ceil(alto/2)
+        const levelWidth = Math.max(1, ...jobs.map(job => Math.ceil(job.width / 2)));
+        const levelHeight = Math.max(1, ...jobs.map(job => Math.ceil(job.height / 2)));
+        if (!this.levels || levelWidth > this.levelWidth || levelHeight > this.levelHeight) {
+            if (this.levels) this.levels.forEach(level => this.deleteTarget(level));
+            this.levelWidth = Math.max(levelWidth, this.levelWidth);
+            this.levelHeight = Math.max(levelHeight, this.levelHeight);
+            this.levels = [
+                this.createTarget(this.levelWidth, this.levelHeight),
+                this.createTarget(this.levelWidth, this.levelHeight)
+            ];
+        }
+
+        // Resultados: REDUCTION_RESULTS_WIDTH por fila
+        const rows = Math.ceil(jobs.length / REDUCTION_RESULTS_WIDTH);
+        if (rows > this.resultRows) {
+            this.deleteTarget(this.results);
+            this.resultRows = rows;
+            this.results = this.createTarget(REDUCTION_RESULTS_WIDTH, rows);
+        }
+
+        // Pesos: uno por columna y uno por fila de la región más grande
+        const size = Math.max(...jobs.map(job => Math.max(job.width, job.height)));
+        if (jobs.some(job => isHashLane(job.lane)) && size > this.weightsSize) {
+            const data = new Uint8Array(size * 4 * 4);
+            for (let axis = 0; axis < 4; axis++) {
+                const weights = reductionWeights(size, axis);
+                for (let i = 0; i < size; i++) {
+                    const weight = weights[i];
+                    const offset = (axis * size + i) * 4;
+                    data[offset] = weight & 255;
+                    data[offset + 1] = (weight >>> 8) & 255;
+                    data[offset + 2] = (weight >>> 16) & 255;
+                    data[offset + 3] = weight >>> 24;
+                }
+            }
+            this.deleteTarget(this.weights);
+            this.weightsSize = size;
+            this.weights = this.createTarget(size, 4, data);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Prepara un programa de la reducción: lo activa y asocia el quad.
+     *
+     * @param {WebGLProgram} program - leafProgram o sumProgram
+     */
+    useProgram(program) {
+        const gl = this.gl;
+        gl.useProgram(program);
+        const position = gl.getAttribLocation(program, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: run
+     * ------------------------------------------------------------------------
+     * Ejecuta una lista de trabajos y devuelve sus resultados.
+     *
+     * PROCESO (por trabajo):
+     * 1. Primera pasada: región de ancho × alto → ceil(ancho/2) × ceil(alto/2)
+     * 2. Sumas de 2×2 (mínimos o máximos para las esquinas) alternando las
+     *    dos texturas intermedias
+     * 3. La pasada que deja un solo texel escribe en el texel del trabajo en
+     *    la textura de resultados
+     * Al final, un readPixels lee todos los resultados (4 bytes cada uno).
+     *
+     * @param {Object[]} jobs - { texture, textureWidth, textureHeight,
+     *                          x, y, width, height, lane } y, para
+     *                          REDUCTION_BIRTHS y REDUCTION_DEATHS, previous
+     *                          (textura de la generación anterior)
+     * @returns {Uint32Array} Resultado de cada trabajo (las mitades de la
+     *          huella, módulo REDUCTION_MODULUS; las esquinas se leen con
+     *          unpackCorner)
+     *
+     * COMPLEJIDAD: O(Σ ancho × alto) en la GPU, O(trabajos × log(lado)) en la CPU
+     */
+    run(jobs) {
+        const gl = this.gl;
+        const values = new Uint32Array(jobs.length);
+        if (jobs.length === 0) return values;
+        this.ensureCapacity(jobs);
+
+        jobs.forEach((job, index) => {
+            // Texel del resultado de este trabajo
+            const resultX = index % REDUCTION_RESULTS_WIDTH;
+            const resultY = Math.floor(index / REDUCTION_RESULTS_WIDTH);
+
+            // Destino de una pasada que deja width × height texels
+            const target = (width, height, level) => {
+                if (width === 1 && height === 1) {
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, this.results.framebuffer);
+                    gl.viewport(resultX, resultY, 1, 1);
+                    return [resultX, resultY];
+                }
+                gl.bindFramebuffer(gl.FRAMEBUFFER, this.levels[level].framebuffer);
+                gl.viewport(0, 0, width, height);
+                return [0, 0];
+            };
+
+            // PASO 1: Primera pasada sobre las células
+            let width = Math.ceil(job.width / 2);
+            let height = Math.ceil(job.height / 2);
+            let level = 0;
+            this.useProgram(this.leafProgram);
+            const leaf = this.leafProgram;
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, job.texture);
+            gl.uniform1i(gl.getUniformLocation(leaf, 'u_state'), 0);
+            gl.uniform2f(gl.getUniformLocation(leaf, 'u_stateSize'), job.textureWidth, job.textureHeight);
+            gl.uniform4f(gl.getUniformLocation(leaf, 'u_rect'), job.x, job.y, job.width, job.height);
+            gl.uniform1f(gl.getUniformLocation(leaf, 'u_lane'), job.lane);
+            if (isHashLane(job.lane)) {
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, this.weights.texture);
+                gl.uniform1i(gl.getUniformLocation(leaf, 'u_weights'), 1);
+                gl.uniform1f(gl.getUniformLocation(leaf, 'u_weightsSize'), this.weightsSize);
+                gl.activeTexture(gl.TEXTURE0);
+            }
+            if (job.previous) {
+                gl.activeTexture(gl.TEXTURE2);
+                gl.bindTexture(gl.TEXTURE_2D, job.previous);
+                gl.uniform1i(gl.getUniformLocation(leaf, 'u_previous'), 2);
+                gl.activeTexture(gl.TEXTURE0);
+            }
+            let origin = target(width, height, level);
+            gl.uniform2f(gl.getUniformLocation(leaf, 'u_outputOrigin'), origin[0], origin[1]);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+            // PASO 2: Sumas (o mínimos, o máximos) de 2×2 hasta un texel
+            const sum = this.sumProgram;
+            if (width > 1 || height > 1) {
+                this.useProgram(sum);
+                gl.uniform1i(gl.getUniformLocation(sum, 'u_source'), 0);
+                gl.uniform2f(gl.getUniformLocation(sum, 'u_sourceSize'), this.levelWidth, this.levelHeight);
+                gl.uniform1f(gl.getUniformLocation(sum, 'u_operation'), reductionOperation(job.lane));
+            }
+            while (width > 1 || height > 1) {
+                gl.bindTexture(gl.TEXTURE_2D, this.levels[level].texture);
+                gl.uniform2f(gl.getUniformLocation(sum, 'u_size'), width, height);
+                width = Math.ceil(width / 2);
+                height = Math.ceil(height / 2);
+                level = 1 - level;
+                origin = target(width, height, level);
+                gl.uniform2f(gl.getUniformLocation(sum, 'u_outputOrigin'), origin[0], origin[1]);
+                gl.drawArrays(gl.TRIANGLES, 0, 6);
+            }
+        });
+
+        // PASO 3: Leer todos los resultados de una vez
+        const columns = Math.min(jobs.length, REDUCTION_RESULTS_WIDTH);
+        const rows = Math.ceil(jobs.length / REDUCTION_RESULTS_WIDTH);
+        const data = new Uint8Array(columns * rows * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.results.framebuffer);
+        gl.readPixels(0, 0, columns, rows, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        for (let i = 0; i < jobs.length; i++) {
+            const offset = ((i % REDUCTION_RESULTS_WIDTH) + Math.floor(i / REDUCTION_RESULTS_WIDTH) * columns) * 4;
+            values[i] = (data[offset] | (data[offset + 1] << 8) |
+                (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+            // La GPU deja la huella congruente, pero puede pasar del módulo
+            if (isHashLane(jobs[i].lane)) values[i] %= REDUCTION_MODULUS;
+        }
+        return values;
+    }
+
+    /**
+     * Libera los programas, el quad y las texturas.
+     */
+    dispose() {
+        const gl = this.gl;
+        gl.deleteProgram(this.leafProgram);
+        gl.deleteProgram(this.sumProgram);
+        gl.deleteBuffer(this.quadBuffer);
+        if (this.levels) this.levels.forEach(level => this.deleteTarget(level));
+        this.deleteTarget(this.results);
+        this.deleteTarget(this.weights);
+    }
+}
+
+// Exportar para uso en Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StateReduction, REDUCTION_MODULUS, addHash, multiplyHash, reductionWeight, reductionWeights,
+        translateHash, unpackCorner
+    };
+}
@@ -0,0 +1,962 @@
+/**
+ * ============================================================================
+ * REGLAS DE AUTÓMATAS CELULARES (NOTACIÓN B/S)
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Este archivo contiene:
+ * 1. Catálogo de reglas conocidas de la familia "Life-like" y "Generations"
+ * 2. Parser de rulestrings en notación B/S (nacimiento/supervivencia)
+ * 3. Función de transición en CPU compartida por las previsualizaciones
+ *
+ * NOTACIÓN B/S:
+ * - "B" (birth) lista los números de vecinos con los que nace una célula
+ * - "S" (survival) lista los números de vecinos con los que sobrevive
+ * - Ejemplo: B3/S23 es el Juego de la Vida de Conway
+ *
+ * REGLAS GENERATIONS (B/S/C):
+ * - "C" indica el número total de estados (C=2 equivale a una regla Life-like)
+ * - Estado 0 = muerta, 1 = viva, 2..C-1 = muriendo (decadencia)
+ * - Una célula viva que no sobrevive no muere de golpe: recorre los estados
+ *   2, 3, ..., C-1 (uno por generación) y después pasa a 0
+ * - Solo las células en estado 1 cuentan como vecinos vivos
+ * - Ejemplo: B2/S/C3 es Brian's Brain
+ *
+ * REGLAS OUTER-TOTALISTIC:
+ * El nuevo estado solo depende del estado actual de la célula y del NÚMERO
+ * de vecinos vivos (no de su posición). Con 9 posibles conteos (0-8) hay
+ * 2^9 × 2^9 = 262,144 reglas distintas de este tipo.
+ *
+ * REGLAS ISOTRÓPICAS NO TOTALÍSTICAS (notación de Hensel):
+ * - Tras cada dígito pueden ir letras que eligen configuraciones concretas
+ *   de los vecinos (ej: 2a = dos vecinos adyacentes en ángulo, 2i = dos
+ *   vecinos opuestos); con "-" se excluyen en lugar de elegirse
+ * - Ejemplos: B2-a/S12, B3/S23-a4i
+ * - Solo importa la forma de la configuración salvo rotaciones y reflejos,
+ *   así que hay 51 configuraciones distintas de vecinos en lugar de 9 conteos
+ *
+ * TOPOLOGÍAS (sufijo de Golly tras ":", en cualquier tipo de regla):
+ * - Sin sufijo: toro que ocupa toda la cuadrícula (los bordes opuestos se unen)
+ * - ":P": plano con bordes muertos
+ * - ":T": toro; con un tamaño 0 ese par de bordes no se une (cilindro)
+ * - ":K": botella de Klein; "*" marca la coordenada que se invierte
+ * - ":C": superficie cruzada (plano proyectivo)
+ * - Ejemplo: B3/S23:K512*,512
+ *
+ * VECINDARIOS (sufijo de Golly en reglas B/S):
+ * - Sin sufijo: Moore, 8 vecinos
+ * - "V": von Neumann, 4 vecinos ortogonales (ejemplo: B1/S1V)
+ * - "H": hexagonal, 6 vecinos sobre una rejilla de filas desplazadas
+ *   (ejemplo: B2/S34H)
+ *
+ * LARGER THAN LIFE (notación de Evans):
+ * - Generalización a vecindarios de radio R (Moore, von Neumann o circular)
+ * - Nacimiento y supervivencia se dan como rangos de conteos
+ * - Ejemplo: R5,C0,M1,S34..58,B34..45,NM es la regla de Bosco
+ * ============================================================================
+ */
+
+/**
+ * Regla por defecto: Juego de la Vida de Conway
+ */
+const DEFAULT_RULE = 'B3/S23';
+
+/**
+ * ----------------------------------------------------------------------------
+ * CATÁLOGO DE REGLAS CONOCIDAS
+ * ----------------------------------------------------------------------------
+ *
+ * Reglas con comportamiento interesante documentadas en la literatura.
+ * Se usan para rellenar el selector de reglas de la interfaz.
+ */
+const RULE_PRESETS = [
+    { name: 'Conway (Life)', rule: 'B3/S23' },
+    { name: 'HighLife', rule: 'B36/S23' },
+    { name: 'Day & Night', rule: 'B3678/S34678' },
+    { name: 'Seeds', rule: 'B2/S' },
+    { name: 'Life without Death', rule: 'B3/S012345678' },
+    { name: '2x2', rule: 'B36/S125' },
+    { name: 'Replicator', rule: 'B1357/S1357' },
+    { name: 'Maze', rule: 'B3/S12345' },
+    { name: 'Diamoeba', rule: 'B35678/S5678' },
+    { name: 'Morley', rule: 'B368/S245' },
+    { name: "Brian's Brain", rule: 'B2/S/C3' },
+    { name: 'Star Wars', rule: 'B2/S345/C4' },
+    { name: 'Frogs', rule: 'B34/S12/C3' },
+    { name: 'Belzhab', rule: 'B23/S23/C8' },
+    { name: 'Hex Life', rule: 'B2/S34H' },
+    { name: 'tlife (Hensel)', rule: 'B3/S2-i34q' },
+    { name: "Bosco's Rule (LtL)", rule: 'R5,C0,M1,S34..58,B34..45,NM' },
+    { name: 'Majority (LtL)', rule: 'R4,C0,M1,S41..81,B41..81,NM' },
+    { name: 'Waffle (LtL)', rule: 'R7,C0,M1,S100..200,B75..170,NM' },
+    { name: 'Globe (LtL)', rule: 'R8,C0,M0,S163..223,B74..252,NM' }
+];
+
+/**
+ * Número máximo de estados de una regla Generations.
+ * El estado de decadencia se guarda en un byte de la textura (canal G).
+ */
+const MAX_STATES = 256;
+
+/**
+ * Radio máximo de las reglas Larger than Life.
+ * El compute shader recorre (2R+1)² celdas por célula: con R = 10 son 441
+ * lecturas de textura, todavía asumibles en tiempo real.
+ */
+const MAX_RADIUS = 10;
+
+/**
+ * Formas de vecindario admitidas, con su letra en la notación de Evans.
+ * - moore: cuadrado de lado 2R+1 (NM)
+ * - vonneumann: rombo, |dx| + |dy| ≤ R (NN)
+ * - circular: círculo de radio R + ½, dx² + dy² ≤ R² + R (NC)
+ */
+const NEIGHBOURHOOD_LETTERS = {
+    moore: 'M',
+    vonneumann: 'N',
+    circular: 'C'
+};
+
+/**
+ * Vecindarios de radio 1 de las reglas B/S, indexados por el sufijo de Golly.
+ * El tamaño limita los conteos válidos en B y S (B7 no tiene sentido con
+ * 6 vecinos hexagonales).
+ */
+const NEIGHBOURHOOD_SUFFIXES = {
+    '': { neighbourhood: 'moore', size: 8 },
+    V: { neighbourhood: 'vonneumann', size: 4 },
+    H: { neighbourhood: 'hexagonal', size: 6 }
+};
+
+/**
+ * Desplazamientos de los 6 vecinos hexagonales según la paridad de la fila.
+ *
+ * REJILLA HEXAGONAL SOBRE LA TEXTURA CUADRADA ("odd-r"):
+ * Las filas impares se dibujan desplazadas media célula a la derecha, así
+ * que los vecinos de arriba y abajo dependen de la fila:
+ *
+ *   Fila par (y % 2 = 0):        Fila impar (y % 2 = 1):
+ *    (-1,-1) (0,-1)                  (0,-1) (1,-1)
+ *   (-1,0) (AQUÍ) (1,0)           (-1,0) (AQUÍ) (1,0)
+ *    (-1,1)  (0,1)                   (0,1)  (1,1)
+ */
+const HEX_OFFSETS = [
+    [[-1, -1], [0, -1], [-1, 0], [1, 0], [-1, 1], [0, 1]],
+    [[0, -1], [1, -1], [-1, 0], [1, 0], [0, 1], [1, 1]]
+];
+
+/**
+ * Orden de los 8 vecinos de Moore en la máscara de vecindario: el bit i de
+ * la máscara vale 1 si el vecino NEIGHBOUR_MASK_OFFSETS[i] está vivo.
+ * El compute shader (neighbourMask) usa exactamente el mismo orden.
+ *
+ *   bit 0 (NO)  bit 1 (N)  bit 2 (NE)
+ *   bit 3 (O)   (AQUÍ)     bit 4 (E)
+ *   bit 5 (SO)  bit 6 (S)  bit 7 (SE)
+ */
+const NEIGHBOUR_MASK_OFFSETS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1]
+];
+
+/**
+ * Letras de Hensel válidas para cada número de vecinos, en el orden de Golly.
+ * 0 y 8 vecinos solo tienen una configuración, así que no llevan letras.
+ */
+const HENSEL_LETTERS = ['', 'ce', 'ceaikn', 'ceaiknjqry', 'ceaiknjqrtwyz', 'ceaiknjqry', 'ceaikn', 'ce', ''];
+
+/**
+ * Configuración representativa de cada letra de Hensel para 1 a 4 vecinos.
+ * El resto de configuraciones de la clase se obtiene con las 8 rotaciones y
+ * reflejos del cuadrado; con 5 a 7 vecinos la letra designa el complemento
+ * de la configuración de 8 - n vecinos (5a = complemento de 3a).
+ *
+ * EJEMPLOS:
+ *   2a (NO N)    2i (O E)    3i (NO N NE)    4c (esquinas)
+ *   X X .        . . .       X X X           X . X
+ *   . o .        X o X       . o .           . o .
+ *   . . .        . . .       . . .           X . X
+ */
+const HENSEL_CONFIGURATIONS = {
+    1: { c: 'NW', e: 'N' },
+    2: { c: 'NW NE', e: 'N W', a: 'NW N', i: 'W E', k: 'NW E', n: 'NE SW' },
+    3: {
+        c: 'NW NE SW', e: 'N W E', a: 'NW N W', i: 'NW N NE', k: 'N E SW',
+        n: 'NW NE W', j: 'N NE W', q: 'N NE SW', r: 'NW W E', y: 'NW E SW'
+    },
+    4: {
+        c: 'NW NE SW SE', e: 'N W E S', a: 'NW N NE W', i: 'NW NE W E', k: 'NW N E SW',
+        n: 'NW N NE SW', j: 'N W E SW', q: 'N NE E SW', r: 'NW N W E', t: 'NW W E SW',
+        w: 'N NE W SW', y: 'NW NE E SW', z: 'NE W E SW'
+    }
+};
+
+/**
+ * Letra de Hensel de cada una de las 256 máscaras de vecindario
+ * ('' para 0 y 8 vecinos). Se calcula una sola vez al cargar el archivo.
+ */
+const HENSEL_MASK_LETTERS = buildHenselMaskLetters();
+
+/**
+ * Construye HENSEL_MASK_LETTERS recorriendo las simetrías del cuadrado.
+ *
+ * SIMETRÍAS (grupo diédrico D4):
+ * 4 rotaciones × (con o sin reflejo) = 8 transformaciones de (dx, dy)
+ *
+ * @returns {string[]} Letra de cada máscara (índices 0..255)
+ *
+ * COMPLEJIDAD: O(1) - 51 configuraciones × 8 simetrías
+ */
+function buildHenselMaskLetters() {
+    const compass = { NW: 0, N: 1, NE: 2, W: 3, E: 4, SW: 5, S: 6, SE: 7 };
+    const symmetries = [
+        ([x, y]) => [x, y], ([x, y]) => [-y, x], ([x, y]) => [-x, -y], ([x, y]) => [y, -x],
+        ([x, y]) => [-x, y], ([x, y]) => [x, -y], ([x, y]) => [y, x], ([x, y]) => [-y, -x]
+    ];
+    const bitOf = ([x, y]) => NEIGHBOUR_MASK_OFFSETS.findIndex(([dx, dy]) => dx === x && dy === y);
+
+    const letters = new Array(256).fill('');
+    for (const [count, configurations] of Object.entries(HENSEL_CONFIGURATIONS)) {
+        for (const [letter, cells] of Object.entries(configurations)) {
+            const mask = cells.split(' ').reduce((m, cell) => m | (1 << compass[cell]), 0);
+            for (const transform of symmetries) {
+                let image = 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    if (mask & (1 << bit)) {
+                        image |= 1 << bitOf(transform(NEIGHBOUR_MASK_OFFSETS[bit]));
+                    }
+                }
+                letters[image] = letter;
+                // Complemento: misma letra con 8 - n vecinos (salvo n = 4)
+                if (Number(count) < 4) {
+                    letters[image ^ 0xff] = letter;
+                }
+            }
+        }
+    }
+    return letters;
+}
+
+/**
+ * Número de bits a 1 de una máscara (= número de vecinos vivos).
+ *
+ * @param {number} mask - Máscara de 8 bits
+ * @returns {number} Número de vecinos (0-8)
+ */
+function countMaskBits(mask) {
+    let count = 0;
+    for (let bit = 0; bit < 8; bit++) {
+        if (mask & (1 << bit)) count++;
+    }
+    return count;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseRule
+ * ----------------------------------------------------------------------------
+ *
+ * Convierte un rulestring en un objeto regla.
+ *
+ * FORMATOS ACEPTADOS (sin distinguir mayúsculas):
+ * - B/S:  "B3/S23", "B36/S23", "B2/S" (supervivencia vacía)
+ * - Sin barra: "B3S23"
+ * - Orden inverso: "S23/B3"
+ * - Notación clásica S/B de Conway: "23/3" (supervivencia/nacimiento)
+ * - Generations: "B2/S/C3" (también "B2/S/G3") o S/B/C de Golly: "/2/3"
+ * - Vecindario: sufijo "V" (von Neumann) o "H" (hexagonal): "B2/S34H"
+ * - Hensel (isotrópicas): "B2-a/S12", "B3/S23-a4i" (solo vecindario de Moore)
+ * - Larger than Life: "R5,C0,M1,S34..58,B34..45,NM" (ver parseLargerThanLife)
+ * - Topología: sufijo ":P", ":T", ":K" o ":C" (ver parseTopology)
+ *
+ * OBJETO REGLA:
+ * - family: 'life' (B/S y Generations) o 'ltl' (Larger than Life)
+ * - radius, neighbourhood, includeCenter: forma del vecindario
+ *   (las reglas B/S usan radio 1 sin la célula central: Moore,
+ *   von Neumann o hexagonal)
+ * - birth / survival: listas de conteos (solo family 'life' totalísticas)
+ * - isotropic, birthMasks / survivalMasks: reglas de Hensel; tablas de 256
+ *   entradas (1 = la máscara de vecinos permite nacer / sobrevivir)
+ * - birthRange / survivalRange: rangos [mín, máx] (solo family 'ltl')
+ * - states: número de estados (2 = viva/muerta)
+ * - topology: bordes de la cuadrícula (ver parseTopology)
+ * - rulestring: forma canónica
+ *
+ * @param {string} rulestring - Regla en notación B/S, B/S/C o de Evans
+ * @returns {Object} Objeto regla con los campos descritos arriba
+ * @throws {Error} Si el rulestring no es válido
+ *
+ * COMPLEJIDAD: O(n) donde n = longitud del rulestring
+ */
+function parseRule(rulestring) {
+    const text = String(rulestring).trim().toUpperCase().replace(/\s+/g, '');
+
+    // La topología va después de ":" y se combina con cualquier regla
+    const separator = text.indexOf(':');
+    const body = separator === -1 ? text : text.slice(0, separator);
+    const topology = parseTopology(separator === -1 ? '' : text.slice(separator + 1));
+
+    const rule = parseRuleBody(body, rulestring);
+    if (rule.neighbourhood === 'hexagonal' && (topology.modes[0] === 2 || topology.modes[1] === 2)) {
+        throw new Error('Las topologías con bordes invertidos no están disponibles en la rejilla hexagonal');
+    }
+    if (rule.neighbourhood === 'hexagonal' && topology.modes[1] === 1 && topology.height % 2 === 1) {
+        throw new Error('En la rejilla hexagonal el alto del toro debe ser par');
+    }
+
+    rule.topology = topology;
+    rule.rulestring += topology.suffix;
+    return rule;
+}
+
+/**
+ * Parsea la regla sin el sufijo de topología (ver parseRule).
+ *
+ * @param {string} text - Rulestring normalizado, sin ":..."
+ * @param {string} rulestring - Rulestring tal como lo escribió el usuario
+ * @returns {Object} Objeto regla (sin topology)
+ * @throws {Error} Si el rulestring no es válido
+ */
+function parseRuleBody(text, rulestring) {
+    // Larger than Life: empieza por el radio ("R5,...")
+    if (/^R\d/.test(text)) {
+        return parseLargerThanLife(text, rulestring);
+    }
+
+    let birthDigits;
+    let survivalDigits;
+    let statesDigits;
+    let suffix;
+
+    // Notación B/S en cualquier orden, con o sin barra separadora,
+    // seguida opcionalmente del número de estados (/C3 o /G3) y del
+    // sufijo de vecindario (V o H)
+    // Cada dígito puede llevar letras de Hensel ("2-A", "4I")
+    const counts = '((?:[0-8](?:-?[CEKAINYQJRTWZ]+)?)*)';
+    let match = text.match(new RegExp(`^B${counts}\\/?S${counts}(?:\\/?[CG](\\d+))?([VH]?)$`));
+    if (match) {
+        [, birthDigits, survivalDigits, statesDigits, suffix] = match;
+    } else if ((match = text.match(new RegExp(`^S${counts}\\/?B${counts}(?:\\/?[CG](\\d+))?([VH]?)$`)))) {
+        [, survivalDigits, birthDigits, statesDigits, suffix] = match;
+    } else if ((match = text.match(new RegExp(`^${counts}\\/${counts}(?:\\/(\\d+))?([VH]?)$`)))) {
+        // Notación clásica: supervivencia primero, nacimiento después
+        [, survivalDigits, birthDigits, statesDigits, suffix] = match;
+    } else {
+        throw new Error(`Regla "${rulestring}" no válida (formato esperado: B3/S23 o B2/S/C3)`);
+    }
+
+    // Número de estados: 2 (viva/muerta) si no se indica
+    const states = statesDigits === undefined ? 2 : Number(statesDigits);
+    if (states < 2 || states > MAX_STATES) {
+        throw new Error(`Número de estados ${states} no válido (debe estar entre 2 y ${MAX_STATES})`);
+    }
+
+    // Reglas de Hensel: alguna letra tras los dígitos
+    if (/[A-Z]/.test(birthDigits + survivalDigits)) {
+        if (suffix !== '') {
+            throw new Error('La notación de Hensel solo es válida con el vecindario de Moore');
+        }
+        return parseIsotropicRule(birthDigits, survivalDigits, states);
+    }
+
+    const birth = digitsToCounts(birthDigits);
+    const survival = digitsToCounts(survivalDigits);
+
+    // Los conteos no pueden superar el número de vecinos
+    const { neighbourhood, size } = NEIGHBOURHOOD_SUFFIXES[suffix];
+    const tooLarge = birth.concat(survival).find(n => n > size);
+    if (tooLarge !== undefined) {
+        throw new Error(`Conteo ${tooLarge} no válido para un vecindario de ${size} vecinos`);
+    }
+
+    // Forma canónica: el sufijo /C solo aparece en reglas Generations
+    // y el de vecindario al final (B2/S34H, B2/S/C3V)
+    let canonical = `B${birth.join('')}/S${survival.join('')}`;
+    if (states > 2) {
+        canonical += `/C${states}`;
+    }
+    canonical += suffix;
+
+    return {
+        family: 'life',
+        radius: 1,
+        neighbourhood,
+        includeCenter: false,
+        birth,
+        survival,
+        states,
+        rulestring: canonical
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseIsotropicRule
+ * ----------------------------------------------------------------------------
+ *
+ * Construye una regla isotrópica no totalística a partir de las partes B y S
+ * en notación de Hensel (ya en mayúsculas).
+ *
+ * EJEMPLO: B3/S23-a4i
+ * - B3: todas las configuraciones de 3 vecinos
+ * - S2: todas las de 2 vecinos
+ * - S3-a: las de 3 vecinos salvo 3a
+ * - S4i: solo 4i
+ *
+ * @param {string} birthPart - Parte B (ej: "2-A")
+ * @param {string} survivalPart - Parte S (ej: "23-A4I")
+ * @param {number} states - Número de estados (Generations si > 2)
+ * @returns {Object} Objeto regla (family 'life', isotropic: true)
+ * @throws {Error} Si alguna letra no existe para su número de vecinos
+ */
+function parseIsotropicRule(birthPart, survivalPart, states) {
+    const birthMasks = henselToMasks(birthPart);
+    const survivalMasks = henselToMasks(survivalPart);
+
+    let canonical = `B${masksToHensel(birthMasks)}/S${masksToHensel(survivalMasks)}`;
+    if (states > 2) {
+        canonical += `/C${states}`;
+    }
+
+    // Si las letras cubren conteos completos ("B2ceaikn"), la regla es
+    // totalística y usa el camino normal de las tablas de 9 entradas
+    if (!/[a-z]/.test(canonical)) {
+        return parseRule(canonical);
+    }
+
+    return {
+        family: 'life',
+        radius: 1,
+        neighbourhood: 'moore',
+        includeCenter: false,
+        isotropic: true,
+        birthMasks,
+        survivalMasks,
+        states,
+        rulestring: canonical
+    };
+}
+
+/**
+ * Convierte una parte B o S en notación de Hensel en una tabla de 256
+ * entradas indexada por la máscara de vecinos (NEIGHBOUR_MASK_OFFSETS).
+ *
+ * @param {string} part - Dígitos con letras opcionales (ej: "23-A4I")
+ * @returns {Uint8Array} table[mask] = 1 si la máscara está permitida
+ * @throws {Error} Si una letra no existe para su número de vecinos
+ */
+function henselToMasks(part) {
+    const table = new Uint8Array(256);
+    for (const [, digit, negate, upperLetters] of part.matchAll(/([0-8])(-?)([A-Z]*)/g)) {
+        const count = Number(digit);
+        const letters = upperLetters.toLowerCase();
+        for (const letter of letters) {
+            if (!HENSEL_LETTERS[count].includes(letter)) {
+                throw new Error(`La letra "${letter}" no existe para el conteo ${count}`);
+            }
+        }
+
+        // Sin letras se permiten todas las configuraciones del conteo
+        for (let mask = 0; mask < 256; mask++) {
+            if (countMaskBits(mask) !== count) continue;
+            const listed = letters.includes(HENSEL_MASK_LETTERS[mask]);
+            if (letters === '' || listed !== (negate === '-')) {
+                table[mask] = 1;
+            }
+        }
+    }
+    return table;
+}
+
+/**
+ * Forma canónica en notación de Hensel de una tabla de máscaras.
+ * Para cada conteo se elige la escritura más corta: el dígito solo (todas
+ * las letras), las letras permitidas ("4i") o las excluidas ("3-a").
+ *
+ * @param {Uint8Array} table - Tabla de 256 entradas
+ * @returns {string} Parte B o S canónica (ej: "23-a4i")
+ */
+function masksToHensel(table) {
+    let text = '';
+    for (let count = 0; count <= 8; count++) {
+        const allowed = new Set();
+        const excluded = new Set();
+        for (let mask = 0; mask < 256; mask++) {
+            if (countMaskBits(mask) !== count) continue;
+            (table[mask] ? allowed : excluded).add(HENSEL_MASK_LETTERS[mask]);
+        }
+        if (allowed.size === 0) continue;
+
+        // Letras en el orden de Golly
+        const order = letters => [...HENSEL_LETTERS[count]].filter(l => letters.has(l)).join('');
+        if (excluded.size === 0) {
+            text += count;
+        } else if (allowed.size <= excluded.size) {
+            text += count + order(allowed);
+        } else {
+            text += `${count}-${order(excluded)}`;
+        }
+    }
+    return text;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: withNeighbourhood
+ * ----------------------------------------------------------------------------
+ *
+ * Devuelve la misma regla con otra forma de vecindario (selector de la
+ * interfaz). Se reconstruye el rulestring y se vuelve a parsear para validar
+ * que los conteos o rangos siguen siendo posibles.
+ *
+ * EJEMPLOS:
+ * - withNeighbourhood(B3/S23, 'hexagonal') → B3/S23H
+ * - withNeighbourhood(R5,...,NM, 'vonneumann') → R5,...,NN
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @param {string} neighbourhood - 'moore', 'vonneumann' o 'hexagonal'
+ * @returns {Object} Nueva regla
+ * @throws {Error} Si la combinación no es válida (ej: hexagonal en LtL)
+ */
+function withNeighbourhood(rule, neighbourhood) {
+    if (rule.family === 'ltl') {
+        const letter = NEIGHBOURHOOD_LETTERS[neighbourhood];
+        if (!letter) {
+            throw new Error('Las reglas Larger than Life no admiten el vecindario hexagonal');
+        }
+        return parseRule(rule.rulestring.replace(/N[MNC](?=:|$)/, `N${letter}`));
+    }
+    const suffix = Object.keys(NEIGHBOURHOOD_SUFFIXES)
+        .find(key => NEIGHBOURHOOD_SUFFIXES[key].neighbourhood === neighbourhood);
+    if (suffix === undefined) {
+        throw new Error(`Vecindario "${neighbourhood}" no disponible para reglas B/S`);
+    }
+    const [body] = rule.rulestring.split(':');
+    return parseRule(body.replace(/[VH]$/, '') + suffix + rule.topology.suffix);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseTopology
+ * ----------------------------------------------------------------------------
+ *
+ * Parsea el sufijo de topología de Golly (lo que va detrás de ":").
+ *
+ * FORMATO: letra + tamaño opcional "ancho,alto", con "*" tras la dimensión
+ * que se invierte en la botella de Klein:
+ * - "P512,512" o "P": plano con bordes muertos
+ * - "T512,512" o "T": toro
+ * - "T512,0": cilindro horizontal (solo se unen los bordes izquierdo y derecho)
+ * - "T0,512": cilindro vertical (solo se unen los bordes superior e inferior)
+ * - "K512*,512": botella de Klein; al cruzar arriba/abajo se invierte X
+ * - "K512,512*": botella de Klein; al cruzar izquierda/derecha se invierte Y
+ * - "K512,0*": banda de Möbius (izquierda/derecha unidas invirtiendo Y,
+ *   arriba y abajo con bordes muertos)
+ * - "C512,512": superficie cruzada; se invierte la otra coordenada al
+ *   cruzar cualquier borde
+ *
+ * Un tamaño omitido usa la cuadrícula completa; un tamaño menor deja una
+ * región centrada y las células de fuera quedan siempre muertas.
+ *
+ * MODOS POR EJE (los que usan el compute shader y las previsualizaciones):
+ * - modes[0]: bordes izquierdo/derecho; modes[1]: bordes superior/inferior
+ * - 0 = borde muerto, 1 = unir, 2 = unir invirtiendo la otra coordenada
+ *
+ * @param {string} text - Sufijo en mayúsculas sin ":" ('' = toro por defecto)
+ * @returns {Object} {type, width, height, modes, suffix}; width/height = null
+ *                   significa "toda la cuadrícula"
+ * @throws {Error} Si el sufijo no es válido
+ */
+function parseTopology(text) {
+    if (text === '') {
+        return { type: 'T', width: null, height: null, modes: [1, 1], suffix: '' };
+    }
+
+    const match = text.match(/^([PTKC])(?:(\d+)(\*?),(\d+)(\*?))?$/);
+    if (!match) {
+        throw new Error(`Topología ":${text}" no válida (ejemplos: :P, :T512,0, :K512*,512, :C512,512)`);
+    }
+    const [, type, w, twistWidth, h, twistHeight] = match;
+    const width = w === undefined ? null : Number(w);
+    const height = h === undefined ? null : Number(h);
+
+    // Un tamaño 0 en :T y :K significa que ese par de bordes no se une
+    const joinsX = width !== 0;
+    const joinsY = height !== 0;
+    let modes;
+    if (type === 'P') {
+        modes = [0, 0];
+    } else if (type === 'T') {
+        modes = [joinsX ? 1 : 0, joinsY ? 1 : 0];
+    } else if (type === 'K') {
+        // "*" en el ancho: X se invierte al cruzar arriba/abajo (y viceversa)
+        if ((twistWidth === '*') === (twistHeight === '*')) {
+            throw new Error('La botella de Klein necesita un "*" en una sola dimensión (ej: :K512*,512)');
+        }
+        modes = twistWidth === '*'
+            ? [joinsX ? 1 : 0, joinsY ? 2 : 0]
+            : [joinsX ? 2 : 0, joinsY ? 1 : 0];
+    } else {
+        if (width === 0 || height === 0) {
+            throw new Error('La superficie cruzada necesita un ancho y un alto mayores que 0');
+        }
+        modes = [2, 2];
+    }
+    if (type !== 'K' && (twistWidth || twistHeight)) {
+        throw new Error('Solo la botella de Klein (:K) admite "*"');
+    }
+
+    const size = width === null ? '' : `${width}${twistWidth},${height}${twistHeight}`;
+    return { type, width, height, modes, suffix: `:${type}${size}` };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: withTopology
+ * ----------------------------------------------------------------------------
+ *
+ * Devuelve la misma regla con otra topología (selector de la interfaz).
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @param {string} suffix - Sufijo de topología con ":" ('' = toro por defecto)
+ * @returns {Object} Nueva regla
+ * @throws {Error} Si la topología no es válida para la regla
+ */
+function withTopology(rule, suffix) {
+    const [body] = rule.rulestring.split(':');
+    return parseRule(body + suffix);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: resolveTopology
+ * ----------------------------------------------------------------------------
+ *
+ * Sitúa la topología de una regla sobre una cuadrícula concreta: la región
+ * simulada se centra en la cuadrícula y no puede ser mayor que ella (las
+ * previsualizaciones de 20×20 recortan, por ejemplo, un :T512,512).
+ *
+ * @param {Object} topology - rule.topology
+ * @param {number} gridWidth - Ancho de la cuadrícula en células
+ * @param {number} gridHeight - Alto de la cuadrícula en células
+ * @returns {Object} {x, y, width, height, modes}: región y modos por eje
+ */
+function resolveTopology(topology, gridWidth, gridHeight) {
+    const width = topology.width ? Math.min(topology.width, gridWidth) : gridWidth;
+    const height = topology.height ? Math.min(topology.height, gridHeight) : gridHeight;
+    return {
+        x: Math.floor((gridWidth - width) / 2),
+        y: Math.floor((gridHeight - height) / 2),
+        width,
+        height,
+        modes: topology.modes
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: mapTopologyCell
+ * ----------------------------------------------------------------------------
+ *
+ * Traduce una posición de vecino (que puede salirse de la región) a la
+ * célula que realmente le corresponde según la topología.
+ * Debe coincidir con getCell() del compute shader.
+ *
+ * ALGORITMO (primero el eje X, después el Y):
+ * 1. Fuera por la izquierda/derecha: borde muerto → null; unir → X módulo
+ *    el ancho; si además se invierte, Y pasa a (alto - 1 - Y) cuando el
+ *    número de vueltas es impar
+ * 2. Lo mismo para arriba/abajo con los papeles cambiados
+ *
+ * @param {Object} bounds - Resultado de resolveTopology
+ * @param {number} x - Columna del vecino en la cuadrícula (puede salirse)
+ * @param {number} y - Fila del vecino en la cuadrícula (puede salirse)
+ * @returns {number[]|null} [x, y] dentro de la región, o null si es borde muerto
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function mapTopologyCell(bounds, x, y) {
+    let px = x - bounds.x;
+    let py = y - bounds.y;
+
+    if (px < 0 || px >= bounds.width) {
+        if (bounds.modes[0] === 0) return null;
+        const laps = Math.floor(px / bounds.width);
+        px -= laps * bounds.width;
+        if (bounds.modes[0] === 2 && laps % 2 !== 0) py = bounds.height - 1 - py;
+    }
+    if (py < 0 || py >= bounds.height) {
+        if (bounds.modes[1] === 0) return null;
+        const laps = Math.floor(py / bounds.height);
+        py -= laps * bounds.height;
+        if (bounds.modes[1] === 2 && laps % 2 !== 0) px = bounds.width - 1 - px;
+    }
+    return [px + bounds.x, py + bounds.y];
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: parseLargerThanLife
+ * ----------------------------------------------------------------------------
+ *
+ * Parsea una regla Larger than Life en la notación de Evans (la de Golly).
+ *
+ * CAMPOS (separados por comas, en este orden):
+ * - Rr: radio del vecindario (1..MAX_RADIUS)
+ * - Cc: número de estados (0 o 2 = viva/muerta, >2 = con decadencia)
+ * - Mm: 1 si la propia célula cuenta en el vecindario, 0 si no
+ * - Smin..max: rango de supervivencia
+ * - Bmin..max: rango de nacimiento
+ * - Nx: forma del vecindario (NM = Moore, NN = von Neumann, NC = circular)
+ *
+ * Un rango con un solo valor ("S5") equivale a "S5..5".
+ *
+ * @param {string} text - Rulestring normalizado (mayúsculas, sin espacios)
+ * @param {string} original - Rulestring tal como lo escribió el usuario
+ * @returns {Object} Objeto regla (family 'ltl')
+ * @throws {Error} Si el rulestring no es válido o los rangos son imposibles
+ *
+ * COMPLEJIDAD: O(n) donde n = longitud del rulestring
+ */
+function parseLargerThanLife(text, original) {
+    const match = text.match(
+        /^R(\d+),C(\d+),M([01]),S(\d+)(?:\.\.(\d+))?,B(\d+)(?:\.\.(\d+))?(?:,N([MNC]))?$/
+    );
+    if (!match) {
+        throw new Error(`Regla "${original}" no válida (formato esperado: R5,C0,M1,S34..58,B34..45,NM)`);
+    }
+
+    const [, r, c, m, sMin, sMax = sMin, bMin, bMax = bMin, shape = 'M'] = match;
+    const radius = Number(r);
+    if (radius < 1 || radius > MAX_RADIUS) {
+        throw new Error(`Radio ${radius} no válido (debe estar entre 1 y ${MAX_RADIUS})`);
+    }
+
+    // C0 y C2 significan lo mismo: dos estados
+    const states = Math.max(Number(c), 2);
+    if (states > MAX_STATES) {
+        throw new Error(`Número de estados ${states} no válido (debe estar entre 2 y ${MAX_STATES})`);
+    }
+
+    const neighbourhood = Object.keys(NEIGHBOURHOOD_LETTERS)
+        .find(name => NEIGHBOURHOOD_LETTERS[name] === shape);
+    const includeCenter = m === '1';
+    const survivalRange = [Number(sMin), Number(sMax)];
+    const birthRange = [Number(bMin), Number(bMax)];
+
+    // Los rangos no pueden superar el tamaño del vecindario
+    const size = getNeighbourhoodOffsets({ radius, neighbourhood, includeCenter }).length;
+    for (const [min, max] of [survivalRange, birthRange]) {
+        if (min > max || max > size) {
+            throw new Error(`Rango ${min}..${max} no válido para un vecindario de ${size} células`);
+        }
+    }
+
+    return {
+        family: 'ltl',
+        radius,
+        neighbourhood,
+        includeCenter,
+        birthRange,
+        survivalRange,
+        states,
+        rulestring: `R${radius},C${states > 2 ? states : 0},M${m},` +
+            `S${survivalRange[0]}..${survivalRange[1]},` +
+            `B${birthRange[0]}..${birthRange[1]},N${shape}`
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: getNeighbourhoodOffsets
+ * ----------------------------------------------------------------------------
+ *
+ * Lista los desplazamientos (dx, dy) que forman el vecindario de una regla.
+ * Debe coincidir exactamente con inNeighbourhood() del compute shader.
+ *
+ * EJEMPLOS (radio 1):
+ * - Moore: los 8 vecinos de siempre
+ * - von Neumann: solo los 4 ortogonales
+ * - Hexagonal: 6 vecinos que dependen de la paridad de la fila (HEX_OFFSETS)
+ * - Con includeCenter se añade (0, 0)
+ *
+ * @param {Object} rule - Regla (se usan radius, neighbourhood e includeCenter)
+ * @param {number} [row=0] - Fila de la célula (solo importa en hexagonal)
+ * @returns {number[][]} Lista de pares [dx, dy]
+ *
+ * COMPLEJIDAD: O(R²)
+ */
+function getNeighbourhoodOffsets(rule, row = 0) {
+    if (rule.neighbourhood === 'hexagonal') {
+        return HEX_OFFSETS[row & 1].map(offset => offset.slice());
+    }
+    const r = rule.radius;
+    const offsets = [];
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            if (dx === 0 && dy === 0 && !rule.includeCenter) continue;
+            if (rule.neighbourhood === 'vonneumann' && Math.abs(dx) + Math.abs(dy) > r) continue;
+            if (rule.neighbourhood === 'circular' && dx * dx + dy * dy > r * r + r) continue;
+            offsets.push([dx, dy]);
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Convierte una cadena de dígitos ("3678") en una lista ordenada y sin
+ * duplicados de conteos de vecinos ([3, 6, 7, 8]).
+ *
+ * @param {string} digits - Dígitos entre 0 y 8
+ * @returns {number[]} Conteos ordenados de menor a mayor
+ */
+function digitsToCounts(digits) {
+    const counts = new Set();
+    for (const digit of digits) {
+        counts.add(Number(digit));
+    }
+    return [...counts].sort((a, b) => a - b);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: ruleToTables
+ * ----------------------------------------------------------------------------
+ *
+ * Genera las tablas de consulta que recibe el compute shader como uniforms.
+ * Solo para reglas B/S (family 'life'); las reglas Larger than Life pasan
+ * sus rangos directamente.
+ *
+ * FORMATO:
+ * - birth[n] = 1.0 si una célula muerta con n vecinos nace, 0.0 si no
+ * - survival[n] = 1.0 si una célula viva con n vecinos sobrevive, 0.0 si no
+ * - Ambas tablas tienen 9 entradas (n = 0..8); con von Neumann o hexagonal
+ *   simplemente no se alcanzan los conteos mayores que 4 o 6
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @returns {{birth: Float32Array, survival: Float32Array}} Tablas de la regla
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function ruleToTables(rule) {
+    const birth = new Float32Array(9);
+    const survival = new Float32Array(9);
+    for (const n of rule.birth) birth[n] = 1.0;
+    for (const n of rule.survival) survival[n] = 1.0;
+    return { birth, survival };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: ruleToNeighbourhoodTable
+ * ----------------------------------------------------------------------------
+ *
+ * Genera los datos de la textura de consulta de 256×1 píxeles que usa el
+ * compute shader con reglas de Hensel (#define ISOTROPIC).
+ *
+ * FORMATO (un pixel RGBA por máscara de vecinos):
+ * - R = 255 si una célula muerta con esa máscara nace
+ * - G = 255 si una célula viva con esa máscara sobrevive
+ * - B = 0, A = 255
+ *
+ * Sirve también para reglas totalísticas de Moore: la entrada de una máscara
+ * depende entonces solo de su número de bits.
+ *
+ * @param {Object} rule - Regla de vecindario de Moore y radio 1
+ * @returns {Uint8Array} 256 × 4 bytes listos para texImage2D
+ *
+ * COMPLEJIDAD: O(256)
+ */
+function ruleToNeighbourhoodTable(rule) {
+    const data = new Uint8Array(256 * 4);
+    for (let mask = 0; mask < 256; mask++) {
+        const neighbors = countMaskBits(mask);
+        data[mask * 4 + 0] = ruleAllows(rule, 'birth', neighbors, mask) ? 255 : 0;
+        data[mask * 4 + 1] = ruleAllows(rule, 'survival', neighbors, mask) ? 255 : 0;
+        data[mask * 4 + 3] = 255;
+    }
+    return data;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: nextCellState
+ * ----------------------------------------------------------------------------
+ *
+ * Función de transición de la regla en CPU (equivalente al compute shader).
+ *
+ * TRANSICIONES:
+ * - Muerta (0): nace (1) si el conteo está en B, si no sigue en 0
+ * - Viva (1): sigue viva si el conteo está en S; si no, pasa al primer
+ *   estado de decadencia (2) o directamente a 0 si la regla tiene 2 estados
+ * - Muriendo (2..C-1): avanza al siguiente estado sin mirar a los vecinos,
+ *   y tras el estado C-1 vuelve a 0
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @param {number} state - Estado actual de la célula (0 = muerta, 1 = viva, ≥2 = muriendo)
+ * @param {number} neighbors - Número de vecinos vivos en el vecindario de la
+ *                             regla, solo cuentan los estados 1
+ * @param {number} [mask=0] - Máscara de vecinos vivos (NEIGHBOUR_MASK_OFFSETS),
+ *                            solo la usan las reglas de Hensel
+ * @returns {number} Nuevo estado de la célula (0..C-1)
+ *
+ * COMPLEJIDAD: O(1) - las listas tienen como mucho 9 elementos
+ */
+function nextCellState(rule, state, neighbors, mask = 0) {
+    if (state === 1) {
+        if (ruleAllows(rule, 'survival', neighbors, mask)) return 1;
+        return rule.states > 2 ? 2 : 0;
+    }
+    if (state >= 2) {
+        return state + 1 < rule.states ? state + 1 : 0;
+    }
+    return ruleAllows(rule, 'birth', neighbors, mask) ? 1 : 0;
+}
+
+/**
+ * Comprueba si una célula con esos vecinos nace o sobrevive: según la
+ * tabla de máscaras (Hensel), el rango (Larger than Life) o la lista de
+ * conteos (B/S).
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @param {string} kind - 'birth' o 'survival'
+ * @param {number} neighbors - Conteo de vecinos vivos
+ * @param {number} mask - Máscara de vecinos vivos
+ * @returns {boolean} true si la regla lo permite
+ */
+function ruleAllows(rule, kind, neighbors, mask) {
+    if (rule.isotropic) {
+        return rule[`${kind}Masks`][mask] === 1;
+    }
+    const range = rule[`${kind}Range`];
+    if (range) {
+        return neighbors >= range[0] && neighbors <= range[1];
+    }
+    return rule[kind].includes(neighbors);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * EXPORTACIÓN DE MÓDULOS
+ * ----------------------------------------------------------------------------
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_RULE,
+        RULE_PRESETS,
+        MAX_STATES,
+        MAX_RADIUS,
+        NEIGHBOUR_MASK_OFFSETS,
+        parseRule,
+        withNeighbourhood,
+        withTopology,
+        resolveTopology,
+        mapTopologyCell,
+        getNeighbourhoodOffsets,
+        ruleToTables,
+        ruleToNeighbourhoodTable,
+        nextCellState
+    };
+}
@@ -17,6 +17,8 @@
  * 1. Vertex Shader: Transforma las coordenadas de los vértices
  * 2. Compute Shader: Calcula el siguiente estado del juego
  * 3. Display Shader: Renderiza el estado actual en pantalla
+ * 4. Compute y display empaquetados: 32 células por texel (motor PackedLife)
+ * 5. Reducción: población y hash del estado sumados en la GPU
  * ============================================================================
  */
 
@@ -70,32 +72,94 @@ const vertexShaderSource = `
  * ----------------------------------------------------------------------------
  *
  * PROPÓSITO:
- * Implementa las reglas del Juego de la Vida de Conway calculando el estado
- * siguiente de cada célula basándose en su vecindario de Moore (8 vecinos).
+ * Implementa cualquier regla outer-totalistic en notación B/S (por defecto
+ * las reglas de Conway, B3/S23) calculando el estado siguiente de cada célula
+ * basándose en su vecindario de Moore (8 vecinos), y las reglas Larger than
+ * Life con vecindarios de radio R.
  *
  * ALGORITMO:
  * 1. Para cada pixel (que representa una célula):
- *    a) Lee el estado de los 8 vecinos circundantes
+ *    a) Lee el estado de los vecinos circundantes (8 en Moore de radio 1)
  *    b) Cuenta cuántos vecinos están vivos
- *    c) Aplica las reglas de Conway para determinar el nuevo estado
+ *    c) Consulta las tablas de la regla para determinar el nuevo estado
  *
- * REGLAS DE CONWAY:
- * - Célula viva con 2 o 3 vecinos vivos → sobrevive
- * - Célula viva con <2 vecinos → muere (subpoblación)
- * - Célula viva con >3 vecinos → muere (sobrepoblación)
- * - Célula muerta con exactamente 3 vecinos → nace (reproducción)
+ * SHADER GENERADO (buildComputeShaderSource):
+ * En GLSL ES 1.0 los bucles necesitan límites constantes, así que la forma
+ * del vecindario se fija al compilar mediante #define:
+ * - RADIUS: radio del vecindario (1 para reglas B/S)
+ * - NEIGHBOURHOOD: 0 = Moore, 1 = von Neumann, 2 = circular, 3 = hexagonal
+ * - INCLUDE_CENTER: la propia célula cuenta como vecino (M1 en LtL)
+ * - LARGER_THAN_LIFE: usar rangos (u_birthRange, u_survivalRange) en lugar
+ *   de las tablas de 9 entradas
+ * - ISOTROPIC: regla de Hensel; consultar la textura u_neighbourhoodTable con
+ *   la máscara de 8 bits de los vecinos en lugar de su conteo
+ * Al cambiar de regla, simulation.js recompila el programa con los nuevos valores.
+ *
+ * REGLAS (TABLAS DE CONSULTA):
+ * - u_birth[n] = 1.0 → una célula muerta con n vecinos nace
+ * - u_survival[n] = 1.0 → una célula viva con n vecinos sobrevive
+ * - Las tablas se generan en JavaScript con ruleToTables() (rules.js)
+ * - Conway (B3/S23): u_birth = [0,0,0,1,0,0,0,0,0], u_survival = [0,0,1,1,0,0,0,0,0]
+ *
+ * REGLAS ISOTRÓPICAS (ISOTROPIC, notación de Hensel):
+ * - neighbourMask() construye una máscara de 8 bits (bit i = vecino i vivo,
+ *   en el orden de NEIGHBOUR_MASK_OFFSETS de rules.js)
+ * - u_neighbourhoodTable es una textura de 256×1: el pixel de la máscara
+ *   guarda en R si nace y en G si sobrevive (ruleToNeighbourhoodTable())
+ *
+ * REGLAS GENERATIONS (u_states > 2):
+ * - Una célula viva que no sobrevive pasa al estado 2 en lugar de morir
+ * - Los estados 2..C-1 avanzan uno por generación y después vuelven a 0
+ * - Las células muriendo no cuentan como vecinos ni pueden renacer
+ *
+ * REJILLA HEXAGONAL (NEIGHBOURHOOD 3, sufijo H):
+ * - Filas desplazadas ("odd-r") sobre la misma textura cuadrada: las filas
+ *   impares se dibujan media célula a la derecha
+ * - Los 6 vecinos dependen de la paridad de la fila (ver HEX_OFFSETS en
+ *   rules.js); el alto de la textura debe ser par para que el toro encaje
+ *
+ * TOPOLOGÍA (sufijos :P, :T, :K, :C de la regla):
+ * - u_topologyRect: región simulada (x, y, ancho, alto) en células; fuera de
+ *   ella las células están siempre muertas
+ * - u_topologyModes: qué pasa al cruzar los bordes izquierdo/derecho (x) y
+ *   superior/inferior (y): 0 = borde muerto, 1 = unir, 2 = unir invirtiendo
+ *   la otra coordenada (Klein, Möbius, superficie cruzada)
+ * - Sin sufijo: región = textura completa y modos (1, 1), es decir, un toro
+ *
+ * CODIFICACIÓN DEL ESTADO EN LA TEXTURA:
+ * - Viva: R = G = 1.0
+ * - Muriendo (estado k): R = 0.0, G = k / 255 (el byte del canal G guarda k)
+ * - Muerta: R = G = 0.0
+ * - El canal R es siempre binario, así que el conteo de vecinos solo lee R
+ *
+ * HISTORIA DE CADA CÉLULA (canales B y A, solo para los modos de dibujo):
+ * - B (frescura): 255 en la generación en la que la célula cambia de
+ *   estado (nace o muere) y uno menos en cada generación que lo conserva,
+ *   hasta 0. Edad de una célula viva = 255 - B; estela de una muerta = B
+ * - A (calor): generaciones que la célula ha estado viva, hasta 255
+ * - Los patrones se escriben con B = 255 en las vivas (recién nacidas) y
+ *   B = A = 0 en las muertas, así la historia empieza con ellos
+ * - La simulación, la población y las huellas solo leen R y G
  *
  * OPTIMIZACIONES GPU:
  * - Procesamiento paralelo: todas las células se calculan simultáneamente
  * - Acceso eficiente a texturas mediante cache de GPU
- * - Vecindario toroidal implementado con fract() (1 instrucción)
+ * - Bordes resueltos con aritmética (mod, comparaciones), sin ramas de textura
  *
  * COMPLEJIDAD:
- * - Por célula: O(1) - siempre 8 vecinos
+ * - Por célula: O(R²) - 8 vecinos con Moore de radio 1, hasta 441 lecturas con R = 10
  * - Total: O(n) donde n = número de células
  * - Pero ejecutado en paralelo, tiempo real ≈ O(1)
  */
 const computeShaderSource = `
+    // Valores por defecto del vecindario: Moore de radio 1 sin la célula central
+    #ifndef RADIUS
+    #define RADIUS 1
+    #endif
+    #ifndef NEIGHBOURHOOD
+    #define NEIGHBOURHOOD 0
+    #endif
+
     // Precisión alta para cálculos con punto flotante
     // Necesaria para evitar artefactos visuales en texturas grandes
     precision highp float;
@@ -108,6 +172,29 @@ const computeShaderSource = `
     // Usado para calcular el tamaño de un pixel en coordenadas normalizadas
     uniform vec2 u_resolution;
 
+    // Uniforms: tablas de la regla B/S, una entrada por número de vecinos (0-8)
+    // u_birth[n] = 1.0 si una célula muerta con n vecinos nace
+    // u_survival[n] = 1.0 si una célula viva con n vecinos sobrevive
+    uniform float u_birth[9];
+    uniform float u_survival[9];
+
+    // Uniforms: rangos [mín, máx] de nacimiento y supervivencia (Larger than Life)
+    // Ejemplo (Bosco): u_birthRange = (34, 45), u_survivalRange = (34, 58)
+    uniform vec2 u_birthRange;
+    uniform vec2 u_survivalRange;
+
+    // Uniform: número de estados de la regla (2 = Life-like, >2 = Generations)
+    uniform float u_states;
+
+    // Uniform: tabla de 256×1 de la regla de Hensel (R = nace, G = sobrevive)
+    uniform sampler2D u_neighbourhoodTable;
+
+    // Uniforms: topología de los bordes
+    // u_topologyRect = (x, y, ancho, alto) de la región simulada, en células
+    // u_topologyModes = (izquierda/derecha, arriba/abajo): 0 muerto, 1 unir, 2 unir invertido
+    uniform vec4 u_topologyRect;
+    uniform vec2 u_topologyModes;
+
     // Varying: coordenadas de textura interpoladas desde el vertex shader
     // Identifica qué célula estamos procesando actualmente
     varying vec2 v_texCoord;
@@ -123,26 +210,38 @@ const computeShaderSource = `
      * RETORNO:
      * @return float - Estado de la célula: 0.0 (muerta) o 1.0 (viva)
      *
-     * IMPLEMENTACIÓN DE BORDES TOROIDALES:
-     * - fract(coord) devuelve la parte fraccionaria, efectivamente haciendo
-     *   que las coordenadas "envuelvan" al salirse del rango [0, 1]
-     * - Ejemplo: coord=1.1 → fract(1.1)=0.1 (vuelve al inicio)
-     * - Esto crea un toro topológico: el borde derecho conecta con el izquierdo
+     * IMPLEMENTACIÓN DE LOS BORDES (igual que mapTopologyCell de rules.js):
+     * - Se trabaja en células relativas a la región simulada
+     * - Al salir por la izquierda/derecha: borde muerto → 0.0; unir → X
+     *   módulo el ancho; unir invertido → además Y pasa a (alto - 1 - Y)
+     *   si el número de vueltas es impar
+     * - Después, lo mismo para arriba/abajo con los papeles cambiados
+     * - Con la topología por defecto (toro) equivale al antiguo fract(coord)
      */
     float getCell(vec2 offset) {
-        // Calcular el tamaño de un pixel en coordenadas normalizadas [0, 1]
-        // Si resolution = (512, 512), entonces pixel = (1/512, 1/512) ≈ (0.00195, 0.00195)
-        vec2 pixel = vec2(1.0) / u_resolution;
+        // Célula del vecino relativa a la región simulada
+        // floor(v_texCoord * u_resolution) es la célula actual (entera)
+        vec2 size = u_topologyRect.zw;
+        vec2 p = floor(v_texCoord * u_resolution) - u_topologyRect.xy + offset;
+
+        // Bordes izquierdo/derecho
+        if (p.x < 0.0 || p.x >= size.x) {
+            if (u_topologyModes.x < 0.5) return 0.0;
+            float laps = floor(p.x / size.x);
+            p.x -= laps * size.x;
+            if (u_topologyModes.x > 1.5 && mod(laps, 2.0) > 0.5) p.y = size.y - 1.0 - p.y;
+        }
 
-        // Calcular la coordenada de textura del vecino
-        // v_texCoord + offset * pixel mueve a la célula vecina
-        vec2 coord = v_texCoord + offset * pixel;
+        // Bordes superior/inferior
+        if (p.y < 0.0 || p.y >= size.y) {
+            if (u_topologyModes.y < 0.5) return 0.0;
+            float laps = floor(p.y / size.y);
+            p.y -= laps * size.y;
+            if (u_topologyModes.y > 1.5 && mod(laps, 2.0) > 0.5) p.x = size.x - 1.0 - p.x;
+        }
 
-        // Implementar bordes toroidales usando la función fract()
-        // fract(x) = x - floor(x), devuelve solo la parte fraccionaria
-        // Esto hace que coord "envuelva" al salirse del rango [0, 1]
-        // Ejemplos: fract(1.2) = 0.2, fract(-0.1) = 0.9
-        coord = fract(coord);
+        // Coordenada de textura del centro de la célula
+        vec2 coord = (p + u_topologyRect.xy + 0.5) / u_resolution;
 
         // Muestrear la textura en la coordenada calculada
         // texture2D devuelve un vec4(r, g, b, a)
@@ -154,74 +253,221 @@ const computeShaderSource = `
     }
 
     /**
-     * FUNCIÓN PRINCIPAL DEL COMPUTE SHADER
+     * Función auxiliar: ¿forma parte el desplazamiento (dx, dy) del vecindario?
+     * Debe coincidir con getNeighbourhoodOffsets() de rules.js
      *
-     * Se ejecuta una vez por cada pixel (célula) de la textura
-     * Calcula el nuevo estado basándose en el vecindario de Moore
+     * FORMAS:
+     * - Moore (0): todo el cuadrado de lado 2R+1
+     * - von Neumann (1): rombo, |dx| + |dy| ≤ R
+     * - Circular (2): círculo de radio R + ½, dx² + dy² ≤ R² + R
+     * - Hexagonal (3, solo radio 1): en las filas arriba y abajo sobran
+     *   dx = 1 en filas pares y dx = -1 en filas impares
+     *
+     * @param rowParity - 0.0 si la célula está en una fila par, 1.0 si impar
+     */
+    bool inNeighbourhood(float dx, float dy, float rowParity) {
+        float r = float(RADIUS);
+    #if NEIGHBOURHOOD == 1
+        return abs(dx) + abs(dy) <= r;
+    #elif NEIGHBOURHOOD == 2
+        return dx * dx + dy * dy <= r * r + r;
+    #elif NEIGHBOURHOOD == 3
+        // Fila par: dx ∈ {-1, 0}; fila impar: dx ∈ {0, 1}
+        if (dy == 0.0) return true;
+        float excluded = rowParity > 0.5 ? -1.0 : 1.0;
+        return dx != excluded;
+    #else
+        return true;
+    #endif
+    }
+
+    /**
+     * Función auxiliar: cuenta los vecinos vivos del vecindario de la regla
      *
-     * VECINDARIO DE MOORE:
+     * VECINDARIO DE MOORE (radio 1, reglas B/S):
      *   (-1,-1)  (0,-1)  (1,-1)
      *   (-1, 0)  (AQUÍ)  (1, 0)
      *   (-1, 1)  (0, 1)  (1, 1)
+     *
+     * Con radio R se recorre el cuadrado de lado 2R+1 y se descartan las
+     * posiciones que no pertenecen a la forma del vecindario
+     *
+     * VECINDARIO HEXAGONAL (fila impar, desplazada a la derecha):
+     *     (0,-1)  (1,-1)
+     *   (-1,0) (AQUÍ) (1,0)
+     *     (0,1)   (1,1)
+     */
+    float countNeighbors() {
+        float count = 0.0;
+
+        // Paridad de la fila actual (solo la usa la rejilla hexagonal)
+        float rowParity = mod(floor(v_texCoord.y * u_resolution.y), 2.0);
+
+        for (int dy = -RADIUS; dy <= RADIUS; dy++) {
+            for (int dx = -RADIUS; dx <= RADIUS; dx++) {
+            #ifndef INCLUDE_CENTER
+                // La célula central no es vecina de sí misma (salvo M1 en LtL)
+                if (dx == 0 && dy == 0) continue;
+            #endif
+                vec2 offset = vec2(float(dx), float(dy));
+                if (inNeighbourhood(offset.x, offset.y, rowParity)) {
+                    count += getCell(offset);
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Función auxiliar: máscara de 8 bits de los vecinos de Moore vivos
+     * Debe seguir el orden de NEIGHBOUR_MASK_OFFSETS de rules.js:
+     *
+     *   1   2   4
+     *   8  AQUÍ 16
+     *  32  64  128
+     *
+     * RETORNO:
+     * @return float - Máscara (0.0 a 255.0), índice de u_neighbourhoodTable
+     */
+    float neighbourMask() {
+        return getCell(vec2(-1.0, -1.0)) * 1.0
+             + getCell(vec2( 0.0, -1.0)) * 2.0
+             + getCell(vec2( 1.0, -1.0)) * 4.0
+             + getCell(vec2(-1.0,  0.0)) * 8.0
+             + getCell(vec2( 1.0,  0.0)) * 16.0
+             + getCell(vec2(-1.0,  1.0)) * 32.0
+             + getCell(vec2( 0.0,  1.0)) * 64.0
+             + getCell(vec2( 1.0,  1.0)) * 128.0;
+    }
+
+    /**
+     * FUNCIÓN PRINCIPAL DEL COMPUTE SHADER
+     *
+     * Se ejecuta una vez por cada pixel (célula) de la textura
+     * Calcula el nuevo estado basándose en el vecindario de la regla
      */
     void main() {
-        // PASO 1: Contar los 8 vecinos vivos
+        // PASO 0: Las células fuera de la región simulada siempre están muertas
+        vec2 cellInRegion = floor(v_texCoord * u_resolution) - u_topologyRect.xy;
+        if (cellInRegion.x < 0.0 || cellInRegion.y < 0.0 ||
+            cellInRegion.x >= u_topologyRect.z || cellInRegion.y >= u_topologyRect.w) {
+            gl_FragColor = vec4(0.0);
+            return;
+        }
+
+        // PASO 1: Contar los vecinos vivos
         // Se suman los estados (0.0 o 1.0) de todos los vecinos
-        // Resultado: número flotante en el rango [0.0, 8.0]
-        float neighbors =
-            getCell(vec2(-1.0, -1.0)) +  // Vecino: arriba-izquierda
-            getCell(vec2( 0.0, -1.0)) +  // Vecino: arriba
-            getCell(vec2( 1.0, -1.0)) +  // Vecino: arriba-derecha
-            getCell(vec2(-1.0,  0.0)) +  // Vecino: izquierda
-            getCell(vec2( 1.0,  0.0)) +  // Vecino: derecha
-            getCell(vec2(-1.0,  1.0)) +  // Vecino: abajo-izquierda
-            getCell(vec2( 0.0,  1.0)) +  // Vecino: abajo
-            getCell(vec2( 1.0,  1.0));   // Vecino: abajo-derecha
+        // Resultado: número flotante en el rango [0.0, 8.0] con Moore de radio 1
+        float neighbors = countNeighbors();
 
         // PASO 2: Obtener el estado actual de esta célula
         // getCell(vec2(0.0, 0.0)) lee la célula en la posición actual (sin offset)
         float currentState = getCell(vec2(0.0, 0.0));
 
-        // PASO 3: Aplicar las reglas de Conway
-        // Inicializar el nuevo estado como muerto (0.0)
-        float newState = 0.0;
+        // Estado de decadencia (solo reglas Generations): el byte del canal G
+        // de una célula no viva. floor(x + 0.5) redondea al entero más cercano
+        // para recuperar k exacto a partir de k / 255
+        float dyingState = 0.0;
+        if (currentState < 0.5) {
+            dyingState = floor(texture2D(u_state, v_texCoord).g * 255.0 + 0.5);
+        }
+
+        // PASO 3: Consultar las tablas (o los rangos) de la regla
+        float born = 0.0;      // ¿Nacería una célula muerta con estos vecinos?
+        float survives = 0.0;  // ¿Sobreviviría una célula viva con estos vecinos?
+    #if defined(ISOTROPIC)
+        // Hensel: la configuración exacta de vecinos decide, no solo el conteo
+        // (el +0.5 centra la lectura en el pixel de la máscara)
+        vec4 entry = texture2D(u_neighbourhoodTable, vec2((neighbourMask() + 0.5) / 256.0, 0.5));
+        born = step(0.5, entry.r);
+        survives = step(0.5, entry.g);
+    #elif defined(LARGER_THAN_LIFE)
+        // Larger than Life: el conteo debe caer dentro del rango [mín, máx]
+        if (neighbors >= u_birthRange.x && neighbors <= u_birthRange.y) born = 1.0;
+        if (neighbors >= u_survivalRange.x && neighbors <= u_survivalRange.y) survives = 1.0;
+    #else
+        // En GLSL ES 1.0 solo se puede indexar un array uniform con una
+        // expresión constante o con el índice de un bucle, así que recorremos
+        // las 9 entradas y nos quedamos con la que coincide con el conteo
+        for (int n = 0; n <= 8; n++) {
+            if (float(n) == neighbors) {
+                born = u_birth[n];
+                survives = u_survival[n];
+            }
+        }
+    #endif
 
+        // PASO 4: Aplicar la regla según el estado actual
         // Comparación: currentState > 0.5 para evitar problemas con precisión flotante
         // Si guardáramos exactamente 1.0, podría leerse como 0.999999 por redondeo
+        // - Célula VIVA: sobrevive si u_survival[vecinos] = 1.0 (Conway: 2 o 3)
+        //   y si no, empieza a morir (estado 2) cuando la regla tiene más de 2 estados
+        // - Célula MURIENDO: avanza al siguiente estado, o a 0 tras el último
+        // - Célula MUERTA: nace si u_birth[vecinos] = 1.0 (Conway: exactamente 3)
+        float newState = 0.0;     // 1.0 si la célula queda viva
+        float newDying = 0.0;     // Estado de decadencia resultante (0 = ninguno)
         if (currentState > 0.5) {
-            // CASO 1: La célula está actualmente VIVA
-
-            // Regla de supervivencia: 2 o 3 vecinos vivos
-            // - Con 2 vecinos: equilibrio perfecto, la célula sobrevive
-            // - Con 3 vecinos: condiciones óptimas, sobrevive
-            if (neighbors >= 2.0 && neighbors <= 3.0) {
-                newState = 1.0; // La célula sobrevive
+            newState = survives;
+            if (survives < 0.5 && u_states > 2.0) {
+                newDying = 2.0;
             }
-            // Si tiene <2 vecinos: muere por subpoblación (soledad)
-            // Si tiene >3 vecinos: muere por sobrepoblación (hacinamiento)
-            // En ambos casos, newState permanece 0.0
-        } else {
-            // CASO 2: La célula está actualmente MUERTA
-
-            // Regla de nacimiento: exactamente 3 vecinos vivos
-            // Es el único caso donde una célula muerta cobra vida
-            // Biológicamente: 3 "padres" crean nueva vida
-            if (neighbors == 3.0) {
-                newState = 1.0; // Nace una nueva célula
+        } else if (dyingState >= 2.0) {
+            if (dyingState + 1.0 < u_states) {
+                newDying = dyingState + 1.0;
             }
-            // Con cualquier otro número de vecinos, permanece muerta
+        } else {
+            newState = born;
         }
 
-        // PASO 4: Escribir el resultado
+        // PASO 5: Historia de la célula (bytes de B y A)
+        // - Frescura: 255 si la célula cambió de estado, si no baja uno
+        // - Calor: suma uno por cada generación viva, hasta 255
+        vec4 history = floor(texture2D(u_state, v_texCoord) * 255.0 + 0.5);
+        bool changed = (newState > 0.5) != (currentState > 0.5);
+        float freshness = changed ? 255.0 : max(history.b - 1.0, 0.0);
+        float heat = min(history.a + newState, 255.0);
+
+        // PASO 6: Escribir el resultado
         // gl_FragColor es la salida del fragment shader
-        // Escribimos el nuevo estado en todos los canales RGB (vec4)
-        // - R, G, B = newState (0.0 o 1.0)
-        // - A = 1.0 (opacidad completa)
+        // - Viva: R, G = 1.0
+        // - Muriendo: R = 0.0 y G = estado / 255
+        // - Muerta: R, G = 0.0
+        // - B = frescura / 255 y A = calor / 255
         // Esto se escribe en la textura de salida (framebuffer)
-        gl_FragColor = vec4(newState, newState, newState, 1.0);
+        float green = newState > 0.5 ? 1.0 : newDying / 255.0;
+        gl_FragColor = vec4(newState, green, freshness / 255.0, heat / 255.0);
     }
 `;
 
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: buildComputeShaderSource
+ * ----------------------------------------------------------------------------
+ *
+ * Genera el código del compute shader para una regla concreta anteponiendo
+ * los #define que fijan la forma del vecindario.
+ *
+ * EJEMPLO (Bosco, R5,C0,M1,S34..58,B34..45,NM):
+ *   #define RADIUS 5
+ *   #define NEIGHBOURHOOD 0
+ *   #define INCLUDE_CENTER
+ *   #define LARGER_THAN_LIFE
+ *
+ * @param {Object} rule - Regla devuelta por parseRule (rules.js)
+ * @returns {string} Código GLSL del compute shader
+ */
+function buildComputeShaderSource(rule) {
+    const neighbourhoodIds = { moore: 0, vonneumann: 1, circular: 2, hexagonal: 3 };
+    const defines = [
+        `#define RADIUS ${rule.radius}`,
+        `#define NEIGHBOURHOOD ${neighbourhoodIds[rule.neighbourhood]}`
+    ];
+    if (rule.includeCenter) defines.push('#define INCLUDE_CENTER');
+    if (rule.family === 'ltl') defines.push('#define LARGER_THAN_LIFE');
+    if (rule.isotropic) defines.push('#define ISOTROPIC');
+    return defines.join('\n') + '\n' + computeShaderSource;
+}
+
 /**
  * ----------------------------------------------------------------------------
  * DISPLAY FRAGMENT SHADER
@@ -235,6 +481,37 @@ const computeShaderSource = `
  * - Compute shader: procesa lógica del juego, escribe a framebuffer
  * - Display shader: solo visualiza, escribe a pantalla
  *
+ * REJILLA HEXAGONAL (u_hexagonal = 1.0):
+ * Cada pixel de pantalla se asigna a la célula hexagonal cuyo centro está más
+ * cerca (las filas impares están desplazadas media célula). Las regiones más
+ * cercanas a cada centro de una red hexagonal son hexágonos, así que las
+ * células se ven como hexágonos reales (algo estirados en vertical, porque
+ * las filas están a 1 célula de distancia en vez de √3/2).
+ *
+ * COLORES (modo 0, estado):
+ * - Fuera de la región simulada (topologías más pequeñas que la cuadrícula):
+ *   gris muy oscuro
+ * - Viva: blanco
+ * - Muriendo (reglas Generations): degradado de amarillo (recién muerta) a
+ *   violeta oscuro (a punto de desaparecer)
+ * - Muerta: negro
+ *
+ * MODOS CON HISTORIA (u_renderMode, canales B y A del compute shader):
+ * - 1, edad: las vivas según su edad (255 - B), las recién nacidas en el
+ *   extremo alto del mapa de color y las más viejas en el bajo
+ * - 2, calor: todas las células según las generaciones que han estado
+ *   vivas (A); las que nunca lo estuvieron, en negro
+ * - 3, estela: vivas en blanco y muertas (o muriendo) según la frescura
+ *   (B), que se apaga a negro en 255 generaciones
+ * Edad y calor usan una escala logarítmica (las diferencias entre 1, 2 y 4
+ * generaciones importan más que entre 200 y 250) y no bajan del 20% del
+ * mapa, para no confundirse con el fondo negro.
+ *
+ * MAPAS DE COLOR (u_colorMap, t de 0 a 1):
+ * 0 = inferno (negro, violeta, naranja, amarillo), 1 = viridis (violeta,
+ * azul, verde, amarillo), 2 = arcoíris (azul, verde, rojo), 3 = grises.
+ * Cinco colores de referencia por mapa, interpolados linealmente.
+ *
  * OPTIMIZACIÓN:
  * - Separar cómputo de visualización permite:
  *   1. Múltiples generaciones sin renderizar (para velocidades altas)
@@ -249,29 +526,569 @@ const displayShaderSource = `
     // Esta es la misma textura que generó el compute shader
     uniform sampler2D u_state;
 
+    // Uniform: número de estados de la regla (para graduar los colores)
+    uniform float u_states;
+
+    // Uniform: dimensiones de la textura (ancho, alto) en células
+    uniform vec2 u_resolution;
+
+    // Uniform: 1.0 si la regla usa la rejilla hexagonal, 0.0 si es cuadrada
+    uniform float u_hexagonal;
+
+    // Uniform: región simulada (x, y, ancho, alto) en células (topología)
+    uniform vec4 u_topologyRect;
+
+    // Uniforms: modo de dibujo (0 estado, 1 edad, 2 calor, 3 estela) y mapa
+    // de color (0 inferno, 1 viridis, 2 arcoíris, 3 grises)
+    uniform float u_renderMode;
+    uniform float u_colorMap;
+
     // Varying: coordenadas de textura del pixel actual
     varying vec2 v_texCoord;
 
+    /**
+     * Función auxiliar: interpola cinco colores de referencia
+     * (a en t = 0, b en 0.25, c en 0.5, d en 0.75 y e en 1)
+     */
+    vec3 ramp(float t, vec3 a, vec3 b, vec3 c, vec3 d, vec3 e) {
+        float x = clamp(t, 0.0, 1.0) * 4.0;
+        if (x < 1.0) return mix(a, b, x);
+        if (x < 2.0) return mix(b, c, x - 1.0);
+        if (x < 3.0) return mix(c, d, x - 2.0);
+        return mix(d, e, x - 3.0);
+    }
+
+    /**
+     * Función auxiliar: color de t (0 a 1) en el mapa u_colorMap
+     */
+    vec3 colorMap(float t) {
+        if (u_colorMap < 0.5) {
+            return ramp(t, vec3(0.0, 0.0, 0.02), vec3(0.34, 0.06, 0.43), vec3(0.74, 0.22, 0.33),
+                        vec3(0.98, 0.56, 0.04), vec3(0.99, 1.0, 0.65));
+        }
+        if (u_colorMap < 1.5) {
+            return ramp(t, vec3(0.27, 0.0, 0.33), vec3(0.23, 0.32, 0.55), vec3(0.13, 0.57, 0.55),
+                        vec3(0.37, 0.79, 0.38), vec3(0.99, 0.91, 0.14));
+        }
+        if (u_colorMap < 2.5) {
+            return ramp(t, vec3(0.19, 0.07, 0.23), vec3(0.16, 0.68, 0.96), vec3(0.64, 0.99, 0.24),
+                        vec3(0.98, 0.5, 0.13), vec3(0.48, 0.02, 0.01));
+        }
+        return vec3(mix(0.15, 1.0, clamp(t, 0.0, 1.0)));
+    }
+
+    /**
+     * Función auxiliar: escala logarítmica de 0..255 a 0..1
+     */
+    float logScale(float value) {
+        return log(1.0 + value) / log(256.0);
+    }
+
+    /**
+     * Función auxiliar: célula hexagonal que contiene un punto
+     * Debe coincidir con hexCellAt() de main.js
+     *
+     * ALGORITMO (centro más cercano):
+     * - Solo pueden estar más cerca las dos filas cuyos centros rodean al punto
+     * - En cada fila, la columna más cercana se obtiene con floor()
+     * - La distancia vertical se escala por √3/2 para medir en una red
+     *   hexagonal regular (así las regiones resultantes son hexágonos)
+     *
+     * @param p - Punto en unidades de célula (0..ancho, 0..alto)
+     * @return vec2 - Columna y fila de la célula (sin envolver)
+     */
+    vec2 hexCell(vec2 p) {
+        float row0 = floor(p.y - 0.5);
+        vec2 best = vec2(0.0);
+        float bestDistance = 1e9;
+        for (int i = 0; i < 2; i++) {
+            float row = row0 + float(i);
+            float shift = 0.5 * mod(row, 2.0);
+            float col = floor(p.x - shift);
+            vec2 delta = p - vec2(col + 0.5 + shift, row + 0.5);
+            delta.y *= 0.8660254;
+            float d = dot(delta, delta);
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = vec2(col, row);
+            }
+        }
+        return best;
+    }
+
     /**
      * FUNCIÓN PRINCIPAL DEL DISPLAY SHADER
      *
      * Se ejecuta una vez por cada pixel de la pantalla
-     * Simplemente lee la textura y la muestra
+     * Lee la textura y traduce el estado de la célula a un color
      */
     void main() {
-        // Muestrear la textura en la coordenada actual
+        // Coordenada de la célula a mostrar: la del pixel en la rejilla
+        // cuadrada, o el centro de la célula hexagonal que lo contiene
+        vec2 coord = v_texCoord;
+        if (u_hexagonal > 0.5) {
+            vec2 cellIndex = hexCell(v_texCoord * u_resolution);
+            coord = fract((cellIndex + 0.5) / u_resolution);
+        }
+
+        // Muestrear la textura en la coordenada calculada
         // texture2D realiza filtrado bilinear automático si está configurado
-        vec4 cell = texture2D(u_state, v_texCoord);
+        vec4 cell = texture2D(u_state, coord);
 
-        // Extraer el valor del canal rojo (0.0=muerta, 1.0=viva)
-        // En nuestra representación, R=G=B, así que da igual qué canal usar
+        // Extraer el valor del canal rojo (0.0=muerta o muriendo, 1.0=viva)
         float value = cell.r;
 
-        // Escribir el color final:
-        // - Si value=0.0 → vec4(0,0,0,1) = negro (célula muerta)
+        // Bytes de la historia: frescura (B) y calor (A)
+        float freshness = floor(cell.b * 255.0 + 0.5);
+        float heat = floor(cell.a * 255.0 + 0.5);
+
+        // Modo edad: las vivas con el mapa de color (recién nacidas arriba)
+        if (u_renderMode > 0.5 && u_renderMode < 1.5 && value > 0.5) {
+            gl_FragColor = vec4(colorMap(mix(1.0, 0.2, logScale(255.0 - freshness))), 1.0);
+            return;
+        }
+
+        // Modo calor: las células que alguna vez estuvieron vivas
+        if (u_renderMode > 1.5 && u_renderMode < 2.5 && heat > 0.0) {
+            gl_FragColor = vec4(colorMap(mix(0.2, 1.0, logScale(heat))), 1.0);
+            return;
+        }
+
+        // Modo estela: las no vivas que murieron hace menos de 255
+        // generaciones, apagándose hasta el negro en el último cuarto
+        if (u_renderMode > 2.5 && value < 0.5 && freshness > 0.0) {
+            float t = freshness / 255.0;
+            gl_FragColor = vec4(colorMap(t) * smoothstep(0.0, 0.25, t), 1.0);
+            return;
+        }
+
+        // Célula viva: blanco (modos estado y estela)
         // - Si value=1.0 → vec4(1,1,1,1) = blanco (célula viva)
         // - Alpha siempre 1.0 (opacidad completa)
-        gl_FragColor = vec4(value, value, value, 1.0);
+        if (value > 0.5) {
+            gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
+            return;
+        }
+
+        // Célula muriendo: el canal G guarda el estado k (2..C-1)
+        // t = 0 justo después de morir, t → 1 al acercarse al último estado
+        // (en los modos con historia se dibuja como muerta)
+        float dying = floor(cell.g * 255.0 + 0.5);
+        if (dying >= 2.0 && u_renderMode < 0.5) {
+            float t = (dying - 2.0) / max(u_states - 3.0, 1.0);
+            vec3 color = mix(vec3(1.0, 0.8, 0.2), vec3(0.25, 0.0, 0.4), t);
+            gl_FragColor = vec4(color, 1.0);
+            return;
+        }
+
+        // Fuera de la región simulada (topología más pequeña que la
+        // cuadrícula): gris muy oscuro para que se vea el borde
+        vec2 cellInRegion = floor(coord * u_resolution) - u_topologyRect.xy;
+        if (cellInRegion.x < 0.0 || cellInRegion.y < 0.0 ||
+            cellInRegion.x >= u_topologyRect.z || cellInRegion.y >= u_topologyRect.w) {
+            gl_FragColor = vec4(0.12, 0.12, 0.12, 1.0);
+            return;
+        }
+
+        // Célula muerta: negro
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    }
+`;
+
+/**
+ * ----------------------------------------------------------------------------
+ * COMPUTE SHADER EMPAQUETADO (motor PackedLife, packedlife.js)
+ * ----------------------------------------------------------------------------
+ *
+ * PROPÓSITO:
+ * Evoluciona una textura en la que cada texel guarda 32 células: el bit b
+ * del canal c es la célula x = 32·tx + 8·c + b de la fila. Cada fragmento
+ * calcula su bloque de 32×1 células de una vez.
+ *
+ * ALGORITMO:
+ * 1. Leer los texels del bloque, del de su izquierda y del de su derecha
+ *    en las filas y-1, y, y+1 (9 lecturas para 32 células)
+ * 2. Desempaquetar cada fila en 34 células: la última del bloque izquierdo,
+ *    las 32 del bloque y la primera del bloque derecho
+ * 3. Para cada una de las 32 células, formar la máscara de 8 vecinos (orden
+ *    de NEIGHBOUR_MASK_OFFSETS) y consultar u_neighbourhoodTable: R = nace,
+ *    G = sobrevive (PackedLife.buildNeighbourhoodTable)
+ * 4. Volver a empaquetar los 32 resultados en los 4 canales
+ *
+ * ARITMÉTICA DE BITS:
+ * GLSL ES 1.0 no tiene operaciones de bits con enteros. Los bytes se leen
+ * como enteros exactos en coma flotante (floor(v · 255 + 0.5)) y cada bit se
+ * extrae con mod(byte, 2) y floor(byte / 2), que son exactos para 0..255.
+ *
+ * TOPOLOGÍA (u_topologyModes, solo 0 = borde muerto o 1 = unir):
+ * El ancho es múltiplo de 32, así que los bordes de la cuadrícula caen entre
+ * texels: basta con envolver (o anular) el texel vecino.
+ *
+ * COMPLEJIDAD:
+ * - Por fragmento: 9 lecturas de estado + 32 de la tabla
+ * - Total: O(n / 32) fragmentos
+ */
+const packedComputeShaderSource = `
+    precision highp float;
+
+    // Uniform: textura empaquetada con el estado actual
+    uniform sampler2D u_state;
+
+    // Uniform: dimensiones de la textura en texels ((ancho / 32), alto)
+    uniform vec2 u_resolution;
+
+    // Uniform: tabla de 256×1 de la regla (R = nace, G = sobrevive)
+    uniform sampler2D u_neighbourhoodTable;
+
+    // Uniform: bordes izquierdo/derecho y superior/inferior (0 muerto, 1 unir)
+    uniform vec2 u_topologyModes;
+
+    varying vec2 v_texCoord;
+
+    /**
+     * Función auxiliar: bytes (0..255) del texel vecino en (dx, dy)
+     * Fuera de la cuadrícula con borde muerto devuelve 0 (32 células muertas)
+     */
+    vec4 getBlock(vec2 offset) {
+        vec2 p = floor(v_texCoord * u_resolution) + offset;
+        if (p.x < 0.0 || p.x >= u_resolution.x) {
+            if (u_topologyModes.x < 0.5) return vec4(0.0);
+            p.x = mod(p.x + u_resolution.x, u_resolution.x);
+        }
+        if (p.y < 0.0 || p.y >= u_resolution.y) {
+            if (u_topologyModes.y < 0.5) return vec4(0.0);
+            p.y = mod(p.y + u_resolution.y, u_resolution.y);
+        }
+        return floor(texture2D(u_state, (p + 0.5) / u_resolution) * 255.0 + 0.5);
+    }
+
+    /**
+     * Función auxiliar: desempaqueta la fila dy (-1, 0 o 1) del bloque
+     * cells[0] = última célula del bloque izquierdo (bit 7 del canal A)
+     * cells[1..32] = las 32 células del bloque
+     * cells[33] = primera célula del bloque derecho (bit 0 del canal R)
+     */
+    void unpackRow(float dy, out float cells[34]) {
+        vec4 left = getBlock(vec2(-1.0, dy));
+        vec4 block = getBlock(vec2(0.0, dy));
+        vec4 right = getBlock(vec2(1.0, dy));
+
+        cells[0] = step(128.0, left.a);
+        cells[33] = mod(right.r, 2.0);
+        for (int c = 0; c < 4; c++) {
+            float byte = block[c];
+            for (int b = 0; b < 8; b++) {
+                cells[1 + c * 8 + b] = mod(byte, 2.0);
+                byte = floor(byte / 2.0);
+            }
+        }
+    }
+
+    void main() {
+        // PASO 1: Las tres filas del vecindario del bloque
+        // En GLSL ES 1.0 los arrays solo se indexan con constantes o índices
+        // de bucle, por eso los índices se escriben como c * 8 + b + k
+        float up[34];
+        float row[34];
+        float down[34];
+        unpackRow(-1.0, up);
+        unpackRow(0.0, row);
+        unpackRow(1.0, down);
+
+        // PASO 2: Calcular las 32 células y empaquetarlas canal a canal
+        // La célula b del canal c está en la posición c * 8 + b + 1
+        vec4 result = vec4(0.0);
+        for (int c = 0; c < 4; c++) {
+            float byte = 0.0;
+            float weight = 1.0;
+            for (int b = 0; b < 8; b++) {
+                float mask = up[c * 8 + b] * 1.0
+                           + up[c * 8 + b + 1] * 2.0
+                           + up[c * 8 + b + 2] * 4.0
+                           + row[c * 8 + b] * 8.0
+                           + row[c * 8 + b + 2] * 16.0
+                           + down[c * 8 + b] * 32.0
+                           + down[c * 8 + b + 1] * 64.0
+                           + down[c * 8 + b + 2] * 128.0;
+                vec4 entry = texture2D(u_neighbourhoodTable, vec2((mask + 0.5) / 256.0, 0.5));
+                float alive = row[c * 8 + b + 1] > 0.5 ? entry.g : entry.r;
+                byte += step(0.5, alive) * weight;
+                weight *= 2.0;
+            }
+            result[c] = byte;
+        }
+
+        // PASO 3: Escribir los 4 bytes del bloque
+        gl_FragColor = result / 255.0;
+    }
+`;
+
+/**
+ * ----------------------------------------------------------------------------
+ * DISPLAY SHADER EMPAQUETADO (motor PackedLife)
+ * ----------------------------------------------------------------------------
+ *
+ * Cada pixel de pantalla busca el texel y el bit de su célula y la dibuja
+ * en blanco (viva) o negro (muerta). El canal se elige con comparaciones:
+ * en GLSL ES 1.0 un vec4 no se puede indexar con una variable.
+ */
+const packedDisplayShaderSource = `
+    precision highp float;
+
+    // Uniform: textura empaquetada con el estado actual
+    uniform sampler2D u_state;
+
+    // Uniform: dimensiones de la cuadrícula en células (ancho, alto)
+    uniform vec2 u_resolution;
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        // Célula del pixel y su posición dentro del texel
+        vec2 cell = floor(v_texCoord * u_resolution);
+        float texelX = floor(cell.x / 32.0);
+        float index = cell.x - texelX * 32.0;
+        float channel = floor(index / 8.0);
+        float bit = index - channel * 8.0;
+
+        // Byte del canal (0..255)
+        vec2 texelCoord = vec2((texelX + 0.5) / (u_resolution.x / 32.0), (cell.y + 0.5) / u_resolution.y);
+        vec4 block = floor(texture2D(u_state, texelCoord) * 255.0 + 0.5);
+        float byte = channel < 0.5 ? block.r : channel < 1.5 ? block.g : channel < 2.5 ? block.b : block.a;
+
+        // Desplazar el byte 'bit' posiciones y quedarse con el bit bajo
+        for (int b = 0; b < 8; b++) {
+            if (float(b) < bit) byte = floor(byte / 2.0);
+        }
+        float alive = mod(byte, 2.0);
+
+        // Viva: blanco; muerta: negro
+        gl_FragColor = vec4(vec3(alive), 1.0);
+    }
+`;
+
+/**
+ * ----------------------------------------------------------------------------
+ * SHADERS DE REDUCCIÓN (población, hash y caja envolvente en la GPU, ver
+ * reduction.js)
+ * ----------------------------------------------------------------------------
+ *
+ * Combinan en la GPU un valor de 32 bits por célula hasta dejar un solo
+ * texel, como una cadena de mipmaps: cada pasada escribe una textura de la
+ * mitad de ancho y alto en la que cada texel combina un bloque de 2×2 (la
+ * suma, o el mínimo o el máximo para la caja envolvente).
+ *
+ * ARITMÉTICA ENTERA CON FLOATS:
+ * GLSL ES 1.0 no tiene enteros de 32 bits fiables, y un float highp solo
+ * representa exactamente enteros hasta 2^24. Cada valor se guarda como
+ * cuatro "dígitos" en base 256 (un byte por canal RGBA, R el menos
+ * significativo): las sumas y productos de dígitos no pasan de 2^21 y
+ * normalise() propaga los acarreos. Todo es módulo el primo 2^32 - 5
+ * (REDUCTION_MODULUS en reduction.js): como 2^32 ≡ 5, lo que sale del
+ * último dígito vuelve al primero multiplicado por 5. El resultado es
+ * congruente pero puede pasar del módulo (run() lo reduce al leerlo). Los
+ * contadores no llegan a 2^24, así que el módulo no los cambia.
+ *
+ * VALOR DE CADA CÉLULA (u_lane):
+ * - 0: 1 si está viva (R > 128), 0 si no
+ * - 1: 1 si está muriendo (R ≤ 128 y G ≥ 2, reglas Generations), 0 si no
+ * - 2 y 3: código × Wx(x) × Wy(y) para las dos mitades de la huella de
+ *   64 bits, con código 1 (viva) o G (muriendo) y Wx, Wy potencias de las
+ *   bases de reductionWeight (u_weights: filas 0 y 1 para x e y de la
+ *   mitad baja, filas 2 y 3 para la alta)
+ * - 4: esquina mínima (x, y) de las células no muertas, combinada con el
+ *   mínimo; las muertas valen (65535, 65535)
+ * - 5: esquina máxima (x + 1, y + 1), combinada con el máximo; las muertas
+ *   valen (0, 0)
+ * - 6: 1 si nació (viva en u_state y no en u_previous, la generación
+ *   anterior), 0 si no
+ * - 7: 1 si murió (viva en u_previous y no en u_state), 0 si no
+ * Las esquinas son dos enteros de 16 bits por texel: x en R y G, y en B y A.
+ */
+const reductionArithmeticSource = `
+    // Propaga los acarreos (cada componente queda en 0..255) y devuelve el
+    // que sale del último dígito
+    float propagate(inout vec4 digits) {
+        float carry = floor(digits.x / 256.0);
+        digits.x -= carry * 256.0;
+        digits.y += carry;
+        carry = floor(digits.y / 256.0);
+        digits.y -= carry * 256.0;
+        digits.z += carry;
+        carry = floor(digits.z / 256.0);
+        digits.z -= carry * 256.0;
+        digits.w += carry;
+        carry = floor(digits.w / 256.0);
+        digits.w -= carry * 256.0;
+        return carry;
+    }
+
+    // Dígitos en 0..255 módulo 2^32 - 5: el acarreo c del último dígito
+    // vale c × 2^32 ≡ 5c y vuelve al primero. La primera vuelta deja el
+    // valor por debajo de 2^32 + 2^17, la segunda por debajo de 2^17 + 5
+    // (sin acarreo en la última propagación)
+    vec4 normalise(vec4 digits) {
+        float carry = propagate(digits);
+        digits.x += carry * 5.0;
+        carry = propagate(digits);
+        digits.x += carry * 5.0;
+        propagate(digits);
+        return digits;
+    }
+
+    // Producto módulo 2^32 - 5 (multiplicación escolar de dígitos; los de
+    // peso 2^32 a 2^48 vuelven a los de peso 1 a 2^16 multiplicados por 5)
+    vec4 multiply(vec4 a, vec4 b) {
+        return normalise(vec4(
+            a.x * b.x + 5.0 * (a.y * b.w + a.z * b.z + a.w * b.y),
+            a.x * b.y + a.y * b.x + 5.0 * (a.z * b.w + a.w * b.z),
+            a.x * b.z + a.y * b.y + a.z * b.x + 5.0 * a.w * b.w,
+            a.x * b.w + a.y * b.z + a.z * b.y + a.w * b.x
+        ));
+    }
+
+    // Bytes (0..255) de un texel
+    vec4 readDigits(sampler2D source, vec2 coord) {
+        return floor(texture2D(source, coord) * 255.0 + 0.5);
+    }
+
+    // Dos enteros de 16 bits (x en R y G, y en B y A) y su codificación
+    vec2 unpackCorner(vec4 digits) {
+        return vec2(digits.x + digits.y * 256.0, digits.z + digits.w * 256.0);
+    }
+
+    vec4 packCorner(vec2 corner) {
+        vec2 high = floor(corner / 256.0);
+        return vec4(corner.x - high.x * 256.0, high.x, corner.y - high.y * 256.0, high.y);
+    }
+
+    // Operación de la reducción: 0 = suma módulo 2^32 - 5, 1 = mínimo y
+    // 2 = máximo de esquinas
+    vec4 combine(vec4 a, vec4 b, float operation) {
+        if (operation < 0.5) return normalise(a + b);
+        vec2 cornerA = unpackCorner(a);
+        vec2 cornerB = unpackCorner(b);
+        return packCorner(operation < 1.5 ? min(cornerA, cornerB) : max(cornerA, cornerB));
+    }
+
+    // Valor que no cambia el resultado (fuera de la región)
+    vec4 neutral(float operation) {
+        return operation > 0.5 && operation < 1.5 ? vec4(255.0) : vec4(0.0);
+    }
+`;
+
+// Vertex shader de la reducción: solo el quad (los fragment shaders usan gl_FragCoord)
+const reductionVertexShaderSource = `
+    attribute vec2 a_position;
+
+    void main() {
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Primera pasada: lee las células de una región de la textura de estado y
+ * escribe la combinación de cada bloque de 2×2 (las células fuera de la
+ * región valen el neutro de la operación, así funcionan las regiones de
+ * lado impar).
+ */
+const reductionLeafShaderSource = `
+    precision highp float;
+
+    // Textura de estado y su tamaño en texels
+    uniform sampler2D u_state;
+    uniform vec2 u_stateSize;
+
+    // Región a reducir: (x, y, ancho, alto) en texels
+    uniform vec4 u_rect;
+
+    // Pesos del hash: textura de u_weightsSize × 4 texels
+    uniform sampler2D u_weights;
+    uniform float u_weightsSize;
+
+    // Estado de la generación anterior (mismo tamaño que u_state), solo
+    // para los nacimientos y las muertes
+    uniform sampler2D u_previous;
+
+    // 0 = vivas, 1 = muriendo, 2 = mitad baja de la huella, 3 = mitad alta,
+    // 4 = esquina mínima, 5 = esquina máxima, 6 = nacimientos, 7 = muertes
+    uniform float u_lane;
+
+    // Esquina del viewport (el resultado puede ir a un texel cualquiera)
+    uniform vec2 u_outputOrigin;
+${reductionArithmeticSource}
+    // Operación de combine() para el valor de cada célula
+    float laneOperation() {
+        return u_lane > 3.5 && u_lane < 5.5 ? u_lane - 3.0 : 0.0;
+    }
+
+    vec4 cellValue(vec2 cell) {
+        if (cell.x >= u_rect.z || cell.y >= u_rect.w) return neutral(laneOperation());
+
+        vec2 coord = (u_rect.xy + cell + 0.5) / u_stateSize;
+        vec4 texel = readDigits(u_state, coord);
+        bool alive = texel.r > 128.0;
+        bool dying = !alive && texel.g >= 2.0;
+
+        if (u_lane < 0.5) return vec4(alive ? 1.0 : 0.0, 0.0, 0.0, 0.0);
+        if (u_lane < 1.5) return vec4(dying ? 1.0 : 0.0, 0.0, 0.0, 0.0);
+        if (u_lane > 5.5) {
+            bool wasAlive = readDigits(u_previous, coord).r > 128.0;
+            bool changed = u_lane < 6.5 ? alive && !wasAlive : wasAlive && !alive;
+            return vec4(changed ? 1.0 : 0.0, 0.0, 0.0, 0.0);
+        }
+        if (u_lane > 3.5) {
+            if (!alive && !dying) return neutral(laneOperation());
+            return packCorner(u_lane < 4.5 ? cell : cell + 1.0);
+        }
+        if (!alive && !dying) return vec4(0.0);
+
+        float row = (u_lane - 2.0) * 2.0;
+        vec4 weightX = readDigits(u_weights, vec2((cell.x + 0.5) / u_weightsSize, (row + 0.5) / 4.0));
+        vec4 weightY = readDigits(u_weights, vec2((cell.y + 0.5) / u_weightsSize, (row + 1.5) / 4.0));
+        float code = alive ? 1.0 : texel.g;
+        return normalise(multiply(weightX, weightY) * code);
+    }
+
+    void main() {
+        vec2 cell = (floor(gl_FragCoord.xy) - u_outputOrigin) * 2.0;
+        float operation = laneOperation();
+        vec4 top = combine(cellValue(cell), cellValue(cell + vec2(1.0, 0.0)), operation);
+        vec4 bottom = combine(cellValue(cell + vec2(0.0, 1.0)), cellValue(cell + vec2(1.0, 1.0)), operation);
+        gl_FragColor = combine(top, bottom, operation) / 255.0;
+    }
+`;
+
+/**
+ * Pasadas siguientes: combinan bloques de 2×2 de la pasada anterior (u_size
+ * es la parte válida de la textura de origen, que puede ser mayor).
+ */
+const reductionSumShaderSource = `
+    precision highp float;
+
+    // Resultado de la pasada anterior y tamaño de su textura
+    uniform sampler2D u_source;
+    uniform vec2 u_sourceSize;
+
+    // Parte válida del origen en texels
+    uniform vec2 u_size;
+
+    // Esquina del viewport (el resultado puede ir a un texel cualquiera)
+    uniform vec2 u_outputOrigin;
+
+    // 0 = suma, 1 = mínimo, 2 = máximo (ver combine)
+    uniform float u_operation;
+${reductionArithmeticSource}
+    vec4 childValue(vec2 texel) {
+        if (texel.x >= u_size.x || texel.y >= u_size.y) return neutral(u_operation);
+        return readDigits(u_source, (texel + 0.5) / u_sourceSize);
+    }
+
+    void main() {
+        vec2 texel = (floor(gl_FragCoord.xy) - u_outputOrigin) * 2.0;
+        vec4 top = combine(childValue(texel), childValue(texel + vec2(1.0, 0.0)), u_operation);
+        vec4 bottom = combine(childValue(texel + vec2(0.0, 1.0)), childValue(texel + vec2(1.0, 1.0)), u_operation);
+        gl_FragColor = combine(top, bottom, u_operation) / 255.0;
     }
 `;
 
@@ -286,6 +1103,12 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         vertexShaderSource,
         computeShaderSource,
-        displayShaderSource
+        displayShaderSource,
+        buildComputeShaderSource,
+        packedComputeShaderSource,
+        packedDisplayShaderSource,
+        reductionVertexShaderSource,
+        reductionLeafShaderSource,
+        reductionSumShaderSource
     };
 }
@@ -0,0 +1,1961 @@
+/**
+ * ============================================================================
+ * SIMULACIÓN DEL JUEGO DE LA VIDA (WEBGL, MOTORES Y BUCLE DE ANIMACIÓN)
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Todo lo que no toca el DOM: contexto WebGL, programas de shaders, motor de
+ * simulación (GameOfLife, HashLife, PackedLife o TiledLife) y bucle de
+ * animación. Se ejecuta en un Web Worker sobre un OffscreenCanvas
+ * (worker.js), así los cálculos de la GPU y los readPixels de checkEnd no
+ * bloquean los controles ni las previsualizaciones; si el navegador no
+ * admite OffscreenCanvas, main.js lo carga en el hilo principal.
+ *
+ * PROTOCOLO DE MENSAJES:
+ * - Interfaz → simulación: handleCommand({ type, ... }) con las órdenes
+ *   start, pause, randomize, clear, loadPattern, draw, drawEnd, setSpeed,
+ *   setTurbo, setRule, setEngine, setStepExponent, setWorldSize, resize,
+ *   pan, center, census, jumpTo, setRenderMode, importPattern,
+ *   exportPattern, importImage, exportImage, startRecording, recordFrame,
+ *   stopRecording y stats
+ * - Simulación → interfaz: postToUI({ type, ... }) con 'ready' (tamaño
+ *   máximo de la cuadrícula), 'stats' (estado completo, ver getStats),
+ *   'history' (muestras nuevas para la gráfica de actividad, ver
+ *   RunHistory.takeMessage en history.js), 'census' (objetos del estado
+ *   actual, ver takeCensus en census.js), 'patternInfo' (datos del archivo
+ *   importado, ver importPattern), 'pattern' (archivo exportado, ver
+ *   exportPattern), 'image' (píxeles del tablero, ver exportImage),
+ *   'recordFrame' (fotograma de una grabación, ver recordFrame) y 'error'
+ *   (orden que falló y mensaje)
+ *
+ * Las órdenes se procesan en orden y cada una termina enviando las
+ * estadísticas, así la interfaz siempre muestra el último estado. Las que
+ * cambian las células fuera de la simulación (patrón, archivo, imagen,
+ * dibujo, regla, motor, tamaño) empiezan un historial nuevo
+ * (runHistory.restart).
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN GLOBAL
+ * ----------------------------------------------------------------------------
+ */
+
+// Tamaño inicial de la cuadrícula principal (512x512 = 262,144 células);
+// se puede cambiar en tiempo de ejecución con resizeGrid
+const DEFAULT_GRID_WIDTH = 512;
+const DEFAULT_GRID_HEIGHT = 512;
+
+// Lado máximo del canvas en pantalla: las cuadrículas pequeñas se amplían
+// con un número entero de píxeles por célula hasta ocuparlo
+const CANVAS_SIZE = 512;
+
+// Velocidad inicial: 10 generaciones por segundo
+const DEFAULT_SPEED = 10;
+
+// Rango de velocidades permitidas
+const MIN_SPEED = 1;    // 1 FPS (muy lento, para análisis detallado)
+const MAX_SPEED = 60;   // 60 FPS (máximo del navegador por requestAnimationFrame)
+
+// Modo turbo: generaciones calculadas por frame (solo se dibuja la última)
+const DEFAULT_TURBO_GENERATIONS = 100;
+const MAX_TURBO_GENERATIONS = 10000;
+
+// Modo turbo: cada cuántas generaciones se comprueba el fin (checkEnd
+// espera con readPixels a que la GPU termine todo lo pendiente)
+const DEFAULT_END_CHECK_INTERVAL = 100;
+const MAX_END_CHECK_INTERVAL = 100000;
+
+// Ventana de medida de las generaciones por segundo reales (milisegundos)
+const THROUGHPUT_WINDOW = 500;
+
+// Modos de dibujo y mapas de color, en el orden de u_renderMode y
+// u_colorMap del display shader
+const RENDER_MODES = ['state', 'age', 'heat', 'trail'];
+const COLOR_MAPS = ['inferno', 'viridis', 'rainbow', 'grey'];
+
+// Fotogramas máximos de una grabación (GIF o WebM)
+const RECORD_MAX_FRAMES = 1000;
+
+/**
+ * ----------------------------------------------------------------------------
+ * VARIABLES GLOBALES DEL SIMULADOR PRINCIPAL
+ * ----------------------------------------------------------------------------
+ */
+
+// Contexto WebGL para renderizado acelerado por GPU
+let gl;
+
+// Instancia del juego (gestiona texturas, framebuffers, patrones)
+let game;
+
+// Programas de shaders compilados
+let computeProgram;   // Para calcular siguiente generación
+let displayProgram;   // Para mostrar en pantalla
+let packedComputeProgram;   // Motor empaquetado (PackedLife): 32 células por texel
+let packedDisplayProgram;
+
+// Buffers de geometría
+let quadBuffer;       // Vértices del quad fullscreen
+let texCoordBuffer;   // Coordenadas de textura UV
+
+// Estado de la simulación
+let isRunning = false;        // ¿Está la simulación en ejecución?
+let speed = DEFAULT_SPEED;    // Generaciones por segundo
+let lastUpdateTime = 0;       // Timestamp de la última actualización
+
+// Modo turbo y medida del rendimiento
+let turbo = false;                                   // ¿Varias generaciones por frame?
+let turboGenerations = DEFAULT_TURBO_GENERATIONS;    // Generaciones por frame
+let endCheckInterval = DEFAULT_END_CHECK_INTERVAL;   // Generaciones entre checkEnd
+let generationsSinceCheck = 0;                       // Desde el último checkEnd
+let throughputStart = null;                          // { time, generation } de la ventana
+let gensPerSecond = 0;                               // Última medida
+
+// Muestras de la gráfica de actividad y copias para volver atrás (history.js)
+const runHistory = new RunHistory();
+
+// Modo de dibujo (estado, edad, calor o estela) y mapa de color
+let renderMode = 'state';
+let colorMap = 'inferno';
+
+// Grabación en curso (startRecording), o null
+let recording = null;
+
+/**
+ * ============================================================================
+ * INICIALIZACIÓN
+ * ============================================================================
+ */
+
+// Canal hacia la interfaz (postMessage del worker o main.js en el hilo principal)
+let postToUI = () => {};
+
+// requestAnimationFrame existe en los workers dedicados de los navegadores
+// con OffscreenCanvas; si falta, un frame cada ~16 ms
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: initSimulation
+ * ----------------------------------------------------------------------------
+ *
+ * Inicializa la simulación sobre un canvas (HTMLCanvasElement en el hilo
+ * principal u OffscreenCanvas en el worker).
+ *
+ * ORDEN DE INICIALIZACIÓN (importante):
+ * 1. Obtener contexto WebGL
+ * 2. Compilar shaders y crear buffers de geometría
+ * 3. Crear instancia del juego y generar patrón inicial
+ * 4. Renderizar y avisar a la interfaz ('ready' y 'stats')
+ * 5. Iniciar bucle de animación
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas principal
+ * @param {Function} post - Recibe los mensajes para la interfaz
+ *
+ * COMPLEJIDAD: O(n) donde n = número de células (patrón aleatorio)
+ */
+function initSimulation(canvas, post) {
+    postToUI = post;
+
+    // Intentar obtener contexto WebGL
+    // WebGL es la API de JavaScript para gráficos 3D/2D acelerados por GPU
+    gl = canvas.getContext('webgl');
+
+    if (!gl) {
+        // Navegador no soporta WebGL (o no en un worker)
+        postToUI({ type: 'error', command: 'init', message: 'WebGL no está disponible en este navegador' });
+        return;
+    }
+
+    // Inicializar WebGL: compilar shaders, crear buffers
+    initWebGL();
+
+    // Crear instancia del juego con el tamaño de la cuadrícula
+    game = new GameOfLife(gl, DEFAULT_GRID_WIDTH, DEFAULT_GRID_HEIGHT);
+    resizeCanvas();
+
+    // Generar configuración inicial aleatoria
+    game.randomize();
+    runHistory.restart(game);
+
+    // Renderizar el estado inicial
+    render();
+
+    const [maxWidth, maxHeight] = getMaxGridSize();
+    postToUI({ type: 'ready', maxWidth, maxHeight });
+    postStats();
+
+    // Iniciar el bucle infinito de animate()
+    requestFrame(animate);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: initWebGL
+ * ----------------------------------------------------------------------------
+ *
+ * Inicializa todos los recursos WebGL necesarios.
+ *
+ * PROCESO:
+ * 1. Compilar vertex y fragment shaders desde strings
+ * 2. Enlazar shaders en programas (compute y display)
+ * 3. Crear buffer para quad (6 vértices = 2 triángulos)
+ * 4. Crear buffer para coordenadas de textura
+ *
+ * El viewport no se fija aquí: computeNextState usa el tamaño de la
+ * cuadrícula y render el del canvas, que pueden cambiar (resizeGrid).
+ *
+ * GEOMETRÍA DEL QUAD:
+ * Un quad es un rectángulo formado por 2 triángulos.
+ * Cubre toda la pantalla en coordenadas normalizadas [-1, 1].
+ *
+ *   (-1,1) +-----+ (1,1)
+ *          |   / |
+ *          | /   |
+ * (-1,-1) +-----+ (1,-1)
+ *
+ * COMPLEJIDAD: O(1) - operaciones constantes
+ */
+function initWebGL() {
+    /**
+     * PASO 1: Compilar programas de shaders
+     * Los shaders están definidos en shaders.js como strings
+     * El compute shader se genera para la regla por defecto (Moore, radio 1)
+     */
+    compileComputeProgram(parseRule(DEFAULT_RULE));
+    displayProgram = createProgram(vertexShaderSource, displayShaderSource);
+    packedComputeProgram = createProgram(vertexShaderSource, packedComputeShaderSource);
+    packedDisplayProgram = createProgram(vertexShaderSource, packedDisplayShaderSource);
+
+    /**
+     * PASO 2: Crear buffer para vértices del quad
+     *
+     * Float32Array contiene 12 valores (6 vértices × 2 coordenadas):
+     * Triángulo 1: (-1,-1), (1,-1), (-1,1)
+     * Triángulo 2: (-1,1), (1,-1), (1,1)
+     *
+     * Nota: ordenados en sentido antihorario (convención de OpenGL)
+     */
+    quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([
+            -1, -1,   // Vértice 0: esquina inferior izquierda
+             1, -1,   // Vértice 1: esquina inferior derecha
+            -1,  1,   // Vértice 2: esquina superior izquierda
+            -1,  1,   // Vértice 3: esquina superior izquierda (segundo triángulo)
+             1, -1,   // Vértice 4: esquina inferior derecha (segundo triángulo)
+             1,  1    // Vértice 5: esquina superior derecha
+        ]),
+        gl.STATIC_DRAW  // Hint: los datos no cambiarán
+    );
+
+    /**
+     * PASO 3: Crear buffer para coordenadas de textura
+     *
+     * Mapean los vértices del quad a coordenadas de textura [0,1]:
+     * (0,0) = esquina inferior izquierda de la textura
+     * (1,1) = esquina superior derecha de la textura
+     */
+    texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([
+            0, 0,   // Vértice 0: esquina inferior izquierda de textura
+            1, 0,   // Vértice 1: esquina inferior derecha de textura
+            0, 1,   // Vértice 2: esquina superior izquierda de textura
+            0, 1,   // Vértice 3: esquina superior izquierda de textura
+            1, 0,   // Vértice 4: esquina inferior derecha de textura
+            1, 1    // Vértice 5: esquina superior derecha de textura
+        ]),
+        gl.STATIC_DRAW
+    );
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: createProgram
+ * ----------------------------------------------------------------------------
+ *
+ * Compila y enlaza un programa de shaders completo.
+ *
+ * PROCESO:
+ * 1. Compilar vertex shader
+ * 2. Compilar fragment shader
+ * 3. Crear programa
+ * 4. Adjuntar ambos shaders al programa
+ * 5. Enlazar (link) el programa
+ * 6. Verificar errores
+ *
+ * ¿QUÉ ES ENLAZAR (LINKING)?
+ * Es el proceso de conectar las salidas del vertex shader con las entradas
+ * del fragment shader. Similar al linking en compiladores de C/C++.
+ *
+ * @param {string} vertexSource - Código fuente del vertex shader (GLSL)
+ * @param {string} fragmentSource - Código fuente del fragment shader (GLSL)
+ * @returns {WebGLProgram} Programa de shaders compilado y enlazado
+ *
+ * COMPLEJIDAD: O(n) donde n = tamaño del código shader
+ */
+function createProgram(vertexSource, fragmentSource) {
+    // Compilar cada shader por separado
+    const vertexShader = compileShader(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentSource);
+
+    // Crear programa (contenedor para los shaders)
+    const program = gl.createProgram();
+
+    // Adjuntar ambos shaders al programa
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+
+    // Enlazar el programa
+    // Esto conecta las salidas del vertex shader con las entradas del fragment shader
+    gl.linkProgram(program);
+
+    // Verificar que el enlace fue exitoso
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error('Error al enlazar programa:', gl.getProgramInfoLog(program));
+        return null;
+    }
+
+    return program;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: compileComputeProgram
+ * ----------------------------------------------------------------------------
+ *
+ * (Re)compila el compute shader para una regla.
+ *
+ * ¿POR QUÉ RECOMPILAR?
+ * La forma del vecindario (radio, Moore/von Neumann/circular, célula central)
+ * determina los límites de los bucles del shader, que en GLSL ES 1.0 deben
+ * ser constantes. buildComputeShaderSource() los fija con #define.
+ * Las tablas y rangos de la regla, en cambio, son uniforms y no requieren
+ * recompilar.
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ *
+ * COMPLEJIDAD: O(n) donde n = tamaño del código shader
+ */
+function compileComputeProgram(rule) {
+    const program = createProgram(vertexShaderSource, buildComputeShaderSource(rule));
+    if (!program) return;
+
+    // Liberar el programa anterior de la GPU
+    if (computeProgram) {
+        gl.deleteProgram(computeProgram);
+    }
+    computeProgram = program;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: compileShader
+ * ----------------------------------------------------------------------------
+ *
+ * Compila un shader individual (vertex o fragment).
+ *
+ * PROCESO:
+ * 1. Crear objeto shader del tipo especificado
+ * 2. Cargar código fuente en el shader
+ * 3. Compilar
+ * 4. Verificar errores de compilación
+ *
+ * TIPOS DE SHADER:
+ * - gl.VERTEX_SHADER: procesa vértices (posiciones)
+ * - gl.FRAGMENT_SHADER: procesa píxeles (colores)
+ *
+ * @param {GLenum} type - Tipo de shader (VERTEX_SHADER o FRAGMENT_SHADER)
+ * @param {string} source - Código fuente GLSL del shader
+ * @returns {WebGLShader} Shader compilado
+ *
+ * COMPLEJIDAD: O(n) donde n = longitud del código fuente
+ */
+function compileShader(type, source) {
+    // Crear objeto shader
+    const shader = gl.createShader(type);
+
+    // Cargar el código fuente
+    gl.shaderSource(shader, source);
+
+    // Compilar
+    gl.compileShader(shader);
+
+    // Verificar compilación exitosa
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('Error al compilar shader:', gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+    }
+
+    return shader;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setupAttributes
+ * ----------------------------------------------------------------------------
+ *
+ * Configura los atributos de un programa de shaders.
+ *
+ * ATRIBUTOS:
+ * Son variables de entrada del vertex shader que cambian por vértice.
+ * En nuestro caso: posición (a_position) y coordenadas UV (a_texCoord).
+ *
+ * PROCESO:
+ * 1. Obtener location (índice) de cada atributo
+ * 2. Activar el buffer correspondiente
+ * 3. Configurar cómo leer datos del buffer (stride, offset, etc.)
+ * 4. Habilitar el atributo
+ *
+ * @param {WebGLProgram} program - Programa donde configurar atributos
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setupAttributes(program) {
+    // Obtener locations de los atributos
+    // Estos índices identifican los atributos en el programa
+    const positionLocation = gl.getAttribLocation(program, 'a_position');
+    const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
+
+    /**
+     * Configurar atributo a_position (coordenadas de vértices)
+     */
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);     // Activar buffer de posiciones
+    gl.enableVertexAttribArray(positionLocation);   // Habilitar el atributo
+    gl.vertexAttribPointer(
+        positionLocation,    // Índice del atributo
+        2,                   // Número de componentes por vértice (x, y)
+        gl.FLOAT,            // Tipo de datos
+        false,               // ¿Normalizar? (no necesario para posiciones)
+        0,                   // Stride: bytes entre vértices consecutivos (0 = compacto)
+        0                    // Offset: bytes desde el inicio del buffer
+    );
+
+    /**
+     * Configurar atributo a_texCoord (coordenadas de textura)
+     */
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);  // Activar buffer de UVs
+    gl.enableVertexAttribArray(texCoordLocation);    // Habilitar el atributo
+    gl.vertexAttribPointer(
+        texCoordLocation,    // Índice del atributo
+        2,                   // Número de componentes (u, v)
+        gl.FLOAT,            // Tipo de datos
+        false,               // No normalizar
+        0,                   // Stride: 0 (datos compactos)
+        0                    // Offset: 0 (empezar desde el inicio)
+    );
+}
+
+/**
+ * ============================================================================
+ * BUCLE DE SIMULACIÓN PRINCIPAL
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: computeNextState
+ * ----------------------------------------------------------------------------
+ *
+ * Calcula el siguiente estado del juego usando el compute shader en la GPU.
+ *
+ * ARQUITECTURA PING-PONG:
+ * 1. Lee de textures[currentTexture] (estado actual)
+ * 2. Escribe a textures[1-currentTexture] (nuevo estado) mediante framebuffer
+ * 3. Intercambia texturas (swap)
+ *
+ * PROCESO DETALLADO:
+ * 1. Activar programa compute
+ * 2. Configurar atributos de geometría
+ * 3. Pasar uniforms (textura de estado, resolución, tablas de la regla)
+ * 4. Activar textura de lectura
+ * 5. Activar framebuffer de escritura
+ * 6. Renderizar quad (ejecuta compute shader para cada píxel)
+ * 7. Intercambiar texturas
+ *
+ * GPU PARALLEL PROCESSING:
+ * El compute shader se ejecuta en paralelo para TODAS las células
+ * simultáneamente. En una GPU moderna, esto puede ser 1000x más rápido
+ * que procesar célula por célula en CPU.
+ *
+ * COMPLEJIDAD:
+ * - CPU: O(1) - solo configuración
+ * - GPU: O(n) donde n = número de células, pero ejecutado en paralelo
+ * - Tiempo real: ≈ O(1) gracias al paralelismo masivo
+ */
+function computeNextState() {
+    // El motor empaquetado usa su propio programa
+    if (game instanceof PackedLife) {
+        computePackedState();
+        return;
+    }
+    // El motor por teselas ejecuta el programa una vez por tesela
+    if (game instanceof TiledLife) {
+        computeTiledState();
+        return;
+    }
+
+    // Activar el programa compute (compilado al inicio)
+    gl.useProgram(computeProgram);
+
+    // Configurar atributos de geometría (posición y UV)
+    setupAttributes(computeProgram);
+
+    /**
+     * Configurar uniforms (variables globales del shader)
+     */
+
+    // u_state: textura con el estado actual
+    const stateLocation = gl.getUniformLocation(computeProgram, 'u_state');
+    // u_resolution: dimensiones de la cuadrícula
+    const resolutionLocation = gl.getUniformLocation(computeProgram, 'u_resolution');
+
+    // Decir al shader que u_state está en la unidad de textura 0
+    gl.uniform1i(stateLocation, 0);
+    // Pasar dimensiones de la cuadrícula
+    gl.uniform2f(resolutionLocation, game.width, game.height);
+
+    // u_topologyRect / u_topologyModes: bordes de la regla activa
+    setTopologyUniforms(computeProgram);
+
+    // Tablas o rangos de la regla y número de estados
+    setRuleUniforms(computeProgram);
+
+    /**
+     * Activar textura de lectura
+     * TEXTURE0 es la primera unidad de textura (hay múltiples disponibles)
+     */
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
+
+    /**
+     * Activar framebuffer de escritura
+     * Esto hace que gl.drawArrays renderice a la textura en lugar de la pantalla
+     */
+    gl.bindFramebuffer(gl.FRAMEBUFFER, game.getWriteFramebuffer());
+
+    /**
+     * Viewport = tamaño de la textura: un fragmento por célula
+     * (0, 0) es la esquina inferior izquierda en WebGL
+     */
+    gl.viewport(0, 0, game.width, game.height);
+
+    /**
+     * Dibujar el quad (6 vértices = 2 triángulos)
+     * Esto ejecuta el compute shader una vez por cada píxel de la textura
+     */
+    gl.drawArrays(
+        gl.TRIANGLES,    // Modo: triángulos
+        0,               // Primer vértice
+        6                // Número de vértices
+    );
+
+    /**
+     * Intercambiar texturas (ping-pong)
+     * La textura de escritura se convierte en lectura para la siguiente frame
+     */
+    game.swap();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setRuleUniforms
+ * ----------------------------------------------------------------------------
+ *
+ * Pasa al compute shader la regla activa.
+ *
+ * UNIFORMS:
+ * - u_neighbourhoodTable: tabla de 256 entradas (reglas de Hensel)
+ * - u_birthRange / u_survivalRange: rangos (Larger than Life)
+ * - u_birth / u_survival: tablas de 9 entradas (B/S)
+ * - u_states: número de estados (2 = Life-like, >2 = Generations)
+ *
+ * @param {WebGLProgram} program - Programa compute activo
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setRuleUniforms(program) {
+    if (game.rule.isotropic) {
+        // u_neighbourhoodTable: tabla de 256 entradas de la regla de Hensel,
+        // en la unidad de textura 1 (la 0 es el estado)
+        gl.uniform1i(gl.getUniformLocation(program, 'u_neighbourhoodTable'), 1);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, game.neighbourhoodTable);
+    } else if (game.rule.family === 'ltl') {
+        // u_birthRange / u_survivalRange: rangos de la regla Larger than Life
+        const birthRange = game.rule.birthRange;
+        const survivalRange = game.rule.survivalRange;
+        gl.uniform2f(gl.getUniformLocation(program, 'u_birthRange'), birthRange[0], birthRange[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_survivalRange'), survivalRange[0], survivalRange[1]);
+    } else {
+        // u_birth / u_survival: tablas de la regla activa (9 entradas cada una)
+        const tables = ruleToTables(game.rule);
+        gl.uniform1fv(gl.getUniformLocation(program, 'u_birth'), tables.birth);
+        gl.uniform1fv(gl.getUniformLocation(program, 'u_survival'), tables.survival);
+    }
+    // u_states: número de estados (2 = Life-like, >2 = Generations)
+    gl.uniform1f(gl.getUniformLocation(program, 'u_states'), game.rule.states);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: computeTiledState
+ * ----------------------------------------------------------------------------
+ *
+ * Igual que computeNextState, pero una vez por tesela del motor por teselas
+ * (TiledLife): cada textura es una cuadrícula de S × S con bordes muertos
+ * cuyo halo acaba de copiarse de las teselas vecinas.
+ *
+ * PROCESO:
+ * 1. Copiar los halos (exchangeHalos)
+ * 2. Configurar el programa: resolución S × S, topología plana de S × S
+ * 3. Dibujar solo el interior de cada tesela (scissor): el halo de la
+ *    textura de escritura se rellena en la siguiente generación
+ * 4. Intercambiar texturas (y, de vez en cuando, revisar las teselas)
+ *
+ * COMPLEJIDAD: O(teselas) en CPU, O(teselas × T²) fragmentos en GPU
+ */
+function computeTiledState() {
+    const size = game.textureSize;
+
+    // PASO 1: Halos
+    game.exchangeHalos();
+
+    // PASO 2: Programa y uniforms
+    gl.useProgram(computeProgram);
+    setupAttributes(computeProgram);
+    gl.uniform1i(gl.getUniformLocation(computeProgram, 'u_state'), 0);
+    gl.uniform2f(gl.getUniformLocation(computeProgram, 'u_resolution'), size, size);
+    gl.uniform4f(gl.getUniformLocation(computeProgram, 'u_topologyRect'), 0, 0, size, size);
+    gl.uniform2f(gl.getUniformLocation(computeProgram, 'u_topologyModes'), 0, 0);
+    setRuleUniforms(computeProgram);
+
+    // PASO 3: Una pasada por tesela
+    gl.activeTexture(gl.TEXTURE0);
+    gl.viewport(0, 0, size, size);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(game.halo, game.halo, TILED_TILE_SIZE, TILED_TILE_SIZE);
+    for (const tile of game.tiles.values()) {
+        gl.bindTexture(gl.TEXTURE_2D, tile.textures[game.currentTexture]);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, tile.framebuffers[1 - game.currentTexture]);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+    gl.disable(gl.SCISSOR_TEST);
+
+    // PASO 4: Ping-pong
+    game.swap();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: computePackedState
+ * ----------------------------------------------------------------------------
+ *
+ * Igual que computeNextState, pero con el compute shader empaquetado
+ * (PackedLife): un fragmento por texel, es decir, por bloque de 32 células.
+ *
+ * UNIFORMS:
+ * - u_resolution: tamaño de la textura en texels ((ancho / 32) × alto)
+ * - u_neighbourhoodTable: tabla de la regla (PackedLife la sube siempre)
+ * - u_topologyModes: bordes muertos o unidos (toro, plano, cilindros)
+ *
+ * COMPLEJIDAD: O(1) en CPU, O(n / 32) fragmentos en GPU
+ */
+function computePackedState() {
+    gl.useProgram(packedComputeProgram);
+    setupAttributes(packedComputeProgram);
+
+    gl.uniform1i(gl.getUniformLocation(packedComputeProgram, 'u_state'), 0);
+    gl.uniform2f(gl.getUniformLocation(packedComputeProgram, 'u_resolution'), game.textureWidth, game.height);
+    setTopologyUniforms(packedComputeProgram);
+
+    gl.uniform1i(gl.getUniformLocation(packedComputeProgram, 'u_neighbourhoodTable'), 1);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, game.neighbourhoodTable);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
+
+    // Viewport = tamaño de la textura empaquetada: un fragmento por texel
+    gl.bindFramebuffer(gl.FRAMEBUFFER, game.getWriteFramebuffer());
+    gl.viewport(0, 0, game.textureWidth, game.height);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+    game.swap();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setTopologyUniforms
+ * ----------------------------------------------------------------------------
+ *
+ * Pasa a un programa la topología de la regla activa, situada sobre la
+ * cuadrícula con resolveTopology() (rules.js).
+ *
+ * UNIFORMS:
+ * - u_topologyRect: (x, y, ancho, alto) de la región simulada
+ * - u_topologyModes: modo de los bordes izquierdo/derecho y superior/inferior
+ *   (el display shader no lo declara y getUniformLocation devuelve null,
+ *   que WebGL ignora)
+ *
+ * @param {WebGLProgram} program - Programa activo (compute o display)
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setTopologyUniforms(program) {
+    const bounds = resolveTopology(game.rule.topology, game.width, game.height);
+    gl.uniform4f(
+        gl.getUniformLocation(program, 'u_topologyRect'),
+        bounds.x, bounds.y, bounds.width, bounds.height
+    );
+    gl.uniform2f(gl.getUniformLocation(program, 'u_topologyModes'), bounds.modes[0], bounds.modes[1]);
+}
+
+/**
+ * Parte de la cuadrícula que cubre el quad: las coordenadas de textura de
+ * sus vértices pasan a ser las de la región. Los display shaders calculan
+ * la célula con v_texCoord × u_resolution, así que dibujan solo esas
+ * células (con su posición real: rejilla hexagonal, topología) en todo el
+ * viewport. captureBoard la usa para recortar sin dibujar el resto.
+ *
+ * @param {Object|null} region - { x, y, width, height } en coordenadas de
+ *        la cuadrícula (origen abajo), o null para toda (lo normal; el
+ *        compute shader también usa este buffer)
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function setTextureRegion(region) {
+    const { x, y, width, height } = region || { x: 0, y: 0, width: game.width, height: game.height };
+    const left = x / game.width;
+    const right = (x + width) / game.width;
+    const bottom = y / game.height;
+    const top = (y + height) / game.height;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([
+            left, bottom,  right, bottom,  left, top,
+            left, top,     right, bottom,  right, top
+        ]),
+        gl.STATIC_DRAW
+    );
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: render
+ * ----------------------------------------------------------------------------
+ *
+ * Renderiza el estado actual del juego en la pantalla.
+ *
+ * DIFERENCIA CON computeNextState:
+ * - computeNextState: calcula → escribe a framebuffer (off-screen)
+ * - render: visualiza → escribe a pantalla (on-screen)
+ *
+ * PROCESO:
+ * 1. Activar programa display
+ * 2. Configurar atributos
+ * 3. Pasar textura de estado actual
+ * 4. Renderizar a pantalla (framebuffer null)
+ * 5. Dibujar quad
+ *
+ * COMPLEJIDAD: O(1) en CPU, O(n) en GPU (pero paralelizado)
+ */
+function render() {
+    // El motor empaquetado necesita desempaquetar los bits al dibujar
+    if (game instanceof PackedLife) {
+        renderPacked();
+        return;
+    }
+
+    // Activar programa display
+    gl.useProgram(displayProgram);
+
+    // Configurar atributos de geometría
+    setupAttributes(displayProgram);
+
+    // Configurar uniform u_state
+    const stateLocation = gl.getUniformLocation(displayProgram, 'u_state');
+    gl.uniform1i(stateLocation, 0);
+
+    // u_states: número de estados, para graduar el color de las células muriendo
+    gl.uniform1f(gl.getUniformLocation(displayProgram, 'u_states'), game.rule.states);
+
+    // u_resolution / u_hexagonal: para dibujar la rejilla hexagonal
+    gl.uniform2f(gl.getUniformLocation(displayProgram, 'u_resolution'), game.width, game.height);
+    gl.uniform1f(
+        gl.getUniformLocation(displayProgram, 'u_hexagonal'),
+        game.rule.neighbourhood === 'hexagonal' ? 1.0 : 0.0
+    );
+
+    // u_topologyRect: para sombrear lo que queda fuera de la región simulada
+    setTopologyUniforms(displayProgram);
+
+    // u_renderMode / u_colorMap: los motores sin historia dibujan el estado
+    const mode = hasCellHistory() ? renderMode : 'state';
+    gl.uniform1f(gl.getUniformLocation(displayProgram, 'u_renderMode'), RENDER_MODES.indexOf(mode));
+    gl.uniform1f(gl.getUniformLocation(displayProgram, 'u_colorMap'), COLOR_MAPS.indexOf(colorMap));
+
+    // Activar textura de estado actual
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
+
+    /**
+     * Renderizar a pantalla (framebuffer = null)
+     * null significa "pantalla por defecto" (no off-screen)
+     */
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    // Viewport = canvas completo (cada célula ocupa uno o más píxeles)
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+
+    // Dibujar el quad
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
+
+/**
+ * ¿Guarda el motor activo la historia de cada célula (canales B y A de la
+ * textura, ver shaders.js)? Solo los que usan el compute shader por célula:
+ * GameOfLife y TiledLife. HashLife y PackedLife solo tienen el estado.
+ *
+ * @returns {boolean}
+ */
+function hasCellHistory() {
+    return game instanceof GameOfLife || game instanceof TiledLife;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setRenderMode
+ * ----------------------------------------------------------------------------
+ *
+ * Cambia el modo de dibujo y el mapa de color (cada uno es opcional) y
+ * vuelve a dibujar. La historia se calcula siempre, así que el modo nuevo
+ * ya muestra las generaciones anteriores.
+ *
+ * @param {string} [mode] - Uno de RENDER_MODES
+ * @param {string} [map] - Uno de COLOR_MAPS
+ * @throws {Error} Si el modo o el mapa no existen
+ *
+ * COMPLEJIDAD: O(1) en CPU, O(píxeles) en GPU
+ */
+function setRenderMode(mode, map) {
+    if (mode !== undefined && !RENDER_MODES.includes(mode)) {
+        throw new Error(`Modo de dibujo desconocido: ${mode}`);
+    }
+    if (map !== undefined && !COLOR_MAPS.includes(map)) {
+        throw new Error(`Mapa de color desconocido: ${map}`);
+    }
+    if (mode !== undefined) renderMode = mode;
+    if (map !== undefined) colorMap = map;
+    render();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: renderPacked
+ * ----------------------------------------------------------------------------
+ *
+ * Igual que render, con el display shader empaquetado: cada pixel busca el
+ * bit de su célula. Las topologías admitidas ocupan toda la cuadrícula, así
+ * que no hay región que sombrear.
+ *
+ * COMPLEJIDAD: O(1) en CPU, O(píxeles) en GPU
+ */
+function renderPacked() {
+    gl.useProgram(packedDisplayProgram);
+    setupAttributes(packedDisplayProgram);
+
+    gl.uniform1i(gl.getUniformLocation(packedDisplayProgram, 'u_state'), 0);
+    gl.uniform2f(gl.getUniformLocation(packedDisplayProgram, 'u_resolution'), game.width, game.height);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, game.getReadTexture());
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: animate
+ * ----------------------------------------------------------------------------
+ *
+ * Bucle de animación principal. Se ejecuta aproximadamente 60 veces por segundo.
+ *
+ * CONTROL DE VELOCIDAD:
+ * No calculamos una nueva generación cada frame, sino cada N milisegundos
+ * según la velocidad configurada. Esto permite velocidades < 60 FPS.
+ *
+ * MODO TURBO:
+ * Para pasar de 60 generaciones por segundo, cada frame calcula
+ * turboGenerations generaciones seguidas y solo dibuja la última. checkEnd
+ * espera con readPixels a que la GPU termine, así que solo se llama cada
+ * endCheckInterval generaciones.
+ *
+ * ALGORITMO:
+ * 1. Si la simulación no está corriendo o terminó → no hacer nada
+ * 2. Modo turbo: avanzar turboGenerations generaciones (o hasta que termine)
+ * 3. Modo normal: si pasó suficiente tiempo (según velocidad), avanzar una
+ * 4. Renderizar, medir generaciones por segundo y enviar las estadísticas
+ * 5. Solicitar siguiente frame
+ *
+ * @param {number} timestamp - Tiempo actual en milisegundos (DOMHighResTimeStamp)
+ *
+ * COMPLEJIDAD: O(1) en CPU (sin contar GPU), O(K) por frame en modo turbo
+ */
+function animate(timestamp) {
+    // Solo procesar si está corriendo y no ha terminado
+    if (isRunning && !game.hasEnded) {
+        let advanced = false;
+
+        if (turbo) {
+            // K generaciones seguidas; la comprobación de fin se muestrea
+            for (let i = 0; i < turboGenerations && !game.hasEnded; i++) {
+                generationsSinceCheck++;
+                const checkForEnd = generationsSinceCheck >= endCheckInterval;
+                if (checkForEnd) generationsSinceCheck = 0;
+                advanceGeneration(checkForEnd);
+            }
+            advanced = true;
+        } else {
+            // Calcular intervalo en milisegundos entre actualizaciones
+            // speed = generaciones por segundo
+            // interval = 1000 ms / speed
+            // Ejemplo: speed=10 → interval=100ms → 10 generaciones por segundo
+            const interval = 1000 / speed;
+
+            // Verificar si pasó suficiente tiempo desde la última actualización
+            if (timestamp - lastUpdateTime >= interval) {
+                advanceGeneration(true);
+                advanced = true;
+
+                // Actualizar timestamp de última actualización
+                lastUpdateTime = timestamp;
+            }
+        }
+
+        measureThroughput(timestamp);
+
+        if (advanced) {
+            // Renderizar estado actual en pantalla
+            render();
+
+            // Enviar estadísticas a la interfaz
+            postStats();
+        }
+    } else if (throughputStart) {
+        // Simulación detenida: la medida empieza de cero al reanudar
+        throughputStart = null;
+        gensPerSecond = 0;
+        postStats();
+    }
+
+    // Solicitar siguiente frame de animación
+    // requestFrame llama a animate ~60 veces por segundo
+    requestFrame(animate);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: advanceGeneration
+ * ----------------------------------------------------------------------------
+ *
+ * Calcula la siguiente generación (o el siguiente salto de 2^k con
+ * HashLife) y, si se pide, comprueba si la simulación ha terminado y
+ * toma la muestra de la gráfica de actividad (runHistory.record reutiliza
+ * lo que acaba de calcular checkEnd).
+ *
+ * @param {boolean} checkForEnd - Llamar a checkEnd (readPixels) en este paso
+ *
+ * COMPLEJIDAD: O(1) en CPU, O(n) si comprueba el fin
+ */
+function advanceGeneration(checkForEnd) {
+    // Calcular siguiente estado: en la GPU o, con HashLife,
+    // avanzando el quadtree 2^k generaciones
+    if (game instanceof HashLife) {
+        game.step();
+    } else {
+        computeNextState();
+    }
+
+    /**
+     * IMPORTANTE: Verificar finalización ANTES de incrementar generación
+     * Esto asegura que el contador muestre la generación correcta al terminar
+     */
+    if (checkForEnd && game.checkEnd()) {
+        // Juego terminó, incrementar generación final
+        game.nextGeneration();
+        // Detener simulación
+        isRunning = false;
+        // La interfaz muestra el mensaje de finalización (endReason) al
+        // recibir las estadísticas de este frame
+    } else {
+        // Continúa, incrementar generación
+        game.nextGeneration();
+    }
+
+    if (checkForEnd) runHistory.record(game);
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: jumpToGeneration
+ * ----------------------------------------------------------------------------
+ *
+ * Lleva la simulación a una generación y la pausa: hacia atrás al pulsar
+ * un punto de la gráfica de actividad, hacia delante en las grabaciones
+ * (recordFrame).
+ *
+ * PROCESO:
+ * 1. Si la generación ya pasó, restaurar la última copia de runHistory
+ *    anterior a ella; si no, seguir desde el estado actual
+ * 2. Avanzar sin dibujar hasta llegar justo a ella. Con HashLife cada paso
+ *    es el mayor salto 2^j (j ≤ k) que no se pasa, y k se restaura al
+ *    final (successor memoriza cada salto por separado). Solo el último
+ *    paso comprueba el fin, si se pide
+ * 3. Olvidar el historial posterior: la ejecución sigue desde ahí
+ *
+ * @param {number} generation - Generación de destino
+ * @param {boolean} [checkForEnd=false] - Comprobar el fin y tomar la
+ *        muestra de la gráfica al llegar (advanceGeneration)
+ * @throws {Error} Si la generación no es válida o ya pasó y no hay copias
+ *                 anteriores
+ *
+ * COMPLEJIDAD: O(generaciones desde la copia × n); con HashLife,
+ *              O(log(generaciones)) saltos
+ */
+function jumpToGeneration(generation, checkForEnd = false) {
+    if (!Number.isInteger(generation) || generation < 0) {
+        throw new Error('La generación debe ser un entero no negativo');
+    }
+
+    // PASO 1: Copia, solo hacia atrás
+    if (generation < game.generation) {
+        const keyframe = runHistory.findKeyframe(generation);
+        if (!keyframe) {
+            throw new Error(`No hay historial guardado para volver a la generación ${generation}`);
+        }
+        game.restoreSnapshot(keyframe.snapshot);
+    }
+    isRunning = false;
+    generationsSinceCheck = 0;
+
+    // PASO 2: Avanzar
+    const exponent = game instanceof HashLife ? game.stepExponent : 0;
+    try {
+        while (game.generation < generation) {
+            let j = exponent;
+            while (game.generation + 2 ** j > generation) j--;
+            if (game instanceof HashLife) game.stepExponent = j;
+            advanceGeneration(checkForEnd && game.generation + 2 ** j === generation);
+        }
+    } finally {
+        if (game instanceof HashLife) game.stepExponent = exponent;
+    }
+    game.countAliveCells();
+
+    // PASO 3: Olvidar lo posterior
+    runHistory.truncate(game);
+    render();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: measureThroughput
+ * ----------------------------------------------------------------------------
+ *
+ * Mide las generaciones por segundo reales: generaciones avanzadas (según
+ * el contador del motor, así cuenta los saltos de HashLife) entre el
+ * inicio de la ventana y ahora, cada THROUGHPUT_WINDOW milisegundos.
+ *
+ * @param {number} timestamp - Tiempo actual en milisegundos
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function measureThroughput(timestamp) {
+    // Primera medida, o el contador volvió a 0 (patrón nuevo)
+    if (!throughputStart || game.generation < throughputStart.generation) {
+        throughputStart = { time: timestamp, generation: game.generation };
+        return;
+    }
+
+    const elapsed = timestamp - throughputStart.time;
+    if (elapsed >= THROUGHPUT_WINDOW) {
+        gensPerSecond = Math.round((game.generation - throughputStart.generation) * 1000 / elapsed);
+        throughputStart = { time: timestamp, generation: game.generation };
+    }
+}
+
+/**
+ * ============================================================================
+ * MOTORES Y CUADRÍCULA
+ * ============================================================================
+ */
+
+/**
+ * Comprueba que una regla puede simularse en una cuadrícula de ancho × alto.
+ * En la rejilla hexagonal las filas impares están desplazadas: si los
+ * bordes superior e inferior se unen, el alto de la región debe ser par
+ * (parseRule ya lo comprueba cuando la topología indica el tamaño).
+ *
+ * @param {Object} rule - Regla devuelta por parseRule
+ * @param {number} width - Ancho de la cuadrícula en células
+ * @param {number} height - Alto de la cuadrícula en células
+ * @throws {Error} Si la regla no encaja en la cuadrícula
+ */
+function checkGridForRule(rule, width, height) {
+    const bounds = resolveTopology(rule.topology, width, height);
+    if (rule.neighbourhood === 'hexagonal' && bounds.modes[1] === 1 && bounds.height % 2 === 1) {
+        throw new Error('En la rejilla hexagonal el alto de la cuadrícula debe ser par');
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setEngine
+ * ----------------------------------------------------------------------------
+ *
+ * Cambia el motor de simulación conservando las células visibles.
+ *
+ * MOTORES:
+ * - 'gpu': GameOfLife, texturas ping-pong y compute shader
+ * - 'hashlife': HashLife, quadtree memorizado en un universo ilimitado
+ *   (se dibuja la vista de width × height células)
+ * - 'packed': PackedLife, como 'gpu' pero con 32 células por texel
+ * - 'tiled': TiledLife, teselas con halo en un mundo mayor que una textura
+ *   (se dibuja la vista de un mundo de options.worldWidth × worldHeight)
+ *
+ * PROCESO:
+ * 1. Crear el motor nuevo con el tamaño y la regla actuales (HashLife,
+ *    PackedLife y TiledLife lanzan un error si no admiten la regla o el
+ *    tamaño)
+ * 2. Pasarle el estado del motor anterior (readState / loadState)
+ * 3. Liberar los recursos WebGL del motor anterior
+ *
+ * @param {string} name - 'gpu', 'hashlife', 'packed' o 'tiled'
+ * @param {Object} options - { stepExponent } para HashLife,
+ *                           { worldWidth, worldHeight } para TiledLife
+ * @throws {Error} Si el motor no admite la regla o el tamaño (se conserva
+ *                 el motor actual)
+ *
+ * COMPLEJIDAD: O(n) donde n = width × height
+ */
+function setEngine(name, options = {}) {
+    let engine;
+    if (name === 'hashlife') {
+        engine = new HashLife(gl, game.width, game.height, game.rule);
+    } else if (name === 'packed') {
+        engine = new PackedLife(gl, game.width, game.height, game.rule);
+    } else if (name === 'tiled') {
+        engine = new TiledLife(
+            gl, game.width, game.height, game.rule,
+            options.worldWidth, options.worldHeight
+        );
+    } else {
+        engine = new GameOfLife(gl, game.width, game.height, game.rule);
+    }
+
+    engine.loadState(game.readState());
+    if (engine instanceof HashLife && options.stepExponent !== undefined) {
+        engine.setStepExponent(options.stepExponent);
+    }
+    game.dispose();
+    game = engine;
+
+    render();
+}
+
+/**
+ * Nombre del motor activo, tal como lo recibe setEngine.
+ *
+ * @returns {string} 'gpu', 'hashlife', 'packed' o 'tiled'
+ */
+function getEngineName() {
+    if (game instanceof HashLife) return 'hashlife';
+    if (game instanceof PackedLife) return 'packed';
+    if (game instanceof TiledLife) return 'tiled';
+    return 'gpu';
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: getMaxGridSize
+ * ----------------------------------------------------------------------------
+ *
+ * Lado máximo de la cuadrícula que admite la GPU: la textura no puede
+ * superar MAX_TEXTURE_SIZE y el viewport del compute shader (un fragmento
+ * por célula) tampoco MAX_VIEWPORT_DIMS.
+ *
+ * @returns {number[]} [ancho máximo, alto máximo] en células
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function getMaxGridSize() {
+    const maxTexture = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return [Math.min(maxTexture, maxViewport[0]), Math.min(maxTexture, maxViewport[1])];
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: resizeCanvas
+ * ----------------------------------------------------------------------------
+ *
+ * Ajusta el canvas a las dimensiones de la cuadrícula.
+ *
+ * ESCALA:
+ * - Cuadrículas de hasta CANVAS_SIZE: un número entero de píxeles por
+ *   célula (escala = floor(CANVAS_SIZE / lado mayor)), sin deformarlas
+ * - Cuadrículas mayores: un píxel por célula; el CSS (max-width) reduce
+ *   el canvas en pantalla si no cabe
+ *
+ * EJEMPLO:
+ * - 128×64 → escala 4 → canvas 512×256
+ * - 2048×256 → escala 1 → canvas 2048×256
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function resizeCanvas() {
+    const scale = Math.max(1, Math.floor(CANVAS_SIZE / Math.max(game.width, game.height)));
+    gl.canvas.width = game.width * scale;
+    gl.canvas.height = game.height * scale;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: resizeGrid
+ * ----------------------------------------------------------------------------
+ *
+ * Cambia el tamaño de la cuadrícula sin recargar la página. El patrón
+ * actual se conserva centrado (GameOfLife.resize rellena o recorta).
+ *
+ * VALIDACIÓN:
+ * - Enteros entre 1 y getMaxGridSize() en cada eje
+ * - La regla activa debe encajar en la nueva cuadrícula (checkGridForRule)
+ * - Con el motor empaquetado, el ancho debe ser múltiplo de 32
+ * - Con el motor por teselas, la vista debe caber en el mundo
+ *
+ * @param {number} width - Nuevo ancho en células
+ * @param {number} height - Nuevo alto en células
+ * @throws {Error} Si el tamaño no es válido (la cuadrícula no cambia)
+ *
+ * COMPLEJIDAD: O(n + m) donde n, m = células antes y después
+ */
+function resizeGrid(width, height) {
+    const [maxWidth, maxHeight] = getMaxGridSize();
+    if (!Number.isInteger(width) || width < 1 || width > maxWidth) {
+        throw new Error(`El ancho debe ser un entero entre 1 y ${maxWidth}`);
+    }
+    if (!Number.isInteger(height) || height < 1 || height > maxHeight) {
+        throw new Error(`El alto debe ser un entero entre 1 y ${maxHeight}`);
+    }
+    checkGridForRule(game.rule, width, height);
+    if (game instanceof PackedLife) {
+        PackedLife.checkRule(game.rule, width, height);
+    }
+    if (game instanceof TiledLife) {
+        TiledLife.checkWorldSize(game.worldWidth, game.worldHeight, width, height);
+    }
+
+    game.resize(width, height);
+    resizeCanvas();
+
+    render();
+}
+
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: setRule
+ * ----------------------------------------------------------------------------
+ *
+ * Aplica un rulestring al simulador principal.
+ *
+ * PROCESO:
+ * 1. Parsear el rulestring (parseRule lanza un error si no es válido)
+ * 2. Comprobar que la regla encaja en la cuadrícula y en el motor
+ * 3. Cambiar la regla del juego (conserva las células actuales)
+ * 4. Recompilar el compute shader para el vecindario de la regla
+ *
+ * La interfaz cambia la regla de las previsualizaciones al recibir las
+ * estadísticas con el rulestring nuevo.
+ *
+ * @param {string} rulestring - Regla en notación B/S (ej: "B36/S23") o
+ *                              Larger than Life (ej: "R5,C0,M1,S34..58,B34..45,NM")
+ * @throws {Error} Si el rulestring no es válido o el motor no admite la regla
+ *
+ * COMPLEJIDAD: O(1) sin contar la recompilación del shader
+ */
+function setRule(rulestring) {
+    const rule = parseRule(rulestring);
+    checkGridForRule(rule, game.width, game.height);
+    // HashLife, PackedLife y TiledLife rechazan las reglas que no pueden simular
+    game.setRule(rule);
+    compileComputeProgram(rule);
+
+    // La rejilla (cuadrada o hexagonal) puede haber cambiado
+    render();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: importPattern
+ * ----------------------------------------------------------------------------
+ *
+ * Carga un archivo de patrón (RLE, plaintext, Life 1.05/1.06 o Macrocell)
+ * en el centro de la cuadrícula (de la vista con HashLife y TiledLife).
+ *
+ * PASO 1: Leer el archivo en el formato que se reconozca (parsePattern,
+ *         patternfiles.js)
+ * PASO 2: Macrocell trae un quadtree: HashLife lo carga entero; los demás
+ *         motores, solo la parte central que cabe en la cuadrícula
+ *         (cropMacrocell)
+ * PASO 3: Comprobar, antes de cambiar nada, la regla del archivo (o la
+ *         activa si no trae), que sus estados alcanzan para las células y
+ *         que el patrón cabe (HashLife no tiene bordes)
+ * PASO 4: Cambiar a la regla del archivo si es distinta (setRule: el
+ *         motor puede rechazarla)
+ * PASO 5: Cargar las células (loadPattern) o el quadtree (loadTree)
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { format, name, author, comments, width, height,
+ *          cells, cropped } para la interfaz (cells = número de células no
+ *          muertas; cropped = { width, height } de la parte cargada si no
+ *          cabía, o null)
+ * @throws {Error} Si el archivo no es válido o no se puede cargar (la
+ *                 simulación no cambia)
+ *
+ * COMPLEJIDAD: O(longitud del texto + n + p); con Macrocell y HashLife,
+ *              O(longitud del texto)
+ */
+function importPattern(text) {
+    // PASO 1: Archivo
+    const file = parsePattern(text);
+
+    // PASO 2: Quadtree
+    const loadTree = file.tree && game instanceof HashLife;
+    const pattern = file.tree && !loadTree ? cropMacrocell(file, game.width, game.height) : file;
+
+    // PASO 3: Comprobaciones
+    const rule = pattern.rulestring === null ? game.rule : parseRule(pattern.rulestring);
+    if (pattern.states > rule.states) {
+        throw new Error(`El patrón usa ${pattern.states} estados y la regla ${rule.rulestring} solo ${rule.states}`);
+    }
+    if (!(game instanceof HashLife) && (pattern.width > game.width || pattern.height > game.height)) {
+        throw new Error(
+            `El patrón (${pattern.width}×${pattern.height}) no cabe en la cuadrícula ` +
+            `(${game.width}×${game.height})`
+        );
+    }
+
+    // PASO 4: Regla
+    if (rule.rulestring !== game.rule.rulestring) {
+        setRule(rule.rulestring);
+    }
+
+    // PASO 5: Células
+    if (loadTree) {
+        game.loadTree(pattern.tree);
+    } else {
+        game.loadPattern(pattern.cells);
+    }
+    render();
+
+    return {
+        format: file.format,
+        name: file.name,
+        author: file.author,
+        comments: file.comments,
+        width: file.width,
+        height: file.height,
+        cells: loadTree ? file.population : pattern.cells.length,
+        cropped: pattern.cropped ? { width: pattern.width, height: pattern.height } : null
+    };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: exportPattern
+ * ----------------------------------------------------------------------------
+ *
+ * Escribe todas las células o las de una selección en uno de los formatos
+ * de PATTERN_FORMATS (patternfiles.js), con la regla activa si el formato
+ * la admite. El formato 'array' da una entrada de PATTERNS lista para el
+ * catálogo.
+ *
+ * REGIÓN:
+ * - Sin selección: la caja envolvente del estado (getStateFingerprint),
+ *   leída con readRegion; con HashLife incluye lo que está fuera de la
+ *   vista
+ * - Con selección: el rectángulo de la vista (coordenadas de la
+ *   cuadrícula, origen abajo), leído de readState como lo ve la interfaz
+ * - Macrocell con HashLife y sin selección: el quadtree del universo tal
+ *   cual (saveSnapshot), sin límite de tamaño ni paso por células
+ *
+ * @param {Object|null} region - { x, y, width, height } o null
+ * @param {string} format - 'rle', 'cells', 'life105', 'life106',
+ *        'macrocell' o 'array'
+ * @returns {{text: string, filename: string}} Archivo y nombre propuesto
+ * @throws {Error} Si no hay células, la selección se sale de la vista, la
+ *                 región es demasiado grande o el formato no admite sus
+ *                 estados
+ *
+ * COMPLEJIDAD: O(width × height) de la región (O(n) con selección; O(nodos
+ *              distintos) con Macrocell y HashLife)
+ */
+function exportPattern(region, format = 'rle') {
+    if (!PATTERN_FORMATS[format]) {
+        throw new Error(`Formato de patrón desconocido: ${format}`);
+    }
+
+    const pattern = {
+        comments: [`Generación ${game.generation}`],
+        rulestring: game.rule.rulestring,
+        states: game.rule.states
+    };
+
+    let width, height, codes;
+    if (region) {
+        const { x, y } = region;
+        ({ width, height } = region);
+        if (![x, y, width, height].every(Number.isInteger) || width < 1 || height < 1 ||
+            x < 0 || y < 0 || x + width > game.width || y + height > game.height) {
+            throw new Error('La selección debe estar dentro de la cuadrícula');
+        }
+        const view = cellCodes(game.readState());
+        codes = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const start = (y + row) * game.width + x;
+            codes.set(view.subarray(start, start + width), row * width);
+        }
+    } else {
+        if (game.countAliveCells() === 0 && game.dyingCells === 0) {
+            throw new Error('No hay células que exportar');
+        }
+        if (format === 'macrocell' && game instanceof HashLife) {
+            pattern.tree = game.saveSnapshot().root;
+        } else {
+            const bounds = game.getStateFingerprint();
+            ({ width, height } = bounds);
+            if (width * height > END_MAX_SNAPSHOT_CELLS) {
+                throw new Error(`El patrón ocupa ${width}×${height} células: demasiado para exportarlo`);
+            }
+            codes = game.readRegion(bounds.x, bounds.y, width, height);
+        }
+    }
+
+    if (!pattern.tree) {
+        Object.assign(pattern, { width, height, cells: codesToCells(codes, width, height) });
+    }
+    const text = writePattern(pattern, format);
+    return { text, filename: `patron-${game.generation}.${PATTERN_FORMATS[format].extension}` };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: captureSize
+ * ----------------------------------------------------------------------------
+ *
+ * Valida una captura de captureBoard sin dibujar nada y devuelve su
+ * tamaño en píxeles. startRecording la usa para fallar antes de mover la
+ * simulación.
+ *
+ * @param {number} scale - Píxeles por célula (1..IMAGE_MAX_SCALE)
+ * @param {Object|null} [region] - { x, y, width, height } en coordenadas
+ *        de la cuadrícula, o null para toda
+ * @returns {{width: number, height: number}} Tamaño de la imagen
+ * @throws {Error} Si la escala o la región no son válidas, o la imagen
+ *                 supera el tamaño que admite la GPU o IMAGE_MAX_PIXELS
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function captureSize(scale, region = null) {
+    if (!Number.isInteger(scale) || scale < 1 || scale > IMAGE_MAX_SCALE) {
+        throw new Error(`Los píxeles por célula deben ser un entero entre 1 y ${IMAGE_MAX_SCALE}`);
+    }
+    if (region) {
+        const { x, y, width, height } = region;
+        if (![x, y, width, height].every(Number.isInteger) || width < 1 || height < 1 ||
+            x < 0 || y < 0 || x + width > game.width || y + height > game.height) {
+            throw new Error('La selección debe estar dentro de la cuadrícula');
+        }
+    }
+
+    const width = (region ? region.width : game.width) * scale;
+    const height = (region ? region.height : game.height) * scale;
+    const [maxWidth, maxHeight] = getMaxGridSize();
+    if (width > maxWidth || height > maxHeight || width * height > IMAGE_MAX_PIXELS) {
+        throw new Error(`La imagen (${width}×${height} píxeles) es demasiado grande: usa menos píxeles por célula`);
+    }
+    return { width, height };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: captureBoard
+ * ----------------------------------------------------------------------------
+ *
+ * Píxeles de la cuadrícula (de la vista con HashLife y TiledLife) como la
+ * dibuja el display shader, con el modo de dibujo y el mapa de color
+ * activos, a scale píxeles por célula. Lo usan el PNG (exportImage) y las
+ * grabaciones (startRecording).
+ *
+ * PROCESO:
+ * 1. Medir la imagen (captureSize), agrandar el canvas a scale píxeles
+ *    por célula de la región (o de toda la cuadrícula) y dibujar solo la
+ *    región (setTextureRegion; render ajusta el viewport al canvas)
+ * 2. Leer los píxeles con readPixels antes de devolver el control: el
+ *    navegador aún no ha mostrado ni borrado el dibujo
+ * 3. Devolver el canvas y las coordenadas de textura a lo normal y volver
+ *    a dibujar
+ * 4. Filas de arriba abajo (images.js)
+ *
+ * @param {number} scale - Píxeles por célula (1..IMAGE_MAX_SCALE)
+ * @param {Object|null} [region] - { x, y, width, height } en coordenadas
+ *        de la cuadrícula (origen abajo), o null para toda
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ *          Píxeles RGBA (fila 0 arriba) para un ImageData
+ * @throws {Error} Los de captureSize
+ *
+ * COMPLEJIDAD: O(células de la región × scale²)
+ */
+function captureBoard(scale, region = null) {
+    const { width, height } = captureSize(scale, region);
+
+    // PASOS 1 y 2: Dibujar la región a la escala pedida y leer
+    gl.canvas.width = width;
+    gl.canvas.height = height;
+    setTextureRegion(region);
+    render();
+    const data = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+
+    // PASO 3: Canvas de la pantalla
+    setTextureRegion(null);
+    resizeCanvas();
+    render();
+
+    // PASO 4: Imagen
+    return { width, height, pixels: flipImageRows(data, width, height) };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: exportImage
+ * ----------------------------------------------------------------------------
+ *
+ * Imagen del tablero para descargar como PNG (captureBoard), con líneas
+ * entre las células si se piden.
+ *
+ * @param {number} scale - Píxeles por célula (1..IMAGE_MAX_SCALE)
+ * @param {boolean} grid - Dibujar líneas entre las células
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray,
+ *          filename: string}} Píxeles y nombre propuesto
+ * @throws {Error} Los de captureBoard, o si se piden líneas con la rejilla
+ *                 hexagonal o con 1 píxel por célula
+ *
+ * COMPLEJIDAD: O(width × height × scale²)
+ */
+function exportImage(scale, grid) {
+    if (grid && scale < 2) {
+        throw new Error('Las líneas de la rejilla necesitan al menos 2 píxeles por célula');
+    }
+    if (grid && game.rule.neighbourhood === 'hexagonal') {
+        throw new Error('Las líneas de la rejilla no se pueden dibujar con la rejilla hexagonal');
+    }
+
+    const image = captureBoard(scale);
+    if (grid) drawGridLines(image.pixels, image.width, image.height, scale);
+    return { ...image, filename: `tablero-${game.generation}.png` };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: importImage
+ * ----------------------------------------------------------------------------
+ *
+ * Carga como estado una imagen ya reducida al tamaño de la cuadrícula (de
+ * la vista con HashLife y TiledLife): umbral y tramado con
+ * imageToStateData (images.js) y subida con loadState, el mismo camino
+ * que randomize.
+ *
+ * @param {Uint8ClampedArray} pixels - game.width × game.height × 4 bytes
+ *        RGBA, fila 0 arriba
+ * @param {number} width - Ancho de la imagen (el de la cuadrícula)
+ * @param {number} height - Alto de la imagen (el de la cuadrícula)
+ * @param {Object} options - { threshold, dither, invert } (ver
+ *        imageToStateData)
+ * @throws {Error} Si la imagen no tiene el tamaño de la cuadrícula (cambió
+ *                 mientras se preparaba) o el umbral no es válido
+ *
+ * COMPLEJIDAD: O(width × height)
+ */
+function importImage(pixels, width, height, options) {
+    if (width !== game.width || height !== game.height) {
+        throw new Error(`La imagen debe tener el tamaño de la cuadrícula (${game.width}×${game.height})`);
+    }
+    game.loadState(imageToStateData(pixels, width, height, options));
+    render();
+}
+
+/**
+ * ============================================================================
+ * GRABACIÓN (GIF Y WEBM)
+ * ============================================================================
+ *
+ * La interfaz (recorder.js) pide los fotogramas de uno en uno: startRecording
+ * prepara la grabación y envía el primero, y cada recordFrame avanza hasta
+ * la generación del siguiente y lo envía. Así la simulación nunca se
+ * adelanta al codificador, que puede ser lento (GIF) o ir al ritmo del
+ * vídeo (WebM), y cancelar es no pedir más (stopRecording).
+ *
+ * El fin se comprueba una vez por fotograma: si la simulación termina
+ * (extinción, estado estable o bucle), ese fotograma es el último y la
+ * grabación se cierra antes de to.
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: startRecording
+ * ----------------------------------------------------------------------------
+ *
+ * Prepara la grabación de las generaciones from, from + stride, ... hasta
+ * to, y devuelve el primer fotograma.
+ *
+ * PROCESO:
+ * 1. Validar el rango, el paso y la captura (captureSize, sin dibujar)
+ * 2. Pausar: recordFrame lleva la simulación a from (jumpToGeneration)
+ * 3. Capturar el primer fotograma
+ *
+ * @param {Object} options - { from, to, stride, scale, region }
+ * @param {number} options.from - Primera generación
+ * @param {number} options.to - Última generación (≥ from)
+ * @param {number} options.stride - Generaciones entre fotogramas (≥ 1)
+ * @param {number} options.scale - Píxeles por célula (ver captureBoard)
+ * @param {Object|null} [options.region] - Recorte en coordenadas de la
+ *        cuadrícula, o null para toda
+ * @returns {Object} Mensaje 'recordFrame' del primer fotograma
+ * @throws {Error} Si el rango o el paso no son válidos, hay demasiados
+ *                 fotogramas, from ya pasó y no hay historial para volver,
+ *                 la simulación ya terminó antes de from, o la captura no
+ *                 es posible
+ *
+ * COMPLEJIDAD: O(generaciones hasta from × n + fotograma)
+ */
+function startRecording(options) {
+    const { from, to, stride, scale, region = null } = options;
+
+    // PASO 1: Validar
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+        throw new Error('Las generaciones deben ser enteros no negativos, con la última no antes de la primera');
+    }
+    if (!Number.isInteger(stride) || stride < 1) {
+        throw new Error('El paso entre fotogramas debe ser un entero positivo');
+    }
+    const total = Math.floor((to - from) / stride) + 1;
+    if (total > RECORD_MAX_FRAMES) {
+        throw new Error(`La grabación tendría ${total} fotogramas (máximo ${RECORD_MAX_FRAMES}): usa un paso mayor`);
+    }
+    if (game.hasEnded && from >= game.generation) {
+        throw new Error(`La simulación terminó en la generación ${game.generation}: graba desde una anterior`);
+    }
+    captureSize(scale, region);
+
+    // PASO 2: Pausar
+    isRunning = false;
+
+    // PASO 3: Primer fotograma
+    recording = { from, stride, total, scale, region, index: 0 };
+    return recordFrame();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: recordFrame
+ * ----------------------------------------------------------------------------
+ *
+ * Lleva la simulación a la generación del siguiente fotograma de la
+ * grabación (jumpToGeneration, sin dibujar las intermedias y comprobando
+ * el fin al llegar) y lo captura. Tras el último, o si la simulación ha
+ * terminado, la grabación termina: el mensaje lleva entonces total =
+ * index + 1 y la interfaz cierra el archivo.
+ *
+ * @returns {Object} Mensaje 'recordFrame': { type, index, total,
+ *          generation, width, height, pixels }
+ * @throws {Error} Si no hay grabación en curso, o ir a la generación o la
+ *                 captura fallan (la grabación se cancela)
+ *
+ * COMPLEJIDAD: O(stride × n + fotograma); con HashLife,
+ *              O(log(stride)) saltos + fotograma
+ */
+function recordFrame() {
+    if (!recording) {
+        throw new Error('No hay ninguna grabación en curso');
+    }
+
+    const target = recording.from + recording.index * recording.stride;
+    let image;
+    try {
+        jumpToGeneration(target, true);
+        image = captureBoard(recording.scale, recording.region);
+    } catch (error) {
+        recording = null;
+        throw error;
+    }
+    const frame = {
+        type: 'recordFrame',
+        index: recording.index,
+        total: game.hasEnded ? recording.index + 1 : recording.total,
+        generation: game.generation,
+        ...image
+    };
+
+    recording.index++;
+    if (recording.index === frame.total) recording = null;
+    return frame;
+}
+
+/**
+ * ============================================================================
+ * PROTOCOLO DE MENSAJES
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: getStats
+ * ----------------------------------------------------------------------------
+ *
+ * Estado de la simulación que necesita la interfaz. Solo datos clonables
+ * (postMessage no admite el motor ni la regla con sus tablas).
+ *
+ * @returns {Object} Mensaje 'stats'
+ *
+ * COMPLEJIDAD: O(1)
+ */
+function getStats() {
+    return {
+        type: 'stats',
+        generation: game.generation,
+        aliveCells: game.aliveCells,
+        dyingCells: game.dyingCells,
+        running: isRunning,
+        hasEnded: game.hasEnded,
+        endReason: game.endReason,
+        endConfirmed: game.endConfirmed,
+        speed,
+        gensPerSecond,
+        turbo,
+        turboGenerations,
+        endCheckInterval,
+        rulestring: game.rule.rulestring,
+        width: game.width,
+        height: game.height,
+        engine: getEngineName(),
+        // Solo HashLife (salto 2^k) y TiledLife (mundo y teselas)
+        stepExponent: game instanceof HashLife ? game.stepExponent : null,
+        worldWidth: game instanceof TiledLife ? game.worldWidth : null,
+        worldHeight: game instanceof TiledLife ? game.worldHeight : null,
+        tileCount: game instanceof TiledLife ? game.tiles.size : null,
+        renderMode,
+        colorMap,
+        cellHistory: hasCellHistory(),
+        recording: recording !== null
+    };
+}
+
+/**
+ * Envía las estadísticas actuales a la interfaz, precedidas de las
+ * muestras nuevas de la gráfica de actividad si las hay.
+ *
+ * COMPLEJIDAD: O(muestras pendientes)
+ */
+function postStats() {
+    const history = runHistory.takeMessage();
+    if (history) postToUI(history);
+    postToUI(getStats());
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * FUNCIÓN: handleCommand
+ * ----------------------------------------------------------------------------
+ *
+ * Ejecuta una orden de la interfaz y responde con las estadísticas. Si la
+ * orden falla, antes envía { type: 'error', command, message } para que la
+ * interfaz muestre el mensaje junto al control que la envió.
+ *
+ * @param {Object} message - { type, ...datos de la orden }
+ *
+ * COMPLEJIDAD: la de la orden (O(1) para start/pause, O(n) para randomize...)
+ */
+function handleCommand(message) {
+    try {
+        switch (message.type) {
+            case 'start':
+                // Durante una grabación los fotogramas marcan el avance
+                if (!game.hasEnded && !recording) isRunning = true;
+                break;
+
+            case 'pause':
+                isRunning = false;
+                break;
+
+            case 'randomize':
+                game.randomize();
+                render();
+                runHistory.restart(game);
+                break;
+
+            case 'clear':
+                game.clear();
+                render();
+                runHistory.restart(game);
+                break;
+
+            case 'loadPattern':
+                game.loadPattern(message.name);
+                render();
+                runHistory.restart(game);
+                break;
+
+            case 'draw':
+                // Una célula en coordenadas de la cuadrícula (origen abajo)
+                game.drawCell(message.x, message.y, message.alive);
+                render();
+                break;
+
+            case 'drawEnd':
+                // Resetear estadísticas al terminar el trazo
+                game.reset();
+                runHistory.restart(game);
+                break;
+
+            case 'setSpeed':
+                speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, message.speed));
+                break;
+
+            case 'setTurbo':
+                // Cada campo es opcional: el botón solo cambia enabled
+                if (message.enabled !== undefined) {
+                    turbo = message.enabled;
+                    generationsSinceCheck = 0;
+                }
+                if (message.generations !== undefined) turboGenerations = message.generations;
+                if (message.endCheckInterval !== undefined) endCheckInterval = message.endCheckInterval;
+                break;
+
+            case 'setRule':
+                setRule(message.rulestring);
+                runHistory.restart(game);
+                break;
+
+            case 'setEngine':
+                setEngine(message.name, message);
+                runHistory.restart(game);
+                break;
+
+            case 'setStepExponent':
+                game.setStepExponent(message.exponent);
+                break;
+
+            case 'setWorldSize':
+                game.setWorldSize(message.width, message.height);
+                render();
+                runHistory.restart(game);
+                break;
+
+            case 'resize':
+                resizeGrid(message.width, message.height);
+                runHistory.restart(game);
+                break;
+
+            case 'pan':
+                // Un cuarto de la vista por pulsación (con la GPU no hay nada fuera)
+                if (game instanceof HashLife || game instanceof TiledLife) {
+                    game.panView(
+                        message.dx * Math.max(1, Math.floor(game.width / 4)),
+                        message.dy * Math.max(1, Math.floor(game.height / 4))
+                    );
+                    render();
+                }
+                break;
+
+            case 'center':
+                game.centerView();
+                render();
+                break;
+
+            case 'jumpTo':
+                // Punto pulsado en la gráfica de actividad
+                jumpToGeneration(message.generation);
+                break;
+
+            case 'setRenderMode':
+                setRenderMode(message.mode, message.colorMap);
+                break;
+
+            case 'importPattern':
+                // Archivo abierto en la interfaz (patternfiles.js)
+                postToUI({ type: 'patternInfo', ...importPattern(message.text) });
+                runHistory.restart(game);
+                break;
+
+            case 'exportPattern':
+                postToUI({ type: 'pattern', ...exportPattern(message.region, message.format) });
+                break;
+
+            case 'exportImage':
+                postToUI({ type: 'image', ...exportImage(message.scale, message.grid) });
+                break;
+
+            case 'importImage':
+                // Imagen reducida en la interfaz (images.js)
+                importImage(message.pixels, message.width, message.height, message);
+                runHistory.restart(game);
+                break;
+
+            case 'startRecording':
+                postToUI(startRecording(message));
+                break;
+
+            case 'recordFrame':
+                // La interfaz codificó el anterior (recorder.js)
+                postToUI(recordFrame());
+                break;
+
+            case 'stopRecording':
+                // Cancelar: no se piden más fotogramas
+                recording = null;
+                break;
+
+            case 'census':
+                // Islas clasificadas del estado actual (census.js)
+                postToUI({ type: 'census', census: takeCensus(game) });
+                break;
+
+            case 'stats':
+                break;
+
+            default:
+                throw new Error(`Orden desconocida: ${message.type}`);
+        }
+    } catch (error) {
+        postToUI({ type: 'error', command: message.type, message: error.message });
+    }
+    postStats();
+}
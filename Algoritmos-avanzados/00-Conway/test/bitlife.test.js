@@ -0,0 +1,142 @@
+/**
+ * Pruebas del motor en CPU (bitlife.js): osciladores y naves conocidos,
+ * huellas invariantes por traslación y las reglas que no admite.
+ * Ejecutar con: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const BitLife = require('../bitlife.js');
+const { parseRule } = require('../rules.js');
+
+// Osciladores del catálogo y su periodo
+const OSCILLATORS = { blinker: 2, toad: 2, beacon: 2, pulsar: 3, pentadecathlon: 15 };
+
+// Naves del catálogo: periodo y velocidad
+const SPACESHIPS = { glider: [4, 'c/4'], lwss: [4, 'c/2'], mwss: [4, 'c/2'], hwss: [4, 'c/2'] };
+
+// Reglas que BitLife no admite (ver LÍMITES en bitlife.js) y su error
+const UNSUPPORTED_RULES = {
+    'B2/S/C3': 'BitLife solo admite reglas de dos estados (sin Generations)',
+    'B2/S34H': 'BitLife solo admite vecindarios de Moore o von Neumann de radio 1',
+    'R2,C0,M0,S2..3,B3..3,NM': 'BitLife solo admite vecindarios de Moore o von Neumann de radio 1',
+    'B3/S23:P50,30': 'BitLife solo admite topologías del tamaño de la cuadrícula'
+};
+
+/**
+ * Células vivas de un motor como texto "x,y" (para comparar estados).
+ */
+function aliveCells(life) {
+    const cells = [];
+    for (let y = 0; y < life.height; y++) {
+        for (let x = 0; x < life.width; x++) {
+            if (life.getCell(x, y)) cells.push(`${x},${y}`);
+        }
+    }
+    return cells;
+}
+
+for (const [name, period] of Object.entries(OSCILLATORS)) {
+    test(`${name} vuelve a su estado cada ${period} generaciones`, () => {
+        const life = new BitLife(64, 64);
+        life.loadPattern(name);
+        const initial = aliveCells(life);
+        for (let i = 1; i <= period; i++) {
+            life.step();
+            life.nextGeneration();
+            if (i < period) assert.notDeepStrictEqual(aliveCells(life), initial);
+        }
+        assert.deepStrictEqual(aliveCells(life), initial);
+
+        life.loadPattern(name);
+        life.run(200);
+        assert.strictEqual(life.endReason, `BUCLE PERIÓDICO - Periodo de ${period} generaciones desde la generación 0`);
+        assert.ok(life.endConfirmed);
+    });
+}
+
+for (const [name, [period, speed]] of Object.entries(SPACESHIPS)) {
+    test(`${name} es una nave de periodo ${period} a ${speed}`, () => {
+        const life = new BitLife(64, 64);
+        life.loadPattern(name);
+        const population = life.aliveCells;
+        life.run(200);
+        assert.match(life.endReason, new RegExp(`^NAVE ESPACIAL - periodo ${period}, .*velocidad ${speed}, desde la generación 0$`));
+        assert.ok(life.endConfirmed);
+        assert.strictEqual(life.countAliveCells(), population);
+    });
+}
+
+test('la huella no depende de la posición del patrón', () => {
+    const a = new BitLife(64, 64);
+    const b = new BitLife(64, 64);
+    const glider = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+    a.loadPattern(glider);
+    glider.forEach(([x, y]) => b.setCell(x + 17, y + 5, true));
+
+    const fa = a.getStateFingerprint();
+    const fb = b.getStateFingerprint();
+    assert.strictEqual(fa.fingerprint, fb.fingerprint);
+    assert.notStrictEqual(fa.x, fb.x);
+    assert.strictEqual(fa.width, 3);
+    assert.strictEqual(fa.height, 3);
+});
+
+test('patrones distintos tienen huellas distintas', () => {
+    const a = new BitLife(64, 64);
+    const b = new BitLife(64, 64);
+    a.loadPattern('blinker');
+    b.loadPattern('block');
+    assert.notStrictEqual(a.getStateFingerprint().fingerprint, b.getStateFingerprint().fingerprint);
+});
+
+test('una fila de Thue–Morse y su complementaria tienen huellas distintas', () => {
+    // Módulo 2^32 coincidían siempre: Σ ±a^x con los signos de Thue–Morse
+    // es múltiplo de 2^32 para cualquier base impar a partir de 128 células
+    const a = new BitLife(128, 64);
+    const b = new BitLife(128, 64);
+    for (let x = 0; x < 128; x++) {
+        const odd = x.toString(2).split('1').length % 2 === 0;
+        (odd ? a : b).setCell(x, 0, true);
+    }
+    // Las mismas dos células abajo: las dos cajas son de 128 × 2
+    [a, b].forEach(life => {
+        life.setCell(0, 1, true);
+        life.setCell(127, 1, true);
+    });
+
+    const fa = a.getStateFingerprint();
+    const fb = b.getStateFingerprint();
+    assert.deepStrictEqual([fa.x, fa.y, fa.width, fa.height], [fb.x, fb.y, fb.width, fb.height]);
+    assert.notStrictEqual(fa.fingerprint, fb.fingerprint);
+});
+
+test('la huella tras redimensionar coincide con la de un motor nuevo del mismo tamaño', () => {
+    const resized = new BitLife(64, 64);
+    resized.loadPattern('pulsar');
+    resized.resize(100, 80);
+    const fresh = new BitLife(100, 80);
+    fresh.loadState(resized.readState());
+    assert.deepStrictEqual(resized.getStateFingerprint(), fresh.getStateFingerprint());
+});
+
+for (const [rulestring, message] of Object.entries(UNSUPPORTED_RULES)) {
+    test(`${rulestring} no se admite: ni al crear el motor ni con setRule`, () => {
+        const rule = parseRule(rulestring);
+        assert.throws(() => new BitLife(64, 64, rule), { message });
+
+        const life = new BitLife(64, 64);
+        life.loadPattern('glider');
+        assert.throws(() => life.setRule(rule), { message });
+        assert.strictEqual(life.rule.rulestring, 'B3/S23');
+        assert.strictEqual(life.aliveCells, 5);
+    });
+}
+
+test('resize no admite una cuadrícula mayor que la topología acotada', () => {
+    const life = new BitLife(64, 64, parseRule('B3/S23:P64,64'));
+    assert.throws(() => life.resize(100, 80), {
+        message: 'BitLife solo admite topologías del tamaño de la cuadrícula'
+    });
+    assert.strictEqual(life.width, 64);
+    assert.strictEqual(life.height, 64);
+});
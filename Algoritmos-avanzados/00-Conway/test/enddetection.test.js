@@ -0,0 +1,82 @@
+/**
+ * Pruebas de la detección de finalización (enddetection.js) con el motor
+ * en CPU (bitlife.js). Ejecutar con: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const BitLife = require('../bitlife.js');
+const { EndDetector, END_HISTORY_SIZE } = require('../enddetection.js');
+
+/**
+ * Carga un patrón del catálogo en una cuadrícula de 64×64 y lo ejecuta
+ * hasta detectar el fin.
+ */
+function runPattern(name, maxGenerations = 200) {
+    const life = new BitLife(64, 64);
+    life.loadPattern(name);
+    life.run(maxGenerations);
+    return life;
+}
+
+test('una vida estática cargada en la generación 0 es estable desde la 0', () => {
+    const life = runPattern('block');
+    assert.ok(life.hasEnded);
+    assert.ok(life.endConfirmed);
+    assert.strictEqual(life.endReason, 'ESTADO ESTABLE - El patrón no cambia desde la generación 0');
+});
+
+test('un oscilador de periodo 2 cargado en la generación 0 oscila desde la 0', () => {
+    const life = runPattern('blinker');
+    assert.ok(life.hasEnded);
+    assert.ok(life.endConfirmed);
+    assert.strictEqual(life.endReason, 'BUCLE PERIÓDICO - Periodo de 2 generaciones desde la generación 0');
+});
+
+test('una nave cargada en la generación 0 se detecta desde la 0', () => {
+    const life = runPattern('glider');
+    assert.match(life.endReason, /^NAVE ESPACIAL - periodo 4, .* velocidad c\/4, desde la generación 0$/);
+});
+
+test('un patrón que tarda en estabilizarse da el inicio exacto del ciclo', () => {
+    // Pre-bloque: se convierte en un bloque en la generación 1
+    const life = new BitLife(64, 64);
+    life.loadPattern([[0, 0], [1, 0], [0, 1]]);
+    life.run(50);
+    assert.strictEqual(life.endReason, 'ESTADO ESTABLE - El patrón no cambia desde la generación 1');
+});
+
+test('al volver a una copia guardada el inicio no se da por exacto', () => {
+    const life = new BitLife(64, 64);
+    life.loadPattern('blinker');
+    const snapshot = life.saveSnapshot();
+    life.run(1);
+    life.restoreSnapshot(snapshot);
+    life.run(200);
+    assert.strictEqual(life.endReason, 'BUCLE PERIÓDICO - Periodo de 2 generaciones desde la generación 0 o antes');
+});
+
+test('con el historial lleno, el inicio del ciclo sale de las huellas en orden', () => {
+    // Motor simulado: una huella distinta por generación hasta start y
+    // después un ciclo de periodo 700. Al confirmarlo (start + 1400) el
+    // buffer ya dio la vuelta y start queda detrás de las más recientes
+    const start = END_HISTORY_SIZE - 1000;
+    const period = 700;
+    const stateAt = g => (g < start ? g : start + (g - start) % period);
+    let generation = 0;
+    const engine = {
+        getStateFingerprint: () => ({ fingerprint: `h${stateAt(generation)}`, x: 0, y: 0, width: 1, height: 1 }),
+        readRegion: () => [stateAt(generation)]
+    };
+
+    const detector = new EndDetector();
+    let end = null;
+    for (; generation <= start + 2 * period && !end; generation++) {
+        end = detector.check(engine, generation);
+    }
+    assert.strictEqual(detector.history.length, END_HISTORY_SIZE);
+    assert.notStrictEqual(detector.head, 0);
+    assert.deepStrictEqual(end, {
+        reason: `BUCLE PERIÓDICO - Periodo de ${period} generaciones desde la generación ${start}`,
+        confirmed: true
+    });
+});
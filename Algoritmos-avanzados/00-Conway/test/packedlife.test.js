@@ -0,0 +1,52 @@
+/**
+ * Pruebas del motor empaquetado (packedlife.js) que no necesitan WebGL: el
+ * módulo se carga en Node, comprueba las reglas que admite y su tabla de
+ * vecindario coincide con la de BitLife. Ejecutar con: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const PackedLife = require('../packedlife.js');
+const GameOfLife = require('../game.js');
+const BitLife = require('../bitlife.js');
+const { parseRule } = require('../rules.js');
+
+// Reglas de vecindario 3×3: B/S de Moore y von Neumann, Hensel y Larger
+// than Life de radio 1 (con M1 la célula se cuenta a sí misma)
+const SUPPORTED_RULES = ['B3/S23', 'B36/S23', 'B2/S23V', 'B2ce3-k/S12', 'R1,C0,M1,S3..4,B3..3,NM'];
+
+// Reglas o tamaños que no admite y su error
+const UNSUPPORTED = [
+    ['B2/S/C3', 64, 'El motor empaquetado solo admite reglas de dos estados (sin Generations)'],
+    ['B2/S34H', 64, 'El motor empaquetado solo admite vecindarios de Moore o von Neumann de radio 1'],
+    ['B3/S23', 48, 'El motor empaquetado necesita un ancho múltiplo de 32'],
+    ['B3/S23:K64*,64', 64, 'El motor empaquetado solo admite toro, plano o cilindro del tamaño de la cuadrícula'],
+    ['B3/S23:P32,32', 64, 'El motor empaquetado solo admite toro, plano o cilindro del tamaño de la cuadrícula']
+];
+
+test('el módulo se carga en Node y hereda de GameOfLife', () => {
+    assert.strictEqual(typeof PackedLife, 'function');
+    assert.strictEqual(Object.getPrototypeOf(PackedLife), GameOfLife);
+});
+
+for (const rulestring of SUPPORTED_RULES) {
+    test(`${rulestring}: la tabla de vecindario coincide con la de BitLife`, () => {
+        const rule = parseRule(rulestring);
+        PackedLife.checkRule(rule, 64, 64);
+
+        const packed = PackedLife.buildNeighbourhoodTable(rule);
+        const reference = BitLife.buildTransitionTable(rule);
+        for (let mask = 0; mask < 256; mask++) {
+            for (let state = 0; state <= 1; state++) {
+                assert.strictEqual(packed[mask * 4 + state] === 255, reference[(mask << 1) | state] === 1,
+                    `máscara ${mask}, estado ${state}`);
+            }
+            assert.strictEqual(packed[mask * 4 + 3], 255);
+        }
+    });
+}
+
+for (const [rulestring, width, message] of UNSUPPORTED) {
+    test(`${rulestring} en ${width}×64 no se admite`, () => {
+        assert.throws(() => PackedLife.checkRule(parseRule(rulestring), width, 64), { message });
+    });
+}
@@ -0,0 +1,223 @@
+/**
+ * Pruebas de los archivos de patrones (patternfiles.js): cada escritor
+ * debe dar un archivo que su lector devuelva igual, también con patrones
+ * sin regla (los de plaintext y Life 1.06). Ejecutar con: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const files = require('../patternfiles.js');
+
+// Glider con nombre, autor y un comentario (y hacia arriba, como en PATTERNS)
+const GLIDER = {
+    name: 'Glider',
+    author: 'Richard K. Guy',
+    comments: ['El primer planeador descubierto'],
+    width: 3,
+    height: 3,
+    rulestring: 'B3/S23',
+    states: 2,
+    cells: [[1, 2], [2, 1], [0, 0], [1, 0], [2, 0]]
+};
+
+/**
+ * Células ordenadas como texto "x,y[,estado]" (el orden de los lectores no
+ * es el de los escritores).
+ */
+function sortedCells(cells) {
+    return cells.map(cell => cell.join(',')).sort();
+}
+
+/**
+ * El patrón sin regla, como lo devuelve parsePlaintext.
+ */
+function withoutRule(pattern) {
+    return { ...pattern, rulestring: null };
+}
+
+test('RLE: lee la cabecera, los comentarios y las células', () => {
+    const text = '#N Glider\n#O Richard K. Guy\n#C El primer planeador descubierto\n' +
+        'x = 3, y = 3, rule = B3/S23\nbob$2bo$3o!\n';
+    const pattern = files.parseRLE(text);
+    assert.strictEqual(pattern.name, 'Glider');
+    assert.strictEqual(pattern.author, 'Richard K. Guy');
+    assert.deepStrictEqual(pattern.comments, ['El primer planeador descubierto']);
+    assert.strictEqual(pattern.rulestring, 'B3/S23');
+    assert.deepStrictEqual([pattern.width, pattern.height, pattern.states], [3, 3, 2]);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('RLE: ida y vuelta de un patrón con regla', () => {
+    const text = files.writeRLE(GLIDER);
+    assert.match(text, /^x = 3, y = 3, rule = B3\/S23$/m);
+    const pattern = files.parseRLE(text);
+    for (const key of ['name', 'author', 'comments', 'width', 'height', 'rulestring', 'states']) {
+        assert.deepStrictEqual(pattern[key], GLIDER[key], key);
+    }
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('RLE: un patrón sin regla se escribe sin "rule =" y se lee sin regla', () => {
+    const text = files.writeRLE(withoutRule(GLIDER));
+    assert.match(text, /^x = 3, y = 3$/m);
+    assert.doesNotMatch(text, /rule|null/);
+    const pattern = files.parseRLE(text);
+    assert.strictEqual(pattern.rulestring, null);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('RLE: ida y vuelta de un patrón Generations con células muriendo', () => {
+    const generations = {
+        width: 4, height: 2, rulestring: 'B2/S/C4', states: 4,
+        cells: [[0, 1], [2, 1, 2], [3, 1, 3], [1, 0, 2]]
+    };
+    const text = files.writeRLE(generations);
+    const pattern = files.parseRLE(text);
+    assert.strictEqual(pattern.rulestring, 'B2/S/C4');
+    assert.strictEqual(pattern.states, 4);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(generations.cells));
+});
+
+test('RLE: filas vacías y líneas largas', () => {
+    // Una fila de 150 células alternas, tres filas vacías y una célula
+    const cells = [[0, 0]];
+    for (let x = 0; x < 150; x += 2) cells.push([x, 4]);
+    const wide = { width: 150, height: 5, rulestring: 'B3/S23', cells };
+
+    const text = files.writeRLE(wide);
+    text.trimEnd().split('\n').forEach(line => assert.ok(line.length <= files.RLE_LINE_LENGTH, line));
+    assert.match(text, /4\$o!/);
+    const pattern = files.parseRLE(text);
+    assert.deepStrictEqual([pattern.width, pattern.height], [150, 5]);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(cells));
+});
+
+test('RLE: sin cabecera no es válido', () => {
+    assert.throws(() => files.parseRLE('#N Nada\nbob$2bo$3o!\n'));
+});
+
+test('plaintext: ida y vuelta con nombre, autor y comentarios, sin regla', () => {
+    const text = files.writePlaintext(GLIDER);
+    assert.strictEqual(text, '!Name: Glider\n!Author: Richard K. Guy\n!El primer planeador descubierto\n.O\n..O\nOOO\n');
+    const pattern = files.parsePlaintext(text);
+    for (const key of ['name', 'author', 'comments', 'width', 'height']) {
+        assert.deepStrictEqual(pattern[key], GLIDER[key], key);
+    }
+    assert.strictEqual(pattern.rulestring, null);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('plaintext: no admite células muriendo ni caracteres desconocidos', () => {
+    assert.throws(() => files.writePlaintext({ width: 2, height: 1, cells: [[0, 0], [1, 0, 2]] }),
+        { message: 'El formato plaintext solo admite células vivas y muertas' });
+    assert.throws(() => files.parsePlaintext('.O\n.X\n'), /Línea 2 del archivo plaintext/);
+});
+
+test('Life 1.05: ida y vuelta con regla', () => {
+    const pattern = files.parseLife105(files.writeLife105({ ...GLIDER, rulestring: 'B36/S23' }));
+    assert.strictEqual(pattern.name, 'Glider');
+    assert.deepStrictEqual(pattern.comments, ['Richard K. Guy', 'El primer planeador descubierto']);
+    assert.strictEqual(pattern.rulestring, 'B36/S23');
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('Life 1.05: un patrón sin regla se escribe como el de Conway', () => {
+    const text = files.writeLife105(withoutRule(GLIDER));
+    assert.match(text, /^#N$/m);
+    assert.doesNotMatch(text, /#R|null/);
+    assert.strictEqual(files.parseLife105(text).rulestring, 'B3/S23');
+});
+
+test('Life 1.05: varios bloques #P con coordenadas negativas', () => {
+    const pattern = files.parseLife105('#Life 1.05\n#P -2 -1\n**\n#P 1 1\n*\n');
+    assert.deepStrictEqual([pattern.width, pattern.height], [4, 3]);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells([[0, 2], [1, 2], [3, 0]]));
+});
+
+test('Life 1.06: ida y vuelta de las células', () => {
+    const text = files.writeLife106(GLIDER);
+    assert.strictEqual(text, '#Life 1.06\n1 0\n2 1\n0 2\n1 2\n2 2\n');
+    const pattern = files.parseLife106(text);
+    assert.strictEqual(pattern.rulestring, null);
+    assert.deepStrictEqual([pattern.width, pattern.height], [3, 3]);
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+});
+
+test('Life 1.06: lleva la esquina a (0, 0) y rechaza líneas que no son "x y"', () => {
+    const pattern = files.parseLife106('-1 -1\n0 -1\n1 -1\n');
+    assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells([[0, 0], [1, 0], [2, 0]]));
+    assert.throws(() => files.parseLife106('#Life 1.06\n1 2 3\n'), /Línea 2 del archivo Life 1.06/);
+});
+
+for (const format of ['rle', 'cells', 'life105', 'life106']) {
+    test(`${format}: parsePattern reconoce lo que escribe writePattern, con y sin regla`, () => {
+        for (const source of [GLIDER, withoutRule(GLIDER)]) {
+            const pattern = files.parsePattern(files.writePattern(source, format));
+            assert.strictEqual(pattern.format, format);
+            assert.deepStrictEqual(sortedCells(pattern.cells), sortedCells(GLIDER.cells));
+        }
+    });
+}
+
+test('formatos sin cabecera y formatos desconocidos', () => {
+    assert.strictEqual(files.detectPatternFormat('.O\n..O\nOOO\n'), 'cells');
+    assert.strictEqual(files.detectPatternFormat('0 0\n1 0\n'), 'life106');
+    assert.strictEqual(files.detectPatternFormat('#D Sin cabecera\n#P 0 0\n**\n'), 'life105');
+    assert.throws(() => files.detectPatternFormat('hola'), /Formato de patrón no reconocido/);
+    assert.throws(() => files.writePattern(GLIDER, 'bogus'), { message: 'Formato de patrón desconocido: bogus' });
+});
+
+test('Macrocell: ida y vuelta con regla, nombre, autor y comentarios', () => {
+    const text = files.writeMacrocell(GLIDER);
+    assert.match(text, /^\[M2\]/);
+    const pattern = files.parseMacrocell(text);
+    for (const key of ['name', 'author', 'comments', 'width', 'height', 'rulestring', 'states']) {
+        assert.deepStrictEqual(pattern[key], GLIDER[key], key);
+    }
+    assert.strictEqual(pattern.population, 5);
+    const cropped = files.cropMacrocell(pattern, 64, 64);
+    assert.strictEqual(cropped.cropped, false);
+    assert.deepStrictEqual(sortedCells(cropped.cells), sortedCells(GLIDER.cells));
+});
+
+test('Macrocell: un patrón sin regla se escribe sin #R y se lee sin regla', () => {
+    const text = files.writeMacrocell(withoutRule(GLIDER));
+    assert.doesNotMatch(text, /#R|null/);
+    assert.strictEqual(files.parseMacrocell(text).rulestring, null);
+});
+
+test('Macrocell: ida y vuelta de un patrón Generations (nodos de nivel 1)', () => {
+    const generations = {
+        width: 5, height: 3, rulestring: 'B2/S/C4', states: 4,
+        cells: [[0, 0], [4, 0, 2], [2, 1, 3], [1, 2], [3, 2, 2]]
+    };
+    const pattern = files.parseMacrocell(files.writeMacrocell(generations));
+    assert.strictEqual(pattern.states, 4);
+    assert.deepStrictEqual(sortedCells(files.cropMacrocell(pattern, 64, 64).cells), sortedCells(generations.cells));
+});
+
+test('Macrocell: un patrón de varias hojas se reescribe igual desde su quadtree', () => {
+    // Dos gliders separados: hojas distintas y subárboles vacíos
+    const cells = GLIDER.cells.concat(GLIDER.cells.map(([x, y]) => [x + 37, y + 21]));
+    const source = { width: 40, height: 24, rulestring: 'B3/S23', cells };
+    const text = files.writeMacrocell(source);
+
+    const pattern = files.parseMacrocell(text);
+    assert.deepStrictEqual([pattern.width, pattern.height, pattern.population], [40, 24, 10]);
+    assert.deepStrictEqual(sortedCells(files.cropMacrocell(pattern, 64, 64).cells), sortedCells(cells));
+    assert.strictEqual(files.writeMacrocell(pattern), text);
+});
+
+test('Macrocell: cropMacrocell se queda con el centro si el patrón no cabe', () => {
+    // Los gliders de las esquinas quedan fuera; la célula (20, 12), dentro
+    const cells = GLIDER.cells.concat(GLIDER.cells.map(([x, y]) => [x + 37, y + 21]), [[20, 12]]);
+    const pattern = files.parseMacrocell(files.writeMacrocell({ width: 40, height: 24, cells }));
+    const cropped = files.cropMacrocell(pattern, 10, 8);
+    assert.strictEqual(cropped.cropped, true);
+    assert.deepStrictEqual([cropped.width, cropped.height], [10, 8]);
+    assert.deepStrictEqual(cropped.cells, [[5, 4]]);
+});
+
+test('Macrocell: sin cabecera [M2] no es válido', () => {
+    assert.throws(() => files.parseMacrocell('#R B3/S23\n.*$..*$***$\n'),
+        { message: 'El archivo Macrocell no empieza por [M2]' });
+});
@@ -0,0 +1,1179 @@
+/**
+ * ============================================================================
+ * MOTOR POR TESELAS: MUNDOS MAYORES QUE UNA TEXTURA
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Cuarto motor de simulación. GameOfLife y PackedLife guardan toda la
+ * cuadrícula en una textura, así que el mundo no puede superar
+ * MAX_TEXTURE_SIZE. TiledLife lo divide en teselas de
+ * TILED_TILE_SIZE × TILED_TILE_SIZE células, cada una con su propia pareja
+ * de texturas ping-pong, y solo guarda las teselas con actividad: un
+ * universo disperso de 16384 × 16384 cuesta lo que sus teselas activas.
+ *
+ * TESELAS CON HALO:
+ * Cada textura mide S = T + 2H píxeles de lado: el interior de T × T
+ * células más un borde (halo) de H células, con H = radio de la regla.
+ * Antes de cada generación el halo se rellena con los bordes de las ocho
+ * teselas vecinas (copyTexSubImage2D, sin pasar por la CPU) y el compute
+ * shader de siempre calcula el interior como si fuera una cuadrícula de
+ * S × S con bordes muertos.
+ *
+ *     ┌──┬────────┬──┐
+ *     │NO│ norte  │NE│  ← halo: copia del borde de la tesela vecina
+ *     ├──┼────────┼──┤
+ *     │O │interior│E │  ← interior: T × T células de esta tesela
+ *     ├──┼────────┼──┤
+ *     │SO│  sur   │SE│
+ *     └──┴────────┴──┘
+ *
+ * TESELAS ACTIVAS:
+ * - Se guardan las teselas con alguna célula no muerta y sus ocho vecinas
+ *   (vacías), que es donde el patrón puede crecer
+ * - La actividad avanza como mucho H células por generación, así que basta
+ *   revisar el conjunto cada T / H generaciones (refreshTiles): se leen las
+ *   poblaciones, se crean las vecinas que falten y se liberan las teselas
+ *   vacías sin vecinas vivas
+ * - Las vecinas que no existen son muertas: su halo se rellena con ceros
+ *
+ * COORDENADAS:
+ * - Las mismas que la textura de GameOfLife: X hacia la derecha, Y hacia
+ *   arriba en pantalla. La tesela (tx, ty) cubre las células
+ *   [tx·T, (tx+1)·T) × [ty·T, (ty+1)·T) del mundo
+ * - La vista (viewX, viewY, width, height) es la ventana que se dibuja,
+ *   como en HashLife; width × height no puede superar el mundo
+ *
+ * REGLAS ADMITIDAS:
+ * Todas las del compute shader (B/S, Hensel, Generations, Larger than Life,
+ * hexagonal) salvo B0 (el mundo vacío se encendería entero y no habría
+ * teselas que saltar). El mundo es un toro (sin sufijo) o un plano de
+ * bordes muertos (:P) del tamaño del mundo.
+ * ============================================================================
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * CONFIGURACIÓN
+ * ----------------------------------------------------------------------------
+ */
+
+// Lado del interior de una tesela en células
+// (cada tesela ocupa 2 × (256 + 2H)² × 4 bytes ≈ 0,5 MB de GPU)
+const TILED_TILE_SIZE = 256;
+
+// Lado del mundo por defecto (64 × 64 teselas)
+const TILED_DEFAULT_WORLD_SIZE = 16384;
+
+// Lado máximo del mundo (las teselas se guardan por coordenadas, así que
+// solo las activas ocupan memoria)
+const TILED_MAX_WORLD_SIZE = 1 << 20;
+
+/**
+ * ============================================================================
+ * CLASE PRINCIPAL: TiledLife
+ * ============================================================================
+ *
+ * Misma interfaz que GameOfLife: generation, aliveCells, dyingCells,
+ * hasEnded, endReason, nextGeneration, countAliveCells, checkEnd,
+ * loadPattern, randomize, clear, drawCell, reset, setRule, resize,
+ * readState, loadState y getReadTexture.
+ *
+ * DIFERENCIAS:
+ * - computeTiledState() (simulation.js) ejecuta el compute shader una vez por
+ *   tesela, después de exchangeHalos(), y llama a swap()
+ * - getReadTexture() compone las teselas visibles en una textura del
+ *   tamaño de la vista, así el display shader no distingue los motores
+ * - La vista se mueve por el mundo (panView, centerView) y el tamaño del
+ *   mundo se cambia con setWorldSize
+ * - La historia de las células (edad, calor y estela, ver shaders.js) se
+ *   guarda en las teselas: al liberar una tesela vacía se pierden su calor
+ *   y su estela, y loadState solo conserva la de las células no muertas
+ * ============================================================================
+ */
+class TiledLife {
+    /**
+     * Constructor de la clase TiledLife
+     *
+     * @param {WebGLRenderingContext} gl - Contexto WebGL
+     * @param {number} width - Ancho de la vista en células
+     * @param {number} height - Alto de la vista en células
+     * @param {Object} [rule] - Regla devuelta por parseRule (por defecto B3/S23)
+     * @param {number} [worldWidth] - Ancho del mundo (múltiplo de TILED_TILE_SIZE)
+     * @param {number} [worldHeight] - Alto del mundo (múltiplo de TILED_TILE_SIZE)
+     * @throws {Error} Si el motor no admite la regla o el tamaño del mundo
+     */
+    constructor(gl, width, height, rule = parseRule(DEFAULT_RULE),
+                worldWidth = TILED_DEFAULT_WORLD_SIZE, worldHeight = TILED_DEFAULT_WORLD_SIZE) {
+        TiledLife.checkRule(rule);
+        TiledLife.checkWorldSize(worldWidth, worldHeight, width, height);
+
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.rule = rule;
+
+        // Teselas guardadas, indexadas por "tx,ty"
+        // Cada una: { tx, ty, textures, framebuffers, alive, dying }
+        this.tiles = new Map();
+        this.currentTexture = 0;
+        this.updateHalo();
+
+        // Tabla de las reglas de Hensel (la comparten todas las teselas)
+        this.neighbourhoodTable = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.neighbourhoodTable);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        this.updateNeighbourhoodTable();
+
+        // Población y hash de las teselas en la GPU (reduction.js)
+        this.reduction = new StateReduction(gl);
+
+        // Vista centrada en el mundo; su textura se crea en getReadTexture
+        this.viewX = Math.floor((worldWidth - width) / 2);
+        this.viewY = Math.floor((worldHeight - height) / 2);
+        this.normaliseView();
+        this.viewTexture = null;
+        this.viewFramebuffer = null;
+
+        // Estadísticas (igual que GameOfLife)
+        this.generation = 0;
+        this.aliveCells = 0;
+        this.dyingCells = 0;
+
+        // Detección de finalización
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector = new EndDetector();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODOS ESTÁTICOS: checkRule / checkWorldSize
+     * ------------------------------------------------------------------------
+     * Comprueban que el motor por teselas puede simular una regla y un
+     * tamaño de mundo.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si la regla tiene B0 o una topología distinta del toro
+     *                 o el plano del tamaño del mundo
+     */
+    static checkRule(rule) {
+        if (nextCellState(rule, 0, 0, 0) === 1) {
+            throw new Error('El motor por teselas no admite reglas con B0 (el mundo vacío se llenaría entero)');
+        }
+        const topology = rule.topology;
+        if (!['T', 'P'].includes(topology.type) || topology.width !== null || topology.height !== null) {
+            throw new Error('El motor por teselas solo admite el toro o el plano del tamaño del mundo (sin sufijo o :P)');
+        }
+    }
+
+    /**
+     * @param {number} worldWidth - Ancho del mundo en células
+     * @param {number} worldHeight - Alto del mundo en células
+     * @param {number} width - Ancho de la vista
+     * @param {number} height - Alto de la vista
+     * @throws {Error} Si el mundo no es un número entero de teselas (al menos
+     *                 dos por eje), supera TILED_MAX_WORLD_SIZE o no contiene
+     *                 la vista
+     */
+    static checkWorldSize(worldWidth, worldHeight, width, height) {
+        for (const side of [worldWidth, worldHeight]) {
+            if (!Number.isInteger(side) || side % TILED_TILE_SIZE !== 0 ||
+                side < 2 * TILED_TILE_SIZE || side > TILED_MAX_WORLD_SIZE) {
+                throw new Error(`El mundo debe medir un múltiplo de ${TILED_TILE_SIZE} entre ${2 * TILED_TILE_SIZE} y ${TILED_MAX_WORLD_SIZE} por lado`);
+            }
+        }
+        if (width > worldWidth || height > worldHeight) {
+            throw new Error(`La vista (${width}×${height}) no cabe en el mundo (${worldWidth}×${worldHeight})`);
+        }
+    }
+
+    /**
+     * Recalcula el halo y el intervalo de revisión de teselas para la
+     * regla activa.
+     *
+     * HALO:
+     * El radio de la regla, salvo en la rejilla hexagonal: ahí el compute
+     * shader decide el desplazamiento de cada fila por su paridad en la
+     * textura, y un halo par la conserva.
+     */
+    updateHalo() {
+        const reach = this.rule.neighbourhood === 'hexagonal' ? 1 : this.rule.radius;
+        this.halo = this.rule.neighbourhood === 'hexagonal' ? 2 : this.rule.radius;
+        this.textureSize = TILED_TILE_SIZE + 2 * this.halo;
+        this.refreshInterval = Math.max(1, Math.floor(TILED_TILE_SIZE / reach));
+        this.generationsSinceRefresh = 0;
+    }
+
+    /**
+     * Sube a la GPU la tabla de las reglas de Hensel (como
+     * GameOfLife.updateNeighbourhoodTable).
+     *
+     * COMPLEJIDAD: O(256)
+     */
+    updateNeighbourhoodTable() {
+        if (!this.rule.isotropic) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.neighbourhoodTable);
+        gl.texImage2D(
+            gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            ruleToNeighbourhoodTable(this.rule)
+        );
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * TESELAS
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Textura vacía de width × height píxeles con los parámetros de
+     * GameOfLife.createTexture (NEAREST, CLAMP_TO_EDGE).
+     *
+     * @param {number} width - Ancho en píxeles
+     * @param {number} height - Alto en píxeles
+     * @returns {WebGLTexture} Textura creada
+     */
+    createTexture(width, height) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        return texture;
+    }
+
+    /**
+     * Framebuffer que escribe en una textura (como GameOfLife.createFramebuffer).
+     *
+     * @param {WebGLTexture} texture - Textura destino
+     * @returns {WebGLFramebuffer} Framebuffer creado (queda activo)
+     */
+    createFramebuffer(texture) {
+        const gl = this.gl;
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        return framebuffer;
+    }
+
+    /**
+     * Crea una tesela y, si se indica, sube su interior.
+     *
+     * @param {number} tx - Columna de la tesela
+     * @param {number} ty - Fila de la tesela
+     * @param {Uint8Array} [interior] - T × T × 4 bytes (formato de GameOfLife)
+     * @returns {Object} Tesela creada
+     */
+    createTile(tx, ty, interior = null) {
+        const gl = this.gl;
+        const textures = [
+            this.createTexture(this.textureSize, this.textureSize),
+            this.createTexture(this.textureSize, this.textureSize)
+        ];
+        const tile = {
+            tx,
+            ty,
+            textures,
+            framebuffers: textures.map(texture => this.createFramebuffer(texture)),
+            alive: 0,
+            dying: 0
+        };
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (interior) {
+            gl.bindTexture(gl.TEXTURE_2D, textures[this.currentTexture]);
+            gl.texSubImage2D(
+                gl.TEXTURE_2D, 0, this.halo, this.halo, TILED_TILE_SIZE, TILED_TILE_SIZE,
+                gl.RGBA, gl.UNSIGNED_BYTE, interior
+            );
+        }
+
+        this.tiles.set(`${tx},${ty}`, tile);
+        return tile;
+    }
+
+    /**
+     * Libera las texturas y framebuffers de una tesela y la olvida.
+     *
+     * @param {Object} tile - Tesela
+     */
+    deleteTile(tile) {
+        const gl = this.gl;
+        tile.textures.forEach(texture => gl.deleteTexture(texture));
+        tile.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+        this.tiles.delete(`${tile.tx},${tile.ty}`);
+    }
+
+    /**
+     * Libera todas las teselas (el mundo queda vacío).
+     */
+    deleteAllTiles() {
+        for (const tile of [...this.tiles.values()]) {
+            this.deleteTile(tile);
+        }
+    }
+
+    /**
+     * Coordenadas de tesela dentro del mundo: en el toro dan la vuelta, en
+     * el plano las de fuera no existen.
+     *
+     * @param {number} tx - Columna (puede salirse del mundo)
+     * @param {number} ty - Fila (puede salirse del mundo)
+     * @returns {number[]|null} [tx, ty] dentro del mundo, o null
+     */
+    wrapTile(tx, ty) {
+        const tilesX = this.worldWidth / TILED_TILE_SIZE;
+        const tilesY = this.worldHeight / TILED_TILE_SIZE;
+        if (this.rule.topology.type === 'T') {
+            return [((tx % tilesX) + tilesX) % tilesX, ((ty % tilesY) + tilesY) % tilesY];
+        }
+        if (tx < 0 || ty < 0 || tx >= tilesX || ty >= tilesY) return null;
+        return [tx, ty];
+    }
+
+    /**
+     * @param {number} tx - Columna (puede salirse del mundo)
+     * @param {number} ty - Fila (puede salirse del mundo)
+     * @returns {Object|null} Tesela guardada en esa posición, o null
+     */
+    getTile(tx, ty) {
+        const position = this.wrapTile(tx, ty);
+        return position ? this.tiles.get(`${position[0]},${position[1]}`) || null : null;
+    }
+
+    /**
+     * Lee el interior de una tesela.
+     *
+     * @param {Object} tile - Tesela
+     * @returns {Uint8Array} T × T × 4 bytes
+     */
+    readTile(tile) {
+        const gl = this.gl;
+        const data = new Uint8Array(TILED_TILE_SIZE * TILED_TILE_SIZE * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, tile.framebuffers[this.currentTexture]);
+        gl.readPixels(this.halo, this.halo, TILED_TILE_SIZE, TILED_TILE_SIZE, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return data;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: refreshTiles
+     * ------------------------------------------------------------------------
+     * Ajusta el conjunto de teselas a la actividad actual.
+     *
+     * PROCESO:
+     * 1. Contar las células de cada tesela (countAliveCells)
+     * 2. Marcar las teselas no vacías y sus ocho vecinas
+     * 3. Liberar las no marcadas y crear vacías las marcadas que falten
+     *
+     * COMPLEJIDAD: O(teselas × T²)
+     */
+    refreshTiles() {
+        // PASO 1: Poblaciones
+        this.countAliveCells();
+
+        // PASO 2: Teselas necesarias
+        const needed = new Map();
+        for (const tile of this.tiles.values()) {
+            if (tile.alive + tile.dying === 0) continue;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const position = this.wrapTile(tile.tx + dx, tile.ty + dy);
+                    if (position) needed.set(`${position[0]},${position[1]}`, position);
+                }
+            }
+        }
+
+        // PASO 3: Liberar y crear
+        for (const [key, tile] of [...this.tiles]) {
+            if (!needed.has(key)) this.deleteTile(tile);
+        }
+        for (const [key, [tx, ty]] of needed) {
+            if (!this.tiles.has(key)) this.createTile(tx, ty);
+        }
+
+        this.generationsSinceRefresh = 0;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: exchangeHalos
+     * ------------------------------------------------------------------------
+     * Rellena el halo de la textura de lectura de cada tesela con los bordes
+     * de sus vecinas (o con ceros si la vecina no existe).
+     *
+     * RECTÁNGULOS (por eje, según el desplazamiento d de la vecina):
+     *
+     *     d   destino (halo)   origen (en la vecina)   longitud
+     *    -1   0                T                       H
+     *     0   H                H                       T
+     *     1   H + T            H                       H
+     *
+     * copyTexSubImage2D copia del framebuffer activo a la textura activa sin
+     * pasar por la CPU. Origen y destino son siempre teselas distintas: el
+     * mundo tiene al menos dos teselas por eje.
+     *
+     * COMPLEJIDAD: O(teselas) copias en la GPU
+     */
+    exchangeHalos() {
+        const gl = this.gl;
+        const T = TILED_TILE_SIZE;
+        const H = this.halo;
+        const destination = { '-1': 0, '0': H, '1': H + T };
+        const source = { '-1': T, '0': H, '1': H };
+        const length = { '-1': H, '0': T, '1': H };
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.clearColor(0, 0, 0, 0);
+        for (const tile of this.tiles.values()) {
+            const texture = tile.textures[this.currentTexture];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const neighbour = this.getTile(tile.tx + dx, tile.ty + dy);
+                    if (neighbour) {
+                        gl.bindFramebuffer(gl.FRAMEBUFFER, neighbour.framebuffers[this.currentTexture]);
+                        gl.bindTexture(gl.TEXTURE_2D, texture);
+                        gl.copyTexSubImage2D(
+                            gl.TEXTURE_2D, 0,
+                            destination[dx], destination[dy],
+                            source[dx], source[dy],
+                            length[dx], length[dy]
+                        );
+                    } else {
+                        // Vecina muerta: halo a ceros
+                        gl.bindFramebuffer(gl.FRAMEBUFFER, tile.framebuffers[this.currentTexture]);
+                        gl.enable(gl.SCISSOR_TEST);
+                        gl.scissor(destination[dx], destination[dy], length[dx], length[dy]);
+                        gl.clear(gl.COLOR_BUFFER_BIT);
+                        gl.disable(gl.SCISSOR_TEST);
+                    }
+                }
+            }
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Intercambia las texturas de todas las teselas (ping-pong) y, cada
+     * refreshInterval generaciones, revisa las teselas activas.
+     *
+     * COMPLEJIDAD: O(1), O(teselas × T²) al revisar
+     */
+    swap() {
+        this.currentTexture = 1 - this.currentTexture;
+        this.generationsSinceRefresh++;
+        if (this.generationsSinceRefresh >= this.refreshInterval) {
+            this.refreshTiles();
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * ESTADÍSTICAS Y DETECCIÓN DE FINALIZACIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Incrementa el contador de generaciones (el mundo avanza en
+     * computeTiledState de simulation.js).
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    nextGeneration() {
+        this.generation++;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: countAliveCells
+     * ------------------------------------------------------------------------
+     * Cuenta las células vivas y muriendo de todo el mundo (no solo de la
+     * vista) y guarda la población de cada tesela.
+     *
+     * Dos trabajos de StateReduction por tesela (vivas y muriendo en su
+     * interior), todos con un solo readPixels de 8 bytes por tesela.
+     *
+     * @returns {number} Número de células vivas
+     *
+     * COMPLEJIDAD: O(teselas × T²) en la GPU, O(teselas) en la CPU
+     */
+    countAliveCells() {
+        const tiles = [...this.tiles.values()];
+        const counts = this.reduction.run(tiles.flatMap(tile => [
+            this.getReductionJob(tile, REDUCTION_ALIVE),
+            this.getReductionJob(tile, REDUCTION_DYING)
+        ]));
+
+        let count = 0;
+        let dying = 0;
+        tiles.forEach((tile, i) => {
+            tile.alive = counts[2 * i];
+            tile.dying = counts[2 * i + 1];
+            count += tile.alive;
+            dying += tile.dying;
+        });
+
+        this.aliveCells = count;
+        this.dyingCells = dying;
+        return count;
+    }
+
+    /**
+     * Nacimientos y muertes del último paso (ver GameOfLife.countChanges):
+     * cada tesela compara su interior con su otra textura del ping-pong.
+     *
+     * LIMITACIÓN:
+     * Las teselas que refreshTiles libera al quedarse vacías se llevan las
+     * muertes de ese paso: en las generaciones de revisión las muertes
+     * pueden quedarse cortas.
+     *
+     * @returns {{births: number, deaths: number}}
+     *
+     * COMPLEJIDAD: O(teselas × T²) en la GPU, O(teselas) en la CPU
+     */
+    countChanges() {
+        const counts = this.reduction.run([...this.tiles.values()].flatMap(tile => [
+            this.getReductionJob(tile, REDUCTION_BIRTHS),
+            this.getReductionJob(tile, REDUCTION_DEATHS)
+        ]));
+
+        let births = 0;
+        let deaths = 0;
+        for (let i = 0; i < counts.length; i += 2) {
+            births += counts[i];
+            deaths += counts[i + 1];
+        }
+        return { births, deaths };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: getStateFingerprint
+     * ------------------------------------------------------------------------
+     * Huella y caja envolvente del estado, como
+     * GameOfLife.getStateFingerprint pero en el mundo: la GPU calcula las
+     * dos mitades de la huella y las esquinas de la caja del interior de
+     * cada tesela no vacía (relativas a su esquina), y cada huella se
+     * desplaza a la posición de su tesela antes de sumarla (translateHash:
+     * los pesos son potencias, así que es la misma suma que con las
+     * coordenadas del mundo). Es una suma: no depende del orden de las
+     * teselas.
+     *
+     * @returns {{fingerprint: string, x: number, y: number, width: number, height: number}}
+     *          Huella (16 dígitos hexadecimales) y caja envolvente en
+     *          coordenadas del mundo
+     *
+     * COMPLEJIDAD: O(teselas no vacías × T²) en la GPU
+     */
+    getStateFingerprint() {
+        const T = TILED_TILE_SIZE;
+        const tiles = this.getNonEmptyTiles();
+        const values = this.reduction.run(tiles.flatMap(tile => [
+            this.getReductionJob(tile, REDUCTION_HASH),
+            this.getReductionJob(tile, REDUCTION_HASH_HIGH),
+            this.getReductionJob(tile, REDUCTION_MIN_CORNER),
+            this.getReductionJob(tile, REDUCTION_MAX_CORNER)
+        ]));
+
+        let low = 0;
+        let high = 0;
+        const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        tiles.forEach((tile, i) => {
+            const x = tile.tx * T;
+            const y = tile.ty * T;
+            low = addHash(low, translateHash(values[4 * i], x, y, 0));
+            high = addHash(high, translateHash(values[4 * i + 1], x, y, 1));
+            const [minX, minY] = unpackCorner(values[4 * i + 2]);
+            const [maxX, maxY] = unpackCorner(values[4 * i + 3]);
+            bounds[0] = Math.min(bounds[0], x + minX);
+            bounds[1] = Math.min(bounds[1], y + minY);
+            bounds[2] = Math.max(bounds[2], x + maxX - 1);
+            bounds[3] = Math.max(bounds[3], y + maxY - 1);
+        });
+        return normaliseFingerprint(low, high, bounds);
+    }
+
+    /**
+     * Teselas con alguna célula viva o muriendo según el último
+     * countAliveCells.
+     *
+     * @returns {Object[]} Teselas no vacías
+     */
+    getNonEmptyTiles() {
+        return [...this.tiles.values()].filter(tile => tile.alive + tile.dying > 0);
+    }
+
+    /**
+     * Códigos de las células de un rectángulo del mundo, como
+     * GameOfLife.readRegion: se leen las teselas guardadas que lo tocan (las
+     * que no existen están vacías).
+     *
+     * @param {number} x - Columna de la esquina en el mundo
+     * @param {number} y - Fila de la esquina en el mundo
+     * @param {number} width - Ancho en células
+     * @param {number} height - Alto en células
+     * @returns {Uint8Array} width × height bytes (cellCodes)
+     *
+     * COMPLEJIDAD: O(teselas que toca × T²)
+     */
+    readRegion(x, y, width, height) {
+        const T = TILED_TILE_SIZE;
+        const codes = new Uint8Array(width * height);
+        for (let ty = Math.floor(y / T); ty <= Math.floor((y + height - 1) / T); ty++) {
+            for (let tx = Math.floor(x / T); tx <= Math.floor((x + width - 1) / T); tx++) {
+                const tile = this.tiles.get(`${tx},${ty}`);
+                if (!tile || tile.alive + tile.dying === 0) continue;
+                const tileCodes = cellCodes(this.readTile(tile));
+
+                // Parte del rectángulo dentro de la tesela
+                const x0 = Math.max(x, tx * T), x1 = Math.min(x + width, (tx + 1) * T);
+                const y0 = Math.max(y, ty * T), y1 = Math.min(y + height, (ty + 1) * T);
+                for (let cy = y0; cy < y1; cy++) {
+                    const source = (cy - ty * T) * T - tx * T;
+                    const target = (cy - y) * width - x;
+                    codes.set(tileCodes.subarray(source + x0, source + x1), target + x0);
+                }
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Trabajo de StateReduction sobre el interior de una tesela.
+     *
+     * @param {Object} tile - Tesela
+     * @param {number} lane - Valor de cada célula (REDUCTION_ALIVE,
+     *                        REDUCTION_HASH, REDUCTION_MIN_CORNER...)
+     * @returns {Object} Trabajo para StateReduction.run (previous es la
+     *          generación anterior, para REDUCTION_BIRTHS y REDUCTION_DEATHS)
+     */
+    getReductionJob(tile, lane) {
+        return {
+            texture: tile.textures[this.currentTexture],
+            previous: lane >= REDUCTION_BIRTHS ? tile.textures[1 - this.currentTexture] : null,
+            textureWidth: this.textureSize,
+            textureHeight: this.textureSize,
+            x: this.halo,
+            y: this.halo,
+            width: TILED_TILE_SIZE,
+            height: TILED_TILE_SIZE,
+            lane
+        };
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: checkEnd
+     * ------------------------------------------------------------------------
+     * Detecta extinción, estado estable, bucles y naves, como
+     * GameOfLife.checkEnd (incluida la comprobación muestreada del modo
+     * turbo).
+     *
+     * NOTA: countAliveCells actualiza la población de cada tesela, que
+     * getStateFingerprint y la copia para confirmar (readRegion) usan para
+     * saltarse las vacías.
+     *
+     * @returns {boolean} true si ha terminado, false si continúa
+     *
+     * COMPLEJIDAD: O(teselas × T² + h) donde h = tamaño del historial
+     */
+    checkEnd() {
+        if (this.hasEnded) return true;
+
+        // CASO 1: Extinción (ni vivas ni muriendo)
+        if (this.countAliveCells() === 0 && this.dyingCells === 0) {
+            this.hasEnded = true;
+            this.endReason = 'EXTINCIÓN - Todas las células han muerto';
+            this.endConfirmed = true;
+            return true;
+        }
+
+        // CASOS 2, 3 y 4: Estado estable, bucle o nave espacial
+        // (el estado ya avanzó: su generación es la siguiente al contador)
+        const end = this.endDetector.check(this, this.generation + 1);
+        if (end) {
+            this.hasEnded = true;
+            this.endReason = end.reason;
+            this.endConfirmed = end.confirmed;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Reinicia estadísticas y detección de finalización (como GameOfLife).
+     *
+     * COMPLEJIDAD: O(teselas × T²) por el countAliveCells
+     */
+    reset() {
+        this.generation = 0;
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.countAliveCells();
+        this.endDetector.restart(this, this.generation);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: setRule
+     * ------------------------------------------------------------------------
+     * Cambia la regla sin modificar las células. Si el halo cambia (otro
+     * radio) las teselas se recrean con el nuevo tamaño de textura.
+     *
+     * @param {Object} rule - Regla devuelta por parseRule
+     * @throws {Error} Si el motor no admite la regla
+     *
+     * COMPLEJIDAD: O(256); O(teselas × T²) si cambia el halo
+     */
+    setRule(rule) {
+        TiledLife.checkRule(rule);
+
+        const oldHalo = this.halo;
+        const interiors = [...this.tiles.values()].map(tile => [tile.tx, tile.ty, this.readTile(tile)]);
+
+        this.rule = rule;
+        this.updateHalo();
+        this.updateNeighbourhoodTable();
+
+        if (this.halo !== oldHalo) {
+            this.deleteAllTiles();
+            interiors.forEach(([tx, ty, interior]) => this.createTile(tx, ty, interior));
+        }
+
+        // Del toro al plano sobran las vecinas del otro lado del mundo y la
+        // vista puede quedar fuera
+        this.refreshTiles();
+        this.normaliseView();
+        this.hasEnded = false;
+        this.endReason = '';
+        this.endConfirmed = false;
+        this.endDetector.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * CARGA Y EDICIÓN
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: loadState
+     * ------------------------------------------------------------------------
+     * Sustituye el mundo por las células de un array RGBA del tamaño de la
+     * vista (formato de GameOfLife). Fuera de la vista el mundo queda vacío.
+     *
+     * PROCESO:
+     * 1. Repartir las células no muertas entre los interiores de las teselas
+     * 2. Crear solo las teselas con alguna célula
+     * 3. refreshTiles añade sus vecinas
+     *
+     * @param {Uint8Array} data - width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(width × height + teselas × T²)
+     */
+    loadState(data) {
+        const T = TILED_TILE_SIZE;
+
+        // PASO 1: Interiores de las teselas con células
+        const interiors = new Map();
+        for (let y = 0; y < this.height; y++) {
+            const worldY = (this.viewY + y) % this.worldHeight;
+            for (let x = 0; x < this.width; x++) {
+                const i = (y * this.width + x) * 4;
+                if (data[i] <= 128 && data[i + 1] < 2) continue;
+
+                const worldX = (this.viewX + x) % this.worldWidth;
+                const tx = Math.floor(worldX / T), ty = Math.floor(worldY / T);
+                const key = `${tx},${ty}`;
+                if (!interiors.has(key)) {
+                    interiors.set(key, [tx, ty, new Uint8Array(T * T * 4)]);
+                }
+                const interior = interiors.get(key)[2];
+                interior.set(data.subarray(i, i + 4), ((worldY % T) * T + worldX % T) * 4);
+            }
+        }
+
+        // PASOS 2 y 3: Teselas y vecinas
+        this.deleteAllTiles();
+        for (const [tx, ty, interior] of interiors.values()) {
+            this.createTile(tx, ty, interior);
+        }
+        this.refreshTiles();
+        this.reset();
+    }
+
+    /**
+     * Lee la vista como un array RGBA (formato de loadState).
+     *
+     * @returns {Uint8Array} width × height × 4 bytes
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    readState() {
+        const gl = this.gl;
+        this.composeView();
+        const data = new Uint8Array(this.width * this.height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.viewFramebuffer);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return data;
+    }
+
+    /**
+     * Copia del mundo entero (ver GameOfLife.saveSnapshot): el interior de
+     * cada tesela no vacía. La vista no se guarda: volver a una generación
+     * pasada no la mueve.
+     *
+     * @returns {{generation: number, bytes: number, tiles: Array}}
+     *          tiles son [tx, ty, interior] como en setRule
+     *
+     * COMPLEJIDAD: O(teselas × T²)
+     */
+    saveSnapshot() {
+        this.countAliveCells();
+        const tiles = this.getNonEmptyTiles().map(tile => [tile.tx, tile.ty, this.readTile(tile)]);
+        return {
+            generation: this.generation,
+            bytes: tiles.length * TILED_TILE_SIZE * TILED_TILE_SIZE * 4,
+            tiles
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - Copia devuelta por saveSnapshot (con el
+     *                            mismo tamaño de mundo)
+     */
+    restoreSnapshot(snapshot) {
+        this.deleteAllTiles();
+        snapshot.tiles.forEach(([tx, ty, interior]) => this.createTile(tx, ty, interior));
+        this.refreshTiles();
+        this.reset();
+        this.generation = snapshot.generation;
+        this.endDetector.restart(this, this.generation, false);
+    }
+
+    /**
+     * Configuración aleatoria en la vista (30% de células vivas, como
+     * GameOfLife.randomize); el resto del mundo queda vacío.
+     *
+     * COMPLEJIDAD: O(width × height)
+     */
+    randomize() {
+        const data = new Uint8Array(this.width * this.height * 4);
+        for (let i = 0; i < this.width * this.height; i++) {
+            const alive = Math.random() < 0.3 ? 255 : 0;
+            data[i * 4 + 0] = alive;
+            data[i * 4 + 1] = alive;
+            data[i * 4 + 2] = alive;
+            data[i * 4 + 3] = 0;
+        }
+        this.loadState(data);
+    }
+
+    /**
+     * Vacía el mundo.
+     *
+     * COMPLEJIDAD: O(teselas)
+     */
+    clear() {
+        this.deleteAllTiles();
+        this.reset();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: drawCell
+     * ------------------------------------------------------------------------
+     * Dibuja o borra una célula de la vista. Solo se escribe un píxel
+     * (texSubImage2D); al dibujar una célula viva se crean su tesela y las
+     * vecinas que falten.
+     *
+     * @param {number} x - Columna en la vista
+     * @param {number} y - Fila en la vista
+     * @param {boolean} alive - true = viva, false = muerta
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    drawCell(x, y, alive) {
+        const gl = this.gl;
+        const T = TILED_TILE_SIZE;
+        const worldX = (this.viewX + x) % this.worldWidth;
+        const worldY = (this.viewY + y) % this.worldHeight;
+        const tx = Math.floor(worldX / T), ty = Math.floor(worldY / T);
+
+        let tile = this.getTile(tx, ty);
+        if (!tile) {
+            if (!alive) return;
+            tile = this.createTile(tx, ty);
+        }
+        if (alive) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const position = this.wrapTile(tx + dx, ty + dy);
+                    if (position && !this.tiles.has(`${position[0]},${position[1]}`)) {
+                        this.createTile(position[0], position[1]);
+                    }
+                }
+            }
+        }
+
+        const value = alive ? 255 : 0;
+        gl.bindTexture(gl.TEXTURE_2D, tile.textures[this.currentTexture]);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D, 0, this.halo + worldX % T, this.halo + worldY % T, 1, 1,
+            gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([value, value, value, 0])
+        );
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: loadPattern
+     * ------------------------------------------------------------------------
+     * Carga un patrón (PATTERNS de game.js o lista de células) en el centro
+     * de la vista, en la misma posición que GameOfLife.loadPattern. El resto
+     * del mundo queda vacío.
+     *
+     * @param {string|Array[]} pattern - Nombre del patrón (clave en
+     *        PATTERNS) o lista de células (ver placePattern en game.js)
+     *
+     * COMPLEJIDAD: O(width × height + p)
+     */
+    loadPattern(pattern) {
+        const cells = placePattern(pattern, this.width, this.height);
+        if (!cells) {
+            console.error(`Patron ${pattern} no encontrado`);
+            return;
+        }
+
+        const data = new Uint8Array(this.width * this.height * 4);
+        for (const [x, y, state] of cells) {
+            if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                // Las células muriendo llevan su estado en el canal verde
+                data.set(state === 1 ? [255, 255, 255, 0] : [0, state, 0, 0], (y * this.width + x) * 4);
+            }
+        }
+
+        this.loadState(data);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * VISTA Y MUNDO
+     * ------------------------------------------------------------------------
+     */
+
+    /**
+     * Lleva la vista dentro del mundo: en el toro da la vuelta, en el plano
+     * se pega al borde. En la rejilla hexagonal viewY se mantiene par para
+     * que las filas de la vista conserven su desplazamiento.
+     */
+    normaliseView() {
+        if (this.rule.topology.type === 'T') {
+            this.viewX = ((this.viewX % this.worldWidth) + this.worldWidth) % this.worldWidth;
+            this.viewY = ((this.viewY % this.worldHeight) + this.worldHeight) % this.worldHeight;
+        } else {
+            this.viewX = Math.min(Math.max(this.viewX, 0), this.worldWidth - this.width);
+            this.viewY = Math.min(Math.max(this.viewY, 0), this.worldHeight - this.height);
+        }
+        if (this.rule.neighbourhood === 'hexagonal') {
+            this.viewY -= this.viewY & 1;
+        }
+    }
+
+    /**
+     * Cambia el tamaño de la vista manteniendo su centro (el mundo no
+     * cambia). resizeGrid (simulation.js) comprueba antes con
+     * checkWorldSize que la vista cabe.
+     *
+     * @param {number} width - Nuevo ancho en células
+     * @param {number} height - Nuevo alto en células
+     *
+     * COMPLEJIDAD: O(1)
+     */
+    resize(width, height) {
+        this.viewX += Math.floor((this.width - width) / 2);
+        this.viewY += Math.floor((this.height - height) / 2);
+        this.width = width;
+        this.height = height;
+        this.normaliseView();
+        this.disposeView();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: setWorldSize
+     * ------------------------------------------------------------------------
+     * Cambia el tamaño del mundo conservando las células de la vista (las
+     * de fuera se pierden) y la generación; la vista se centra en el mundo
+     * nuevo.
+     *
+     * @param {number} worldWidth - Ancho del mundo en células
+     * @param {number} worldHeight - Alto del mundo en células
+     * @throws {Error} Si el tamaño no es válido (ver checkWorldSize)
+     *
+     * COMPLEJIDAD: O(width × height + teselas × T²)
+     */
+    setWorldSize(worldWidth, worldHeight) {
+        TiledLife.checkWorldSize(worldWidth, worldHeight, this.width, this.height);
+
+        const data = this.readState();
+        const generation = this.generation;
+
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.viewX = Math.floor((worldWidth - this.width) / 2);
+        this.viewY = Math.floor((worldHeight - this.height) / 2);
+        this.normaliseView();
+
+        this.loadState(data);
+        this.generation = generation;
+    }
+
+    /**
+     * Desplaza la vista.
+     *
+     * @param {number} dx - Células hacia la derecha
+     * @param {number} dy - Células hacia arriba
+     */
+    panView(dx, dy) {
+        this.viewX += dx;
+        this.viewY += dy;
+        this.normaliseView();
+    }
+
+    /**
+     * Centra la vista en el rectángulo de teselas no vacías (en el centro
+     * del mundo si está vacío).
+     *
+     * COMPLEJIDAD: O(teselas)
+     */
+    centerView() {
+        const T = TILED_TILE_SIZE;
+        let cx = this.worldWidth / 2, cy = this.worldHeight / 2;
+        const tiles = [...this.tiles.values()].filter(tile => tile.alive + tile.dying > 0);
+        if (tiles.length > 0) {
+            const txs = tiles.map(tile => tile.tx);
+            const tys = tiles.map(tile => tile.ty);
+            cx = (Math.min(...txs) + Math.max(...txs) + 1) * T / 2;
+            cy = (Math.min(...tys) + Math.max(...tys) + 1) * T / 2;
+        }
+        this.viewX = Math.floor(cx - this.width / 2);
+        this.viewY = Math.floor(cy - this.height / 2);
+        this.normaliseView();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * MÉTODO: composeView
+     * ------------------------------------------------------------------------
+     * Copia a la textura de la vista la parte visible de cada tesela.
+     *
+     * ALGORITMO:
+     * La vista se recorre en trozos que no cruzan el borde de una tesela
+     * (como mucho ⌈width / T⌉ + 1 por fila); cada trozo es un
+     * copyTexSubImage2D desde el interior de su tesela. Los trozos sin
+     * tesela quedan a cero (clear). En el toro la vista puede cruzar el
+     * borde del mundo: getTile da la vuelta a las coordenadas.
+     *
+     * COMPLEJIDAD: O(teselas visibles) copias en la GPU
+     */
+    composeView() {
+        const gl = this.gl;
+        const T = TILED_TILE_SIZE;
+
+        if (!this.viewTexture) {
+            this.viewTexture = this.createTexture(this.width, this.height);
+            this.viewFramebuffer = this.createFramebuffer(this.viewTexture);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.viewFramebuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.viewTexture);
+        const x1 = this.viewX + this.width, y1 = this.viewY + this.height;
+        for (let y = this.viewY; y < y1; y = (Math.floor(y / T) + 1) * T) {
+            const ty = Math.floor(y / T);
+            const rows = Math.min((ty + 1) * T, y1) - y;
+            for (let x = this.viewX; x < x1; x = (Math.floor(x / T) + 1) * T) {
+                const tx = Math.floor(x / T);
+                const tile = this.getTile(tx, ty);
+                if (!tile) continue;
+
+                const columns = Math.min((tx + 1) * T, x1) - x;
+                gl.bindFramebuffer(gl.FRAMEBUFFER, tile.framebuffers[this.currentTexture]);
+                gl.copyTexSubImage2D(
+                    gl.TEXTURE_2D, 0,
+                    x - this.viewX, y - this.viewY,
+                    this.halo + x - tx * T, this.halo + y - ty * T,
+                    columns, rows
+                );
+            }
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Textura con la vista actual, en el formato de GameOfLife, para el
+     * display shader.
+     *
+     * @returns {WebGLTexture} Textura de width × height píxeles
+     *
+     * COMPLEJIDAD: O(teselas visibles) copias en la GPU
+     */
+    getReadTexture() {
+        this.composeView();
+        return this.viewTexture;
+    }
+
+    /**
+     * Libera la textura de la vista (se vuelve a crear al componerla).
+     */
+    disposeView() {
+        if (this.viewTexture) {
+            this.gl.deleteTexture(this.viewTexture);
+            this.gl.deleteFramebuffer(this.viewFramebuffer);
+            this.viewTexture = null;
+            this.viewFramebuffer = null;
+        }
+    }
+
+    /**
+     * Libera teselas, vista y tabla de la regla (al cambiar de motor).
+     *
+     * COMPLEJIDAD: O(teselas)
+     */
+    dispose() {
+        this.deleteAllTiles();
+        this.disposeView();
+        this.gl.deleteTexture(this.neighbourhoodTable);
+        this.reduction.dispose();
+    }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * EXPORTACIÓN DE MÓDULOS
+ * ----------------------------------------------------------------------------
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiledLife;
+}
@@ -0,0 +1,46 @@
+/**
+ * ============================================================================
+ * WEB WORKER DE LA SIMULACIÓN
+ * ============================================================================
+ *
+ * Algoritmos Avanzados - UNIPRO - 2025
+ *
+ * Ejecuta simulation.js fuera del hilo principal. main.js transfiere el
+ * canvas con transferControlToOffscreen() en el mensaje 'init'; a partir de
+ * ahí el contexto WebGL, el motor y el bucle de animación viven aquí y la
+ * interfaz solo envía órdenes y recibe estadísticas (ver el protocolo en
+ * simulation.js).
+ * ============================================================================
+ */
+
+// Mismo orden que los <script> de index.html
+importScripts(
+    'shaders.js',
+    'rules.js',
+    'reduction.js',
+    'enddetection.js',
+    'game.js',
+    'patternfiles.js',
+    'images.js',
+    'census.js',
+    'history.js',
+    'hashlife.js',
+    'packedlife.js',
+    'tiledlife.js',
+    'simulation.js'
+);
+
+/**
+ * Mensajes de la interfaz: 'init' trae el OffscreenCanvas; el resto son
+ * órdenes para handleCommand.
+ *
+ * @param {MessageEvent} event - event.data = { type, ... }
+ */
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        initSimulation(message.canvas, data => self.postMessage(data));
+    } else {
+        handleCommand(message);
+    }
+};